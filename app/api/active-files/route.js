@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export const maxDuration = 10;
 export const dynamic = 'force-dynamic';
@@ -21,10 +21,8 @@ export async function GET(request) {
       });
     }
     
-    const connection = await getConnection();
-    
     // Get ALL files that aren't completed or failed
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       `SELECT 
         id, 
         file_name, 
@@ -41,7 +39,7 @@ export async function GET(request) {
           ELSE 0
         END as can_resume
        FROM uploaded_files
-       WHERE processing_status NOT IN ('completed', 'failed')
+       WHERE processing_status NOT IN ('completed', 'failed', 'cancelled')
          OR (processing_status IS NULL AND upload_status = 'completed')
        ORDER BY upload_date DESC
        LIMIT 10`
@@ -58,7 +56,7 @@ export async function GET(request) {
       console.log(`  No active files found`);
       
       // Debug: Check if file 7 exists at all
-      const [allFiles] = await connection.execute(
+      const [allFiles] = await executeWithRetry(
         `SELECT id, processing_status, upload_status FROM uploaded_files ORDER BY id DESC LIMIT 5`
       );
       console.log(`  Recent files in database:`, allFiles);
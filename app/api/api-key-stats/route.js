@@ -1,21 +1,64 @@
 import { NextResponse } from 'next/server';
+import { listKeys } from '../../../lib/blooioKeyPool.js';
+import { getProviderLimit, getSharedRateStatus } from '../../../lib/rateLimiter.js';
 
 export const maxDuration = 10;
+export const dynamic = 'force-dynamic';
 
 export async function GET() {
-  const hasApiKey = !!process.env.BLOOIO_API_KEY;
-  
-  return NextResponse.json({
-    success: true,
-    stats: {
-      apiKeyConfigured: hasApiKey,
-      processingMode: 'Parallel batches',
-      batchSize: 4,
-      rateLimit: '4 requests per second',
-      parallelProcessing: true
-    },
-    message: hasApiKey 
-      ? 'Single API key with parallel batch processing (4 simultaneous requests)' 
-      : 'API key not configured'
-  });
+  try {
+    const keys = await listKeys();
+    
+    // Adaptive rate per key bucket (non-fatal)
+    let rates = [];
+    try {
+      rates = await getSharedRateStatus();
+    } catch (rateError) {
+      console.error('Rate limit status error:', rateError.message);
+    }
+    
+    const rateByBucket = new Map(rates.map(rate => [rate.key, rate]));
+    const defaultRate = getProviderLimit('blooio').requestsPerSecond;
+    
+    const keyStats = keys.map(({ bucket_key, ...key }) => {
+      const rate = rateByBucket.get(bucket_key);
+      const configuredRate = key.requests_per_second ?? defaultRate;
+      
+      return {
+        ...key,
+        configured_rate: configuredRate,
+        effective_rate: Math.min(rate?.effectiveRate ?? configuredRate, configuredRate),
+        throttled: rate?.throttled ?? false
+      };
+    });
+    
+    const enabledKeys = keyStats.filter(key => key.enabled);
+    const totalRate = enabledKeys.reduce(
+      (total, key) => total + key.effective_rate, 0
+    );
+    
+    return NextResponse.json({
+      success: true,
+      stats: {
+        apiKeyConfigured: enabledKeys.length > 0,
+        totalKeys: keyStats.length,
+        enabledKeys: enabledKeys.length,
+        processingMode: 'Round-robin key pool',
+        requestsToday: keyStats.reduce((total, key) => total + Number(key.requests_today), 0),
+        rateLimit: `${Math.round(totalRate * 100) / 100} requests per second across enabled keys`,
+        parallelProcessing: true
+      },
+      keys: keyStats,
+      message: enabledKeys.length > 0
+        ? `${enabledKeys.length} of ${keyStats.length} API keys in rotation`
+        : 'No enabled API keys'
+    });
+    
+  } catch (error) {
+    console.error('API key stats error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,153 @@
+import { NextResponse } from 'next/server';
+import { listKeys, addKey, updateKey } from '../../../lib/blooioKeyPool.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Parse requestsPerSecond / dailyQuota (null or '' clears the limit)
+ * @returns {object} - { rate, quota, error }
+ */
+function parseLimits({ requestsPerSecond, dailyQuota }) {
+  const limits = { rate: undefined, quota: undefined, error: null };
+
+  if (requestsPerSecond !== undefined) {
+    limits.rate = requestsPerSecond === null || requestsPerSecond === '' ? null : parseFloat(requestsPerSecond);
+
+    if (limits.rate !== null && !(limits.rate > 0)) {
+      limits.error = 'requestsPerSecond must be a positive number';
+    }
+  }
+
+  if (dailyQuota !== undefined) {
+    limits.quota = dailyQuota === null || dailyQuota === '' ? null : parseInt(dailyQuota);
+
+    if (limits.quota !== null && !(limits.quota >= 0)) {
+      limits.error = 'dailyQuota must be a non-negative integer';
+    }
+  }
+
+  return limits;
+}
+
+// List pooled Blooio keys (masked) with today's usage
+export async function GET() {
+  try {
+    const keys = await listKeys();
+
+    return NextResponse.json({
+      success: true,
+      keys: keys.map(({ bucket_key, ...key }) => key)
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Add a key: { label, apiKey, requestsPerSecond, dailyQuota }
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { label, apiKey } = body;
+
+    if (!label || !apiKey) {
+      return NextResponse.json({
+        success: false,
+        error: 'label and apiKey are required'
+      }, { status: 400 });
+    }
+
+    const limits = parseLimits(body);
+
+    if (limits.error) {
+      return NextResponse.json({
+        success: false,
+        error: limits.error
+      }, { status: 400 });
+    }
+
+    const id = await addKey({
+      label: label.toString().trim(),
+      apiKey: apiKey.toString().trim(),
+      requestsPerSecond: limits.rate ?? null,
+      dailyQuota: limits.quota ?? null
+    });
+
+    console.log(`✓ Added Blooio API key "${label}" (id ${id})`);
+
+    return NextResponse.json({
+      success: true,
+      id: id
+    });
+
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return NextResponse.json({
+        success: false,
+        error: 'This API key is already in the pool'
+      }, { status: 409 });
+    }
+
+    console.error('Add API key error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Update a key: { id, label, enabled, requestsPerSecond, dailyQuota }
+export async function PATCH(request) {
+  try {
+    const body = await request.json();
+    const { id, label, enabled } = body;
+
+    if (!id) {
+      return NextResponse.json({
+        success: false,
+        error: 'Key ID is required'
+      }, { status: 400 });
+    }
+
+    const limits = parseLimits(body);
+
+    if (limits.error) {
+      return NextResponse.json({
+        success: false,
+        error: limits.error
+      }, { status: 400 });
+    }
+
+    const updated = await updateKey(id, {
+      label: label === undefined ? undefined : label.toString().trim(),
+      enabled: enabled === undefined ? undefined : Boolean(enabled),
+      requestsPerSecond: limits.rate,
+      dailyQuota: limits.quota
+    });
+
+    if (!updated) {
+      return NextResponse.json({
+        success: false,
+        error: 'API key not found'
+      }, { status: 404 });
+    }
+
+    console.log(`✓ Updated Blooio API key ${id}`);
+
+    return NextResponse.json({
+      success: true,
+      id: id
+    });
+
+  } catch (error) {
+    console.error('Update API key error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -1,16 +1,23 @@
 import { NextResponse } from 'next/server';
 import { getCacheStats } from '../../../lib/appCache.js';  // ✅ Correct name
+import { getLookupCacheStats } from '../../../lib/lookupCache.js';
+import { getCachePolicy } from '../../../lib/cachePolicy.js';
 
 export const maxDuration = 10;
+export const dynamic = 'force-dynamic';
 
 export async function GET() {
   try {
     const stats = getCacheStats();
+    const lookupCache = await getLookupCacheStats();
     
     return NextResponse.json({
       success: true,
       stats: stats,
-      message: `Memory cache: ${stats.memorySize} entries, ${stats.hitRate}% hit rate`
+      lookupCache: lookupCache,
+      // Effective TTL in days per provider and outcome
+      policy: getCachePolicy(),
+      message: `Memory cache: ${stats.size}/${stats.maxSize} entries (${(stats.memoryBytes / 1024 / 1024).toFixed(1)} MB), ${stats.evictions} evicted, ${stats.hitRate}% hit rate`
     });
   } catch (error) {
     return NextResponse.json({
@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { ensureSchema } from '../../../lib/schema.js';
+import { cancelFile } from '../../../lib/processingControl.js';
 
+// Cancel a file - the results so far are kept, nothing more is processed
 export async function POST(request) {
   try {
     const { fileId } = await request.json();
@@ -12,26 +14,14 @@ export async function POST(request) {
       }, { status: 400 });
     }
     
-    console.log(`Cancelling processing for file ${fileId}...`);
+    await ensureSchema();
     
-    const connection = await getConnection();
-    
-    // Remove from queue if exists
-    await connection.execute(
-      `DELETE FROM processing_queue WHERE file_id = ?`,
-      [fileId]
-    );
-    
-    // Update file status to failed/cancelled
-    await connection.execute(
-      `UPDATE uploaded_files 
-       SET processing_status = 'failed',
-           can_resume = 0
-       WHERE id = ?`,
-      [fileId]
-    );
-    
-    console.log(`✓ File ${fileId} cancelled`);
+    if (!(await cancelFile(parseInt(fileId)))) {
+      return NextResponse.json({
+        success: false,
+        error: 'File is already finished'
+      }, { status: 409 });
+    }
     
     return NextResponse.json({
       success: true,
@@ -1,10 +1,11 @@
 import { NextResponse } from 'next/server';
-import { parsePhoneNumber, isValidPhoneNumber } from 'libphonenumber-js';
-import { getConnection } from '../../../lib/db.js';
-import { checkBlooioSingle, blooioRateLimiter } from '../../../lib/blooioClient.js';
+import { executeWithRetry, bulkInsert } from '../../../lib/db.js';
+import { getProvider } from '../../../lib/lookupProviders.js';
+import { findSuppressed, suppressedResult } from '../../../lib/suppressionLists.js';
 import { 
-  getFromAppCache, 
-  saveToAppCache  // ✅ Only these two
+  getBatchFromAppCache, 
+  saveBatchToAppCache,
+  getAppCacheStats
 } from '../../../lib/appCache.js';
 
 export const maxDuration = 300;
@@ -15,18 +16,14 @@ const MAX_RETRIES = 3;
 
 // ✅ EXPORTED FUNCTION - Can be called directly from other endpoints
 export async function processChunk(fileId, resumeFrom = 0) {
-  let connection;
-  
   try {
     const startOffset = resumeFrom || 0;
     const chunkStartTime = Date.now();
     
     console.log(`\n=== Processing Blooio File ${fileId} from offset ${startOffset} ===`);
     
-    connection = await getConnection();
-    
     // Get file info with processing state
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       'SELECT * FROM uploaded_files WHERE id = ?',
       [fileId]
     );
@@ -99,7 +96,7 @@ export async function processChunk(fileId, resumeFrom = 0) {
     if (chunk.length === 0) {
       console.log('No more records to process - marking as complete');
       
-      await connection.execute(
+      await executeWithRetry(
         `UPDATE uploaded_files 
          SET processing_status = 'completed',
              processing_progress = 100
@@ -110,9 +107,10 @@ export async function processChunk(fileId, resumeFrom = 0) {
       // ✅ AUTO-GENERATE RESULTS FILE
       console.log('🔨 Auto-generating results file...');
       
-      const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http';
-      const host = request.headers.get('host') || 'ios.smsapp.co';
-      const baseUrl = `${protocol}://${host}`;
+      // No request in here (processChunk is also called directly) - use the deployment URL
+      const baseUrl = process.env.VERCEL_URL 
+        ? `https://${process.env.VERCEL_URL}` 
+        : 'http://localhost:3000';
       
       fetch(`${baseUrl}/api/generate-results`, {
         method: 'POST',
@@ -133,7 +131,7 @@ export async function processChunk(fileId, resumeFrom = 0) {
     }
     
     // Mark file as processing
-    await connection.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files 
        SET processing_status = 'processing'
        WHERE id = ?`,
@@ -150,7 +148,16 @@ export async function processChunk(fileId, resumeFrom = 0) {
     
     console.log('\n=== MULTI-TIER CACHE LOOKUP ===');
     
-    const phoneNumbers = chunk.map(p => p.e164);
+    // Numbers on an enabled suppression list are never sent to Blooio (nor taken from cache)
+    const suppressed = await findSuppressed(chunk.map(p => p.e164));
+    chunk.forEach(phone => {
+      const suppressedBy = suppressed.get(phone.e164);
+      if (suppressedBy) {
+        chunkResults.push({ ...suppressedResult(phone.e164, suppressedBy), phone_number: phone.original });
+      }
+    });
+    
+    const phoneNumbers = chunk.filter(p => !suppressed.has(p.e164)).map(p => p.e164);
     
     // ✅ TIER 1: App Memory Cache (fastest, <1ms)
     console.log('🔵 TIER 1: Checking app memory cache...');
@@ -199,7 +206,7 @@ export async function processChunk(fileId, resumeFrom = 0) {
       const placeholders = uncachedInApp.map(() => '?').join(',');
       
       // Use optimized query with covering index
-      const [cachedRows] = await connection.execute(
+      const [cachedRows] = await executeWithRetry(
         `SELECT phone_number, is_ios, supports_imessage, supports_sms, 
                 contact_type, contact_id, error, last_checked
          FROM phone_checks
@@ -248,7 +255,7 @@ export async function processChunk(fileId, resumeFrom = 0) {
     
     // ✅ TIER 3: API Calls (slowest, rate-limited)
     const phonesToCheck = chunk.filter(phone => 
-      !appCached[phone.e164] && !dbCached[phone.e164]
+      !suppressed.has(phone.e164) && !appCached[phone.e164] && !dbCached[phone.e164]
     );
     uncachedPhones.push(...phonesToCheck);
     
@@ -256,6 +263,7 @@ export async function processChunk(fileId, resumeFrom = 0) {
     console.log(`   App cache hits: ${appCacheHits} (${tier1Duration}ms) ⚡⚡⚡`);
     console.log(`   DB cache hits: ${dbCacheHits} (${tier2Duration}ms) ⚡`);
     console.log(`   Total cache hits: ${cacheHits}/${phoneNumbers.length} (${((cacheHits/phoneNumbers.length)*100).toFixed(1)}%)`);
+    console.log(`   Suppressed: ${suppressed.size}`);
     console.log(`   Need API calls: ${uncachedPhones.length}`);
     
 // STEP 3: Process uncached phones in PARALLEL BATCHES
@@ -282,9 +290,6 @@ if (uncachedPhones.length > 0) {
     
     const batch = uncachedPhones.slice(batchStart, batchStart + BATCH_SIZE);
     
-    // Wait for rate limiter (1 second between batches)
-    await blooioRateLimiter.acquireBatch(batch.length);
-    
     // Process entire batch in parallel with retries
     const batchPromises = batch.map(async (phone) => {
       let apiSuccess = false;
@@ -300,7 +305,7 @@ if (uncachedPhones.length > 0) {
           }
           
           const apiCallStart = Date.now();
-          result = await checkBlooioSingle(phone.e164);
+          result = await getProvider('blooio').lookup(phone.e164);
           const apiCallDuration = Date.now() - apiCallStart;
           
           totalApiTime += apiCallDuration;
@@ -408,8 +413,8 @@ if (uncachedPhones.length > 0) {
     
     console.log(`\n--- STEP 4: Saving results to cache layers ---`);
     
-    // Filter results to save (exclude cached and failed)
-    const resultsToSave = chunkResults.filter(r => !r.from_cache && !r.error);
+    // Filter results to save (exclude cached, failed and suppressed)
+    const resultsToSave = chunkResults.filter(r => !r.from_cache && !r.error && !r.suppressed_by);
     
     if (resultsToSave.length > 0) {
       console.log(`💾 Saving ${resultsToSave.length} new results...`);
@@ -436,21 +441,21 @@ if (uncachedPhones.length > 0) {
           fileId
         ]);
         
-        await connection.query(
-          `INSERT INTO phone_checks 
-          (phone_number, is_ios, supports_imessage, supports_sms, contact_type, contact_id, 
-           error, batch_id, source, check_count, file_id) 
-          VALUES ?
-          ON DUPLICATE KEY UPDATE
-            is_ios = VALUES(is_ios),
+        await bulkInsert(
+          'phone_checks',
+          ['phone_number', 'is_ios', 'supports_imessage', 'supports_sms', 'contact_type', 'contact_id',
+            'error', 'batch_id', 'source', 'check_count', 'file_id'],
+          values,
+          {
+            onDuplicate: `is_ios = VALUES(is_ios),
             supports_imessage = VALUES(supports_imessage),
             supports_sms = VALUES(supports_sms),
             contact_type = VALUES(contact_type),
             contact_id = VALUES(contact_id),
             error = VALUES(error),
             last_checked = NOW(),
-            check_count = check_count + 1`,
-          [values]
+            check_count = check_count + 1`
+          }
         );
         
         const saveDuration = Date.now() - saveStart;
@@ -471,7 +476,7 @@ if (uncachedPhones.length > 0) {
     console.log(`Saved to cache: ${resultsToSave.length}`);
     
     // Save chunk results with ON DUPLICATE KEY UPDATE to prevent duplicates
-    await connection.execute(
+    await executeWithRetry(
       `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, created_at) 
        VALUES (?, ?, ?, NOW())
        ON DUPLICATE KEY UPDATE 
@@ -488,7 +493,7 @@ if (uncachedPhones.length > 0) {
     const isComplete = newOffset >= totalRecords;
     
     // Update progress in database
-    await connection.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files 
        SET processing_offset = ?,
            processing_progress = ?,
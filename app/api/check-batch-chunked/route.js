@@ -1,9 +1,10 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 import { processPhoneArray } from '../../../lib/phoneValidator.js';
-import { checkBulkInBatches, categorizeBulkResults } from '../../../lib/subscriberVerify.js';
-import { getSubscriberVerifyCacheBatch, saveSubscriberVerifyCacheBatch } from '../../../lib/phoneCache.js';
+import { getProvider } from '../../../lib/lookupProviders.js';
+import { getCachedResults, saveCachedResults } from '../../../lib/lookupCache.js';
 import { uploadFile } from '../../../lib/blobStorage.js';
+import { findSuppressed } from '../../../lib/suppressionLists.js';
 import Papa from 'papaparse';
 
 export const maxDuration = 300; // Maximum Vercel allows
@@ -12,16 +13,12 @@ const CHUNK_SIZE = 5000; // Process 5000 records per request
 const MAX_PROCESSING_TIME = 50000; // Stop after 50 seconds to avoid timeout
 
 export async function POST(request) {
-  let connection;
-  
   try {
     const body = await request.json();
     const { fileId, resumeFrom = 0 } = body;
     
-    connection = await getConnection();
-    
     // Get file metadata
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       'SELECT * FROM uploaded_files WHERE id = ?',
       [fileId]
     );
@@ -51,7 +48,7 @@ export async function POST(request) {
     console.log(`Processing records ${startOffset} to ${endOffset} of ${totalRecords}`);
     
     // Update status to processing
-    await connection.execute(
+    await executeWithRetry(
       'UPDATE uploaded_files SET processing_status = ? WHERE id = ?',
       ['processing', fileId]
     );
@@ -65,34 +62,38 @@ export async function POST(request) {
     console.log(`Batch checking cache for chunk...`);
     const cacheCheckStart = Date.now();
     
-    // Prepare phone numbers for batch lookup
-    const formattedPhones = chunk.map(v => v.formatted);
+    // Prepare phone numbers for batch lookup (E.164)
+    const formattedPhones = chunk.map(v => v.e164);
     
     // Batch cache lookup
-    const cacheMap = await getSubscriberVerifyCacheBatch(formattedPhones);
+    const cacheMap = await getCachedResults('subscriberverify', formattedPhones);
     
     const cacheCheckTime = ((Date.now() - cacheCheckStart) / 1000).toFixed(2);
     console.log(`Chunk cache check: ${cacheMap.size} hits out of ${chunk.length} in ${cacheCheckTime}s`);
     
-    // Separate cached vs uncached
+    // Numbers on an enabled suppression list are never sent to SubscriberVerify
+    const suppressed = await findSuppressed(formattedPhones);
+    
+    // Separate suppressed, cached and uncached
+    const suppressedIndices = [];
     const cachedResults = [];
     const uncachedPhones = [];
     const uncachedIndices = [];
     
     for (let i = 0; i < chunk.length; i++) {
-      const formattedPhone = chunk[i].formatted;
-      const cached = cacheMap.get(formattedPhone);
+      const cached = cacheMap.get(chunk[i].e164);
       
-      if (cached) {
+      if (suppressed.has(chunk[i].e164)) {
+        suppressedIndices.push(i);
+      } else if (cached) {
         cachedResults.push({ ...cached, chunkIndex: i });
       } else {
-        // Remove +1 prefix for SubscriberVerify API
-        uncachedPhones.push(formattedPhone.replace(/^\+1/, ''));
+        uncachedPhones.push(chunk[i].e164);
         uncachedIndices.push(i);
       }
     }
     
-    console.log(`Chunk: ${cachedResults.length} cached, ${uncachedPhones.length} need API`);
+    console.log(`Chunk: ${suppressedIndices.length} suppressed, ${cachedResults.length} cached, ${uncachedPhones.length} need API`);
     
     // Call API for uncached numbers
     let svBulkResults = [];
@@ -101,63 +102,61 @@ export async function POST(request) {
       console.log(`Calling SubscriberVerify API for ${uncachedPhones.length} numbers...`);
       const apiStart = Date.now();
       
-      svBulkResults = await checkBulkInBatches(uncachedPhones);
+      svBulkResults = await getProvider('subscriberverify').bulkLookup(uncachedPhones);
       
       const apiTime = ((Date.now() - apiStart) / 1000).toFixed(2);
       console.log(`API call completed in ${apiTime}s - ${svBulkResults.length} results`);
       
-      // Prepare batch data for cache save
+      // Prepare batch data for cache save (skip failed lookups)
       const cacheDataBatch = [];
       
       for (let i = 0; i < svBulkResults.length; i++) {
         const svResult = svBulkResults[i];
-        const chunkIndex = uncachedIndices[i];
-        const validPhone = chunk[chunkIndex];
+        
+        if (svResult.error && !svResult.action) continue;
         
         cacheDataBatch.push({
-          phone_number: validPhone.formatted,
-          action: svResult.action,
-          reason: svResult.reason,
-          deliverable: svResult.action === 'send',
-          carrier: svResult.dipCarrier || svResult.nanpCarrier,
-          carrier_type: svResult.dipCarrierType || svResult.nanpType,
-          is_mobile: (svResult.dipCarrierType === 'mobile' || svResult.nanpType === 'mobile'),
-          litigator: svResult.litigator,
-          blacklisted: svResult.blackList,
-          clicker: svResult.clicker,
-          geo_state: svResult.geoState,
-          geo_city: svResult.geoCity,
-          timezone: svResult.timezone
+          ...svResult,
+          e164: chunk[uncachedIndices[i]].e164,
+          deliverable: svResult.action === 'send'
         });
       }
       
       // BATCH SAVE TO CACHE - ONE QUERY INSTEAD OF 5000!
       if (cacheDataBatch.length > 0) {
         const cacheSaveStart = Date.now();
-        await saveSubscriberVerifyCacheBatch(cacheDataBatch);
+        await saveCachedResults('subscriberverify', cacheDataBatch, { fileId: fileId });
         const cacheSaveTime = ((Date.now() - cacheSaveStart) / 1000).toFixed(2);
         console.log(`Cache save completed in ${cacheSaveTime}s for ${cacheDataBatch.length} records`);
       }
     }
     
-    // Merge cached and fresh results
+    // Merge suppressed, cached and fresh results
     const chunkResults = new Array(chunk.length);
     
+    suppressedIndices.forEach(index => {
+      chunkResults[index] = {
+        e164: chunk[index].e164,
+        action: 'suppressed',
+        reason: `Suppressed (${suppressed.get(chunk[index].e164)})`,
+        from_cache: false
+      };
+    });
+    
     // Fill in cached results
     cachedResults.forEach(cached => {
       chunkResults[cached.chunkIndex] = {
-        subscriber: cached.phone_number.replace(/^\+1/, ''),
+        e164: chunk[cached.chunkIndex].e164,
         action: cached.action,
         reason: cached.reason,
-        nanpType: cached.carrier_type,
-        nanpCarrier: cached.carrier,
-        dipCarrier: cached.carrier,
-        dipCarrierType: cached.carrier_type,
+        carrier: cached.carrier,
+        carrier_type: cached.carrier_type,
+        is_mobile: cached.is_mobile,
         litigator: cached.litigator,
-        blackList: cached.blacklisted,
+        blacklisted: cached.blacklisted,
         clicker: cached.clicker,
-        geoState: cached.geo_state,
-        geoCity: cached.geo_city,
+        geo_state: cached.geo_state,
+        geo_city: cached.geo_city,
         timezone: cached.timezone,
         from_cache: true
       };
@@ -165,9 +164,9 @@ export async function POST(request) {
     
     // Fill in fresh API results
     svBulkResults.forEach((result, i) => {
-      const chunkIndex = uncachedIndices[i];
-      chunkResults[chunkIndex] = {
-        ...result,
+      const { raw, ...normalized } = result;
+      chunkResults[uncachedIndices[i]] = {
+        ...normalized,
         from_cache: false
       };
     });
@@ -176,7 +175,7 @@ export async function POST(request) {
     const chunkResultsKey = `chunk_${fileId}_${startOffset}`;
     
     console.log(`Saving chunk results to database...`);
-    await connection.execute(
+    await executeWithRetry(
       `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, created_at) 
        VALUES (?, ?, ?, NOW())
        ON DUPLICATE KEY UPDATE chunk_data = VALUES(chunk_data)`,
@@ -188,7 +187,7 @@ export async function POST(request) {
     const progress = ((newOffset / totalRecords) * 100).toFixed(2);
     const isComplete = newOffset >= totalRecords;
     
-    await connection.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files 
        SET processing_offset = ?, 
            processing_progress = ?,
@@ -203,9 +202,9 @@ export async function POST(request) {
     // If complete, generate final CSV
     if (isComplete) {
       console.log('All chunks processed. Generating final CSV...');
-      await generateFinalCSV(fileId, connection, fileName);
+      await generateFinalCSV(fileId, fileName);
       
-      await connection.execute(
+      await executeWithRetry(
         'UPDATE uploaded_files SET processing_status = ? WHERE id = ?',
         ['completed', fileId]
       );
@@ -223,6 +222,7 @@ export async function POST(request) {
       chunkSize: endOffset - startOffset,
       cacheHits: cachedResults.length,
       apiCalls: uncachedPhones.length,
+      suppressed: suppressedIndices.length,
       elapsedSeconds: (elapsedTime / 1000).toFixed(2)
     });
     
@@ -237,12 +237,12 @@ export async function POST(request) {
   }
 }
 
-async function generateFinalCSV(fileId, connection, fileName) {
+async function generateFinalCSV(fileId, fileName) {
   try {
     console.log(`Generating final CSV for file ${fileId}...`);
     
     // Get all chunks ordered by offset
-    const [chunks] = await connection.execute(
+    const [chunks] = await executeWithRetry(
       'SELECT chunk_offset, chunk_data FROM processing_chunks WHERE file_id = ? ORDER BY chunk_offset',
       [fileId]
     );
@@ -256,17 +256,17 @@ async function generateFinalCSV(fileId, connection, fileName) {
       
       chunkData.forEach(result => {
         allResults.push({
-          phone: result.subscriber,
-          action: result.action || 'unknown',
-          reason: result.reason || '',
-          carrier: result.dipCarrier || result.nanpCarrier || '',
-          carrier_type: result.dipCarrierType || result.nanpType || '',
-          is_mobile: result.dipCarrierType === 'mobile' || result.nanpType === 'mobile',
+          phone: result.e164,
+          action: result.action || (result.error ? 'error' : 'unknown'),
+          reason: result.reason || result.error || '',
+          carrier: result.carrier || '',
+          carrier_type: result.carrier_type || '',
+          is_mobile: Boolean(result.is_mobile),
           litigator: result.litigator || false,
-          blacklisted: result.blackList || false,
+          blacklisted: result.blacklisted || false,
           clicker: result.clicker || false,
-          geo_state: result.geoState || '',
-          geo_city: result.geoCity || '',
+          geo_state: result.geo_state || '',
+          geo_city: result.geo_city || '',
           timezone: result.timezone || '',
           from_cache: result.from_cache ? 'YES' : 'NO',
           checked_at: new Date().toISOString()
@@ -291,7 +291,7 @@ async function generateFinalCSV(fileId, connection, fileName) {
     console.log(`Results uploaded to: ${resultsBlob.url}`);
     
     // Update file record
-    await connection.execute(
+    await executeWithRetry(
       'UPDATE uploaded_files SET results_file_url = ?, results_file_size = ? WHERE id = ?',
       [resultsBlob.url, resultsBlob.size, fileId]
     );
@@ -307,7 +307,7 @@ async function generateFinalCSV(fileId, connection, fileName) {
     };
     
     // Update stats
-    await connection.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files 
        SET sv_send_count = ?,
            sv_unsubscribe_count = ?,
@@ -319,7 +319,7 @@ async function generateFinalCSV(fileId, connection, fileName) {
     console.log(`Updated file stats: send=${categorized.send}, unsubscribe=${categorized.unsubscribe}, blacklist=${categorized.blacklist}`);
     
     // Clean up chunks
-    await connection.execute(
+    await executeWithRetry(
       'DELETE FROM processing_chunks WHERE file_id = ?',
       [fileId]
     );
@@ -6,120 +6,60 @@ import {
   updateFileResultsURL
 } from '../../../lib/db.js';
 import { processPhoneArray } from '../../../lib/phoneValidator.js';
-import blooioRateLimiter from '../../../lib/rateLimiter.js';
 import { uploadFile } from '../../../lib/blobStorage.js';
-import { getBlooioCacheBatch, saveBlooioCacheBatch } from '../../../lib/phoneCache.js';
+import { getCachedResults, saveCachedResults } from '../../../lib/lookupCache.js';
+import { getProvider } from '../../../lib/lookupProviders.js';
+import { isThrottled } from '../../../lib/lookupResult.js';
+import { findSuppressed, suppressedResult } from '../../../lib/suppressionLists.js';
 import Papa from 'papaparse';
 
 export const maxDuration = 300;
-const BLOOIO_API_URL = 'https://backend.blooio.com/v2/api/contacts';
+const provider = getProvider('blooio');
+const MAX_THROTTLE_RETRIES = 3;
 
 async function checkSingleNumberWithAPI(phoneNumber, batchId) {
   const formattedPhone = `+${phoneNumber}`;
-  const apiKey = process.env.BLOOIO_API_KEY;
   
-  if (!apiKey) {
-    return {
-      phone_number: formattedPhone,
-      error: 'Blooio API key not configured',
-      is_ios: false,
-      supports_imessage: false,
-      supports_sms: false,
-      from_cache: false,
-      source: 'config_error'
-    };
+  console.log(`Blooio API call for: ${formattedPhone}`);
+  
+  // provider.lookup waits on the shared Blooio rate limiter, which backs off
+  // on 429 / 503 "No active devices" - retry throttled numbers at the lower rate
+  let result;
+  for (let attempt = 0; attempt < MAX_THROTTLE_RETRIES; attempt++) {
+    result = await provider.lookup(formattedPhone, { timeoutMs: 30000 });
+    if (!isThrottled(result)) break;
+    
+    console.warn(`Throttled on ${formattedPhone} (HTTP ${result.status}), attempt ${attempt + 1}/${MAX_THROTTLE_RETRIES}`);
   }
   
-  try {
-    console.log(`Blooio API call for: ${formattedPhone}`);
-    
-    const result = await blooioRateLimiter.execute(async () => {
-      const response = await fetch(
-        `${BLOOIO_API_URL}/${encodeURIComponent(formattedPhone)}/capabilities`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Accept': 'application/json'
-          },
-          signal: AbortSignal.timeout(30000)
-        }
-      );
-      
-      if (!response.ok) {
-        let errorMessage = `HTTP ${response.status}`;
-        
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.message || errorData.error || errorMessage;
-          
-          if (response.status === 503 && errorMessage.includes('No active devices')) {
-            errorMessage = 'Blooio: No active devices available';
-          }
-        } catch (e) {
-          const errorText = await response.text();
-          errorMessage = errorText || errorMessage;
-        }
-        
-        if (response.status === 401) errorMessage = 'Invalid API key';
-        if (response.status === 403) errorMessage = 'API access forbidden';
-        if (response.status === 404) errorMessage = 'Phone number not found';
-        if (response.status === 429) errorMessage = 'Rate limit exceeded';
-        
-        return {
-          phone_number: formattedPhone,
-          error: errorMessage,
-          is_ios: false,
-          supports_imessage: false,
-          supports_sms: false,
-          from_cache: false,
-          source: 'api_error'
-        };
-      }
-      
-      const data = await response.json();
-      const capabilities = data.capabilities || {};
-      const supportsIMessage = capabilities.imessage === true || capabilities.iMessage === true;
-      const supportsSMS = capabilities.sms === true || capabilities.SMS === true;
-      
-      return {
-        phone_number: formattedPhone,
-        contact_id: data.contact,
-        contact_type: data.contact_type,
-        is_ios: supportsIMessage,
-        supports_imessage: supportsIMessage,
-        supports_sms: supportsSMS,
-        last_checked_at: data.last_checked_at,
-        error: null,
-        from_cache: false,
-        source: 'api',
-        batch_id: batchId
-      };
-    });
-    
-    return result;
-    
-  } catch (error) {
-    console.error(`Error checking ${formattedPhone}:`, error);
-    
-    let errorMessage = error.message;
-    
-    if (error.name === 'AbortError') {
-      errorMessage = 'Request timeout (30s exceeded)';
-    } else if (error.message.includes('fetch')) {
-      errorMessage = 'Network error';
-    }
+  if (result.error) {
+    console.error(`Error checking ${formattedPhone}:`, result.error);
     
     return {
       phone_number: formattedPhone,
-      error: errorMessage,
+      error: result.error,
       is_ios: false,
       supports_imessage: false,
       supports_sms: false,
       from_cache: false,
-      source: 'network_error'
+      source: result.status ? 'api_error' : (result.retryable ? 'network_error' : 'config_error')
     };
   }
+  
+  return {
+    phone_number: formattedPhone,
+    contact_id: result.contact_id,
+    contact_type: result.contact_type,
+    is_ios: result.is_ios,
+    supports_imessage: result.supports_imessage,
+    supports_sms: result.supports_sms,
+    last_checked_at: result.checked_at,
+    source_key: result.source_key,
+    error: null,
+    from_cache: false,
+    source: 'api',
+    batch_id: batchId
+  };
 }
 
 export async function POST(request) {
@@ -130,6 +70,8 @@ export async function POST(request) {
     const file = formData.get('file');
     const batchId = formData.get('batchId');
     const fileName = formData.get('fileName');
+    // Force refresh: ignore anything cached before this upload
+    const checkedAfter = formData.get('forceRefresh') === 'true' ? new Date() : null;
     
     if (!file) {
       return NextResponse.json(
@@ -187,7 +129,7 @@ export async function POST(request) {
     console.log(`Extracted ${phones.length} phone numbers from CSV`);
     
     // Validate and format US phone numbers
-    const validationResult = processPhoneArray(phones);
+    const validationResult = processPhoneArray(phones, { defaultRegion: formData.get('defaultRegion') });
     
     console.log(`Validation results:`, {
       total: validationResult.stats.total,
@@ -221,15 +163,18 @@ export async function POST(request) {
     console.log(`Batch checking Blooio cache for ${validationResult.valid.length} numbers...`);
     const cacheCheckStart = Date.now();
     
-    // Prepare phone numbers for batch lookup (with +1 prefix)
-    const formattedPhones = validationResult.valid.map(v => `+${v.formatted}`);
+    // Prepare phone numbers for batch lookup (E.164)
+    const formattedPhones = validationResult.valid.map(v => v.e164);
     
     // Batch cache lookup
-    const blooioCacheMap = await getBlooioCacheBatch(formattedPhones);
+    const blooioCacheMap = await getCachedResults('blooio', formattedPhones, { checkedAfter });
     
     const cacheCheckTime = ((Date.now() - cacheCheckStart) / 1000).toFixed(2);
     console.log(`Blooio batch cache check: ${blooioCacheMap.size} hits out of ${formattedPhones.length} in ${cacheCheckTime}s`);
     
+    // Numbers on an enabled suppression list are never sent to Blooio
+    const suppressed = await findSuppressed(formattedPhones);
+    
     const results = [];
     let cacheHits = 0;
     let apiCalls = 0;
@@ -238,12 +183,24 @@ export async function POST(request) {
     // Process each number
     for (let i = 0; i < validationResult.valid.length; i++) {
       const validPhone = validationResult.valid[i];
-      const formattedPhone = `+${validPhone.formatted}`;
+      const formattedPhone = validPhone.e164;
       
       // Check batch cache first
       const cachedResult = blooioCacheMap.get(formattedPhone);
+      const suppressedBy = suppressed.get(formattedPhone);
       
-      if (cachedResult) {
+      if (suppressedBy) {
+        // Reported, but not saved to phone_checks (shared across files)
+        results.push({
+          ...suppressedResult(formattedPhone, suppressedBy),
+          batch_id: batchId,
+          original_number: validPhone.original,
+          formatted_number: validPhone.formatted,
+          display_number: validPhone.display
+        });
+        
+        console.log(`[${i + 1}/${validationResult.valid.length}] ${validPhone.formatted} - SUPPRESSED (${suppressedBy})`);
+      } else if (cachedResult) {
         // Use cached result
         cacheHits++;
         cachedResult.batch_id = batchId;
@@ -290,7 +247,7 @@ export async function POST(request) {
       console.log(`Batch saving ${uncachedData.length} new results to cache...`);
       const cacheSaveStart = Date.now();
       
-      await saveBlooioCacheBatch(uncachedData);
+      await saveCachedResults('blooio', uncachedData, { fileId: fileId });
       
       const cacheSaveTime = ((Date.now() - cacheSaveStart) / 1000).toFixed(2);
       console.log(`Batch cache save completed in ${cacheSaveTime}s`);
@@ -313,6 +270,7 @@ export async function POST(request) {
       contact_id: r.contact_id || '',
       from_cache: r.from_cache ? 'YES' : 'NO',
       cache_age_days: r.cache_age_days || '',
+      suppressed_by: r.suppressed_by || '',
       error: r.error || 'None',
       checked_at: r.last_checked_at || new Date().toISOString()
     })));
@@ -361,6 +319,7 @@ export async function POST(request) {
       error_count: errorCount,
       cache_hits: cacheHits,
       api_calls: apiCalls,
+      suppressed: suppressed.size,
       api_calls_saved: cacheHits,
       total_processed: results.length,
       processing_time_seconds: parseFloat(totalTime),
@@ -8,18 +8,20 @@ import {
 import { processPhoneArray } from '../../../lib/phoneValidator.js';
 import blooioRateLimiter from '../../../lib/rateLimiter.js';
 import { uploadFile } from '../../../lib/blobStorage.js';
-import { getBlooioCache, saveBlooioCache } from '../../../lib/phoneCache.js';
+import { getCachedResults, saveCachedResults } from '../../../lib/lookupCache.js';
+import { getProvider } from '../../../lib/lookupProviders.js';
+import { findSuppressed, suppressedResult } from '../../../lib/suppressionLists.js';
 import Papa from 'papaparse';
 
 export const maxDuration = 300;
-const BLOOIO_API_URL = 'https://backend.blooio.com/v2/api/contacts';
+const provider = getProvider('blooio');
 
-async function checkSingleNumberWithCache(phoneNumber, batchId, fileId) {
+async function checkSingleNumberWithCache(phoneNumber, batchId, fileId, checkedAfter = null) {
   const formattedPhone = `+${phoneNumber}`;
   
   // Check unified cache first
   try {
-    const cachedResult = await getBlooioCache(formattedPhone);
+    const cachedResult = (await getCachedResults('blooio', [formattedPhone], { checkedAfter })).get(formattedPhone);
     
     if (cachedResult) {
       cachedResult.batch_id = batchId;
@@ -30,117 +32,46 @@ async function checkSingleNumberWithCache(phoneNumber, batchId, fileId) {
   }
   
   // Not in cache - check via Blooio API with rate limiting
-  const apiKey = process.env.BLOOIO_API_KEY;
+  console.log(`Blooio API call for: ${formattedPhone}`);
   
-  if (!apiKey) {
-    return {
-      phone_number: formattedPhone,
-      error: 'Blooio API key not configured',
-      is_ios: false,
-      supports_imessage: false,
-      supports_sms: false,
-      from_cache: false,
-      source: 'config_error'
-    };
-  }
+  // provider.lookup waits on the shared Blooio rate limiter
+  const result = await provider.lookup(formattedPhone, { timeoutMs: 30000 });
   
-  try {
-    console.log(`Blooio API call for: ${formattedPhone}`);
-    
-    const result = await blooioRateLimiter.execute(async () => {
-      const response = await fetch(
-        `${BLOOIO_API_URL}/${encodeURIComponent(formattedPhone)}/capabilities`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Accept': 'application/json'
-          },
-          signal: AbortSignal.timeout(30000)
-        }
-      );
-      
-      if (!response.ok) {
-        let errorMessage = `HTTP ${response.status}`;
-        
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.message || errorData.error || errorMessage;
-          
-          if (response.status === 503 && errorMessage.includes('No active devices')) {
-            errorMessage = 'Blooio: No active devices available';
-          }
-        } catch (e) {
-          const errorText = await response.text();
-          errorMessage = errorText || errorMessage;
-        }
-        
-        if (response.status === 401) errorMessage = 'Invalid API key';
-        if (response.status === 403) errorMessage = 'API access forbidden';
-        if (response.status === 404) errorMessage = 'Phone number not found';
-        if (response.status === 429) errorMessage = 'Rate limit exceeded';
-        
-        return {
-          phone_number: formattedPhone,
-          error: errorMessage,
-          is_ios: false,
-          supports_imessage: false,
-          supports_sms: false,
-          from_cache: false,
-          source: 'api_error'
-        };
-      }
-      
-      const data = await response.json();
-      const capabilities = data.capabilities || {};
-      const supportsIMessage = capabilities.imessage === true || capabilities.iMessage === true;
-      const supportsSMS = capabilities.sms === true || capabilities.SMS === true;
-      
-      const resultData = {
-        phone_number: formattedPhone,
-        contact_id: data.contact,
-        contact_type: data.contact_type,
-        is_ios: supportsIMessage,
-        supports_imessage: supportsIMessage,
-        supports_sms: supportsSMS,
-        last_checked_at: data.last_checked_at,
-        error: null,
-        from_cache: false,
-        source: 'api',
-        batch_id: batchId
-      };
-      
-      // Save to unified cache (fire and forget)
-      saveBlooioCache(resultData).catch(err => 
-        console.error('Failed to save to cache:', err)
-      );
-      
-      return resultData;
-    });
-    
-    return result;
-    
-  } catch (error) {
-    console.error(`Error checking ${formattedPhone}:`, error);
-    
-    let errorMessage = error.message;
-    
-    if (error.name === 'AbortError') {
-      errorMessage = 'Request timeout (30s exceeded)';
-    } else if (error.message.includes('fetch')) {
-      errorMessage = 'Network error';
-    }
+  if (result.error) {
+    console.error(`Error checking ${formattedPhone}:`, result.error);
     
     return {
       phone_number: formattedPhone,
-      error: errorMessage,
+      error: result.error,
       is_ios: false,
       supports_imessage: false,
       supports_sms: false,
       from_cache: false,
-      source: 'network_error'
+      source: result.status ? 'api_error' : (result.retryable && !result.unavailable ? 'network_error' : 'config_error')
     };
   }
+  
+  const resultData = {
+    phone_number: formattedPhone,
+    contact_id: result.contact_id,
+    contact_type: result.contact_type,
+    is_ios: result.is_ios,
+    supports_imessage: result.supports_imessage,
+    supports_sms: result.supports_sms,
+    last_checked_at: result.checked_at,
+    source_key: result.source_key,
+    error: null,
+    from_cache: false,
+    source: 'api',
+    batch_id: batchId
+  };
+  
+  // Save to unified cache (fire and forget)
+  saveCachedResults('blooio', [resultData], { fileId: fileId }).catch(err => 
+    console.error('Failed to save to cache:', err)
+  );
+  
+  return resultData;
 }
 
 export async function POST(request) {
@@ -149,6 +80,8 @@ export async function POST(request) {
     const file = formData.get('file');
     const batchId = formData.get('batchId');
     const fileName = formData.get('fileName');
+    // Force refresh: ignore anything cached before this upload
+    const checkedAfter = formData.get('forceRefresh') === 'true' ? new Date() : null;
     
     if (!file) {
       return NextResponse.json(
@@ -197,7 +130,7 @@ export async function POST(request) {
     }
     
     // Validate and format US phone numbers
-    const validationResult = processPhoneArray(phones);
+    const validationResult = processPhoneArray(phones, { defaultRegion: formData.get('defaultRegion') });
     
     console.log(`Validation complete: ${validationResult.stats.valid} valid, ${validationResult.stats.invalid} invalid, ${validationResult.stats.duplicates} duplicates`);
     
@@ -219,21 +152,31 @@ export async function POST(request) {
     const results = [];
     let cacheHits = 0;
     let apiCalls = 0;
+    let suppressedCount = 0;
     const startTime = Date.now();
     
+    // Numbers on an enabled suppression list are never sent to Blooio
+    const suppressed = await findSuppressed(validationResult.valid.map(v => v.e164));
+    
     // Process only valid phone numbers with Blooio
     for (let i = 0; i < validationResult.valid.length; i++) {
       const validPhone = validationResult.valid[i];
+      const suppressedBy = suppressed.get(validPhone.e164);
       
       // Check with cache and Blooio API (rate limited)
-      const result = await checkSingleNumberWithCache(
-        validPhone.formatted, 
-        batchId, 
-        fileId
-      );
+      const result = suppressedBy
+        ? { ...suppressedResult(validPhone.e164, suppressedBy), batch_id: batchId }
+        : await checkSingleNumberWithCache(
+          validPhone.formatted, 
+          batchId, 
+          fileId,
+          checkedAfter
+        );
       
       // Track statistics
-      if (result.from_cache) {
+      if (suppressedBy) {
+        suppressedCount++;
+      } else if (result.from_cache) {
         cacheHits++;
       } else if (result.source === 'api') {
         apiCalls++;
@@ -244,17 +187,19 @@ export async function POST(request) {
       result.formatted_number = validPhone.formatted;
       result.display_number = validPhone.display;
       
-      // Save to database
-      try {
-        await savePhoneCheckWithFile(result, fileId);
-      } catch (dbError) {
-        console.error('Database save error:', dbError);
-        result.db_error = 'Failed to save to database';
+      // Save to database (phone_checks is shared across files - suppressed numbers stay out)
+      if (!suppressedBy) {
+        try {
+          await savePhoneCheckWithFile(result, fileId);
+        } catch (dbError) {
+          console.error('Database save error:', dbError);
+          result.db_error = 'Failed to save to database';
+        }
       }
       
       results.push(result);
       
-      const status = result.from_cache ? 'CACHE' : result.error ? 'ERROR' : 'API';
+      const status = suppressedBy ? 'SUPPRESSED' : result.from_cache ? 'CACHE' : result.error ? 'ERROR' : 'API';
       const progress = `[${i + 1}/${validationResult.valid.length}]`;
       console.log(`${progress} ${validPhone.formatted} - ${status}`);
       
@@ -275,6 +220,7 @@ export async function POST(request) {
       supports_sms: r.supports_sms ? 'YES' : 'NO',
       from_cache: r.from_cache ? 'YES' : 'NO',
       cache_age_days: r.cache_age_days || 'N/A',
+      suppressed_by: r.suppressed_by || '',
       error: r.error || 'None',
       checked_at: new Date().toISOString()
     })));
@@ -299,7 +245,7 @@ export async function POST(request) {
       ? ((Date.now() - startTime) / validationResult.valid.length / 1000).toFixed(2)
       : 0;
     
-    console.log(`Blooio batch complete: ${cacheHits} from cache, ${apiCalls} API calls, ${totalTime}s total, ${avgTimePerRequest}s avg per request`);
+    console.log(`Blooio batch complete: ${cacheHits} from cache, ${apiCalls} API calls, ${suppressedCount} suppressed, ${totalTime}s total, ${avgTimePerRequest}s avg per request`);
     
     return NextResponse.json({
       success: true,
@@ -313,14 +259,15 @@ export async function POST(request) {
       total_processed: results.length,
       cache_hits: cacheHits,
       api_calls: apiCalls,
+      suppressed: suppressedCount,
       total_success: results.filter(r => !r.error).length,
       total_errors: results.filter(r => r.error).length,
       api_calls_saved: cacheHits,
       processing_time_seconds: parseFloat(totalTime),
       avg_time_per_request: parseFloat(avgTimePerRequest),
       rate_limit_info: {
-        requests_per_second: 4,
-        time_between_requests_ms: 250
+        requests_per_second: blooioRateLimiter.requestsPerSecond,
+        time_between_requests_ms: blooioRateLimiter.intervalMs
       },
       results: results
     });
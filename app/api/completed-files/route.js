@@ -1,21 +1,22 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
+import { ensureSchema } from '../../../lib/schema.js';
 
 export const maxDuration = 10;
 export const dynamic = 'force-dynamic';
 
 export async function GET() {
   try {
-    const connection = await getConnection();
-    
-    const [files] = await connection.execute(
+    await ensureSchema();
+    const [files] = await executeWithRetry(
       `SELECT 
         id,
         file_name,
         processing_status,
         processing_total,
         upload_date,
-        service
+        service,
+        rejected_count
        FROM uploaded_files
        WHERE processing_status = 'completed'
        ORDER BY upload_date DESC
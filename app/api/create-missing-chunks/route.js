@@ -1,9 +1,9 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 import fs from 'fs';
 import path from 'path';
-import { parse } from 'csv-parse/sync';
-import { parsePhoneNumber } from 'libphonenumber-js';
+import { toQueuedPhone } from '../../../lib/phoneValidator.js';
+import { parseUpload, resolvePhoneColumn, processCsvRows } from '../../../lib/csvColumns.js';
 
 export const maxDuration = 60;
 
@@ -17,10 +17,8 @@ export async function POST(request) {
     
     console.log(`🔧 Finding missing phones for file ${fileId}...`);
     
-    const pool = await getConnection();
-    
     // Get file info
-    const [files] = await pool.execute(
+    const [files] = await executeWithRetry(
       `SELECT * FROM uploaded_files WHERE id = ?`,
       [fileId]
     );
@@ -32,7 +30,7 @@ export async function POST(request) {
     const file = files[0];
     
     // Get processed phones
-    const [processedPhones] = await pool.execute(
+    const [processedPhones] = await executeWithRetry(
       `SELECT DISTINCT e164 FROM blooio_results WHERE file_id = ?`,
       [fileId]
     );
@@ -59,12 +57,10 @@ export async function POST(request) {
       }
       
       // Use public path
-      const fileContent = fs.readFileSync(publicPath, 'utf-8');
-      return processCSV(fileContent, file, processedSet, pool, fileId);
+      return processCSV(fs.createReadStream(publicPath), file, processedSet, fileId);
     }
     
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-    return processCSV(fileContent, file, processedSet, pool, fileId);
+    return processCSV(fs.createReadStream(filePath), file, processedSet, fileId);
     
   } catch (error) {
     console.error('Error:', error);
@@ -76,42 +72,16 @@ export async function POST(request) {
   }
 }
 
-async function processCSV(fileContent, file, processedSet, pool, fileId) {
-  const records = parse(fileContent, {
-    columns: true,
-    skip_empty_lines: true,
-    trim: true
-  });
+async function processCSV(fileStream, file, processedSet, fileId) {
+  const { headers, rows, lines } = await parseUpload(fileStream, { fileName: file.file_name, sheet: file.source_sheet });
+  const phoneColumn = resolvePhoneColumn(headers, rows, file.phone_column);
   
-  console.log(`   Total records in CSV: ${records.length}`);
+  console.log(`   Total records in CSV: ${rows.length}`);
   
-  // Parse all phones
-  const allPhones = [];
-  const seenE164 = new Set();
+  // Parse all phones from the upload's phone column (invalid and duplicate numbers are skipped)
+  const validation = processCsvRows(rows, phoneColumn.index, { defaultRegion: file.default_region, lines });
   
-  for (const record of records) {
-    const phoneColumn = Object.keys(record)[0];
-    const rawPhone = record[phoneColumn];
-    
-    if (!rawPhone) continue;
-    
-    try {
-      const parsed = parsePhoneNumber(rawPhone, 'US');
-      if (parsed && parsed.isValid()) {
-        const e164 = parsed.format('E.164');
-        
-        if (!seenE164.has(e164)) {
-          seenE164.add(e164);
-          allPhones.push({
-            original: rawPhone,
-            e164: e164
-          });
-        }
-      }
-    } catch (error) {
-      // Skip invalid
-    }
-  }
+  const allPhones = validation.valid.map(toQueuedPhone);
   
   console.log(`   Unique valid phones in CSV: ${allPhones.length}`);
   
@@ -121,7 +91,7 @@ async function processCSV(fileContent, file, processedSet, pool, fileId) {
   console.log(`   Unprocessed phones: ${unprocessedPhones.length}`);
   
   if (unprocessedPhones.length === 0) {
-    await pool.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files 
        SET processing_status = 'completed',
            processing_progress = 100
@@ -145,7 +115,7 @@ async function processCSV(fileContent, file, processedSet, pool, fileId) {
   for (let i = 0; i < unprocessedPhones.length; i += CHUNK_SIZE) {
     const chunkPhones = unprocessedPhones.slice(i, i + CHUNK_SIZE);
     
-    await pool.execute(
+    await executeWithRetry(
       `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, chunk_status)
        VALUES (?, ?, ?, 'pending')`,
       [
@@ -161,7 +131,7 @@ async function processCSV(fileContent, file, processedSet, pool, fileId) {
   console.log(`✅ Created ${chunkCount} chunks for ${unprocessedPhones.length} missing phones`);
   
   // Resume processing
-  await pool.execute(
+  await executeWithRetry(
     `UPDATE uploaded_files 
      SET processing_status = 'processing'
      WHERE id = ?`,
@@ -1,21 +1,27 @@
 import { NextResponse } from 'next/server';
-import { checkCredits as checkSubscriberVerifyCredits } from '../../../lib/subscriberVerify.js';
+import { listProviders } from '../../../lib/lookupProviders.js';
 
 export async function GET() {
   try {
     const credits = {
       subscriberVerify: null,
+      providers: {},
       error: null
     };
     
-    // Check SubscriberVerify credits
-    try {
-      credits.subscriberVerify = await checkSubscriberVerifyCredits();
-    } catch (error) {
-      console.error('SubscriberVerify credits check failed:', error);
-      credits.error = error.message;
+    // Check credits for every registered provider
+    for (const provider of listProviders()) {
+      try {
+        credits.providers[provider.name] = await provider.checkCredits();
+      } catch (error) {
+        console.error(`${provider.label} credits check failed:`, error);
+        credits.providers[provider.name] = null;
+        credits.error = error.message;
+      }
     }
     
+    credits.subscriberVerify = credits.providers.subscriberverify ?? null;
+    
     return NextResponse.json({
       success: true,
       credits: credits
@@ -1,5 +1,7 @@
 import { NextResponse } from 'next/server';
 import { executeMultiple } from '../../../lib/db.js';
+import { getSharedRateStatus } from '../../../lib/rateLimiter.js';
+import { ensureSchema } from '../../../lib/schema.js';
 
 export const dynamic = 'force-dynamic';
 
@@ -19,6 +21,8 @@ export async function GET() {
   }
   
   try {
+    await ensureSchema();
+    
     // ✅ Execute all queries with single connection
     const [
       [activeFiles],
@@ -28,15 +32,15 @@ export async function GET() {
     ] = await executeMultiple([
       {
         query: `SELECT id, file_name, processing_status, processing_offset, 
-                processing_total, processing_progress, upload_date, service
+                processing_total, processing_progress, upload_date, service, priority
                 FROM uploaded_files
-                WHERE processing_status IN ('processing', 'initialized')
-                ORDER BY upload_date DESC LIMIT 10`,
+                WHERE processing_status IN ('processing', 'initialized', 'paused', 'review')
+                ORDER BY priority DESC, upload_date ASC LIMIT 10`,
         params: []
       },
       {
         query: `SELECT id, file_name, processing_status, processing_total, 
-                processing_progress, upload_date, results_file_url, service
+                processing_progress, upload_date, results_file_url, service, rejected_count, reused_count
                 FROM uploaded_files
                 WHERE processing_status = 'completed'
                 ORDER BY upload_date DESC LIMIT 10`,
@@ -45,9 +49,10 @@ export async function GET() {
       {
         query: `SELECT 
                 COUNT(*) as total,
-                SUM(CASE WHEN supports_imessage = 1 THEN 1 ELSE 0 END) as iphones,
-                SUM(CASE WHEN supports_imessage = 0 THEN 1 ELSE 0 END) as androids
-                FROM blooio_cache`,
+                SUM(CASE WHEN JSON_EXTRACT(data, '$.supports_imessage') = CAST('true' AS JSON) THEN 1 ELSE 0 END) as iphones,
+                SUM(CASE WHEN JSON_EXTRACT(data, '$.supports_imessage') = CAST('false' AS JSON) THEN 1 ELSE 0 END) as androids
+                FROM lookup_cache
+                WHERE provider = 'blooio'`,
         params: []
       },
       {
@@ -58,6 +63,14 @@ export async function GET() {
       }
     ]);
     
+    // Adaptive API rates (non-fatal - table is created on first lookup)
+    let rateLimits = [];
+    try {
+      rateLimits = await getSharedRateStatus();
+    } catch (rateError) {
+      console.error('Rate limit status error:', rateError.message);
+    }
+    
     statsCache = {
       activeFiles,
       completedFiles,
@@ -70,6 +83,7 @@ export async function GET() {
           : 0
       },
       fileStats,
+      rateLimits,
       timestamp: new Date().toISOString()
     };
     
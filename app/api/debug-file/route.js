@@ -1,15 +1,13 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const fileId = searchParams.get('fileId');
 
-    const connection = await getConnection();
-
     // Get file details
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       'SELECT * FROM uploaded_files WHERE id = ?',
       [fileId]
     );
@@ -33,7 +31,7 @@ export async function GET(request) {
     }
 
     // Get chunks
-    const [chunks] = await connection.execute(
+    const [chunks] = await executeWithRetry(
       'SELECT chunk_offset, LENGTH(chunk_data) as size, created_at FROM processing_chunks WHERE file_id = ? ORDER BY chunk_offset',
       [fileId]
     );
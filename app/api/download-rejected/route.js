@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { buildRejectedCsv } from '../../../lib/rejectedRows.js';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const fileId = searchParams.get('fileId');
+    
+    if (!fileId) {
+      return NextResponse.json({ error: 'fileId required' }, { status: 400 });
+    }
+    
+    // Original columns followed by the line number and reject reason
+    const rejected = await buildRejectedCsv(fileId);
+    
+    if (!rejected) {
+      return NextResponse.json({ error: 'No rejected rows found' }, { status: 404 });
+    }
+    
+    const filename = rejected.file?.file_name || `file_${fileId}.csv`;
+    const rejectedFilename = filename.replace(/\.[^.]+$/, '') + '_rejected.csv';
+    
+    console.log(`⬇️ Rejected rows download for file ${fileId}: ${rejected.rowCount} rows`);
+    
+    return new NextResponse(rejected.csv, {
+      headers: {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="${rejectedFilename}"`,
+        'Cache-Control': 'no-cache',
+      },
+    });
+    
+  } catch (error) {
+    console.error('Rejected rows download error:', error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
\ No newline at end of file
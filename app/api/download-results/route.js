@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { executeWithRetry } from '../../../lib/db.js';
+import { buildResultsCsv } from '../../../lib/resultsCsv.js';
 
 export const dynamic = 'force-dynamic';
 
@@ -12,49 +12,17 @@ export async function GET(request) {
       return NextResponse.json({ error: 'fileId required' }, { status: 400 });
     }
     
-    // Get all results
-    const [results] = await executeWithRetry(
-      `SELECT phone_number, e164, supports_imessage, supports_sms, contact_type, error
-       FROM blooio_results
-       WHERE file_id = ?
-       ORDER BY id ASC`,
-      [fileId]
-    );
+    // Original columns followed by the lookup columns
+    const results = await buildResultsCsv(fileId);
     
-    if (results.length === 0) {
+    if (!results) {
       return NextResponse.json({ error: 'No results found' }, { status: 404 });
     }
     
-    // Generate CSV
-    const headers = ['phone_number', 'e164', 'supports_imessage', 'supports_sms', 'contact_type', 'error'];
-    const csvRows = [headers.join(',')];
-    
-    for (const row of results) {
-      const values = headers.map(header => {
-        const value = row[header];
-        if (value === null || value === undefined) return '';
-        // Escape commas and quotes
-        const stringValue = String(value);
-        if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-          return `"${stringValue.replace(/"/g, '""')}"`;
-        }
-        return stringValue;
-      });
-      csvRows.push(values.join(','));
-    }
-    
-    const csv = csvRows.join('\n');
-    
-    // Get filename
-    const [fileInfo] = await executeWithRetry(
-      `SELECT file_name FROM uploaded_files WHERE id = ?`,
-      [fileId]
-    );
-    
-    const filename = fileInfo[0]?.file_name || `results_${fileId}.csv`;
+    const filename = results.file?.file_name || `results_${fileId}.csv`;
     const resultsFilename = filename.replace('.csv', '_results.csv');
     
-    return new NextResponse(csv, {
+    return new NextResponse(results.csv, {
       headers: {
         'Content-Type': 'text/csv',
         'Content-Disposition': `attachment; filename="${resultsFilename}"`,
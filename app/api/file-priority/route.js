@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { ensureSchema } from '../../../lib/schema.js';
+import { parsePriority } from '../../../lib/priorities.js';
+import { setFilePriority } from '../../../lib/scheduler.js';
+
+// Change where a file stands in the processing queue (see scheduler.js)
+export async function POST(request) {
+  try {
+    const { fileId, priority } = await request.json();
+    
+    if (!fileId) {
+      return NextResponse.json({
+        success: false,
+        error: 'File ID is required'
+      }, { status: 400 });
+    }
+    
+    let level;
+    try {
+      level = parsePriority(priority);
+    } catch (priorityError) {
+      return NextResponse.json({
+        success: false,
+        error: priorityError.message
+      }, { status: 400 });
+    }
+    
+    await ensureSchema();
+    
+    if (!(await setFilePriority(parseInt(fileId), level))) {
+      return NextResponse.json({
+        success: false,
+        error: 'File not found'
+      }, { status: 404 });
+    }
+    
+    console.log(`🔀 File ${fileId} priority set to ${level}`);
+    
+    return NextResponse.json({
+      success: true,
+      fileId: fileId,
+      priority: level
+    });
+  
+  } catch (error) {
+    console.error('File priority error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
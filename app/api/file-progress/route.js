@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export const maxDuration = 10;
 
@@ -15,9 +15,7 @@ export async function GET(request) {
       }, { status: 400 });
     }
     
-    const connection = await getConnection();
-    
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       'SELECT * FROM uploaded_files WHERE id = ?',
       [fileId]
     );
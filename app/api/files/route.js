@@ -1,27 +1,18 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
+import { ensureSchema } from '../../../lib/schema.js';
 
 export const maxDuration = 10;
 
 export async function GET() {
-  let connection;
-  
   try {
     console.log('Fetching file history...');
     
-    // Get connection with timeout
-    connection = await Promise.race([
-      getConnection(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Database connection timeout')), 5000)
-      )
-    ]);
-    
-    console.log('Database connected, querying files...');
+    await ensureSchema();
     
     // Query with timeout
     const [files] = await Promise.race([
-      connection.execute(
+      executeWithRetry(
         `SELECT 
           id,
           file_name,
@@ -36,7 +27,8 @@ export async function GET() {
           upload_date,
           results_file_url,
           results_file_size,
-          original_file_url
+          original_file_url,
+          rejected_count
          FROM uploaded_files
          ORDER BY upload_date DESC
          LIMIT 50`
@@ -1,6 +1,9 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 import { uploadFile } from '../../../lib/blobStorage.js';
+import { buildResultsCsv } from '../../../lib/resultsCsv.js';
+import { findSuppressed } from '../../../lib/suppressionLists.js';
+import { toCsvValue } from '../../../lib/csvFormat.js';
 
 export const maxDuration = 300;
 
@@ -14,10 +17,8 @@ export async function POST(request) {
     
     console.log(`Generating results file for File ${fileId}...`);
     
-    const connection = await getConnection();
-    
     // Get file info
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       'SELECT * FROM uploaded_files WHERE id = ?',
       [fileId]
     );
@@ -30,8 +31,17 @@ export async function POST(request) {
     
     console.log(`File: ${file.file_name}, Status: ${file.processing_status}`);
     
+    // Queue-processed files: one row per number (blooio_results is unique per file and number),
+    // original columns followed by the lookup columns
+    const queueResults = await buildResultsCsv(fileId);
+    
+    if (queueResults) {
+      console.log(`Compiled ${queueResults.rowCount} results from blooio_results`);
+      return uploadResults(file, fileId, queueResults.csv, queueResults.rowCount);
+    }
+    
     // Get all chunk data
-    const [chunks] = await connection.execute(
+    const [chunks] = await executeWithRetry(
       'SELECT chunk_offset, chunk_data FROM processing_chunks WHERE file_id = ? ORDER BY chunk_offset ASC',
       [fileId]
     );
@@ -80,8 +90,11 @@ export async function POST(request) {
       }, { status: 404 });
     }
     
+    // Numbers on a suppression list are flagged with the lists' names
+    const suppressed = await findSuppressed(allResults.map(result => result.e164));
+    
     // Generate CSV
-    const csvHeader = 'phone_number,is_ios,supports_imessage,supports_sms,contact_type,contact_id,error,from_cache\n';
+    const csvHeader = 'phone_number,is_ios,supports_imessage,supports_sms,contact_type,contact_id,error,from_cache,suppressed\n';
     
     const csvRows = allResults.map(result => {
       // Convert undefined to empty string, null to empty string
@@ -99,47 +112,14 @@ export async function POST(request) {
         safeValue(result.contact_type),
         safeValue(result.contact_id),
         safeValue(result.error),
-        result.from_cache ? 'true' : 'false'
+        result.from_cache ? 'true' : 'false',
+        toCsvValue(suppressed.get(result.e164))
       ].join(',');
     }).join('\n');
     
     const csvContent = csvHeader + csvRows;
-    const csvBuffer = Buffer.from(csvContent, 'utf-8');
-    
-    console.log(`Generated CSV: ${csvBuffer.length} bytes, ${totalRecords} records`);
-    
-    // Upload to blob storage
-    const timestamp = Date.now();
-    const baseFileName = file.file_name || file.original_name || `file_${fileId}`;
-    const resultsFileName = `results_${baseFileName}_${timestamp}.csv`;
-    
-    console.log(`Uploading to blob storage: ${resultsFileName}`);
     
-    const resultsBlob = await uploadFile(csvBuffer, resultsFileName, 'results');
-    
-    console.log(`Uploaded results to: ${resultsBlob.url}`);
-    
-    // Update file record with results URL (use null for undefined values)
-    const resultsUrl = resultsBlob.url || null;
-    const resultsSize = resultsBlob.size || 0;
-    
-    await connection.execute(
-      `UPDATE uploaded_files 
-       SET results_file_url = ?,
-           results_file_size = ?
-       WHERE id = ?`,
-      [resultsUrl, resultsSize, fileId]
-    );
-    
-    console.log(`✓ Results file generated successfully`);
-    
-    return NextResponse.json({
-      success: true,
-      resultsUrl: resultsUrl,
-      totalRecords: totalRecords,
-      fileSize: resultsSize,
-      fileName: resultsFileName
-    });
+    return uploadResults(file, fileId, csvContent, allResults.length);
     
   } catch (error) {
     console.error('Generate results error:', error);
@@ -151,4 +131,46 @@ export async function POST(request) {
       details: error.stack
     }, { status: 500 });
   }
+}
+
+/**
+ * Upload a results CSV to blob storage and link it to the file
+ */
+async function uploadResults(file, fileId, csvContent, totalRecords) {
+  const csvBuffer = Buffer.from(csvContent, 'utf-8');
+  
+  console.log(`Generated CSV: ${csvBuffer.length} bytes, ${totalRecords} records`);
+  
+  // Upload to blob storage
+  const timestamp = Date.now();
+  const baseFileName = file.file_name || file.original_name || `file_${fileId}`;
+  const resultsFileName = `results_${baseFileName}_${timestamp}.csv`;
+  
+  console.log(`Uploading to blob storage: ${resultsFileName}`);
+  
+  const resultsBlob = await uploadFile(csvBuffer, resultsFileName, 'results');
+  
+  console.log(`Uploaded results to: ${resultsBlob.url}`);
+  
+  // Update file record with results URL (use null for undefined values)
+  const resultsUrl = resultsBlob.url || null;
+  const resultsSize = resultsBlob.size || 0;
+  
+  await executeWithRetry(
+    `UPDATE uploaded_files 
+     SET results_file_url = ?,
+         results_file_size = ?
+     WHERE id = ?`,
+    [resultsUrl, resultsSize, fileId]
+  );
+  
+  console.log(`✓ Results file generated successfully`);
+  
+  return NextResponse.json({
+    success: true,
+    resultsUrl: resultsUrl,
+    totalRecords: totalRecords,
+    fileSize: resultsSize,
+    fileName: resultsFileName
+  });
 }
\ No newline at end of file
@@ -1,14 +1,19 @@
 import { NextResponse } from 'next/server';
+import { listProviders } from '../../../lib/lookupProviders.js';
+import { getDatasetInfo } from '../../../lib/nanpa.js';
+import { getPoolStats } from '../../../lib/db.js';
 
 export async function GET() {
   const issues = [];
+  const providers = {};
   
-  // Check Blooio config
-  if (!process.env.BLOOIO_API_URL) {
-    issues.push('BLOOIO_API_URL not configured');
-  }
-  if (!process.env.BLOOIO_API_KEY) {
-    issues.push('BLOOIO_API_KEY not configured');
+  // Check lookup providers
+  for (const provider of listProviders()) {
+    providers[provider.name] = await provider.healthCheck();
+    
+    if (!providers[provider.name].healthy) {
+      issues.push(`${provider.label}: ${providers[provider.name].error}`);
+    }
   }
   
   // Check database config
@@ -19,12 +24,18 @@ export async function GET() {
   if (issues.length > 0) {
     return NextResponse.json({
       healthy: false,
-      issues: issues
+      issues: issues,
+      providers: providers,
+      nanpa: getDatasetInfo(),
+      pool: getPoolStats()
     }, { status: 500 });
   }
   
   return NextResponse.json({
     healthy: true,
-    message: 'All environment variables configured'
+    message: 'All environment variables configured',
+    providers: providers,
+    nanpa: getDatasetInfo(),
+    pool: getPoolStats()
   });
 }
\ No newline at end of file
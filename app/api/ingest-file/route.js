@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { ensureSchema } from '../../../lib/schema.js';
+import { runIngestJob, isInternalRequest } from '../../../lib/ingestJob.js';
+
+// Multi-GB files are read in one run (see vercel.json)
+export const maxDuration = 800;
+export const dynamic = 'force-dynamic';
+
+// Parse an uploaded file from Blob storage into processing chunks
+// Called by upload-blob and process-queue only - the middleware lets it through, so it checks CRON_SECRET itself
+export async function POST(request) {
+  if (!isInternalRequest(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Unauthorized'
+    }, { status: 401 });
+  }
+  
+  try {
+    const { fileId } = await request.json();
+    
+    if (!fileId) {
+      return NextResponse.json({
+        success: false,
+        error: 'fileId required'
+      }, { status: 400 });
+    }
+    
+    await ensureSchema();
+    
+    const result = await runIngestJob(parseInt(fileId));
+    
+    if (!result.started) {
+      return NextResponse.json({
+        success: true,
+        fileId: result.fileId,
+        skipped: true,
+        message: 'File is not waiting to be read, or another run is reading it'
+      });
+    }
+    
+    return NextResponse.json({
+      success: true,
+      ...result
+    });
+  
+  } catch (error) {
+    console.error('Ingest error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
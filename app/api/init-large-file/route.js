@@ -1,12 +1,17 @@
 import { NextResponse } from 'next/server';
-import { parsePhoneNumber, isValidPhoneNumber } from 'libphonenumber-js';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry, bulkInsert } from '../../../lib/db.js';
+import { parsePipeline } from '../../../lib/pipeline.js';
+import { ensureSchema } from '../../../lib/schema.js';
+import { normalizeRegion, toQueuedPhone } from '../../../lib/phoneValidator.js';
+import { parseUpload, resolvePhoneColumn, processCsvRows } from '../../../lib/csvColumns.js';
+import { saveRejectedRows } from '../../../lib/rejectedRows.js';
+import { parseReuseOption, reusePriorResults } from '../../../lib/priorResults.js';
+import { suppressPhones } from '../../../lib/suppressionLists.js';
+import { parsePriority } from '../../../lib/priorities.js';
 
 export const maxDuration = 60;
 
 export async function POST(request) {
-  const pool = await getConnection(); // ✅ Get pool once
-  
   try {
     const contentType = request.headers.get('content-type');
     
@@ -17,7 +22,7 @@ export async function POST(request) {
       console.log(`📋 Initializing chunked upload file ${fileId} for ${service}`);
       
       // Get file info
-      const [files] = await pool.execute(
+      const [files] = await executeWithRetry(
         `SELECT * FROM uploaded_files WHERE id = ?`,
         [fileId]
       );
@@ -41,6 +46,22 @@ export async function POST(request) {
       console.log(`✓ File found: ${file.file_name}`);
       console.log(`✓ Records: ${file.processing_total}`);
       console.log(`✓ Service: ${file.service}`);
+      console.log(`✓ Pipeline: ${file.pipeline || file.service}`);
+      
+      // Files waiting for review (or paused, done, ...) are started by the upload report, not here
+      if (!['initialized', 'processing'].includes(file.processing_status)) {
+        console.log(`⏸️ File ${fileId} is ${file.processing_status} - not starting the queue`);
+        
+        return NextResponse.json({
+          success: true,
+          fileId: fileId,
+          totalRecords: file.processing_total,
+          service: file.service,
+          processingStatus: file.processing_status,
+          awaitingConfirmation: file.processing_status === 'review',
+          message: `File is ${file.processing_status} - processing not started`
+        });
+      }
       
       // ✅ Fire-and-forget queue trigger (don't wait for response)
       try {
@@ -77,10 +98,12 @@ export async function POST(request) {
       });
     }
     
-    // Handle direct upload (FormData with file)
+    // Handle direct upload (FormData with a file, or pasted text)
     const formData = await request.formData();
-    const file = formData.get('file');
-    const service = formData.get('service') || 'blooio';
+    const pastedText = formData.get('text');
+    const file = formData.get('file') || (pastedText
+      ? new File([pastedText], formData.get('fileName') || 'pasted-list.txt', { type: 'text/plain' })
+      : null);
     
     if (!file) {
       return NextResponse.json({
@@ -89,112 +112,210 @@ export async function POST(request) {
       }, { status: 400 });
     }
     
+    let stages;
+    try {
+      stages = parsePipeline(formData.get('pipeline'), formData.get('service') || 'blooio');
+    } catch (pipelineError) {
+      return NextResponse.json({
+        success: false,
+        error: pipelineError.message
+      }, { status: 400 });
+    }
+    
+    // service keeps the final stage for screens that show a single service
+    const service = stages[stages.length - 1];
+    const defaultRegion = normalizeRegion(formData.get('defaultRegion'));
+    const forceRefresh = formData.get('forceRefresh') === 'true';
+    
+    let reuseOption;
+    try {
+      reuseOption = parseReuseOption({
+        reuseDays: formData.get('reuseDays'),
+        reuseFileId: formData.get('reuseFileId'),
+        forceRefresh
+      });
+    } catch (reuseError) {
+      return NextResponse.json({
+        success: false,
+        error: reuseError.message
+      }, { status: 400 });
+    }
+    
+    let priority;
+    try {
+      priority = parsePriority(formData.get('priority'));
+    } catch (priorityError) {
+      return NextResponse.json({
+        success: false,
+        error: priorityError.message
+      }, { status: 400 });
+    }
+    
     console.log(`\n=== PROCESSING FILE ===`);
     console.log(`File: ${file.name}`);
     console.log(`Size: ${(file.size / 1024 / 1024).toFixed(2)} MB`);
-    console.log(`Service: ${service}`);
+    console.log(`Pipeline: ${stages.join(' → ')}`);
+    console.log(`Default region: ${defaultRegion}`);
+    console.log(`Force refresh: ${forceRefresh}`);
+    console.log(`Reuse earlier results: ${JSON.stringify(reuseOption)}`);
+    console.log(`Priority: ${priority}`);
     
-    // Read file content
-    const fileContent = await file.text();
-    const lines = fileContent.trim().split('\n');
+    // Parse the file - CSV is streamed (encoding and delimiter are detected)
+    let parsed;
+    try {
+      parsed = await parseUpload(file.stream(), { fileName: file.name, sheet: formData.get('sheet') });
+    } catch (parseError) {
+      return NextResponse.json({
+        success: false,
+        error: `Could not read ${file.name}: ${parseError.message}`
+      }, { status: 400 });
+    }
+    
+    const { headers, rows, lines, delimiter, encoding, malformed, malformedCount, format, sheet } = parsed;
     
-    if (lines.length < 2) {
+    if (rows.length === 0) {
       return NextResponse.json({
         success: false,
         error: 'File must contain at least a header and one data row'
       }, { status: 400 });
     }
     
-    const header = lines[0].trim();
-    const dataLines = lines.slice(1);
+    let phoneColumn;
+    try {
+      phoneColumn = resolvePhoneColumn(headers, rows, formData.get('phoneColumn'));
+    } catch (columnError) {
+      return NextResponse.json({
+        success: false,
+        error: columnError.message
+      }, { status: 400 });
+    }
     
-    console.log(`Header: ${header}`);
-    console.log(`Total lines: ${dataLines.length}`);
+    console.log(`Header: ${headers.join(',')}`);
+    console.log(`Phone column: ${phoneColumn.name} (#${phoneColumn.index + 1})`);
+    console.log(`Format: ${format}${sheet ? ` (sheet ${sheet})` : ''}${delimiter ? `, ${encoding}, delimiter ${JSON.stringify(delimiter)}` : ''}`);
+    console.log(`Total rows: ${rows.length}`);
+    console.log(`✗ Malformed lines: ${malformedCount}`);
     
-    // Validate and normalize phone numbers
-    const validPhones = [];
-    const invalidPhones = [];
+    // Validate and normalize phone numbers (reported by source line), keeping each full row
+    const validation = processCsvRows(rows, phoneColumn.index, { defaultRegion, lines });
     
-    for (let i = 0; i < dataLines.length; i++) {
-      const line = dataLines[i].trim();
-      if (!line) continue;
-      
-      const parts = line.split(',');
-      let phoneNumber = parts[0].trim();
-      
-      try {
-        if (!phoneNumber) {
-          invalidPhones.push({ line: i + 2, phone: phoneNumber, reason: 'Empty' });
-          continue;
-        }
-        
-        // Clean the phone number
-        let cleanedPhone = phoneNumber.replace(/[^\d+]/g, '');
-        
-        // Add country code if missing
-        if (cleanedPhone.length === 10 && !cleanedPhone.startsWith('+')) {
-          cleanedPhone = '+1' + cleanedPhone;
-        } else if (cleanedPhone.length === 11 && cleanedPhone.startsWith('1') && !cleanedPhone.startsWith('+')) {
-          cleanedPhone = '+' + cleanedPhone;
-        } else if (!cleanedPhone.startsWith('+')) {
-          cleanedPhone = '+' + cleanedPhone;
-        }
-        
-        if (isValidPhoneNumber(cleanedPhone)) {
-          const parsed = parsePhoneNumber(cleanedPhone);
-          const e164 = parsed.format('E.164');
-          validPhones.push({
-            original: phoneNumber,
-            e164: e164
-          });
-        } else {
-          invalidPhones.push({ line: i + 2, phone: phoneNumber, reason: 'Invalid format' });
-        }
-      } catch (error) {
-        invalidPhones.push({ line: i + 2, phone: phoneNumber, reason: error.message });
-      }
-    }
+    const uniquePhones = validation.valid.map(toQueuedPhone);
+    const invalidPhones = validation.invalid.filter(phone => phone.error !== 'Duplicate');
     
-    console.log(`✓ Valid phones: ${validPhones.length}`);
+    console.log(`✓ Valid phones: ${validation.stats.valid + validation.stats.duplicates}`);
     console.log(`✗ Invalid phones: ${invalidPhones.length}`);
+    console.log(`✓ Countries: ${JSON.stringify(validation.stats.countries)}`);
     
-    if (validPhones.length === 0) {
+    if (uniquePhones.length === 0) {
       return NextResponse.json({
         success: false,
         error: 'No valid phone numbers found in file',
-        invalidCount: invalidPhones.length,
-        invalidSamples: invalidPhones.slice(0, 10)
+        invalidSamples: invalidPhones.slice(0, 10),
+        malformedLines: malformedCount,
+        malformedSamples: malformed.slice(0, 10)
       }, { status: 400 });
     }
     
-    // ✅ DEDUPLICATE PHONES
-    const uniquePhones = [...new Map(
-      validPhones.map(p => [p.e164, p])
-    ).values()];
-    
-    console.log(`✓ Original phones: ${validPhones.length}`);
     console.log(`✓ Unique phones: ${uniquePhones.length}`);
-    console.log(`✓ Duplicates removed: ${validPhones.length - uniquePhones.length}`);
+    console.log(`✓ Duplicates removed: ${validation.stats.duplicates}`);
+    
+    // Files wait for the upload report to be confirmed, unless the caller starts them right away
+    const autoStart = formData.get('autoStart') === 'true';
+    const ingestStats = {
+      rows: rows.length,
+      valid: uniquePhones.length,
+      invalid: validation.stats.invalid,
+      duplicates: validation.stats.duplicates,
+      blank: validation.stats.blank,
+      countries: validation.stats.countries,
+      numberTypes: validation.stats.numberTypes,
+      invalidReasons: validation.stats.invalidReasons,
+      malformedLines: malformedCount,
+      malformedSamples: malformed.slice(0, 10),
+      delimiter: delimiter,
+      encoding: encoding,
+      sheet: sheet,
+      suppressed: 0,
+      reused: 0
+    };
     
     // Save to database
-    const [result] = await pool.execute(
+    await ensureSchema();
+    
+    const [result] = await executeWithRetry(
       `INSERT INTO uploaded_files 
-       (file_name, upload_status, processing_status, service, 
-        upload_date, processing_total, processing_offset, processing_progress)
-       VALUES (?, 'completed', 'initialized', ?, NOW(), ?, 0, 0)`,
-      [file.name, service, uniquePhones.length]
+       (file_name, upload_status, processing_status, service, pipeline, default_region, force_refresh,
+        source_columns, phone_column, source_format, source_sheet, ingest_stats, reuse_days, reuse_file_id,
+        priority, upload_date, processing_total, processing_offset, processing_progress)
+       VALUES (?, 'completed', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, 0, 0)`,
+      [
+        file.name,
+        autoStart ? 'initialized' : 'review',
+        service,
+        JSON.stringify(stages),
+        defaultRegion,
+        forceRefresh ? 1 : 0,
+        JSON.stringify(headers),
+        phoneColumn.name,
+        format,
+        sheet,
+        JSON.stringify(ingestStats),
+        reuseOption.days,
+        reuseOption.fileId,
+        priority,
+        uniquePhones.length
+      ]
     );
     
     const fileId = result.insertId;
     
     console.log(`✓ File saved with ID: ${fileId}`);
     
+    // Suppressed numbers and numbers earlier files already answered get their results now instead of being queued
+    const suppression = await suppressPhones(fileId, validation.valid);
+    const reuse = await reusePriorResults({
+      id: fileId,
+      service,
+      pipeline: JSON.stringify(stages),
+      reuse_days: reuseOption.days,
+      reuse_file_id: reuseOption.fileId
+    }, suppression.queue);
+    const queuedPhones = reuse.queue.map(toQueuedPhone);
+    const answered = suppression.suppressed + reuse.reused;
+    
+    if (answered > 0) {
+      ingestStats.suppressed = suppression.suppressed;
+      ingestStats.reused = reuse.reused;
+      
+      await executeWithRetry(
+        `UPDATE uploaded_files 
+         SET processing_offset = ?,
+             processing_progress = ?,
+             processing_status = ?,
+             reused_count = ?,
+             suppressed_count = ?,
+             ingest_stats = ?
+         WHERE id = ?`,
+        [
+          answered,
+          queuedPhones.length === 0 ? 100 : Math.round(answered / uniquePhones.length * 10000) / 100,
+          autoStart ? (queuedPhones.length === 0 ? 'completed' : 'initialized') : 'review',
+          reuse.reused,
+          suppression.suppressed,
+          JSON.stringify(ingestStats),
+          fileId
+        ]
+      );
+      
+      console.log(`✓ Suppressed: ${suppression.suppressed}, reused earlier results: ${reuse.reused}`);
+    }
+    
     // Create processing chunks with UNIQUE phones
-    const CHUNK_SIZE = service === 'blooio' ? 500 : 1000;
+    const CHUNK_SIZE = stages[0] === 'blooio' ? 500 : 1000;
     const chunks = [];
     
-    for (let i = 0; i < uniquePhones.length; i += CHUNK_SIZE) {
-      const chunkPhones = uniquePhones.slice(i, i + CHUNK_SIZE);
+    for (let i = 0; i < queuedPhones.length; i += CHUNK_SIZE) {
+      const chunkPhones = queuedPhones.slice(i, i + CHUNK_SIZE);
       chunks.push({
         file_id: fileId,
         chunk_offset: i,
@@ -205,57 +326,46 @@ export async function POST(request) {
     
     console.log(`Creating ${chunks.length} processing chunks...`);
     
-    // ✅ Batch insert chunks to prevent "packets out of order"
     if (chunks.length > 0) {
-      const BATCH_SIZE = 100;
-      let inserted = 0;
+      await bulkInsert(
+        'processing_chunks',
+        ['file_id', 'chunk_offset', 'chunk_data', 'chunk_status'],
+        chunks.map(chunk => [chunk.file_id, chunk.chunk_offset, chunk.chunk_data, chunk.chunk_status])
+      );
       
-      for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
-        const batch = chunks.slice(i, i + BATCH_SIZE);
-        
-        const values = batch.map(chunk => 
-          `(${chunk.file_id}, ${chunk.chunk_offset}, ${pool.escape(chunk.chunk_data)}, '${chunk.chunk_status}')`
-        ).join(',');
+      console.log(`✅ ${chunks.length} chunks created successfully`);
+    }
+    
+    // Keep blank, invalid and duplicate rows for the rejected-rows download
+    const rejectedCount = await saveRejectedRows(fileId, validation.invalid);
+    console.log(`✓ Rejected rows saved: ${rejectedCount}`);
+    
+    // ✅ Fire-and-forget queue trigger (otherwise start-processing triggers it)
+    if (autoStart) {
+      try {
+        const baseUrl = process.env.VERCEL_URL 
+          ? `https://${process.env.VERCEL_URL}` 
+          : 'http://localhost:3000';
         
-        await pool.execute(
-          `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, chunk_status)
-           VALUES ${values}`
-        );
+        console.log(`🔔 Triggering processing queue...`);
         
-        inserted += batch.length;
+        // Fire and forget - don't await
+        fetch(`${baseUrl}/api/process-queue`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' }
+        }).then(response => {
+          if (response.ok) {
+            console.log('✓ Queue triggered successfully');
+          } else {
+            console.warn(`⚠️ Queue returned status ${response.status}`);
+          }
+        }).catch(err => {
+          console.warn('⚠️ Queue trigger failed (will be picked up by cron):', err.message);
+        });
         
-        if ((i / BATCH_SIZE) % 5 === 0 || inserted === chunks.length) {
-          console.log(`✓ Inserted ${inserted}/${chunks.length} processing chunks`);
-        }
+      } catch (triggerError) {
+        console.warn('⚠️ Could not trigger queue:', triggerError.message);
       }
-      
-      console.log(`✅ ${chunks.length} chunks created successfully`);
-    }
-    
-    // ✅ Fire-and-forget queue trigger
-    try {
-      const baseUrl = process.env.VERCEL_URL 
-        ? `https://${process.env.VERCEL_URL}` 
-        : 'http://localhost:3000';
-      
-      console.log(`🔔 Triggering processing queue...`);
-      
-      // Fire and forget - don't await
-      fetch(`${baseUrl}/api/process-queue`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      }).then(response => {
-        if (response.ok) {
-          console.log('✓ Queue triggered successfully');
-        } else {
-          console.warn(`⚠️ Queue returned status ${response.status}`);
-        }
-      }).catch(err => {
-        console.warn('⚠️ Queue trigger failed (will be picked up by cron):', err.message);
-      });
-      
-    } catch (triggerError) {
-      console.warn('⚠️ Could not trigger queue:', triggerError.message);
     }
     
     return NextResponse.json({
@@ -263,11 +373,29 @@ export async function POST(request) {
       fileId: fileId,
       fileName: file.name,
       totalRecords: uniquePhones.length,
-      duplicatesRemoved: validPhones.length - uniquePhones.length,
+      duplicatesRemoved: validation.stats.duplicates,
+      suppressedRecords: suppression.suppressed,
+      reusedRecords: reuse.reused,
+      queuedRecords: queuedPhones.length,
       invalidRecords: invalidPhones.length,
+      malformedLines: malformedCount,
+      malformedSamples: malformed.slice(0, 10),
+      format: format,
+      sheet: sheet,
+      encoding: encoding,
+      delimiter: delimiter,
+      countries: validation.stats.countries,
+      numberTypes: validation.stats.numberTypes,
+      defaultRegion: defaultRegion,
+      phoneColumn: phoneColumn.name,
       chunks: chunks.length,
       service: service,
-      message: `File initialized with ${uniquePhones.length} unique phone numbers`
+      pipeline: stages,
+      invalidReasons: validation.stats.invalidReasons,
+      awaitingConfirmation: !autoStart,
+      message: autoStart
+        ? `File initialized with ${uniquePhones.length} unique phone numbers`
+        : `File ready for review with ${uniquePhones.length} unique phone numbers`
     });
     
   } catch (error) {
@@ -1,11 +1,9 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export async function GET(request) {
   try {
-    const connection = await getConnection();
-
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       `SELECT 
         id,
         file_name,
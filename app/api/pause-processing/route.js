@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { ensureSchema } from '../../../lib/schema.js';
+import { pauseFile } from '../../../lib/processingControl.js';
+
+// Pause a file - process-queue stops taking its chunks after the batch in progress
+export async function POST(request) {
+  try {
+    const { fileId } = await request.json();
+    
+    if (!fileId) {
+      return NextResponse.json({
+        success: false,
+        error: 'File ID is required'
+      }, { status: 400 });
+    }
+    
+    await ensureSchema();
+    
+    if (!(await pauseFile(parseInt(fileId)))) {
+      return NextResponse.json({
+        success: false,
+        error: 'File is not processing'
+      }, { status: 409 });
+    }
+    
+    return NextResponse.json({
+      success: true,
+      fileId: fileId,
+      message: 'Processing paused'
+    });
+  
+  } catch (error) {
+    console.error('Pause processing error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
@@ -1,5 +1,34 @@
 import { NextResponse } from 'next/server';
-import { executeWithRetry, executeMultiple } from '../../../lib/db.js';
+import { executeWithRetry, openSessionConnection, getPoolStats } from '../../../lib/db.js';
+import { getProvider } from '../../../lib/lookupProviders.js';
+import { getPoolRequestsPerSecond } from '../../../lib/blooioKeyPool.js';
+import { isThrottled, isUnavailable } from '../../../lib/lookupResult.js';
+import { ensureSchema } from '../../../lib/schema.js';
+import { getCachedResults, saveCachedResults } from '../../../lib/lookupCache.js';
+import { getRefreshCutoff } from '../../../lib/cachePolicy.js';
+import { resumeStalledIngests } from '../../../lib/ingestJob.js';
+import { loadRunnableFiles, pickNextFile, passFor, chargeFile } from '../../../lib/scheduler.js';
+import { getProcessingStatuses, dropQueuedChunks } from '../../../lib/processingControl.js';
+import {
+  newLeaseOwner,
+  reclaimExpiredLeases,
+  claimNextChunk,
+  renewLeases,
+  holdsLease,
+  releaseChunk,
+  MAX_CHUNK_ATTEMPTS,
+  UNAVAILABLE_RETRY_SECONDS
+} from '../../../lib/chunkLeases.js';
+import {
+  carriedFields,
+  getFilePipeline,
+  getStageChunkOffset,
+  isScrubStage,
+  runScrubStage,
+  saveResultRows,
+  FILTERED_CONTACT_TYPE,
+  SUPPRESSED_CONTACT_TYPE
+} from '../../../lib/pipeline.js';
 
 export const maxDuration = 300;
 export const dynamic = 'force-dynamic';
@@ -14,45 +43,76 @@ const shouldLog = {
   error: true
 };
 
-// ✅ GLOBAL rate limiter for parallel chunks
-class RateLimiter {
-  constructor(maxPerSecond) {
-    this.maxPerSecond = maxPerSecond;
-    this.minInterval = 1000 / maxPerSecond;
-    this.lastCallTime = 0;
-    this.queue = [];
-  }
-  
-  async waitForSlot() {
-    return new Promise(resolve => {
-      this.queue.push(resolve);
-      this.processQueue();
+// Terminal stage: the Blooio iMessage check (results land in blooio_results)
+const provider = getProvider('blooio');
+
+// Chunks processed side by side per round
+const CHUNKS_PER_ROUND = 2;
+
+/**
+ * Run a chunk through a scrub stage (e.g. SubscriberVerify)
+ * Filtered numbers become final result rows; survivors move on to the next
+ * stage, or become result rows themselves when this is the last stage
+ */
+async function processScrubChunk(file, stages, stageIndex, chunk) {
+  try {
+    const phoneData = JSON.parse(chunk.chunk_data);
+    const stage = stages[stageIndex];
+    const hasNextStage = stageIndex < stages.length - 1;
+    
+    const scrub = await runScrubStage(stage, phoneData, {
+      fileId: file.id,
+      checkedAfter: getRefreshCutoff(file)
     });
-  }
-  
-  processQueue() {
-    if (this.queue.length === 0) return;
-    
-    const now = Date.now();
-    const timeSinceLastCall = now - this.lastCallTime;
-    const waitTime = Math.max(this.minInterval - timeSinceLastCall, 0);
-    
-    setTimeout(() => {
-      if (this.queue.length > 0) {
-        this.lastCallTime = Date.now();
-        const resolve = this.queue.shift();
-        resolve();
-        
-        if (this.queue.length > 0) {
-          this.processQueue();
-        }
-      }
-    }, waitTime);
+    
+    if (!scrub.success) {
+      console.error(`[Chunk ${chunk.id}] ${stage} failed: ${scrub.error}`);
+      return {
+        success: false,
+        error: scrub.error,
+        processedCount: 0
+      };
+    }
+    
+    const results = hasNextStage
+      ? scrub.filtered
+      : [...scrub.filtered, ...scrub.survivors.map(phone => ({
+          ...carriedFields(phone),
+          phone_number: phone.original,
+          e164: phone.e164,
+          contact_type: null,
+          error: null,
+          from_cache: false
+        }))];
+    
+    if (shouldLog.info) {
+      console.log(`[Chunk ${chunk.id}] ${stage}: ${scrub.survivors.length} passed, ${scrub.filtered.length} filtered (Cache: ${scrub.cacheHits}, API: ${scrub.apiCalls})`);
+    }
+    
+    return {
+      success: true,
+      results,
+      survivors: hasNextStage ? scrub.survivors : [],
+      // Only numbers that reached their final row count towards file progress
+      processedCount: results.length,
+      cacheHits: scrub.cacheHits,
+      apiCalls: 0,
+      // Bulk scrub lookups are tracked apart from the rate-limited Blooio calls
+      scrubApiCalls: scrub.apiCalls,
+      fullyProcessed: true,
+      remainingPhones: []
+    };
+    
+  } catch (error) {
+    console.error(`[Chunk ${chunk.id}] Error:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      processedCount: 0
+    };
   }
 }
 
-const globalRateLimiter = new RateLimiter(2);
-
 async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
   try {
     const phoneData = JSON.parse(chunk.chunk_data);
@@ -64,8 +124,15 @@ async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
     let processedCount = 0;
     let cacheHits = 0;
     let apiCalls = 0;
+    let unavailableError = null;
     const MAX_RETRIES = 3;
     
+    // ✅ One cache query for the whole chunk (force-refresh files skip entries older than the upload)
+    const cacheMap = await getCachedResults('blooio', phoneData.map(phone => phone.e164), {
+      checkedAfter: getRefreshCutoff(file)
+    });
+    const newCacheEntries = [];
+    
     for (let i = 0; i < phoneData.length; i++) {
       if (Date.now() - startTime > MAX_PROCESSING_TIME) {
         if (shouldLog.warn) {
@@ -76,23 +143,19 @@ async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
       
       const phone = phoneData[i];
       
-      // ✅ Check cache first
-      const [cachedRows] = await executeWithRetry(
-        `SELECT * FROM blooio_cache WHERE e164 = ? LIMIT 1`,
-        [phone.e164]
-      );
+      const cached = cacheMap.get(phone.e164);
       
-      if (cachedRows.length > 0) {
-        const cached = cachedRows[0];
+      if (cached) {
         results.push({
           phone_number: phone.original,
           e164: phone.e164,
-          is_ios: cached.is_ios || 0,
-          supports_imessage: cached.supports_imessage || 0,
-          supports_sms: cached.supports_sms || 0,
-          contact_type: cached.contact_type || null,
-          error: cached.error || null,
-          from_cache: true
+          is_ios: cached.is_ios ? 1 : 0,
+          supports_imessage: cached.supports_imessage ? 1 : 0,
+          supports_sms: cached.supports_sms ? 1 : 0,
+          contact_type: cached.error ? 'ERROR' : (cached.contact_type || null),
+          error: cached.error,
+          from_cache: true,
+          ...carriedFields(phone)
         });
         processedCount++;
         cacheHits++;
@@ -102,116 +165,72 @@ async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
       // ✅ Not in cache - call API
       let success = false;
       let lastError = null;
+      let lastResult = null;
       
       for (let attempt = 0; attempt < MAX_RETRIES && !success; attempt++) {
-        try {
-          await globalRateLimiter.waitForSlot();
-          
-          const response = await fetch(
-            `https://backend.blooio.com/v2/api/contacts/${encodeURIComponent(phone.e164)}/capabilities`,
-            {
-              method: 'GET',
-              headers: {
-                'Authorization': `Bearer ${process.env.BLOOIO_API_KEY}`
-              },
-              signal: AbortSignal.timeout(15000)
-            }
-          );
+        // provider.lookup waits on the shared (cross-instance) Blooio rate limiter
+        const lookupResult = await provider.lookup(phone.e164);
+        
+        if (isUnavailable(lookupResult)) {
+          unavailableError = lookupResult.error;
+          break;
+        }
+        
+        if (lookupResult.error) {
+          lastError = new Error(lookupResult.error);
+          lastResult = lookupResult;
           
-          if (!response.ok) {
-            if (response.status === 429) {
-              console.warn(`[Chunk ${chunk.id}] Rate limit hit - waiting 5s`);
-              await new Promise(resolve => setTimeout(resolve, 5000));
-              continue;
-            }
-            
-            if (response.status >= 500 && attempt < MAX_RETRIES - 1) {
+          if (lookupResult.retryable && attempt < MAX_RETRIES - 1) {
+            if (isThrottled(lookupResult)) {
+              // The shared limiter already lowered the rate and paused for Retry-After
+              console.warn(`[Chunk ${chunk.id}] Throttled (HTTP ${lookupResult.status}) - retrying at the lowered rate`);
+            } else {
               if (shouldLog.warn) {
-                console.warn(`[Chunk ${chunk.id}] Server error ${response.status}, retry ${attempt + 2}/${MAX_RETRIES}`);
+                console.warn(`[Chunk ${chunk.id}] ${lookupResult.error}, retry ${attempt + 2}/${MAX_RETRIES}`);
               }
               await new Promise(resolve => setTimeout(resolve, 2000));
-              continue;
-            }
-            
-            throw new Error(`API ${response.status}`);
-          }
-          
-          const data = await response.json();
-          
-          if (!data || typeof data !== 'object') {
-            throw new Error('Invalid API response format');
-          }
-          
-          if (data.error) {
-            throw new Error(data.message || data.error);
-          }
-          
-          if (!data.capabilities) {
-            throw new Error('Missing capabilities in response');
-          }
-          
-          const capabilities = data.capabilities;
-          const supportsIMessage = capabilities.imessage === true;
-          const supportsSMS = capabilities.sms === true;
-          
-          const contactType = supportsIMessage ? 'iPhone' : (supportsSMS ? 'Android' : 'Unknown');
-          
-          const result = {
-            phone_number: phone.original,
-            e164: phone.e164,
-            is_ios: supportsIMessage ? 1 : 0,
-            supports_imessage: supportsIMessage ? 1 : 0,
-            supports_sms: supportsSMS ? 1 : 0,
-            contact_type: contactType,
-            error: null,
-            from_cache: false
-          };
-          
-          results.push(result);
-          
-          // ✅ Cache successful results
-          await executeWithRetry(
-            `INSERT INTO blooio_cache 
-             (e164, is_ios, supports_imessage, supports_sms, contact_type)
-             VALUES (?, ?, ?, ?, ?)
-             ON DUPLICATE KEY UPDATE
-             is_ios = VALUES(is_ios),
-             supports_imessage = VALUES(supports_imessage),
-             supports_sms = VALUES(supports_sms),
-             contact_type = VALUES(contact_type)`,
-            [
-              phone.e164,
-              supportsIMessage ? 1 : 0,
-              supportsIMessage ? 1 : 0,
-              supportsSMS ? 1 : 0,
-              result.contact_type
-            ]
-          );
-          
-          success = true;
-          apiCalls++;
-          
-        } catch (error) {
-          lastError = error;
-          
-          if ((error.message.includes('timeout') || 
-               error.message.includes('ECONNRESET') || 
-               error.message.includes('fetch failed')) && 
-              attempt < MAX_RETRIES - 1) {
-            if (shouldLog.warn) {
-              console.warn(`[Chunk ${chunk.id}] ${error.message}, retry ${attempt + 2}/${MAX_RETRIES}`);
             }
-            await new Promise(resolve => setTimeout(resolve, 2000));
             continue;
           }
           
           break;
         }
+        
+        const result = {
+          phone_number: phone.original,
+          e164: phone.e164,
+          is_ios: lookupResult.is_ios ? 1 : 0,
+          supports_imessage: lookupResult.supports_imessage ? 1 : 0,
+          supports_sms: lookupResult.supports_sms ? 1 : 0,
+          contact_type: lookupResult.contact_type,
+          error: null,
+          from_cache: false,
+          ...carriedFields(phone)
+        };
+        
+        results.push(result);
+        
+        // ✅ Cache successful results (saved once after the loop)
+        newCacheEntries.push(lookupResult);
+        
+        success = true;
+        apiCalls++;
+      }
+      
+      // No key left (all disabled or over their daily quota) - put this and the rest of the chunk off
+      if (unavailableError) {
+        console.warn(`[Chunk ${chunk.id}] ${unavailableError} - putting off ${phoneData.length - processedCount} numbers for ${UNAVAILABLE_RETRY_SECONDS}s`);
+        break;
       }
       
       if (!success) {
         console.error(`[Chunk ${chunk.id}] Failed: ${phone.e164}: ${lastError?.message}`);
         
+        // Errors about the number itself are cached for the short error TTL
+        if (lastResult) {
+          newCacheEntries.push(lastResult);
+        }
+        
         results.push({
           phone_number: phone.original,
           e164: phone.e164,
@@ -220,7 +239,8 @@ async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
           supports_sms: 0,
           contact_type: 'ERROR',
           error: lastError?.message || 'Unknown error',
-          from_cache: false
+          from_cache: false,
+          ...carriedFields(phone)
         });
         
         apiCalls++;
@@ -233,6 +253,15 @@ async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
       }
     }
     
+    if (newCacheEntries.length > 0) {
+      try {
+        await saveCachedResults('blooio', newCacheEntries, { fileId: file.id });
+      } catch (cacheError) {
+        // Results are still saved - the numbers are just looked up again next time
+        console.error(`[Chunk ${chunk.id}] Cache save failed:`, cacheError.message);
+      }
+    }
+    
     return {
       success: true,
       results,
@@ -240,7 +269,8 @@ async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
       cacheHits,
       apiCalls,
       fullyProcessed: processedCount === phoneData.length,
-      remainingPhones: processedCount < phoneData.length ? phoneData.slice(processedCount) : []
+      remainingPhones: processedCount < phoneData.length ? phoneData.slice(processedCount) : [],
+      deferred: Boolean(unavailableError)
     };
     
   } catch (error) {
@@ -253,6 +283,139 @@ async function processChunk(file, chunk, startTime, MAX_PROCESSING_TIME) {
   }
 }
 
+/**
+ * Give up on a chunk that keeps failing or stopping its run (see chunkLeases.js)
+ * Its numbers get error results, so the rest of the file can complete.
+ */
+function giveUpChunk(chunk) {
+  const phoneData = JSON.parse(chunk.chunk_data);
+  const error = `Gave up after ${chunk.attempts - 1} attempts${chunk.last_error ? `: ${chunk.last_error}` : ''}`.substring(0, 255);
+  
+  console.error(`[Chunk ${chunk.id}] ${error}`);
+  
+  return {
+    success: true,
+    results: phoneData.map(phone => ({
+      phone_number: phone.original,
+      e164: phone.e164,
+      is_ios: 0,
+      supports_imessage: 0,
+      supports_sms: 0,
+      contact_type: 'ERROR',
+      error,
+      from_cache: false,
+      ...carriedFields(phone)
+    })),
+    processedCount: phoneData.length,
+    cacheHits: 0,
+    apiCalls: 0,
+    fullyProcessed: true,
+    remainingPhones: []
+  };
+}
+
+/**
+ * Take the next chunks to process, each from the file whose turn it is
+ * (see scheduler.js), so chunks of every active file are interleaved
+ * @param {string} owner - Lease owner token of this run (see chunkLeases.js)
+ * @returns {Promise<Array>} - [{ file, chunk, phones }]
+ */
+async function takeChunks(owner) {
+  // Read every round, so priority changes, pauses and newly started files count at once
+  const files = await loadRunnableFiles();
+  const taken = [];
+  
+  while (taken.length < CHUNKS_PER_ROUND) {
+    const file = pickNextFile(files);
+    if (!file) break;
+    
+    const chunk = await claimNextChunk(file.id, owner);
+    
+    if (!chunk) {
+      // Nothing to take from this file right now - its last chunks are being processed or wait for a retry
+      files.splice(files.indexOf(file), 1);
+      continue;
+    }
+    
+    if (file.processing_status === 'initialized') {
+      await executeWithRetry(
+        `UPDATE uploaded_files SET processing_status = 'processing' WHERE id = ? AND processing_status = 'initialized'`,
+        [file.id]
+      );
+      file.processing_status = 'processing';
+    }
+    
+    const phones = JSON.parse(chunk.chunk_data).length;
+    
+    // Move the file's turn on by this chunk, so the next one may come from another file
+    file.schedule_pass += passFor(file, phones);
+    taken.push({ file, chunk, phones });
+  }
+  
+  return taken;
+}
+
+/**
+ * Mark a file completed once every number has its result
+ * @returns {Promise<object>} - Current uploaded_files row
+ */
+async function completeIfDone(fileId) {
+  const [updatedFile] = await executeWithRetry(
+    `SELECT * FROM uploaded_files WHERE id = ?`,
+    [fileId]
+  );
+  
+  const currentFile = updatedFile[0];
+  
+  const [pendingChunks] = await executeWithRetry(
+    `SELECT COUNT(*) as pending_count 
+     FROM processing_chunks 
+     WHERE file_id = ? 
+     AND chunk_status IN ('pending', 'processing')`,
+    [fileId]
+  );
+  
+  // A file paused or cancelled meanwhile keeps that status (resuming completes a paused one)
+  if (!['initialized', 'processing'].includes(currentFile.processing_status)
+    || currentFile.processing_offset < currentFile.processing_total
+    || pendingChunks[0].pending_count > 0) {
+    return currentFile;
+  }
+  
+  const [qualityCheck] = await executeWithRetry(`
+    SELECT 
+      COUNT(*) as total,
+      SUM(CASE WHEN supports_imessage = 1 THEN 1 ELSE 0 END) as iphones,
+      SUM(CASE WHEN contact_type = 'ERROR' THEN 1 ELSE 0 END) as errors,
+      SUM(CASE WHEN contact_type = ? THEN 1 ELSE 0 END) as filtered,
+      SUM(CASE WHEN contact_type = ? THEN 1 ELSE 0 END) as suppressed
+    FROM blooio_results
+    WHERE file_id = ?
+  `, [FILTERED_CONTACT_TYPE, SUPPRESSED_CONTACT_TYPE, fileId]);
+  
+  const stats = qualityCheck[0];
+  // Scrubbed and suppressed numbers never reached the iMessage check
+  const checked = Math.max(stats.total - (stats.filtered || 0) - (stats.suppressed || 0), 1);
+  const iphonePct = (stats.iphones / checked * 100);
+  const errorPct = (stats.errors / checked * 100);
+  
+  console.log(`File ${fileId} completed: ${stats.iphones} iPhones (${iphonePct.toFixed(1)}%), ${stats.errors} errors (${errorPct.toFixed(1)}%), ${stats.filtered || 0} filtered, ${stats.suppressed || 0} suppressed`);
+  
+  if (iphonePct < 30 || errorPct > 10) {
+    console.warn(`Quality warning: ${iphonePct.toFixed(1)}% iPhones, ${errorPct.toFixed(1)}% errors`);
+  }
+  
+  await executeWithRetry(
+    `UPDATE uploaded_files 
+     SET processing_status = 'completed',
+         processing_progress = 100
+     WHERE id = ? AND processing_status IN ('initialized', 'processing')`,
+    [fileId]
+  );
+  
+  return { ...currentFile, processing_status: 'completed', processing_progress: 100 };
+}
+
 async function processQueue(request) {
   const startTime = Date.now();
   const MAX_PROCESSING_TIME = 280000;
@@ -261,11 +424,13 @@ async function processQueue(request) {
     console.log(`[${new Date().toISOString()}] Process queue started`);
   }
   
+  let lockConnection = null;
   let hasLock = false;
   
   try {
-    // ✅ Database lock
-    const [lockResult] = await executeWithRetry(
+    // ✅ Database lock - held by the session that took it, so taken and released on a connection of its own (outside the pool) kept for the run
+    lockConnection = await openSessionConnection();
+    const [lockResult] = await lockConnection.execute(
       `SELECT GET_LOCK('process_queue_lock', 0) as locked`
     );
     
@@ -282,109 +447,115 @@ async function processQueue(request) {
     
     hasLock = true;
     
-    const [files] = await executeWithRetry(
-      `SELECT * FROM uploaded_files 
-       WHERE processing_status IN ('initialized', 'processing')
-       AND processing_offset < processing_total
-       ORDER BY upload_date ASC
-       LIMIT 1`
-    );
+    await ensureSchema();
     
-    if (files.length === 0) {
-      if (shouldLog.info) {
-        console.log('No files to process');
+    // Uploads still waiting to be read (the ingest trigger was lost, or its run died)
+    try {
+      const ingests = await resumeStalledIngests();
+      if (ingests > 0 && shouldLog.info) {
+        console.log(`Triggered ${ingests} pending ingests`);
       }
-      return NextResponse.json({
-        success: true,
-        message: 'No files to process',
-        processed: 0
-      });
+    } catch (ingestError) {
+      console.error('Ingest check failed:', ingestError.message);
     }
     
-    const file = files[0];
-    if (shouldLog.info) {
-      console.log(`Processing file ${file.id}: ${file.processing_offset}/${file.processing_total} (${file.processing_progress}%)`);
+    // Chunks left behind by a run that died (timeout, crash) go back in the queue
+    const reclaimed = await reclaimExpiredLeases();
+    if (reclaimed > 0) {
+      console.warn(`Reclaimed ${reclaimed} chunks with an expired lease`);
     }
     
-    await executeWithRetry(
-      `UPDATE uploaded_files SET processing_status = 'processing' WHERE id = ?`,
-      [file.id]
-    );
+    const owner = newLeaseOwner();
     
+    // Per file: { file, chunksProcessed, phonesProcessed }
+    const filesTouched = new Map();
     let totalProcessed = 0;
-    let totalCacheHits = 0;
     let totalApiCalls = 0;
+    let totalScrubApiCalls = 0;
     let chunksProcessed = 0;
     
+    // Combined limit of every key in the Blooio pool (for the rate warning)
+    const poolRate = await getPoolRequestsPerSecond().catch(() => null);
+    
     while (Date.now() - startTime < MAX_PROCESSING_TIME) {
-      const [chunks] = await executeWithRetry(
-        `SELECT * FROM processing_chunks
-         WHERE file_id = ? 
-         AND chunk_status IN ('pending', 'failed')
-         ORDER BY 
-           CASE chunk_status 
-             WHEN 'pending' THEN 0 
-             WHEN 'failed' THEN 1 
-           END,
-           chunk_offset ASC
-         LIMIT 2`,
-        [file.id]
-      );
+      const taken = await takeChunks(owner);
       
-      if (chunks.length === 0) {
+      if (taken.length === 0) {
         if (shouldLog.info) {
           console.log('No more chunks to process');
         }
         break;
       }
       
-      // Mark chunks as processing
-      for (const chunk of chunks) {
-        await executeWithRetry(
-          `UPDATE processing_chunks SET chunk_status = 'processing' WHERE id = ?`,
-          [chunk.id]
-        );
+      for (const { file } of taken) {
+        if (!filesTouched.has(file.id)) {
+          filesTouched.set(file.id, { file, chunksProcessed: 0, phonesProcessed: 0 });
+          
+          if (shouldLog.info) {
+            console.log(`Processing file ${file.id} [${getFilePipeline(file).join(' → ')}] at priority ${file.priority}: ${file.processing_offset}/${file.processing_total} (${file.processing_progress}%)`);
+          }
+        }
       }
       
-      // ✅ Process chunks in parallel
-      const chunkPromises = chunks.map(chunk => 
-        processChunk(file, chunk, startTime, MAX_PROCESSING_TIME)
-      );
+      // ✅ Process chunks in parallel, each through its file's current stage
+      const chunkPromises = taken.map(({ file, chunk }) => {
+        if (chunk.attempts > MAX_CHUNK_ATTEMPTS) {
+          return giveUpChunk(chunk);
+        }
+        
+        const stages = getFilePipeline(file);
+        const stageIndex = Math.min(chunk.pipeline_stage || 0, stages.length - 1);
+        
+        return isScrubStage(stages[stageIndex])
+          ? processScrubChunk(file, stages, stageIndex, chunk)
+          : processChunk(file, chunk, startTime, MAX_PROCESSING_TIME);
+      });
       
-      const chunkResults = await Promise.all(chunkPromises);
+      // Long chunks keep their leases while they run
+      const stopRenewing = renewLeases(taken.map(({ chunk }) => chunk.id), owner);
+      const chunkResults = await Promise.all(chunkPromises).finally(stopRenewing);
       
       // ✅ Save results
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
+      for (let i = 0; i < taken.length; i++) {
+        const { file, chunk, phones } = taken[i];
         const chunkResult = chunkResults[i];
         
+        // A failed chunk still uses up the file's turn; one cut short by the time limit only counts what it got through
+        await chargeFile(file, chunkResult.success && !chunkResult.fullyProcessed ? chunkResult.processedCount : phones);
+        
+        // The lease ran out while this run stalled and the chunk went back in the queue
+        if (!(await holdsLease(chunk.id, owner))) {
+          console.warn(`[Chunk ${chunk.id}] Lease lost - discarding this run's results`);
+          continue;
+        }
+        
         if (!chunkResult.success) {
-          await executeWithRetry(
-            `UPDATE processing_chunks SET chunk_status = 'failed' WHERE id = ?`,
-            [chunk.id]
-          );
+          await releaseChunk(chunk.id, owner, 'failed', chunkResult.error);
           continue;
         }
         
-        // Save results
-        if (chunkResult.results.length > 0) {
-          const values = chunkResult.results.map(r => 
-            `(${file.id}, '${r.phone_number.replace(/'/g, "''")}', '${r.e164}', ${r.is_ios}, ${r.supports_imessage}, ${r.supports_sms}, '${r.contact_type}', ${r.error ? `'${r.error.replace(/'/g, "''")}'` : 'NULL'}, ${r.from_cache ? 1 : 0})`
-          ).join(',');
+        // Save combined result rows - a number written before (the chunk ran in an earlier, lost run) is replaced
+        const added = await saveResultRows(file.id, chunkResult.results);
+        
+        // Move scrub survivors on to the next stage
+        if (chunkResult.survivors?.length > 0) {
+          const nextStage = (chunk.pipeline_stage || 0) + 1;
           
           await executeWithRetry(
-            `INSERT INTO blooio_results 
-             (file_id, phone_number, e164, is_ios, supports_imessage, supports_sms, contact_type, error, from_cache)
-             VALUES ${values}`
+            `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, chunk_status, pipeline_stage)
+             VALUES (?, ?, ?, 'pending', ?)`,
+            [
+              file.id,
+              getStageChunkOffset(nextStage, chunk.chunk_offset),
+              JSON.stringify(chunkResult.survivors),
+              nextStage
+            ]
           );
         }
         
         // Handle partial/complete chunks
         if (chunkResult.fullyProcessed) {
-          await executeWithRetry(
-            `UPDATE processing_chunks SET chunk_status = 'completed' WHERE id = ?`,
-            [chunk.id]
-          );
+          await releaseChunk(chunk.id, owner, 'completed');
         } else {
           if (chunkResult.remainingPhones.length > 0) {
             const [fileCheck] = await executeWithRetry(
@@ -393,115 +564,116 @@ async function processQueue(request) {
             );
             
             if (fileCheck[0].processing_offset + chunkResult.remainingPhones.length <= fileCheck[0].processing_total) {
+              // Numbers put off for want of a Blooio key wait, without using up attempts, until a key may be back
               await executeWithRetry(
-                `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, chunk_status)
-                 VALUES (?, ?, ?, 'pending')`,
+                `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, chunk_status, pipeline_stage, retry_at)
+                 VALUES (?, ?, ?, 'pending', ?, IF(?, NOW() + INTERVAL ? SECOND, NULL))`,
                 [
                   file.id,
                   chunk.chunk_offset + chunkResult.processedCount,
-                  JSON.stringify(chunkResult.remainingPhones)
+                  JSON.stringify(chunkResult.remainingPhones),
+                  chunk.pipeline_stage || 0,
+                  chunkResult.deferred ? 1 : 0,
+                  UNAVAILABLE_RETRY_SECONDS
                 ]
               );
             }
           }
           
-          await executeWithRetry(
-            `UPDATE processing_chunks SET chunk_status = 'completed' WHERE id = ?`,
-            [chunk.id]
-          );
+          await releaseChunk(chunk.id, owner, 'completed');
         }
         
-        // Update file progress
+        // Update file progress - numbers with a result (SET applies left to right, so progress sees the new offset)
         await executeWithRetry(
           `UPDATE uploaded_files 
            SET processing_offset = processing_offset + ?,
-               processing_progress = ROUND((processing_offset + ?) / processing_total * 100, 2)
+               processing_progress = ROUND(processing_offset / processing_total * 100, 2)
            WHERE id = ?`,
-          [chunkResult.processedCount, chunkResult.processedCount, file.id]
+          [added, file.id]
         );
         
         totalProcessed += chunkResult.processedCount;
-        totalCacheHits += chunkResult.cacheHits;
         totalApiCalls += chunkResult.apiCalls;
+        totalScrubApiCalls += chunkResult.scrubApiCalls || 0;
         chunksProcessed++;
+        
+        const touched = filesTouched.get(file.id);
+        touched.chunksProcessed++;
+        touched.phonesProcessed += chunkResult.processedCount;
       }
       
-      // Log progress
-      const [updatedFile] = await executeWithRetry(
-        `SELECT processing_offset, processing_progress FROM uploaded_files WHERE id = ?`,
-        [file.id]
-      );
+      // Pause and cancel take effect between batches - the next takeChunks() passes over these files
+      const statuses = await getProcessingStatuses([...new Set(taken.map(({ file }) => file.id))]);
       
+      for (const [fileId, status] of statuses) {
+        if (status !== 'paused' && status !== 'cancelled') continue;
+        
+        console.log(`File ${fileId} ${status} - taking no more of its chunks`);
+        
+        // Follow-on chunks this batch queued for a cancelled file are dropped too
+        if (status === 'cancelled') {
+          await dropQueuedChunks(fileId);
+        }
+      }
+      
+      // Log progress
       if (shouldLog.info) {
-        console.log(`Progress: ${updatedFile[0].processing_offset}/${file.processing_total} (${updatedFile[0].processing_progress}%)`);
+        for (const fileId of new Set(taken.map(({ file }) => file.id))) {
+          const [updatedFile] = await executeWithRetry(
+            `SELECT processing_offset, processing_total, processing_progress FROM uploaded_files WHERE id = ?`,
+            [fileId]
+          );
+          
+          console.log(`Progress of file ${fileId}: ${updatedFile[0].processing_offset}/${updatedFile[0].processing_total} (${updatedFile[0].processing_progress}%)`);
+        }
         
         const elapsedSeconds = (Date.now() - startTime) / 1000;
         const actualRate = totalApiCalls / elapsedSeconds;
         console.log(`API rate: ${actualRate.toFixed(2)} req/sec`);
         
-        if (actualRate > 2.1) {
-          console.warn(`WARNING: Rate exceeded 2 req/sec! Actual: ${actualRate.toFixed(2)}`);
+        if (poolRate && actualRate > poolRate + 0.1) {
+          console.warn(`WARNING: Rate exceeded ${poolRate} req/sec! Actual: ${actualRate.toFixed(2)}`);
         }
       }
     }
     
-    // Check completion
-    const [updatedFile] = await executeWithRetry(
-      `SELECT * FROM uploaded_files WHERE id = ?`,
-      [file.id]
-    );
-    
-    const currentFile = updatedFile[0];
+    if (filesTouched.size === 0) {
+      if (shouldLog.info) {
+        console.log('No files to process');
+      }
+      return NextResponse.json({
+        success: true,
+        message: 'No files to process',
+        processed: 0
+      });
+    }
     
-    const [pendingChunks] = await executeWithRetry(
-      `SELECT COUNT(*) as pending_count 
-       FROM processing_chunks 
-       WHERE file_id = ? 
-       AND chunk_status IN ('pending', 'processing')`,
-      [file.id]
-    );
+    // Check completion
+    const fileSummaries = [];
     
-    if (currentFile.processing_offset >= currentFile.processing_total && pendingChunks[0].pending_count === 0) {
-      const [qualityCheck] = await executeWithRetry(`
-        SELECT 
-          COUNT(*) as total,
-          SUM(CASE WHEN supports_imessage = 1 THEN 1 ELSE 0 END) as iphones,
-          SUM(CASE WHEN contact_type = 'ERROR' THEN 1 ELSE 0 END) as errors
-        FROM blooio_results
-        WHERE file_id = ?
-      `, [file.id]);
-      
-      const stats = qualityCheck[0];
-      const iphonePct = (stats.iphones / stats.total * 100);
-      const errorPct = (stats.errors / stats.total * 100);
+    for (const touched of filesTouched.values()) {
+      const currentFile = await completeIfDone(touched.file.id);
       
-      console.log(`File ${file.id} completed: ${stats.iphones} iPhones (${iphonePct.toFixed(1)}%), ${stats.errors} errors (${errorPct.toFixed(1)}%)`);
-      
-      if (iphonePct < 30 || errorPct > 10) {
-        console.warn(`Quality warning: ${iphonePct.toFixed(1)}% iPhones, ${errorPct.toFixed(1)}% errors`);
-      }
-      
-      await executeWithRetry(
-        `UPDATE uploaded_files 
-         SET processing_status = 'completed',
-             processing_progress = 100
-         WHERE id = ?`,
-        [file.id]
-      );
+      fileSummaries.push({
+        fileId: currentFile.id,
+        fileName: currentFile.file_name,
+        priority: currentFile.priority,
+        chunksProcessed: touched.chunksProcessed,
+        phonesProcessed: touched.phonesProcessed,
+        progress: currentFile.processing_progress
+      });
     }
     
     if (shouldLog.info) {
       const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`Processed ${totalProcessed} phones, ${chunksProcessed} chunks, ${elapsedTime}s`);
+      console.log(`Processed ${totalProcessed} phones, ${chunksProcessed} chunks from ${filesTouched.size} files, ${totalScrubApiCalls} scrub lookups, ${elapsedTime}s`);
     }
     
     return NextResponse.json({
       success: true,
-      fileId: file.id,
-      fileName: file.file_name,
       chunksProcessed: chunksProcessed,
       phonesProcessed: totalProcessed,
-      progress: currentFile.processing_progress
+      files: fileSummaries
     }, {
       headers: {
         'Cache-Control': 'no-store, no-cache, must-revalidate',
@@ -519,11 +691,18 @@ async function processQueue(request) {
   } finally {
     if (hasLock) {
       try {
-        await executeWithRetry(`SELECT RELEASE_LOCK('process_queue_lock')`);
+        await lockConnection.execute(`SELECT RELEASE_LOCK('process_queue_lock')`);
       } catch (err) {
         console.error('Lock release error:', err);
       }
     }
+    
+    await lockConnection?.end().catch(err => console.error('Lock connection close error:', err.message));
+    
+    // The pool is shared with every route on this instance - idleTimeout shrinks it once the run's connections go idle
+    if (shouldLog.info) {
+      console.log('Connection pool:', JSON.stringify(getPoolStats()));
+    }
   }
 }
 
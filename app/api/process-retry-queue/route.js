@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
-import { checkBlooioSingle, blooioRateLimiter } from '../../../lib/blooioClient.js';
+import { executeWithRetry } from '../../../lib/db.js';
+import { getProvider } from '../../../lib/lookupProviders.js';
+import { isUnavailable } from '../../../lib/lookupResult.js';
 import { savePhoneCheckWithFile } from '../../../lib/db.js';
+import { findSuppressed } from '../../../lib/suppressionLists.js';
 
 export const maxDuration = 300;
 
@@ -9,15 +11,11 @@ const RETRY_BATCH_SIZE = 50; // Process 50 failed numbers at a time
 const MAX_TOTAL_RETRIES = 5; // Give up after 5 total attempts
 
 export async function POST(request) {
-  let connection;
-  
   try {
     const { fileId } = await request.json();
     
     console.log(`\n=== Processing Retry Queue ${fileId ? `for File ${fileId}` : '(all files)'} ===`);
     
-    connection = await getConnection();
-    
     // Get failed numbers to retry
     const query = fileId 
       ? `SELECT * FROM retry_queue 
@@ -33,7 +31,7 @@ export async function POST(request) {
       ? [fileId, MAX_TOTAL_RETRIES, RETRY_BATCH_SIZE]
       : [MAX_TOTAL_RETRIES, RETRY_BATCH_SIZE];
     
-    const [retryItems] = await connection.execute(query, params);
+    const [retryItems] = await executeWithRetry(query, params);
     
     if (retryItems.length === 0) {
       console.log('✅ No items in retry queue');
@@ -49,21 +47,48 @@ export async function POST(request) {
     let successCount = 0;
     let failCount = 0;
     let permanentFailCount = 0;
+    let deferredCount = 0;
+    let suppressedCount = 0;
+    
+    // Numbers put on an enabled suppression list since they failed are not retried
+    const suppressed = await findSuppressed(retryItems.map(item => item.e164_format));
     
     for (const item of retryItems) {
+      const suppressedBy = suppressed.get(item.e164_format);
+      
+      if (suppressedBy) {
+        console.log(`\n🚫 Not retrying ${item.phone_number} - suppressed (${suppressedBy})`);
+        suppressedCount++;
+        
+        await executeWithRetry(
+          `UPDATE retry_queue SET status = 'failed', last_error = ? WHERE id = ?`,
+          [`Suppressed (${suppressedBy})`.substring(0, 255), item.id]
+        );
+        continue;
+      }
+      
       console.log(`\n🔄 Retrying ${item.phone_number} (attempt ${item.retry_count + 1}/${MAX_TOTAL_RETRIES})`);
       
       // Mark as retrying
-      await connection.execute(
+      await executeWithRetry(
         `UPDATE retry_queue SET status = 'retrying' WHERE id = ?`,
         [item.id]
       );
       
-      // Rate limit
-      await blooioRateLimiter.acquire();
-      
       try {
-        const result = await checkBlooioSingle(item.e164_format);
+        const result = await getProvider('blooio').lookup(item.e164_format);
+        
+        // No key left - leave this and the remaining numbers queued, without using up a retry
+        if (isUnavailable(result)) {
+          deferredCount = retryItems.length - successCount - failCount - suppressedCount;
+          console.warn(`  ⏸️ ${result.error} - leaving ${deferredCount} numbers queued`);
+          
+          await executeWithRetry(
+            `UPDATE retry_queue SET status = 'queued' WHERE id = ?`,
+            [item.id]
+          );
+          break;
+        }
         
         if (result.error) {
           throw new Error(result.error);
@@ -87,13 +112,13 @@ export async function POST(request) {
         }, item.file_id);
         
         // Mark as success and remove from queue
-        await connection.execute(
+        await executeWithRetry(
           `UPDATE retry_queue SET status = 'success' WHERE id = ?`,
           [item.id]
         );
         
         // Update file's successful count
-        await connection.execute(
+        await executeWithRetry(
           `UPDATE uploaded_files 
            SET valid_numbers = valid_numbers + 1 
            WHERE id = ?`,
@@ -111,7 +136,7 @@ export async function POST(request) {
           console.error(`  ❌ Permanent failure after ${MAX_TOTAL_RETRIES} attempts`);
           permanentFailCount++;
           
-          await connection.execute(
+          await executeWithRetry(
             `UPDATE retry_queue 
              SET status = 'failed', 
                  retry_count = ?,
@@ -123,7 +148,7 @@ export async function POST(request) {
           // Queue for another retry
           console.log(`  📋 Re-queued for retry (${newRetryCount}/${MAX_TOTAL_RETRIES})`);
           
-          await connection.execute(
+          await executeWithRetry(
             `UPDATE retry_queue 
              SET status = 'queued',
                  retry_count = ?,
@@ -144,6 +169,8 @@ export async function POST(request) {
     console.log(`Successful: ${successCount}`);
     console.log(`Still failing: ${failCount - permanentFailCount}`);
     console.log(`Permanent failures: ${permanentFailCount}`);
+    console.log(`Left queued (no API key): ${deferredCount}`);
+    console.log(`Suppressed: ${suppressedCount}`);
     console.log('=== Retry Complete ===\n');
     
     return NextResponse.json({
@@ -152,6 +179,8 @@ export async function POST(request) {
       successful: successCount,
       failed: failCount,
       permanentlyFailed: permanentFailCount,
+      deferred: deferredCount,
+      suppressed: suppressedCount,
       message: `Processed ${retryItems.length} retry items`
     });
     
@@ -1,3 +1,5 @@
+import { executeWithRetry } from '../../../lib/db.js';
+
 export const dynamic = 'force-dynamic';
 export const maxDuration = 300;
 
@@ -13,12 +15,10 @@ export async function GET(request) {
   
   const stream = new ReadableStream({
     async start(controller) {
-      const connection = await getConnection();
-      
-      // Send updates every 2 seconds
+      // Send updates every 2 seconds - each poll borrows a pooled connection instead of holding one for the whole stream
       const interval = setInterval(async () => {
         try {
-          const [files] = await connection.execute(
+          const [files] = await executeWithRetry(
             'SELECT processing_offset, processing_total, processing_progress FROM uploaded_files WHERE id = ?',
             [fileId]
           );
@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export const maxDuration = 60;
 
@@ -16,10 +16,8 @@ export async function POST(request) {
     
     console.log(`🔄 Rebuilding chunks for file ${fileId}...`);
     
-    const pool = await getConnection();
-    
     // Get all original chunk data
-    const [allChunks] = await pool.execute(
+    const [allChunks] = await executeWithRetry(
       `SELECT chunk_data 
        FROM processing_chunks
        WHERE file_id = ?
@@ -30,7 +28,7 @@ export async function POST(request) {
     console.log(`   Found ${allChunks.length} total chunks`);
     
     // Get all processed phone numbers
-    const [processedPhones] = await pool.execute(
+    const [processedPhones] = await executeWithRetry(
       `SELECT DISTINCT e164 FROM blooio_results WHERE file_id = ?`,
       [fileId]
     );
@@ -39,7 +37,7 @@ export async function POST(request) {
     console.log(`   ${processedSet.size} phones already processed`);
     
     // ✅ DELETE ALL CHUNKS (we'll rebuild from scratch)
-    await pool.execute(
+    await executeWithRetry(
       `DELETE FROM processing_chunks WHERE file_id = ?`,
       [fileId]
     );
@@ -72,7 +70,7 @@ export async function POST(request) {
     for (let i = 0; i < unprocessedPhones.length; i += CHUNK_SIZE) {
       const chunkPhones = unprocessedPhones.slice(i, i + CHUNK_SIZE);
       
-      await pool.execute(
+      await executeWithRetry(
         `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, chunk_status)
          VALUES (?, ?, ?, 'pending')`,
         [
@@ -92,7 +90,7 @@ export async function POST(request) {
     console.log(`✅ Created ${chunkCount} new chunks`);
     
     // Update file status
-    const [file] = await pool.execute(
+    const [file] = await executeWithRetry(
       `SELECT processing_total FROM uploaded_files WHERE id = ?`,
       [fileId]
     );
@@ -100,7 +98,7 @@ export async function POST(request) {
     const alreadyProcessed = processedSet.size;
     const total = file[0].processing_total;
     
-    await pool.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files
        SET processing_offset = ?,
            processing_progress = ROUND(? / ? * 100, 2),
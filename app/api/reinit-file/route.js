@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 import { processPhoneArray } from '../../../lib/phoneValidator.js';
 import Papa from 'papaparse';
 
@@ -15,9 +15,7 @@ export async function POST(request) {
     
     console.log(`Reinitializing file ${fileId}...`);
     
-    const connection = await getConnection();
-    
-    const [files] = await connection.execute(
+    const [files] = await executeWithRetry(
       'SELECT * FROM uploaded_files WHERE id = ?',
       [fileId]
     );
@@ -48,7 +46,7 @@ export async function POST(request) {
       .map(row => row[phoneColumn])
       .filter(phone => phone && phone.toString().trim());
     
-    const validationResult = processPhoneArray(phones);
+    const validationResult = processPhoneArray(phones, { defaultRegion: file.default_region });
     
     const processingState = JSON.stringify({
       validPhones: validationResult.valid,
@@ -57,7 +55,7 @@ export async function POST(request) {
       service: 'blooio'
     });
     
-    await connection.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files 
        SET processing_state = ?,
            processing_status = 'initialized',
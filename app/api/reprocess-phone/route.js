@@ -1,5 +1,8 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
+import { getProvider } from '../../../lib/lookupProviders.js';
+import { deleteCachedResults, saveCachedResults } from '../../../lib/lookupCache.js';
+import { findSuppressed } from '../../../lib/suppressionLists.js';
 
 export const maxDuration = 60;
 
@@ -19,60 +22,51 @@ export async function POST(request) {
     
     console.log(`🔄 Reprocessing ${e164} for file ${fileId}`);
     
-    const pool = await getConnection();
+    // Numbers on an enabled suppression list are never sent to Blooio
+    const suppressedBy = (await findSuppressed([e164])).get(e164);
+    if (suppressedBy) {
+      return NextResponse.json({
+        success: false,
+        error: `${e164} is on a suppression list (${suppressedBy}) and is not looked up`
+      }, { status: 409 });
+    }
     
     // Delete existing result
-    await pool.execute(
+    await executeWithRetry(
       `DELETE FROM blooio_results WHERE file_id = ? AND e164 = ?`,
       [fileId, e164]
     );
     
     // Delete from cache
-    await pool.execute(
-      `DELETE FROM blooio_cache WHERE e164 = ?`,
-      [e164]
-    );
+    await deleteCachedResults([e164], 'blooio');
     
     console.log(`   Deleted old data`);
     
     // Call Blooio API immediately
     console.log(`   Calling Blooio API...`);
     
-    const response = await fetch(
-      `https://backend.blooio.com/v2/api/contacts/${encodeURIComponent(e164)}/capabilities`,
-      {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${process.env.BLOOIO_API_KEY}`
-        },
-        signal: AbortSignal.timeout(15000)
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Blooio API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const result = await getProvider('blooio').lookup(e164);
     
-    console.log(`   API Response:`, JSON.stringify(data));
+    console.log(`   API Response:`, JSON.stringify(result.raw));
     
-    if (!data.capabilities) {
-      throw new Error('Invalid API response - missing capabilities');
+    if (result.error) {
+      throw new Error(`Blooio API error: ${result.error}`);
     }
     
-    const capabilities = data.capabilities;
-    const supportsIMessage = capabilities.imessage === true;
-    const supportsSMS = capabilities.sms === true;
-    const contactType = supportsIMessage ? 'iPhone' : (supportsSMS ? 'Android' : 'Unknown');
+    const supportsIMessage = result.supports_imessage;
+    const supportsSMS = result.supports_sms;
+    const contactType = result.contact_type;
     
     console.log(`   Result: ${contactType} (iMessage: ${supportsIMessage})`);
     
-    // Save to results
-    await pool.execute(
+    // Save to results (a chunk may have written the number again meanwhile)
+    await executeWithRetry(
       `INSERT INTO blooio_results 
        (file_id, phone_number, e164, is_ios, supports_imessage, supports_sms, contact_type, error, from_cache)
-       VALUES (?, ?, ?, ?, ?, ?, ?, NULL, 0)`,
+       VALUES (?, ?, ?, ?, ?, ?, ?, NULL, 0)
+       ON DUPLICATE KEY UPDATE
+         is_ios = VALUES(is_ios), supports_imessage = VALUES(supports_imessage), supports_sms = VALUES(supports_sms),
+         contact_type = VALUES(contact_type), error = NULL, from_cache = 0`,
       [
         fileId,
         e164.substring(1), // Remove + for phone_number
@@ -85,18 +79,7 @@ export async function POST(request) {
     );
     
     // Save to cache
-    await pool.execute(
-      `INSERT INTO blooio_cache 
-       (e164, is_ios, supports_imessage, supports_sms, contact_type)
-       VALUES (?, ?, ?, ?, ?)`,
-      [
-        e164,
-        supportsIMessage ? 1 : 0,
-        supportsIMessage ? 1 : 0,
-        supportsSMS ? 1 : 0,
-        contactType
-      ]
-    );
+    await saveCachedResults('blooio', [result], { fileId: fileId });
     
     console.log(`   ✅ Saved to database`);
     
@@ -1,23 +1,36 @@
 import { NextResponse } from 'next/server';
-import { addToQueue } from '../../../lib/db.js';
+import { ensureSchema } from '../../../lib/schema.js';
+import { resumeFile } from '../../../lib/processingControl.js';
 
+// Resume a paused file from the chunk it stopped at
 export async function POST(request) {
   try {
     const { fileId } = await request.json();
     
-    // Add back to queue
-    await addToQueue(fileId, 10); // Higher priority for resumed files
+    if (!fileId) {
+      return NextResponse.json({
+        success: false,
+        error: 'File ID is required'
+      }, { status: 400 });
+    }
     
-    // Trigger queue worker
-    fetch(`${process.env.VERCEL_URL || 'http://localhost:3000'}/api/process-queue`, {
-      method: 'POST'
-    }).catch(err => console.log('Queue trigger sent'));
+    await ensureSchema();
+    
+    if (!(await resumeFile(parseInt(fileId)))) {
+      return NextResponse.json({
+        success: false,
+        error: 'File is not paused'
+      }, { status: 409 });
+    }
     
     return NextResponse.json({
       success: true,
+      fileId: fileId,
       message: 'Processing resumed'
     });
+  
   } catch (error) {
+    console.error('Resume processing error:', error);
     return NextResponse.json({
       success: false,
       error: error.message
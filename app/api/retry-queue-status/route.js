@@ -1,13 +1,11 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const fileId = searchParams.get('fileId');
     
-    const connection = await getConnection();
-    
     const query = fileId
       ? `SELECT 
            status,
@@ -24,7 +22,7 @@ export async function GET(request) {
          GROUP BY status`;
     
     const params = fileId ? [fileId] : [];
-    const [stats] = await connection.execute(query, params);
+    const [stats] = await executeWithRetry(query, params);
     
     return NextResponse.json({
       success: true,
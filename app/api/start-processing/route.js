@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { ensureSchema } from '../../../lib/schema.js';
+import { startProcessing } from '../../../lib/uploadReport.js';
+
+// Confirm a reviewed upload (see upload-report) and start processing it
+export async function POST(request) {
+  try {
+    const { fileId } = await request.json();
+    
+    if (!fileId) {
+      return NextResponse.json({
+        success: false,
+        error: 'File ID is required'
+      }, { status: 400 });
+    }
+    
+    await ensureSchema();
+    
+    if (!(await startProcessing(parseInt(fileId)))) {
+      return NextResponse.json({
+        success: false,
+        error: 'File is not waiting for confirmation'
+      }, { status: 409 });
+    }
+    
+    return NextResponse.json({
+      success: true,
+      fileId: fileId,
+      message: 'Processing started'
+    });
+  
+  } catch (error) {
+    console.error('Start processing error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+import { NextResponse } from 'next/server';
+import { parseUpload, resolvePhoneColumn } from '../../../lib/csvColumns.js';
+import {
+  getSuppressedNumbers,
+  addSuppressedNumbers,
+  removeSuppressedNumbers
+} from '../../../lib/suppressionLists.js';
+
+export const maxDuration = 60;
+export const dynamic = 'force-dynamic';
+
+/**
+ * Numbers from a request: JSON { numbers: [...] | text }, or a form with a
+ * file (CSV, Excel or .txt list, phone column detected or given) or pasted text
+ * @returns {Promise<object>} - { listId, values, mode, defaultRegion, source } or { error }
+ */
+async function readNumbers(request) {
+  const contentType = request.headers.get('content-type') || '';
+
+  if (contentType.includes('application/json')) {
+    const body = await request.json();
+    const values = Array.isArray(body.numbers)
+      ? body.numbers
+      : String(body.text || '').split(/[\r\n,;]+/);
+
+    return {
+      listId: body.listId,
+      values: values.map(value => String(value ?? '').trim()).filter(Boolean),
+      mode: body.mode,
+      defaultRegion: body.defaultRegion,
+      source: body.source || 'manual'
+    };
+  }
+
+  const formData = await request.formData();
+  const pastedText = formData.get('text');
+  const file = formData.get('file') || (pastedText
+    ? new File([pastedText], 'pasted-list.txt', { type: 'text/plain' })
+    : null);
+
+  if (!file) {
+    return { error: 'No file or numbers provided' };
+  }
+
+  try {
+    const { headers, rows } = await parseUpload(file.stream(), { fileName: file.name, sheet: formData.get('sheet') });
+    const phoneColumn = resolvePhoneColumn(headers, rows, formData.get('phoneColumn'));
+
+    return {
+      listId: formData.get('listId'),
+      values: rows.map(row => String(row[phoneColumn.index] ?? '').trim()).filter(Boolean),
+      mode: formData.get('mode'),
+      defaultRegion: formData.get('defaultRegion'),
+      source: formData.get('file') ? file.name : 'manual'
+    };
+  } catch (parseError) {
+    return { error: `Could not read ${file.name}: ${parseError.message}` };
+  }
+}
+
+// A page of a list's numbers: ?listId=&search=&limit=&offset=
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const listId = searchParams.get('listId');
+
+    if (!listId) {
+      return NextResponse.json({
+        success: false,
+        error: 'listId is required'
+      }, { status: 400 });
+    }
+
+    const page = await getSuppressedNumbers(listId, {
+      search: searchParams.get('search') || '',
+      limit: Math.min(Math.max(parseInt(searchParams.get('limit')) || 100, 1), 1000),
+      offset: Math.max(parseInt(searchParams.get('offset')) || 0, 0)
+    });
+
+    return NextResponse.json({
+      success: true,
+      listId: listId,
+      numbers: page.numbers,
+      total: page.total
+    });
+
+  } catch (error) {
+    console.error('List suppressed numbers error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Upload or append numbers to a list (mode 'replace' empties the list first)
+export async function POST(request) {
+  try {
+    const input = await readNumbers(request);
+
+    if (input.error || !input.listId) {
+      return NextResponse.json({
+        success: false,
+        error: input.error || 'listId is required'
+      }, { status: 400 });
+    }
+
+    const result = await addSuppressedNumbers(input.listId, input.values, {
+      defaultRegion: input.defaultRegion,
+      source: String(input.source).substring(0, 255),
+      replace: input.mode === 'replace'
+    });
+
+    if (!result) {
+      return NextResponse.json({
+        success: false,
+        error: 'Suppression list not found'
+      }, { status: 404 });
+    }
+
+    console.log(`✓ Suppression list ${input.listId}: ${result.added} added, ${result.alreadyListed} already listed, ${result.invalid} invalid${input.mode === 'replace' ? ' (replaced)' : ''}`);
+
+    return NextResponse.json({
+      success: true,
+      listId: input.listId,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Add suppressed numbers error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Remove numbers from a list: JSON { listId, numbers | text }
+export async function DELETE(request) {
+  try {
+    const input = await readNumbers(request);
+
+    if (input.error || !input.listId) {
+      return NextResponse.json({
+        success: false,
+        error: input.error || 'listId is required'
+      }, { status: 400 });
+    }
+
+    const result = await removeSuppressedNumbers(input.listId, input.values, {
+      defaultRegion: input.defaultRegion
+    });
+
+    if (!result) {
+      return NextResponse.json({
+        success: false,
+        error: 'Suppression list not found'
+      }, { status: 404 });
+    }
+
+    console.log(`✓ Suppression list ${input.listId}: ${result.removed} removed`);
+
+    return NextResponse.json({
+      success: true,
+      listId: input.listId,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Remove suppressed numbers error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+import { NextResponse } from 'next/server';
+import {
+  listSuppressionLists,
+  createSuppressionList,
+  updateSuppressionList,
+  deleteSuppressionList
+} from '../../../lib/suppressionLists.js';
+
+export const dynamic = 'force-dynamic';
+
+// List suppression lists with their number counts
+export async function GET() {
+  try {
+    const lists = await listSuppressionLists();
+
+    return NextResponse.json({
+      success: true,
+      lists: lists
+    });
+
+  } catch (error) {
+    console.error('List suppression lists error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Create a list: { name, description }
+export async function POST(request) {
+  try {
+    const { name, description } = await request.json();
+
+    if (!name || !name.toString().trim()) {
+      return NextResponse.json({
+        success: false,
+        error: 'name is required'
+      }, { status: 400 });
+    }
+
+    const id = await createSuppressionList({
+      name: name.toString().trim().substring(0, 100),
+      description: description ? description.toString().trim().substring(0, 255) : null
+    });
+
+    console.log(`✓ Created suppression list "${name}" (id ${id})`);
+
+    return NextResponse.json({
+      success: true,
+      id: id
+    });
+
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return NextResponse.json({
+        success: false,
+        error: 'A suppression list with this name already exists'
+      }, { status: 409 });
+    }
+
+    console.error('Create suppression list error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Update a list: { id, name, description, enabled }
+export async function PATCH(request) {
+  try {
+    const { id, name, description, enabled } = await request.json();
+
+    if (!id) {
+      return NextResponse.json({
+        success: false,
+        error: 'List ID is required'
+      }, { status: 400 });
+    }
+
+    const updated = await updateSuppressionList(id, {
+      name: name === undefined ? undefined : name.toString().trim().substring(0, 100),
+      description: description === undefined ? undefined : (description ? description.toString().trim().substring(0, 255) : null),
+      enabled: enabled === undefined ? undefined : Boolean(enabled)
+    });
+
+    if (!updated) {
+      return NextResponse.json({
+        success: false,
+        error: 'Suppression list not found'
+      }, { status: 404 });
+    }
+
+    console.log(`✓ Updated suppression list ${id}`);
+
+    return NextResponse.json({
+      success: true,
+      id: id
+    });
+
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return NextResponse.json({
+        success: false,
+        error: 'A suppression list with this name already exists'
+      }, { status: 409 });
+    }
+
+    console.error('Update suppression list error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+// Delete a list and its numbers: ?id=
+export async function DELETE(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get('id');
+
+    if (!id) {
+      return NextResponse.json({
+        success: false,
+        error: 'List ID is required'
+      }, { status: 400 });
+    }
+
+    const deleted = await deleteSuppressionList(id);
+
+    if (!deleted) {
+      return NextResponse.json({
+        success: false,
+        error: 'Suppression list not found'
+      }, { status: 404 });
+    }
+
+    console.log(`🗑️ Deleted suppression list ${id}`);
+
+    return NextResponse.json({
+      success: true,
+      id: id
+    });
+
+  } catch (error) {
+    console.error('Delete suppression list error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { getProvider } from '../../../lib/lookupProviders.js';
 
 export async function GET(request) {
   try {
@@ -11,65 +12,36 @@ export async function GET(request) {
       formattedPhone = '+' + phone;
     }
     
-    const apiUrl = `https://backend.blooio.com/v2/api/contacts/${encodeURIComponent(formattedPhone)}/capabilities`;
-    
     console.log(`Testing Blooio API`);
     console.log(`Phone: ${formattedPhone}`);
-    console.log(`URL: ${apiUrl}`);
-    
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.BLOOIO_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    console.log(`Status: ${response.status}`);
     
-    const responseText = await response.text();
-    console.log('Raw response:', responseText);
+    const result = await getProvider('blooio').lookup(formattedPhone);
     
-    let data;
-    try {
-      data = JSON.parse(responseText);
-    } catch (e) {
-      return NextResponse.json({
-        success: false,
-        error: 'Failed to parse JSON',
-        rawResponse: responseText,
-        status: response.status,
-        url: apiUrl
-      });
-    }
+    console.log(`Status: ${result.status}`);
+    console.log('Raw response:', JSON.stringify(result.raw));
     
     // If error response
-    if (data.error || data.message || response.status >= 400) {
+    if (result.error) {
       return NextResponse.json({
         success: false,
         phone: formattedPhone,
-        url: apiUrl,
-        status: response.status,
-        error: data.error || 'API Error',
-        message: data.message || data.error || 'Unknown error',
-        rawResponse: data
+        status: result.status,
+        error: 'API Error',
+        message: result.error,
+        retryable: result.retryable,
+        rawResponse: result.raw
       });
     }
     
-    const capabilities = data?.capabilities || {};
-    const supportsIMessage = capabilities.imessage === true;
-    const supportsSMS = capabilities.sms === true;
-    
     return NextResponse.json({
       success: true,
       phone: formattedPhone,
-      url: apiUrl,
-      status: response.status,
-      rawResponse: data,
+      status: result.status,
+      rawResponse: result.raw,
       parsed: {
-        supportsIMessage: supportsIMessage,
-        supportsSMS: supportsSMS,
-        contactType: supportsIMessage ? 'iPhone' : (supportsSMS ? 'Android' : 'Unknown')
+        supportsIMessage: result.supports_imessage,
+        supportsSMS: result.supports_sms,
+        contactType: result.contact_type
       }
     });
     
@@ -1,10 +1,16 @@
 import { NextResponse } from 'next/server';
 import { blooioRateLimiter } from '../../../lib/blooioClient.js';
+import { getSharedRateStatus } from '../../../lib/rateLimiter.js';
 
 export const maxDuration = 30;
 
 export async function GET() {
-  const testCount = 20;
+  // Measure against the adaptive rate other instances may have lowered
+  await blooioRateLimiter.syncRate();
+  const expectedRate = blooioRateLimiter.effectiveRate;
+  
+  // Fewer calls when backed off so the test fits in maxDuration
+  const testCount = Math.min(20, Math.ceil(expectedRate * 5));
   const start = Date.now();
   
   console.log(`Testing rate limiter with ${testCount} calls...`);
@@ -25,12 +31,23 @@ export async function GET() {
   console.log(`\nCompleted ${testCount} calls in ${totalTime}ms`);
   console.log(`Actual rate: ${actualRate} req/sec`);
   
+  let sharedRates = null;
+  try {
+    sharedRates = await getSharedRateStatus();
+  } catch (error) {
+    console.error('Failed to read shared rate limits:', error.message);
+  }
+  
   return NextResponse.json({
     success: true,
     testCount: testCount,
     totalTimeMs: totalTime,
     actualRate: parseFloat(actualRate),
-    expectedRate: 4,
-    isCorrect: Math.abs(actualRate - 4) < 0.5
+    expectedRate: expectedRate,
+    configuredRate: blooioRateLimiter.requestsPerSecond,
+    effectiveRate: blooioRateLimiter.effectiveRate,
+    isCorrect: Math.abs(actualRate - expectedRate) < 0.5,
+    limiter: blooioRateLimiter.getStats(),
+    sharedRates: sharedRates
   });
 }
\ No newline at end of file
@@ -0,0 +1,231 @@
+import { NextResponse } from 'next/server';
+import { executeWithRetry } from '../../../lib/db.js';
+import { parsePipeline } from '../../../lib/pipeline.js';
+import { ensureSchema } from '../../../lib/schema.js';
+import { normalizeRegion } from '../../../lib/phoneValidator.js';
+import { getUploadFormat } from '../../../lib/uploadFormats.js';
+import { findUpload } from '../../../lib/chunkedUploads.js';
+import { MAX_BLOB_UPLOAD_BYTES, openBlobUpload, recordPart, getUploadParts, completeBlobUpload } from '../../../lib/blobUploads.js';
+import { triggerIngest } from '../../../lib/ingestJob.js';
+import { parseReuseOption } from '../../../lib/priorResults.js';
+import { parsePriority } from '../../../lib/priorities.js';
+
+export const maxDuration = 60;
+export const dynamic = 'force-dynamic';
+
+/**
+ * Large uploads: the browser sends the file's parts straight to Blob storage
+ * and reports them here
+ *   start    - create (or resume) the upload, returns a client token for the parts
+ *   part     - record an uploaded part { partNumber, etag, size }
+ *   complete - assemble the blob and start the streaming ingest
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { action, uploadKey } = body;
+    
+    if (!uploadKey || !/^[\w-]{8,64}$/.test(uploadKey)) {
+      return NextResponse.json({
+        success: false,
+        error: 'Valid uploadKey required'
+      }, { status: 400 });
+    }
+    
+    await ensureSchema();
+    
+    let upload = await findUpload({ uploadKey });
+    
+    if (action === 'start') {
+      if (!upload) {
+        const created = await createUpload(body);
+        if (created.error) {
+          return NextResponse.json({
+            success: false,
+            error: created.error
+          }, { status: 400 });
+        }
+        upload = await findUpload({ uploadKey });
+      }
+      
+      if (upload.chunk_count !== parseInt(body.totalParts)) {
+        return NextResponse.json({
+          success: false,
+          error: `Upload ${upload.id} has ${upload.chunk_count} parts, not ${body.totalParts} - start a new upload`
+        }, { status: 409 });
+      }
+      
+      if (upload.upload_status !== 'uploading') {
+        return NextResponse.json(uploadResponse(upload, []));
+      }
+      
+      const multipart = await openBlobUpload(upload);
+      
+      console.log(`📦 Blob upload ${uploadKey} (file ${upload.id}) → ${multipart.pathname}`);
+      
+      return NextResponse.json({
+        ...uploadResponse(upload, await getUploadParts(upload.id)),
+        pathname: multipart.pathname,
+        key: multipart.key,
+        blobUploadId: multipart.uploadId,
+        token: multipart.token
+      });
+    }
+    
+    if (!upload) {
+      return NextResponse.json({
+        success: false,
+        error: 'Upload not found - start it first'
+      }, { status: 404 });
+    }
+    
+    if (action === 'part') {
+      const partNumber = parseInt(body.partNumber);
+      
+      if (!(partNumber >= 1 && partNumber <= upload.chunk_count) || !body.etag) {
+        return NextResponse.json({
+          success: false,
+          error: `partNumber (1-${upload.chunk_count}) and etag required`
+        }, { status: 400 });
+      }
+      
+      if (upload.upload_status !== 'uploading') {
+        return NextResponse.json({ ...uploadResponse(upload, []), duplicate: true });
+      }
+      
+      const received = await recordPart(upload.id, { partNumber, etag: body.etag, size: parseInt(body.size) || 0 });
+      
+      console.log(`✓ Part ${partNumber}/${upload.chunk_count} of upload ${uploadKey} stored`);
+      
+      return NextResponse.json({
+        ...uploadResponse(upload, []),
+        chunksReceived: received,
+        progress: ((received / upload.chunk_count) * 100).toFixed(1)
+      });
+    }
+    
+    if (action === 'complete') {
+      if (upload.upload_status === 'uploading') {
+        const parts = await getUploadParts(upload.id);
+        
+        if (parts.length < upload.chunk_count) {
+          const have = new Set(parts.map(part => part.partNumber));
+          const missing = [];
+          for (let number = 1; number <= upload.chunk_count; number++) {
+            if (!have.has(number)) missing.push(number);
+          }
+          
+          return NextResponse.json({
+            success: false,
+            error: `${missing.length} parts missing`,
+            missingParts: missing
+          }, { status: 409 });
+        }
+        
+        if (await completeBlobUpload(upload)) {
+          console.log(`✅ Blob upload ${uploadKey} assembled - file ${upload.id} queued for ingest`);
+          triggerIngest(upload.id);
+        }
+        
+        upload = await findUpload({ uploadKey });
+      }
+      
+      return NextResponse.json(uploadResponse(upload, []));
+    }
+    
+    return NextResponse.json({
+      success: false,
+      error: 'action must be start, part or complete'
+    }, { status: 400 });
+  
+  } catch (error) {
+    console.error('Blob upload error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * Create the file record for a new upload
+ * @returns {Promise<object>} - { error } when the request is invalid
+ */
+async function createUpload(body) {
+  const totalParts = parseInt(body.totalParts);
+  const fileSize = parseInt(body.fileSize);
+  
+  if (!body.fileName || !(totalParts > 0) || !(fileSize > 0)) {
+    return { error: 'fileName, fileSize and totalParts required' };
+  }
+  
+  if (fileSize > MAX_BLOB_UPLOAD_BYTES) {
+    return { error: `File is larger than ${MAX_BLOB_UPLOAD_BYTES / 1024 / 1024 / 1024} GB` };
+  }
+  
+  let stages;
+  try {
+    stages = parsePipeline(body.pipeline, body.service || 'blooio');
+  } catch (pipelineError) {
+    return { error: pipelineError.message };
+  }
+  
+  let reuseOption;
+  try {
+    reuseOption = parseReuseOption(body);
+  } catch (reuseError) {
+    return { error: reuseError.message };
+  }
+  
+  let priority;
+  try {
+    priority = parsePriority(body.priority);
+  } catch (priorityError) {
+    return { error: priorityError.message };
+  }
+  
+  try {
+    // service keeps the final stage for screens that show a single service
+    await executeWithRetry(
+      `INSERT INTO uploaded_files 
+       (file_name, upload_status, service, pipeline, default_region, force_refresh, phone_column,
+        source_format, source_sheet, reuse_days, reuse_file_id, priority, upload_key, file_size, upload_date, chunk_count, chunks_received)
+       VALUES (?, 'uploading', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, 0)`,
+      [
+        body.fileName,
+        stages[stages.length - 1],
+        JSON.stringify(stages),
+        normalizeRegion(body.defaultRegion),
+        body.forceRefresh ? 1 : 0,
+        body.phoneColumn || null,
+        getUploadFormat(body.fileName),
+        body.sheet || null,
+        reuseOption.days,
+        reuseOption.fileId,
+        priority,
+        body.uploadKey,
+        fileSize,
+        totalParts
+      ]
+    );
+  } catch (insertError) {
+    // The same start sent twice at once - the other request created the upload
+    if (insertError.code !== 'ER_DUP_ENTRY') throw insertError;
+  }
+  
+  return {};
+}
+
+function uploadResponse(upload, parts) {
+  return {
+    success: true,
+    uploadId: upload.id,
+    uploadKey: upload.upload_key,
+    uploadStatus: upload.upload_status,
+    complete: upload.upload_status === 'completed',
+    processingStatus: upload.processing_status,
+    totalParts: upload.chunk_count,
+    chunksReceived: upload.chunks_received,
+    receivedParts: parts
+  };
+}
\ No newline at end of file
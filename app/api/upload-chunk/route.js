@@ -1,320 +1,175 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry, bulkInsert } from '../../../lib/db.js';
+import { parsePipeline, getFilePipeline } from '../../../lib/pipeline.js';
+import { ensureSchema } from '../../../lib/schema.js';
+import { normalizeRegion, toQueuedPhone } from '../../../lib/phoneValidator.js';
+import { parseUpload, resolvePhoneColumn, processCsvRows } from '../../../lib/csvColumns.js';
+import { saveRejectedRows, clearRejectedRows } from '../../../lib/rejectedRows.js';
+import { suppressPhones } from '../../../lib/suppressionLists.js';
+import { hashChunk, findUpload, storeChunk, claimMerge, releaseMerge } from '../../../lib/chunkedUploads.js';
 
 export const maxDuration = 60;
 
 export async function POST(request) {
-  const pool = await getConnection(); // ✅ Get pool once
-  
   try {
     const formData = await request.formData();
     
+    // uploadKey is generated by the browser; uploadId (file id) is kept for backwards compatibility
+    const uploadKey = formData.get('uploadKey') || null;
     const uploadId = formData.get('uploadId');
     const chunkIndex = parseInt(formData.get('chunkIndex'));
     const totalChunks = parseInt(formData.get('totalChunks'));
-    const chunkData = formData.get('chunk');
+    const chunk = formData.get('chunk');
     const fileName = formData.get('fileName');
     const service = formData.get('service');
     const hasHeader = formData.get('hasHeader') === 'true';
     
-    console.log(`📦 Received chunk ${chunkIndex + 1}/${totalChunks} for upload ${uploadId || 'new'}`);
+    // Sent as a Blob so line breaks arrive untouched (string fields may be normalized to CRLF)
+    const chunkData = typeof chunk === 'string' ? chunk : await chunk.text();
+    const checksum = hashChunk(chunkData);
+    const expectedChecksum = formData.get('checksum');
+    
+    console.log(`📦 Received chunk ${chunkIndex + 1}/${totalChunks} for upload ${uploadKey || uploadId || 'new'}`);
     console.log(`   Has header: ${hasHeader}`);
     console.log(`   Chunk size: ${chunkData.length} chars`);
     
-    // First chunk: Create upload record
-    if (chunkIndex === 0) {
-      const [result] = await pool.execute(
-        `INSERT INTO uploaded_files 
-         (file_name, upload_status, service, upload_date, chunk_count, chunks_received)
-         VALUES (?, 'uploading', ?, NOW(), ?, 0)`,
-        [fileName, service, totalChunks]
-      );
-      
-      const fileId = result.insertId;
-      
-      console.log(`✓ Created file record ${fileId}`);
-      
-      // Store chunk
-      await pool.execute(
-        `INSERT INTO file_chunks (file_id, chunk_index, chunk_data)
-         VALUES (?, ?, ?)`,
-        [fileId, chunkIndex, chunkData]
-      );
-      
-      await pool.execute(
-        `UPDATE uploaded_files SET chunks_received = 1 WHERE id = ?`,
-        [fileId]
-      );
-      
-      console.log(`✓ Stored chunk 1/${totalChunks}`);
-      
+    if (expectedChecksum && expectedChecksum !== checksum) {
+      console.warn(`⚠️ Checksum mismatch for chunk ${chunkIndex + 1} - asking for a re-send`);
       return NextResponse.json({
-        success: true,
-        uploadId: fileId,
-        chunkIndex: chunkIndex,
-        message: 'First chunk received'
-      });
+        success: false,
+        error: `Checksum mismatch for chunk ${chunkIndex + 1}`,
+        checksumMismatch: true
+      }, { status: 400 });
     }
     
-    // Subsequent chunks: Store chunk data
-    const fileId = parseInt(uploadId);
+    await ensureSchema();
     
-    await pool.execute(
-      `INSERT INTO file_chunks (file_id, chunk_index, chunk_data)
-       VALUES (?, ?, ?)`,
-      [fileId, chunkIndex, chunkData]
-    );
+    let upload = await findUpload({ uploadKey, fileId: uploadKey ? null : parseInt(uploadId) || null });
     
-    // Update chunks received count
-    await pool.execute(
-      `UPDATE uploaded_files 
-       SET chunks_received = chunks_received + 1
-       WHERE id = ?`,
-      [fileId]
-    );
-    
-    console.log(`✓ Stored chunk ${chunkIndex + 1}/${totalChunks}`);
-    
-    // Check if all chunks received
-    const [file] = await pool.execute(
-      `SELECT chunks_received, chunk_count FROM uploaded_files WHERE id = ?`,
-      [fileId]
-    );
-    
-    const allReceived = file[0].chunks_received === file[0].chunk_count;
-    
-    if (allReceived) {
-      console.log(`\n✅ All chunks received for upload ${fileId} - Processing...`);
-      
-      // Merge chunks
-      const [chunks] = await pool.execute(
-        `SELECT chunk_data FROM file_chunks 
-         WHERE file_id = ? 
-         ORDER BY chunk_index ASC`,
-        [fileId]
-      );
-      
-      // First chunk has header, rest don't
-      const firstChunk = chunks[0].chunk_data;
-      const restChunks = chunks.slice(1).map(c => c.chunk_data).join('\n');
-      
-      const fullContent = firstChunk + (restChunks ? '\n' + restChunks : '');
-      
-      console.log(`📄 Merged content length: ${fullContent.length} chars`);
-      
-      const lines = fullContent.trim().split('\n');
-      console.log(`📄 Total lines: ${lines.length}`);
-      
-      const header = lines[0];
-      const dataLines = lines.slice(1);
-      
-      console.log(`📄 Header: ${header}`);
-      console.log(`📄 Data lines: ${dataLines.length}`);
-      
-      // Show first 5 data lines for debugging
-      console.log(`📄 First 5 data lines:`);
-      for (let i = 0; i < Math.min(5, dataLines.length); i++) {
-        console.log(`   Line ${i + 1}: "${dataLines[i]}"`);
+    // First chunk of a new upload: create the upload record
+    if (!upload && chunkIndex === 0) {
+      let stages;
+      try {
+        stages = parsePipeline(formData.get('pipeline'), service || 'blooio');
+      } catch (pipelineError) {
+        return NextResponse.json({
+          success: false,
+          error: pipelineError.message
+        }, { status: 400 });
       }
       
-      // Parse phone numbers
-      const { parsePhoneNumber, isValidPhoneNumber } = await import('libphonenumber-js');
-      
-      const validPhones = [];
-      const invalidPhones = [];
-      let sampleErrorsShown = 0;
-      
-      for (let i = 0; i < dataLines.length; i++) {
-        const line = dataLines[i].trim();
-        if (!line) continue;
-        
-        const parts = line.split(',');
-        let phoneNumber = parts[0].trim();
-        
-        try {
-          if (!phoneNumber) {
-            if (sampleErrorsShown < 5) {
-              console.log(`❌ Line ${i + 1}: Empty phone number`);
-              sampleErrorsShown++;
-            }
-            if (invalidPhones.length < 1000) {
-              invalidPhones.push({ line: i + 1, phone: phoneNumber, reason: 'Empty' });
-            }
-            continue;
-          }
-          
-          // Clean the phone number
-          let cleanedPhone = phoneNumber.replace(/[^\d+]/g, '');
-          
-          // If it's a 10-digit US number, add +1
-          if (cleanedPhone.length === 10 && !cleanedPhone.startsWith('+')) {
-            cleanedPhone = '+1' + cleanedPhone;
-          }
-          // If it's an 11-digit number starting with 1, add +
-          else if (cleanedPhone.length === 11 && cleanedPhone.startsWith('1') && !cleanedPhone.startsWith('+')) {
-            cleanedPhone = '+' + cleanedPhone;
-          }
-          // If no + at all, add it
-          else if (!cleanedPhone.startsWith('+')) {
-            cleanedPhone = '+' + cleanedPhone;
-          }
-          
-          // Validate the cleaned phone number
-          if (isValidPhoneNumber(cleanedPhone)) {
-            const parsed = parsePhoneNumber(cleanedPhone);
-            validPhones.push({
-              original: phoneNumber,
-              e164: parsed.format('E.164')
-            });
-          } else {
-            if (sampleErrorsShown < 5) {
-              console.log(`❌ Line ${i + 1}: Invalid after cleaning - Original: "${phoneNumber}" Cleaned: "${cleanedPhone}"`);
-              sampleErrorsShown++;
-            }
-            if (invalidPhones.length < 1000) {
-              invalidPhones.push({ line: i + 1, phone: phoneNumber, reason: 'Invalid format' });
-            }
-          }
-        } catch (error) {
-          if (sampleErrorsShown < 5) {
-            console.log(`❌ Line ${i + 1}: Parse error - "${phoneNumber}" - ${error.message}`);
-            sampleErrorsShown++;
-          }
-          if (invalidPhones.length < 1000) {
-            invalidPhones.push({ line: i + 1, phone: phoneNumber, reason: error.message });
-          }
-        }
+      // Chunks are CSV or a plain phone list; Excel files arrive converted to CSV by the uploader
+      const format = formData.get('format') === 'text' ? 'text' : 'csv';
+      const sourceFormat = formData.get('sourceFormat') || format;
+      
+      // The first chunk starts with the header - pick the phone column now
+      let phoneColumn;
+      try {
+        const { headers, rows } = await parseUpload(chunkData, { format, limit: 20 });
+        phoneColumn = resolvePhoneColumn(headers, rows, formData.get('phoneColumn'));
+      } catch (columnError) {
+        return NextResponse.json({
+          success: false,
+          error: columnError.message
+        }, { status: 400 });
       }
       
-      console.log(`✓ Valid phones: ${validPhones.length}`);
-      console.log(`✗ Invalid phones: ${invalidPhones.length}`);
-      
-      if (validPhones.length > 0) {
-        console.log(`✓ Sample valid phones (first 3):`);
-        for (let i = 0; i < Math.min(3, validPhones.length); i++) {
-          console.log(`   ${validPhones[i].original} → ${validPhones[i].e164}`);
-        }
-      }
-      
-      if (invalidPhones.length > 0 && invalidPhones.length < 20) {
-        console.log(`✗ Invalid phone samples:`, invalidPhones.slice(0, 10));
-      }
-      
-      if (validPhones.length === 0) {
-        throw new Error('No valid phone numbers found in file');
+      console.log(`   Format: ${sourceFormat}`);
+      console.log(`   Phone column: ${phoneColumn.name}`);
+      
+      let insertedId = null;
+      try {
+        // service keeps the final stage for screens that show a single service
+        const [result] = await executeWithRetry(
+          `INSERT INTO uploaded_files 
+           (file_name, upload_status, service, pipeline, default_region, force_refresh, phone_column,
+            source_format, source_sheet, upload_key, upload_date, chunk_count, chunks_received)
+           VALUES (?, 'uploading', ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, 0)`,
+          [
+            fileName,
+            stages[stages.length - 1],
+            JSON.stringify(stages),
+            normalizeRegion(formData.get('defaultRegion')),
+            formData.get('forceRefresh') === 'true' ? 1 : 0,
+            phoneColumn.name ?? null,
+            sourceFormat,
+            formData.get('sheet') || null,
+            uploadKey,
+            totalChunks
+          ]
+        );
+        insertedId = result.insertId;
+      } catch (insertError) {
+        // The same first chunk sent twice at once - the other request created the upload
+        if (insertError.code !== 'ER_DUP_ENTRY') throw insertError;
       }
       
-      // ✅ DEDUPLICATE PHONES
-      const uniquePhones = [...new Map(
-        validPhones.map(p => [p.e164, p])
-      ).values()];
-      
-      console.log(`✓ Original phones: ${validPhones.length}`);
-      console.log(`✓ Unique phones: ${uniquePhones.length}`);
-      console.log(`✓ Duplicates removed: ${validPhones.length - uniquePhones.length}`);
+      upload = await findUpload(uploadKey ? { uploadKey } : { fileId: insertedId });
       
-      // Create processing chunks with UNIQUE phones
-      const CHUNK_SIZE = service === 'blooio' ? 500 : 1000;
-      const processingChunks = [];
-      
-      for (let i = 0; i < uniquePhones.length; i += CHUNK_SIZE) {
-        const chunkPhones = uniquePhones.slice(i, i + CHUNK_SIZE);
-        processingChunks.push({
-          file_id: fileId,
-          chunk_offset: i,
-          chunk_data: JSON.stringify(chunkPhones),
-          chunk_status: 'pending'
-        });
-      }
-      
-      console.log(`✓ Creating ${processingChunks.length} processing chunks...`);
-      
-      // ✅ Check if processing chunks already exist (prevent duplicates)
-      const [existingChunks] = await pool.execute(
-        `SELECT COUNT(*) as count FROM processing_chunks WHERE file_id = ?`,
-        [fileId]
-      );
-      
-      if (existingChunks[0].count > 0) {
-        console.log(`⚠️ Processing chunks already exist for file ${fileId}, skipping creation`);
-      } else {
-        // Insert processing chunks
-        // ✅ Insert processing chunks in batches to avoid "packets out of order"
-if (processingChunks.length > 0) {
-    const BATCH_SIZE = 100;
-    let inserted = 0;
+      console.log(`✓ Created file record ${upload.id}`);
+    }
     
-    for (let i = 0; i < processingChunks.length; i += BATCH_SIZE) {
-      const batch = processingChunks.slice(i, i + BATCH_SIZE);
-      
-      const values = batch.map(chunk => 
-        `(${chunk.file_id}, ${chunk.chunk_offset}, ${pool.escape(chunk.chunk_data)}, '${chunk.chunk_status}')`
-      ).join(',');
-      
-      await pool.execute(
-        `INSERT INTO processing_chunks (file_id, chunk_offset, chunk_data, chunk_status)
-         VALUES ${values}`
-      );
-      
-      inserted += batch.length;
-      
-      if ((i / BATCH_SIZE) % 5 === 0 || inserted === processingChunks.length) {
-        console.log(`✓ Inserted ${inserted}/${processingChunks.length} processing chunks`);
-      }
+    if (!upload) {
+      return NextResponse.json({
+        success: false,
+        error: 'Upload not found - send the first chunk to start it'
+      }, { status: 404 });
     }
     
-    console.log(`✅ ${processingChunks.length} processing chunks created successfully`);
-  }
-      }
-      
-      // Update file record
-      await pool.execute(
-        `UPDATE uploaded_files 
-         SET upload_status = 'completed',
-             processing_status = 'initialized',
-             processing_total = ?,
-             processing_offset = 0,
-             processing_progress = 0
-         WHERE id = ?`,
-        [uniquePhones.length, fileId]
-      );
-      
-      console.log(`✓ File record updated`);
-      
-      // Clean up upload chunks
-      await pool.execute(
-        `DELETE FROM file_chunks WHERE file_id = ?`,
-        [fileId]
-      );
-      
-      console.log(`✓ Upload chunks cleaned up`);
-      console.log(`✅ File ${fileId} ready for processing with ${uniquePhones.length} unique phones\n`);
-      
+    if (totalChunks !== upload.chunk_count) {
+      return NextResponse.json({
+        success: false,
+        error: `Upload ${upload.id} has ${upload.chunk_count} chunks, not ${totalChunks} - start a new upload`
+      }, { status: 409 });
+    }
+    
+    const fileId = upload.id;
+    const stored = await storeChunk(fileId, chunkIndex, chunkData, checksum);
+    
+    if (stored.duplicate) {
+      console.log(`↩️ Chunk ${chunkIndex + 1}/${totalChunks} already stored`);
+    } else {
+      console.log(`✓ Stored chunk ${chunkIndex + 1}/${totalChunks}${stored.replaced ? ' (replaced)' : ''}`);
+    }
+    
+    // Already merged (e.g. the last chunk re-sent after a lost response)
+    if (stored.uploadStatus === 'completed') {
       return NextResponse.json({
         success: true,
         uploadId: fileId,
+        uploadKey: upload.upload_key,
         chunkIndex: chunkIndex,
         complete: true,
-        totalRecords: uniquePhones.length,
-        duplicatesRemoved: validPhones.length - uniquePhones.length,
-        invalidRecords: invalidPhones.length,
-        processingChunks: processingChunks.length,
-        message: 'Upload complete and processing chunks created'
+        duplicate: true,
+        totalRecords: upload.processing_total,
+        message: 'Upload already complete'
       });
     }
     
-    // Not all chunks received yet
-    const progress = ((file[0].chunks_received / file[0].chunk_count) * 100).toFixed(1);
+    // Not all chunks received yet, or another request is merging them
+    if (stored.chunksReceived < stored.chunkCount || !(await claimMerge(fileId))) {
+      const progress = ((stored.chunksReceived / stored.chunkCount) * 100).toFixed(1);
+      
+      return NextResponse.json({
+        success: true,
+        uploadId: fileId,
+        uploadKey: upload.upload_key,
+        chunkIndex: chunkIndex,
+        complete: false,
+        duplicate: stored.duplicate,
+        merging: stored.chunksReceived >= stored.chunkCount,
+        progress: progress,
+        chunksReceived: stored.chunksReceived,
+        totalChunks: stored.chunkCount
+      });
+    }
     
-    return NextResponse.json({
-      success: true,
-      uploadId: fileId,
-      chunkIndex: chunkIndex,
-      complete: false,
-      progress: progress,
-      chunksReceived: file[0].chunks_received,
-      totalChunks: file[0].chunk_count
-    });
+    try {
+      return await mergeUpload(fileId, chunkIndex);
+    } catch (mergeError) {
+      await releaseMerge(fileId);
+      throw mergeError;
+    }
     
   } catch (error) {
     console.error('Chunk upload error:', error);
@@ -324,4 +179,195 @@ if (processingChunks.length > 0) {
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     }, { status: 500 });
   }
+}
+
+/**
+ * Build the processing chunks once every upload chunk is stored
+ */
+async function mergeUpload(fileId, chunkIndex) {
+  const [files] = await executeWithRetry(
+    `SELECT id, upload_key, service, pipeline, default_region, phone_column, source_format FROM uploaded_files WHERE id = ?`,
+    [fileId]
+  );
+  
+  const file = files[0];
+  
+  console.log(`\n✅ All chunks received for upload ${fileId} - Processing...`);
+  
+  // Merge chunks
+  const [chunks] = await executeWithRetry(
+    `SELECT chunk_data FROM file_chunks 
+     WHERE file_id = ? 
+     ORDER BY chunk_index ASC`,
+    [fileId]
+  );
+  
+  const mergedLength = chunks.reduce((total, chunk) => total + chunk.chunk_data.length, 0);
+  
+  console.log(`📄 Merged content length: ${mergedLength} chars`);
+  
+  // First chunk has the header; records may span chunk boundaries
+  const { headers, rows, lines, delimiter, malformed, malformedCount } = await parseUpload(joinChunks(chunks), {
+    format: file.source_format === 'text' ? 'text' : 'csv'
+  });
+  const phoneColumn = resolvePhoneColumn(headers, rows, file.phone_column);
+  
+  console.log(`📄 Header: ${headers.join(',')}`);
+  console.log(`📄 Delimiter: ${JSON.stringify(delimiter)}`);
+  console.log(`📄 Phone column: ${phoneColumn.name} (#${phoneColumn.index + 1})`);
+  console.log(`📄 Data rows: ${rows.length}`);
+  console.log(`📄 Malformed lines: ${malformedCount}`);
+  
+  // Show first 5 data rows for debugging
+  console.log(`📄 First 5 data rows:`);
+  for (let i = 0; i < Math.min(5, rows.length); i++) {
+    console.log(`   Row ${i + 1}: ${JSON.stringify(rows[i])}`);
+  }
+  
+  // Validate and normalize phone numbers (reported by source line), keeping each full row
+  const validation = processCsvRows(rows, phoneColumn.index, { defaultRegion: file.default_region, lines });
+  
+  const validPhones = validation.valid.map(toQueuedPhone);
+  const invalidPhones = validation.invalid.filter(phone => phone.error !== 'Duplicate');
+  
+  console.log(`✓ Valid phones: ${validPhones.length}`);
+  console.log(`✗ Invalid phones: ${invalidPhones.length}`);
+  
+  if (validPhones.length > 0) {
+    console.log(`✓ Sample valid phones (first 3):`);
+    for (let i = 0; i < Math.min(3, validPhones.length); i++) {
+      console.log(`   ${validPhones[i].original} → ${validPhones[i].e164}`);
+    }
+  }
+  
+  if (invalidPhones.length > 0 && invalidPhones.length < 20) {
+    console.log(`✗ Invalid phone samples:`, invalidPhones.slice(0, 10));
+  }
+  
+  if (validPhones.length === 0) {
+    throw new Error('No valid phone numbers found in file');
+  }
+  
+  // processPhoneArray already dropped duplicates; suppressed numbers get their result rows now and are never queued
+  await executeWithRetry(`DELETE FROM blooio_results WHERE file_id = ?`, [fileId]);
+  const suppression = await suppressPhones(fileId, validation.valid);
+  const uniquePhones = suppression.queue.map(toQueuedPhone);
+  
+  console.log(`✓ Unique phones: ${uniquePhones.length}`);
+  console.log(`✓ Suppressed: ${suppression.suppressed}`);
+  console.log(`✓ Duplicates removed: ${validation.stats.duplicates}`);
+  console.log(`✓ Countries: ${JSON.stringify(validation.stats.countries)}`);
+  
+  // Create processing chunks with UNIQUE phones
+  const stages = getFilePipeline(file);
+  const CHUNK_SIZE = stages[0] === 'blooio' ? 500 : 1000;
+  const processingChunks = [];
+  
+  for (let i = 0; i < uniquePhones.length; i += CHUNK_SIZE) {
+    const chunkPhones = uniquePhones.slice(i, i + CHUNK_SIZE);
+    processingChunks.push({
+      file_id: fileId,
+      chunk_offset: i,
+      chunk_data: JSON.stringify(chunkPhones),
+      chunk_status: 'pending'
+    });
+  }
+  
+  console.log(`✓ Creating ${processingChunks.length} processing chunks...`);
+  
+  // ✅ Check if processing chunks already exist (prevent duplicates)
+  const [existingChunks] = await executeWithRetry(
+    `SELECT COUNT(*) as count FROM processing_chunks WHERE file_id = ?`,
+    [fileId]
+  );
+  
+  if (existingChunks[0].count > 0) {
+    console.log(`⚠️ Processing chunks already exist for file ${fileId}, skipping creation`);
+  } else {
+    // Insert processing chunks
+    if (processingChunks.length > 0) {
+      await bulkInsert(
+        'processing_chunks',
+        ['file_id', 'chunk_offset', 'chunk_data', 'chunk_status'],
+        processingChunks.map(chunk => [chunk.file_id, chunk.chunk_offset, chunk.chunk_data, chunk.chunk_status])
+      );
+      
+      console.log(`✅ ${processingChunks.length} processing chunks created successfully`);
+    }
+  }
+  
+  // Keep blank, invalid and duplicate rows for the rejected-rows download
+  await clearRejectedRows(fileId);
+  await saveRejectedRows(fileId, validation.invalid);
+  
+  // Update file record
+  await executeWithRetry(
+    `UPDATE uploaded_files 
+     SET upload_status = 'completed',
+         processing_status = ?,
+         source_columns = ?,
+         phone_column = ?,
+         processing_total = ?,
+         processing_offset = ?,
+         processing_progress = ?,
+         suppressed_count = ?
+     WHERE id = ?`,
+    [
+      // Nothing to look up when every number is suppressed
+      uniquePhones.length === 0 ? 'completed' : 'initialized',
+      JSON.stringify(headers),
+      phoneColumn.name ?? null,
+      validPhones.length,
+      suppression.suppressed,
+      Math.round(suppression.suppressed / validPhones.length * 10000) / 100,
+      suppression.suppressed,
+      fileId
+    ]
+  );
+  
+  console.log(`✓ File record updated`);
+  
+  // Clean up upload chunks
+  await executeWithRetry(
+    `DELETE FROM file_chunks WHERE file_id = ?`,
+    [fileId]
+  );
+  
+  console.log(`✓ Upload chunks cleaned up`);
+  console.log(`✅ File ${fileId} ready for processing with ${uniquePhones.length} unique phones\n`);
+  
+  return NextResponse.json({
+    success: true,
+    uploadId: fileId,
+    uploadKey: file.upload_key,
+    chunkIndex: chunkIndex,
+    complete: true,
+    totalRecords: uniquePhones.length,
+    suppressedRecords: suppression.suppressed,
+    duplicatesRemoved: validation.stats.duplicates,
+    invalidRecords: invalidPhones.length,
+    malformedLines: malformedCount,
+    malformedSamples: malformed.slice(0, 10),
+    delimiter: delimiter,
+    countries: validation.stats.countries,
+    numberTypes: validation.stats.numberTypes,
+    processingChunks: processingChunks.length,
+    message: 'Upload complete and processing chunks created'
+  });
+}
+
+/**
+ * Stored chunks in upload order
+ * Chunks cut at a line break are passed through as-is; older clients sent
+ * bare lines, so a line break is added between chunks that don't end in one.
+ */
+function* joinChunks(chunks) {
+  for (let i = 0; i < chunks.length; i++) {
+    const data = chunks[i].chunk_data;
+    yield data;
+    
+    if (i < chunks.length - 1 && !/[\r\n]$/.test(data)) {
+      yield '\n';
+    }
+  }
 }
\ No newline at end of file
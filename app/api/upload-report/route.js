@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { executeWithRetry } from '../../../lib/db.js';
+import { ensureSchema } from '../../../lib/schema.js';
+import { buildUploadReport } from '../../../lib/uploadReport.js';
+
+export const maxDuration = 60;
+export const dynamic = 'force-dynamic';
+
+// Pre-flight report for an uploaded file: rejected rows, cached numbers, API calls, cost and ETA
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const fileId = parseInt(searchParams.get('fileId'));
+    
+    if (!fileId) {
+      return NextResponse.json({
+        success: false,
+        error: 'fileId required'
+      }, { status: 400 });
+    }
+    
+    await ensureSchema();
+    
+    const [files] = await executeWithRetry(
+      `SELECT * FROM uploaded_files WHERE id = ?`,
+      [fileId]
+    );
+    
+    if (files.length === 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'File not found'
+      }, { status: 404 });
+    }
+    
+    if (files[0].processing_status === 'parsing') {
+      return NextResponse.json({
+        success: false,
+        error: 'File is still being read',
+        parsing: true
+      }, { status: 409 });
+    }
+    
+    const report = await buildUploadReport(files[0]);
+    
+    return NextResponse.json({
+      success: true,
+      report: report
+    });
+  
+  } catch (error) {
+    console.error('Upload report error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
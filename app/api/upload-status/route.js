@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { ensureSchema } from '../../../lib/schema.js';
+import { findUpload, getChunkStatus } from '../../../lib/chunkedUploads.js';
+import { getUploadParts } from '../../../lib/blobUploads.js';
+
+export const maxDuration = 10;
+export const dynamic = 'force-dynamic';
+
+// Chunks (or Blob parts) received so far for an upload, so the uploader can resume it
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const uploadKey = searchParams.get('uploadKey');
+    const uploadId = parseInt(searchParams.get('uploadId')) || null;
+    
+    if (!uploadKey && !uploadId) {
+      return NextResponse.json({
+        success: false,
+        error: 'uploadKey or uploadId required'
+      }, { status: 400 });
+    }
+    
+    await ensureSchema();
+    
+    const upload = await findUpload(uploadKey ? { uploadKey } : { fileId: uploadId });
+    
+    if (!upload) {
+      return NextResponse.json({
+        success: false,
+        error: 'Upload not found'
+      }, { status: 404 });
+    }
+    
+    // Blob uploads report parts already in storage instead of stored chunks
+    const isBlobUpload = Boolean(upload.blob_upload_id);
+    const { receivedChunks, missingChunks } = isBlobUpload
+      ? { receivedChunks: [], missingChunks: [] }
+      : await getChunkStatus(upload);
+    const receivedParts = isBlobUpload && upload.upload_status === 'uploading'
+      ? await getUploadParts(upload.id)
+      : [];
+    
+    return NextResponse.json({
+      success: true,
+      uploadId: upload.id,
+      uploadKey: upload.upload_key,
+      fileName: upload.file_name,
+      uploadStatus: upload.upload_status,
+      complete: upload.upload_status === 'completed',
+      totalChunks: upload.chunk_count,
+      chunksReceived: upload.chunks_received,
+      totalRecords: upload.processing_total,
+      receivedChunks: receivedChunks,
+      missingChunks: missingChunks,
+      receivedParts: receivedParts,
+      processingStatus: upload.processing_status,
+      lastError: upload.last_error,
+      ingestStats: upload.ingest_stats ? JSON.parse(upload.ingest_stats) : null
+    });
+    
+  } catch (error) {
+    console.error('Upload status error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
\ No newline at end of file
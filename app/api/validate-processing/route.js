@@ -1,12 +1,10 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 async function validateProcessing() {
   try {
-    const pool = await getConnection();
-    
     // Get latest file
-    const [files] = await pool.execute(
+    const [files] = await executeWithRetry(
       `SELECT id, processing_offset, processing_total FROM uploaded_files ORDER BY id DESC LIMIT 1`
     );
     
@@ -19,7 +17,7 @@ async function validateProcessing() {
     const fileTotal = files[0].processing_total;
     
     // Get stats
-    const [stats] = await pool.execute(`
+    const [stats] = await executeWithRetry(`
       SELECT 
         COUNT(*) as total,
         SUM(CASE WHEN supports_imessage = 1 THEN 1 ELSE 0 END) as iphones,
@@ -1,14 +1,12 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export async function POST(request) {
   try {
     const { fileId } = await request.json();
     
-    const pool = await getConnection();
-    
     // Get stats
-    const [stats] = await pool.execute(`
+    const [stats] = await executeWithRetry(`
       SELECT 
         COUNT(*) as total,
         SUM(CASE WHEN supports_imessage = 1 THEN 1 ELSE 0 END) as iphones,
@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { getConnection } from '../../../lib/db.js';
+import { executeWithRetry } from '../../../lib/db.js';
 
 export const maxDuration = 10;
 
@@ -7,10 +7,8 @@ export async function GET() {
   try {
     console.log('Warming up database connection...');
     
-    const connection = await getConnection();
-    
     // Simple query to warm up connection
-    await connection.execute('SELECT 1 as warmup');
+    await executeWithRetry('SELECT 1 as warmup');
     
     console.log('✓ Database warmed up');
     
@@ -1,6 +1,65 @@
 'use client';
 
+import { useState } from 'react';
+import UploadReport from './UploadReport';
+import { PRIORITY_OPTIONS, DEFAULT_PRIORITY } from '../../lib/priorities.js';
+
 export default function ActiveFiles({ files, isLoading }) {
+  const [reviewFileId, setReviewFileId] = useState(null);
+  // Priorities changed here, shown until the next dashboard refresh
+  const [priorities, setPriorities] = useState({});
+
+  const priorityOf = (file) => priorities[file.id] ?? file.priority ?? DEFAULT_PRIORITY;
+
+  const changePriority = async (file, value) => {
+    const priority = parseInt(value);
+    setPriorities(current => ({ ...current, [file.id]: priority }));
+
+    try {
+      const response = await fetch('/api/file-priority', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileId: file.id, priority })
+      });
+      const data = await response.json();
+
+      if (!data.success) throw new Error(data.error || 'Could not change the priority');
+    } catch (priorityError) {
+      console.error('Priority change failed:', priorityError.message);
+      alert(`Could not change the priority: ${priorityError.message}`);
+      setPriorities(current => ({ ...current, [file.id]: undefined }));
+    }
+  };
+
+  // Statuses changed here (paused, resumed, cancelled), shown until the next dashboard refresh
+  const [statuses, setStatuses] = useState({});
+  const [busyFileId, setBusyFileId] = useState(null);
+
+  const statusOf = (file) => statuses[file.id] ?? file.processing_status;
+
+  // action: 'pause', 'resume' or 'cancel' (see the *-processing routes)
+  const control = async (file, action, status) => {
+    if (action === 'cancel' && !confirm(`Cancel ${file.file_name}? Results so far are kept, the rest of the file is not processed.`)) return;
+
+    setBusyFileId(file.id);
+    try {
+      const response = await fetch(`/api/${action}-processing`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileId: file.id })
+      });
+      const data = await response.json();
+
+      if (!data.success) throw new Error(data.error || `Could not ${action} processing`);
+      setStatuses(current => ({ ...current, [file.id]: status }));
+    } catch (controlError) {
+      console.error(`Processing ${action} failed:`, controlError.message);
+      alert(`Could not ${action} processing: ${controlError.message}`);
+    } finally {
+      setBusyFileId(null);
+    }
+  };
+
   if (isLoading) {
     return (
       <div style={styles.section}>
@@ -10,7 +69,9 @@ export default function ActiveFiles({ files, isLoading }) {
     );
   }
 
-  if (!files || files.length === 0) {
+  const visible = (files || []).filter(file => statusOf(file) !== 'cancelled');
+
+  if (visible.length === 0) {
     return (
       <div style={styles.section}>
         <h2 style={styles.sectionTitle}>⚙️ Active Processing</h2>
@@ -19,32 +80,79 @@ export default function ActiveFiles({ files, isLoading }) {
     );
   }
 
+  // Queue order: higher priority first, then oldest upload
+  const ordered = [...visible].sort((a, b) =>
+    priorityOf(b) - priorityOf(a) || new Date(a.upload_date) - new Date(b.upload_date)
+  );
+
   return (
     <div style={styles.section}>
       <h2 style={styles.sectionTitle}>⚙️ Active Processing</h2>
       <div style={styles.fileList}>
-        {files.map(file => (
-          <div key={file.id} style={styles.fileCard}>
-            <div style={styles.fileHeader}>
-              <span style={styles.fileName}>📄 {file.file_name}</span>
-              <span style={{...styles.badge, ...styles.processingBadge}}>
-                {file.processing_status}
-              </span>
-            </div>
-            <div style={styles.progressBar}>
-              <div 
-                style={{
-                  ...styles.progressFill,
-                  width: `${file.processing_progress}%`
-                }}
-              />
-            </div>
-            <div style={styles.fileStats}>
-              <span>{file.processing_offset?.toLocaleString()} / {file.processing_total?.toLocaleString()}</span>
-              <span>{file.processing_progress}%</span>
+        {ordered.map(file => {
+          const status = statusOf(file);
+          const running = status === 'initialized' || status === 'processing';
+
+          return (
+            <div key={file.id} style={styles.fileCard}>
+              <div style={styles.fileHeader}>
+                <span style={styles.fileName}>📄 {file.file_name}</span>
+                <div style={styles.fileControls}>
+                  <select
+                    value={priorityOf(file)}
+                    onChange={(e) => changePriority(file, e.target.value)}
+                    style={styles.prioritySelect}
+                    title="Share of processing while other files are running"
+                  >
+                    {PRIORITY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label} priority</option>
+                    ))}
+                  </select>
+                  <span style={{...styles.badge, ...(status === 'review' ? styles.reviewBadge : status === 'paused' ? styles.pausedBadge : styles.processingBadge)}}>
+                    {status === 'review' ? 'awaiting confirmation' : status}
+                  </span>
+                </div>
+              </div>
+              {status === 'review' && (
+                reviewFileId === file.id
+                  ? <UploadReport fileId={file.id} onDiscarded={() => setStatuses(current => ({ ...current, [file.id]: 'cancelled' }))} />
+                  : (
+                    <button onClick={() => setReviewFileId(file.id)} style={styles.reviewButton}>
+                      📋 Review and start
+                    </button>
+                  )
+              )}
+              <div style={styles.progressBar}>
+                <div 
+                  style={{
+                    ...styles.progressFill,
+                    width: `${file.processing_progress}%`
+                  }}
+                />
+              </div>
+              <div style={styles.fileStats}>
+                <span>{file.processing_offset?.toLocaleString()} / {file.processing_total?.toLocaleString()}</span>
+                <span>{file.processing_progress}%</span>
+              </div>
+              {(running || status === 'paused') && (
+                <div style={styles.actions}>
+                  {running ? (
+                    <button onClick={() => control(file, 'pause', 'paused')} disabled={busyFileId === file.id} style={styles.actionButton}>
+                      ⏸️ Pause
+                    </button>
+                  ) : (
+                    <button onClick={() => control(file, 'resume', 'initialized')} disabled={busyFileId === file.id} style={styles.actionButton}>
+                      ▶️ Resume
+                    </button>
+                  )}
+                  <button onClick={() => control(file, 'cancel', 'cancelled')} disabled={busyFileId === file.id} style={styles.cancelButton}>
+                    ⏹️ Cancel
+                  </button>
+                </div>
+              )}
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
@@ -94,6 +202,18 @@ const styles = {
     fontWeight: '600',
     color: '#333',
   },
+  fileControls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+  },
+  prioritySelect: {
+    padding: '4px 8px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '12px',
+    background: 'white',
+  },
   badge: {
     padding: '4px 12px',
     borderRadius: '12px',
@@ -104,6 +224,23 @@ const styles = {
     background: '#dbeafe',
     color: '#1e40af',
   },
+  reviewBadge: {
+    background: '#fef3c7',
+    color: '#92400e',
+  },
+  pausedBadge: {
+    background: '#e5e7eb',
+    color: '#374151',
+  },
+  reviewButton: {
+    marginBottom: '15px',
+    padding: '8px 14px',
+    background: '#667eea',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+  },
   progressBar: {
     height: '8px',
     background: '#e5e7eb',
@@ -122,4 +259,25 @@ const styles = {
     fontSize: '14px',
     color: '#666',
   },
+  actions: {
+    display: 'flex',
+    gap: '10px',
+    marginTop: '15px',
+  },
+  actionButton: {
+    padding: '6px 12px',
+    background: 'white',
+    color: '#333',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    cursor: 'pointer',
+  },
+  cancelButton: {
+    padding: '6px 12px',
+    background: 'white',
+    color: '#b91c1c',
+    border: '1px solid #fca5a5',
+    borderRadius: '6px',
+    cursor: 'pointer',
+  },
 };
\ No newline at end of file
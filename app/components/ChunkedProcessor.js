@@ -237,7 +237,7 @@ export default function ChunkedProcessor({ fileId, totalRecords, service, onComp
       {!processing && !isComplete && (
         <div style={styles.modeExplanation}>
           <div style={styles.modeOption}>
-            <strong>▶️ Manual Mode:</strong> Click "Process Next Chunk" for each chunk
+            <strong>▶️ Manual Mode:</strong> Click &quot;Process Next Chunk&quot; for each chunk
           </div>
           <div style={styles.modeOption}>
             <strong>🚀 Auto Mode:</strong> Automatically processes all chunks until complete
@@ -313,7 +313,7 @@ export default function ChunkedProcessor({ fileId, totalRecords, service, onComp
         <div style={styles.infoTitle}>ℹ️ How It Works:</div>
         <ul style={styles.infoList}>
           <li><strong>Auto Mode (Recommended):</strong> Click once and let it run. Processes all {Math.ceil(totalRecords / (service === 'blooio' ? 200 : 5000))} chunks automatically.</li>
-          <li><strong>Manual Mode:</strong> Click "Process Next Chunk" for each chunk (useful for testing).</li>
+          <li><strong>Manual Mode:</strong> Click &quot;Process Next Chunk&quot; for each chunk (useful for testing).</li>
           <li>Chunk size: {service === 'blooio' ? '200 records (~50 sec each)' : '5,000 records (~15 sec each)'}</li>
           <li>Cache is checked first to save API calls</li>
           <li>Progress is saved - you can close the browser and resume later</li>
@@ -6,6 +6,10 @@ export default function CompletedFiles({ files, isLoading }) {
     window.location.href = `/api/download-results?fileId=${fileId}`;
   };
 
+  const handleDownloadRejected = (fileId) => {
+    window.location.href = `/api/download-rejected?fileId=${fileId}`;
+  };
+
   if (isLoading) {
     return (
       <div style={styles.section}>
@@ -37,13 +41,27 @@ export default function CompletedFiles({ files, isLoading }) {
               </span>
             </div>
             <div style={styles.fileStats}>
-              <span>{file.processing_total?.toLocaleString()} phones processed</span>
-              <button 
-                onClick={() => handleDownload(file.id, file.file_name)}
-                style={styles.downloadButton}
-              >
-                ⬇️ Download Results
-              </button>
+              <span>
+                {file.processing_total?.toLocaleString()} phones processed
+                {file.reused_count > 0 && ` (${file.reused_count.toLocaleString()} reused from earlier files)`}
+              </span>
+              <div style={styles.actions}>
+                {file.rejected_count > 0 && (
+                  <button
+                    onClick={() => handleDownloadRejected(file.id)}
+                    style={styles.rejectedButton}
+                    title="Blank, invalid and duplicate rows with their line numbers"
+                  >
+                    ⚠️ Rejected Rows ({file.rejected_count.toLocaleString()})
+                  </button>
+                )}
+                <button 
+                  onClick={() => handleDownload(file.id, file.file_name)}
+                  style={styles.downloadButton}
+                >
+                  ⬇️ Download Results
+                </button>
+              </div>
             </div>
           </div>
         ))}
@@ -124,4 +142,18 @@ const styles = {
     cursor: 'pointer',
     transition: 'background 0.2s',
   },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  rejectedButton: {
+    padding: '8px 16px',
+    background: 'white',
+    color: '#b45309',
+    border: '1px solid #fcd34d',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
 };
\ No newline at end of file
@@ -51,6 +51,10 @@ export default function FileHistory() {
     document.body.removeChild(link);
   };
 
+  const handleDownloadRejected = (fileId) => {
+    window.location.href = `/api/download-rejected?fileId=${fileId}`;
+  };
+
   const handleGenerateResults = async (fileId) => {
     if (!confirm(`Generate results file for File ${fileId}?`)) return;
     
@@ -191,6 +195,15 @@ export default function FileHistory() {
                   ) : (
                     <span style={styles.noDownload}>Processing...</span>
                   )}
+                  {file.rejected_count > 0 && (
+                    <button
+                      onClick={() => handleDownloadRejected(file.id)}
+                      style={styles.rejectedButton}
+                      title="Blank, invalid and duplicate rows with their line numbers"
+                    >
+                      ⚠️ Rejected ({file.rejected_count.toLocaleString()})
+                    </button>
+                  )}
                 </td>
               </tr>
             ))}
@@ -369,4 +382,15 @@ const styles = {
     fontWeight: '600',
     cursor: 'pointer',
   },
+  rejectedButton: {
+    marginLeft: '6px',
+    padding: '6px 12px',
+    background: 'white',
+    color: '#b45309',
+    border: '1px solid #fcd34d',
+    borderRadius: '6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
 };
\ No newline at end of file
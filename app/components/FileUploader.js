@@ -1,16 +1,173 @@
 'use client';
 
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import Papa from 'papaparse';
+import { uploadPart } from '@vercel/blob/client';
+import { detectEncoding, sniffDelimiter } from '../../lib/csvFormat.js';
+import { UPLOAD_ACCEPT, getUploadFormat } from '../../lib/uploadFormats.js';
+import { readXlsxSheet } from '../../lib/xlsxReader.js';
+import { PRIORITY_OPTIONS, DEFAULT_PRIORITY } from '../../lib/priorities.js';
+import UploadReport from './UploadReport';
+
+// Regions offered as the default for numbers without a country code
+const REGIONS = [
+  { code: 'US', label: 'United States (+1)' },
+  { code: 'CA', label: 'Canada (+1)' },
+  { code: 'GB', label: 'United Kingdom (+44)' },
+  { code: 'AU', label: 'Australia (+61)' },
+  { code: 'MX', label: 'Mexico (+52)' },
+  { code: 'DE', label: 'Germany (+49)' },
+  { code: 'FR', label: 'France (+33)' },
+  { code: 'IN', label: 'India (+91)' }
+];
+
+// Interrupted upload, kept so it can be resumed after a reload
+const PENDING_UPLOAD_STORAGE_KEY = 'fileUploader.pendingUpload';
+
+// Large files go straight to Blob storage in parts (at least 5 MB each, except the last)
+const PART_SIZE = 8 * 1024 * 1024;
+const PART_ATTEMPTS = 3;
+
+// How long to wait for the server to finish reading an uploaded file
+const INGEST_POLL_ATTEMPTS = 60;
+const INGEST_POLL_INTERVAL_MS = 3000;
+
+function readPendingUpload() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_UPLOAD_STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+function savePendingUpload(pending) {
+  localStorage.setItem(PENDING_UPLOAD_STORAGE_KEY, JSON.stringify({ ...pending, startedAt: new Date().toISOString() }));
+}
+
+function clearPendingUpload() {
+  localStorage.removeItem(PENDING_UPLOAD_STORAGE_KEY);
+}
+
+// Run a network step, retrying failures with a growing delay
+async function withRetries(label, step) {
+  let lastError = null;
+  
+  for (let attempt = 1; attempt <= PART_ATTEMPTS; attempt++) {
+    try {
+      return await step();
+    } catch (error) {
+      lastError = error;
+      if (error.permanent) break;
+    }
+    
+    console.warn(`⚠️ ${label} attempt ${attempt} failed: ${lastError.message}`);
+    await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+  }
+  
+  throw lastError;
+}
+
+// One step of a Blob upload (see /api/upload-blob)
+async function postUploadBlob(body) {
+  const response = await fetch('/api/upload-blob', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  
+  const data = await response.json();
+  
+  if (!data.success) {
+    const error = new Error(data.error || `Upload ${body.action} failed: ${response.statusText}`);
+    // Bad input won't succeed on a retry
+    error.permanent = response.status < 500;
+    throw error;
+  }
+  
+  return data;
+}
+
+// Malformed CSV lines skipped by the server, e.g. " | 2 malformed lines skipped (12, 40)"
+function formatMalformed(data) {
+  if (!data.malformedLines) return '';
+  
+  const lines = (data.malformedSamples || []).map(sample => sample.line).join(', ');
+  return ` | ${data.malformedLines} malformed lines skipped${lines ? ` (${lines})` : ''}`;
+}
 
 export default function FileUploader() {
   const [selectedFile, setSelectedFile] = useState(null);
   const [selectedService, setSelectedService] = useState('blooio');
+  const [defaultRegion, setDefaultRegion] = useState('US');
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [reuseDays, setReuseDays] = useState(''); // '' = look every number up
+  const [reuseFileId, setReuseFileId] = useState('');
+  const [priorFiles, setPriorFiles] = useState([]);
+  const [priority, setPriority] = useState(String(DEFAULT_PRIORITY));
+  const [columns, setColumns] = useState([]);
+  const [phoneColumn, setPhoneColumn] = useState(''); // '' = auto-detect on the server
+  const [sheets, setSheets] = useState([]);
+  const [sheet, setSheet] = useState(''); // '' = first sheet
+  const [pastedText, setPastedText] = useState('');
+  const [pendingUpload, setPendingUpload] = useState(null);
+  const [reportFileId, setReportFileId] = useState(null); // uploaded file waiting for "Start processing"
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadStatus, setUploadStatus] = useState('idle');
   const [uploadMessage, setUploadMessage] = useState('');
   
   const fileInputRef = useRef(null); // ✅ Add ref to file input
 
+  // An upload interrupted by a reload or closed tab can be resumed by selecting the file again
+  useEffect(() => {
+    setPendingUpload(readPendingUpload());
+  }, []);
+
+  // Completed files whose results can be reused
+  useEffect(() => {
+    fetch('/api/completed-files')
+      .then(response => response.json())
+      .then(data => setPriorFiles(data.files || []))
+      .catch(error => console.warn('Could not load completed files:', error.message));
+  }, []);
+
+  const discardPendingUpload = () => {
+    clearPendingUpload();
+    setPendingUpload(null);
+  };
+
+  // Read the header row so the phone column can be picked before uploading
+  const loadColumns = async (file, sheetName = '') => {
+    try {
+      const format = getUploadFormat(file.name);
+      
+      if (format === 'xlsx') {
+        const table = await readXlsxSheet(new Uint8Array(await file.arrayBuffer()), sheetName, { limit: 5 });
+        setSheets(table.sheets);
+        setSheet(table.sheet);
+        setColumns(table.headers.filter(Boolean));
+        return;
+      }
+      
+      setSheets([]);
+      setSheet('');
+      
+      // Plain lists have a single phone column
+      if (format === 'text') {
+        setColumns([]);
+        return;
+      }
+      
+      const bytes = new Uint8Array(await file.slice(0, 64 * 1024).arrayBuffer());
+      const head = new TextDecoder(detectEncoding(bytes)).decode(bytes);
+      const parsed = Papa.parse(head, { preview: 1, delimiter: sniffDelimiter(head) });
+      setColumns((parsed.data[0] || []).map(column => String(column).trim()).filter(Boolean));
+    } catch (error) {
+      console.warn('Could not read file header:', error.message);
+      setColumns([]);
+      setSheets([]);
+    }
+  };
+
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -19,132 +176,160 @@ export default function FileUploader() {
       setUploadStatus('idle');
       setUploadProgress(0);
       setUploadMessage('');
+      setReportFileId(null);
+      setPhoneColumn('');
+      loadColumns(file);
     }
   };
 
+  const handleSheetChange = (e) => {
+    setPhoneColumn('');
+    loadColumns(selectedFile, e.target.value);
+  };
+
   const handleServiceChange = (e) => {
     setSelectedService(e.target.value);
   };
 
-  const handleLargeFileUpload = async (file, service) => {
-    const LINES_PER_CHUNK = 50000;
+  // Pipeline values are comma-separated stages; service is the final stage
+  const getFinalService = (pipeline) => pipeline.split(',').pop();
+
+  // Wait for the server to read the uploaded file into the processing queue
+  const waitForIngest = async (uploadKey) => {
+    for (let attempt = 0; attempt < INGEST_POLL_ATTEMPTS; attempt++) {
+      const statusResponse = await fetch(`/api/upload-status?uploadKey=${encodeURIComponent(uploadKey)}`);
+      const status = await statusResponse.json();
+      
+      if (status.success && status.processingStatus !== 'parsing') return status;
+      
+      await new Promise(resolve => setTimeout(resolve, INGEST_POLL_INTERVAL_MS));
+    }
+    
+    return null;
+  };
+
+  // Large files: parts go straight to Blob storage, then the server reads the file in the background
+  const handleLargeFileUpload = async (file, pipeline) => {
+    const totalParts = Math.max(1, Math.ceil(file.size / PART_SIZE));
     
-    console.log(`📂 Uploading ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
+    console.log(`📂 Uploading ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB) in ${totalParts} parts`);
     
     setUploadProgress(0);
     setUploadStatus('uploading');
-    setUploadMessage(`Reading file...`);
-    
-    let uploadId = null;
+    setUploadMessage('Starting upload...');
     
     try {
-      const fileText = await file.text();
-      const allLines = fileText.trim().split('\n');
+      // Resume the interrupted upload of this same file, or start a new one
+      const pending = readPendingUpload();
+      const resuming = pending && pending.fileName === file.name && pending.fileSize === file.size &&
+        pending.lastModified === file.lastModified && pending.totalParts === totalParts;
+      const uploadKey = resuming ? pending.uploadKey : crypto.randomUUID();
       
-      if (allLines.length < 2) {
-        throw new Error('File must contain at least a header and one data row');
+      if (!resuming) {
+        savePendingUpload({
+          uploadKey,
+          fileName: file.name,
+          fileSize: file.size,
+          lastModified: file.lastModified,
+          totalParts
+        });
       }
       
-      const header = allLines[0];
-      const dataLines = allLines.slice(1);
-      const totalChunks = Math.ceil(dataLines.length / LINES_PER_CHUNK);
-      
-      console.log(`📦 Total lines: ${dataLines.length.toLocaleString()}`);
-      console.log(`📦 Total chunks: ${totalChunks}`);
+      setPendingUpload(null);
       
-      setUploadMessage(`Uploading ${totalChunks} chunks...`);
+      let upload = await withRetries('Start', () => postUploadBlob({
+        action: 'start',
+        uploadKey,
+        fileName: file.name,
+        fileSize: file.size,
+        totalParts,
+        service: getFinalService(pipeline),
+        pipeline,
+        defaultRegion,
+        forceRefresh,
+        reuseDays: forceRefresh ? '' : reuseDays,
+        reuseFileId: forceRefresh ? '' : reuseFileId,
+        priority,
+        phoneColumn,
+        sheet
+      }));
       
-      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-        const start = chunkIndex * LINES_PER_CHUNK;
-        const end = Math.min(start + LINES_PER_CHUNK, dataLines.length);
-        const chunkLines = dataLines.slice(start, end);
-        
-        let chunkData;
-        if (chunkIndex === 0) {
-          chunkData = header + '\n' + chunkLines.join('\n');
-        } else {
-          chunkData = chunkLines.join('\n');
-        }
-        
-        const formData = new FormData();
-        formData.append('fileName', file.name);
-        formData.append('service', service);
-        formData.append('chunkIndex', chunkIndex);
-        formData.append('totalChunks', totalChunks);
-        formData.append('chunk', chunkData);
-        formData.append('hasHeader', chunkIndex === 0 ? 'true' : 'false');
-        
-        if (uploadId) {
-          formData.append('uploadId', uploadId);
-        }
-        
-        console.log(`📤 Uploading chunk ${chunkIndex + 1}/${totalChunks}...`);
-        
-        const response = await fetch('/api/upload-chunk', {
-          method: 'POST',
-          body: formData
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Chunk ${chunkIndex + 1} failed: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
+      if (!upload.complete) {
+        const done = new Set(upload.receivedParts.map(part => part.partNumber));
         
-        if (!data.success) {
-          throw new Error(data.error);
+        if (done.size > 0) {
+          console.log(`⏯️ Resuming upload ${uploadKey}: ${done.size}/${totalParts} parts already stored`);
         }
         
-        if (chunkIndex === 0) {
-          uploadId = data.uploadId;
-        }
-        
-        const progress = ((chunkIndex + 1) / totalChunks * 100).toFixed(1);
-        setUploadProgress(parseFloat(progress));
-        setUploadMessage(`Uploading chunk ${chunkIndex + 1}/${totalChunks} (${progress}%)`);
-        
-        console.log(`✓ Chunk ${chunkIndex + 1}/${totalChunks} uploaded (${progress}%)`);
-        
-        if (data.complete) {
-          console.log(`✅ Upload complete! File ID: ${uploadId}`);
-          console.log(`📊 Total records: ${data.totalRecords.toLocaleString()}`);
+        for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+          if (done.has(partNumber)) continue;
           
-          setUploadStatus('processing');
-          setUploadMessage('Upload complete! Initializing processing...');
+          const body = file.slice((partNumber - 1) * PART_SIZE, partNumber * PART_SIZE);
           
-          const initResponse = await fetch('/api/init-large-file', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              fileId: uploadId,
-              service: service
-            })
-          });
+          const part = await withRetries(`Part ${partNumber}`, () => uploadPart(upload.pathname, body, {
+            access: 'public',
+            token: upload.token,
+            key: upload.key,
+            uploadId: upload.blobUploadId,
+            partNumber
+          }));
           
-          const initData = await initResponse.json();
+          await withRetries(`Part ${partNumber}`, () => postUploadBlob({
+            action: 'part',
+            uploadKey,
+            partNumber,
+            etag: part.etag,
+            size: body.size
+          }));
           
-          if (initData.success) {
-            setUploadStatus('complete');
-            setUploadProgress(100);
-            setUploadMessage(`✅ Success! File ID: ${uploadId} | Records: ${data.totalRecords.toLocaleString()}`);
-            alert(`✅ File uploaded successfully!\n\nFile ID: ${uploadId}\nRecords: ${data.totalRecords.toLocaleString()}\n\nProcessing started!`);
-          } else {
-            throw new Error(`Failed to initialize: ${initData.error}`);
-          }
+          done.add(partNumber);
           
-          break;
+          const progress = (done.size / totalParts * 100).toFixed(1);
+          setUploadProgress(parseFloat(progress));
+          setUploadMessage(`Uploading part ${partNumber}/${totalParts} (${progress}%)`);
+          console.log(`✓ Part ${partNumber}/${totalParts} uploaded (${progress}%)`);
         }
+        
+        upload = await withRetries('Complete', () => postUploadBlob({ action: 'complete', uploadKey }));
       }
       
+      clearPendingUpload();
+      
+      console.log(`✅ Upload complete! File ID: ${upload.uploadId}`);
+      
+      setUploadStatus('processing');
+      setUploadProgress(100);
+      setUploadMessage('Upload complete! Reading the file...');
+      
+      const status = await waitForIngest(uploadKey);
+      
+      if (!status) {
+        setUploadStatus('complete');
+        setUploadMessage(`✅ Uploaded! File ID: ${upload.uploadId} | The file is still being read - review and start it from Active Processing`);
+        return;
+      }
+      
+      if (status.processingStatus === 'failed') {
+        throw new Error(`File could not be read: ${status.lastError}`);
+      }
+      
+      // Malformed line counts come from the server's read of the file
+      const data = status.ingestStats || {};
+      
+      setUploadStatus('complete');
+      setUploadMessage(`✅ Uploaded! File ID: ${status.uploadId} | Records: ${status.totalRecords.toLocaleString()}${formatMalformed(data)} | Review the report to start processing`);
+      setReportFileId(status.uploadId);
+      
     } catch (error) {
       console.error('Upload error:', error);
+      setPendingUpload(readPendingUpload());
       setUploadStatus('error');
       setUploadMessage(`❌ Error: ${error.message}`);
       alert(`❌ Upload failed: ${error.message}`);
     }
   };
 
-  const handleSmallFileUpload = async (file, service) => {
+  const handleSmallFileUpload = async (file, pipeline) => {
     setUploadStatus('uploading');
     setUploadProgress(0);
     setUploadMessage('Uploading file...');
@@ -161,7 +346,15 @@ export default function FileUploader() {
       
       const formData = new FormData();
       formData.append('file', file);
-      formData.append('service', service);
+      formData.append('service', getFinalService(pipeline));
+      formData.append('pipeline', pipeline);
+      formData.append('defaultRegion', defaultRegion);
+      formData.append('forceRefresh', forceRefresh ? 'true' : 'false');
+      formData.append('reuseDays', forceRefresh ? '' : reuseDays);
+      formData.append('reuseFileId', forceRefresh ? '' : reuseFileId);
+      formData.append('priority', priority);
+      formData.append('phoneColumn', phoneColumn);
+      formData.append('sheet', sheet);
       
       console.log('📦 Sending request to /api/init-large-file...');
       
@@ -189,8 +382,8 @@ export default function FileUploader() {
       if (data.success) {
         setUploadStatus('complete');
         setUploadProgress(100);
-        setUploadMessage(`✅ Success! File ID: ${data.fileId} | Records: ${data.totalRecords.toLocaleString()}`);
-        alert(`✅ File uploaded successfully!\n\nFile ID: ${data.fileId}\nRecords: ${data.totalRecords.toLocaleString()}\n\nProcessing started!`);
+        setUploadMessage(`✅ Uploaded! File ID: ${data.fileId} | Records: ${data.totalRecords.toLocaleString()}${formatMalformed(data)} | Review the report to start processing`);
+        setReportFileId(data.fileId);
       } else {
         throw new Error(data.error || 'Upload failed');
       }
@@ -204,21 +397,23 @@ export default function FileUploader() {
   };
 
   const handleUpload = async () => {
-    // ✅ Get fresh file reference from input
-    const file = fileInputRef.current?.files[0];
+    // ✅ Get fresh file reference from input - pasted numbers are uploaded as a .txt list
+    const file = fileInputRef.current?.files[0]
+      || (pastedText.trim() ? new File([pastedText], 'pasted-list.txt', { type: 'text/plain' }) : null);
     
     if (!file) {
-      alert('Please select a file first');
+      alert('Please select a file or paste phone numbers first');
       return;
     }
     
+    setReportFileId(null);
     console.log('🚀 Starting upload for:', file.name);
     console.log('   Size:', (file.size / 1024 / 1024).toFixed(2), 'MB');
     
     const fileSizeMB = file.size / 1024 / 1024;
     
     if (fileSizeMB > 5) {
-      console.log(`📦 Large file detected - using chunked upload`);
+      console.log(`📦 Large file detected - uploading to Blob storage`);
       await handleLargeFileUpload(file, selectedService);
     } else {
       console.log(`📄 Small file - using direct upload`);
@@ -226,6 +421,8 @@ export default function FileUploader() {
     }
   };
 
+  const hasInput = selectedFile || pastedText.trim();
+
   return (
     <div style={{
       maxWidth: '600px',
@@ -237,6 +434,27 @@ export default function FileUploader() {
     }}>
       <h2>📤 Upload Phone Numbers</h2>
       
+      {pendingUpload && uploadStatus !== 'uploading' && (
+        <div style={{
+          padding: '15px',
+          background: '#fef3c7',
+          borderRadius: '8px',
+          marginBottom: '20px',
+          fontSize: '14px'
+        }}>
+          <div>⏸️ Interrupted upload: <strong>{pendingUpload.fileName}</strong></div>
+          <div style={{ marginTop: '5px' }}>
+            Select the same file and upload again to resume where it stopped.{' '}
+            <button 
+              onClick={discardPendingUpload}
+              style={{ background: 'none', border: 'none', color: '#b45309', textDecoration: 'underline', cursor: 'pointer', padding: 0 }}
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+      
       <div style={{ marginBottom: '20px' }}>
         <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
           Select Service:
@@ -254,17 +472,120 @@ export default function FileUploader() {
             disabled={uploadStatus === 'uploading'}
           >
             <option value="blooio">Blooio</option>
+            <option value="subscriberverify,blooio">SubscriberVerify scrub → Blooio</option>
           </select>
         </label>
       </div>
       
       <div style={{ marginBottom: '20px' }}>
         <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-          Choose CSV File:
+          Default Country (for numbers without a country code):
+          <select 
+            value={defaultRegion} 
+            onChange={(e) => setDefaultRegion(e.target.value)}
+            style={{
+              width: '100%',
+              padding: '10px',
+              marginTop: '5px',
+              borderRadius: '8px',
+              border: '2px solid #e5e7eb',
+              fontSize: '16px'
+            }}
+            disabled={uploadStatus === 'uploading'}
+          >
+            {REGIONS.map(region => (
+              <option key={region.code} value={region.code}>{region.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+          Priority (share of processing while other files are running):
+          <select 
+            value={priority} 
+            onChange={(e) => setPriority(e.target.value)}
+            style={{
+              width: '100%',
+              padding: '10px',
+              marginTop: '5px',
+              borderRadius: '8px',
+              border: '2px solid #e5e7eb',
+              fontSize: '16px'
+            }}
+            disabled={uploadStatus === 'uploading'}
+          >
+            {PRIORITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500' }}>
+          <input 
+            type="checkbox" 
+            checked={forceRefresh} 
+            onChange={(e) => setForceRefresh(e.target.checked)}
+            disabled={uploadStatus === 'uploading'}
+          />
+          Force refresh (ignore cached results and look every number up again)
+        </label>
+      </div>
+      
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+          Reuse earlier results (numbers already in these files are not checked again):
+          <div style={{ display: 'flex', gap: '10px', marginTop: '5px' }}>
+            <select 
+              value={reuseDays} 
+              onChange={(e) => setReuseDays(e.target.value)}
+              style={{
+                flex: 1,
+                padding: '10px',
+                borderRadius: '8px',
+                border: '2px solid #e5e7eb',
+                fontSize: '16px'
+              }}
+              disabled={uploadStatus === 'uploading' || forceRefresh}
+            >
+              <option value="">Any file: off</option>
+              <option value="7">Files from the last 7 days</option>
+              <option value="30">Files from the last 30 days</option>
+              <option value="90">Files from the last 90 days</option>
+            </select>
+            <select 
+              value={reuseFileId} 
+              onChange={(e) => setReuseFileId(e.target.value)}
+              style={{
+                flex: 1,
+                padding: '10px',
+                borderRadius: '8px',
+                border: '2px solid #e5e7eb',
+                fontSize: '16px'
+              }}
+              disabled={uploadStatus === 'uploading' || forceRefresh}
+            >
+              <option value="">Chosen file: none</option>
+              {priorFiles.map(file => (
+                <option key={file.id} value={file.id}>
+                  #{file.id} {file.file_name} ({new Date(file.upload_date).toLocaleDateString()})
+                </option>
+              ))}
+            </select>
+          </div>
+        </label>
+      </div>
+      
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+          Choose File (CSV, Excel .xlsx or .txt list):
           <input 
             ref={fileInputRef}
             type="file" 
-            accept=".csv" 
+            accept={UPLOAD_ACCEPT} 
             onChange={handleFileChange}
             style={{ width: '100%', padding: '10px', marginTop: '5px' }}
             disabled={uploadStatus === 'uploading'}
@@ -285,13 +606,91 @@ export default function FileUploader() {
         </div>
       )}
       
+      {!selectedFile && (
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+            Or paste phone numbers (one per line):
+            <textarea 
+              value={pastedText} 
+              onChange={(e) => setPastedText(e.target.value)}
+              rows={6}
+              placeholder={'+1 415 555 0100\n(212) 555-0199'}
+              style={{
+                width: '100%',
+                padding: '10px',
+                marginTop: '5px',
+                borderRadius: '8px',
+                border: '2px solid #e5e7eb',
+                fontSize: '14px',
+                fontFamily: 'monospace'
+              }}
+              disabled={uploadStatus === 'uploading'}
+            />
+          </label>
+        </div>
+      )}
+      
+      {selectedFile && sheets.length > 1 && (
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+            Sheet:
+            <select 
+              value={sheet} 
+              onChange={handleSheetChange}
+              style={{
+                width: '100%',
+                padding: '10px',
+                marginTop: '5px',
+                borderRadius: '8px',
+                border: '2px solid #e5e7eb',
+                fontSize: '16px'
+              }}
+              disabled={uploadStatus === 'uploading'}
+            >
+              {sheets.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+      
+      {selectedFile && columns.length > 0 && (
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
+            Phone Column:
+            <select 
+              value={phoneColumn} 
+              onChange={(e) => setPhoneColumn(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '10px',
+                marginTop: '5px',
+                borderRadius: '8px',
+                border: '2px solid #e5e7eb',
+                fontSize: '16px'
+              }}
+              disabled={uploadStatus === 'uploading'}
+            >
+              <option value="">Auto-detect</option>
+              {columns.map((column, index) => (
+                <option key={`${index}-${column}`} value={column}>{column}</option>
+              ))}
+            </select>
+          </label>
+          <div style={{ fontSize: '13px', color: '#6b7280' }}>
+            All columns are kept - results add the lookup columns after them
+          </div>
+        </div>
+      )}
+      
       <button 
         onClick={handleUpload}
-        disabled={!selectedFile || uploadStatus === 'uploading'}
+        disabled={!hasInput || uploadStatus === 'uploading'}
         style={{
           width: '100%',
           padding: '15px',
-          background: (!selectedFile || uploadStatus === 'uploading') 
+          background: (!hasInput || uploadStatus === 'uploading') 
             ? '#9ca3af' 
             : 'linear-gradient(90deg, #667eea 0%, #764ba2 100%)',
           color: 'white',
@@ -299,7 +698,7 @@ export default function FileUploader() {
           borderRadius: '8px',
           fontSize: '18px',
           fontWeight: '600',
-          cursor: (!selectedFile || uploadStatus === 'uploading') ? 'not-allowed' : 'pointer'
+          cursor: (!hasInput || uploadStatus === 'uploading') ? 'not-allowed' : 'pointer'
         }}
       >
         {uploadStatus === 'uploading' ? '⏳ Uploading...' : '🚀 Upload & Process'}
@@ -349,6 +748,8 @@ export default function FileUploader() {
           {uploadMessage}
         </div>
       )}
+      
+      {reportFileId && <UploadReport key={reportFileId} fileId={reportFileId} />}
     </div>
   );
 }
\ No newline at end of file
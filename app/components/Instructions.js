@@ -36,8 +36,10 @@ export default function Instructions() {
 850-363-1955
 1-850-363-1955
 +1 (850) 363-1955
++44 7911 123456
 
-All will be formatted to: 18503631955`}
+US numbers are formatted to: 18503631955
+Numbers without a country code use the Default Country`}
       </pre>
       <div style={styles.note}>
         <strong>Supported column names:</strong> phone, phone_number, mobile, number, cell, telephone
@@ -0,0 +1,432 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { UPLOAD_ACCEPT } from '../../lib/uploadFormats.js';
+
+const PAGE_SIZE = 100;
+
+/**
+ * Manage suppression (do-not-contact / opt-out) lists and their numbers
+ */
+export default function SuppressionLists() {
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [newName, setNewName] = useState('');
+  const [newDescription, setNewDescription] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [numbers, setNumbers] = useState({ numbers: [], total: 0 });
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+  const [pastedNumbers, setPastedNumbers] = useState('');
+  const [uploadFile, setUploadFile] = useState(null);
+  const [replace, setReplace] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const selected = lists.find(list => list.id === selectedId);
+
+  const fetchLists = async () => {
+    try {
+      const response = await fetch('/api/suppression-lists');
+      const data = await response.json();
+
+      if (!data.success) throw new Error(data.error || 'Failed to load suppression lists');
+      setLists(data.lists);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchNumbers = async (listId, searchText, pageIndex) => {
+    try {
+      const params = new URLSearchParams({
+        listId,
+        search: searchText,
+        limit: PAGE_SIZE,
+        offset: pageIndex * PAGE_SIZE
+      });
+      const response = await fetch(`/api/suppressed-numbers?${params}`);
+      const data = await response.json();
+
+      if (!data.success) throw new Error(data.error || 'Failed to load numbers');
+      setNumbers({ numbers: data.numbers, total: data.total });
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    fetchLists();
+  }, []);
+
+  useEffect(() => {
+    if (selectedId) fetchNumbers(selectedId, search, page);
+  }, [selectedId, search, page]);
+
+  const selectList = (listId) => {
+    setSelectedId(listId);
+    setSearch('');
+    setPage(0);
+    setMessage('');
+  };
+
+  // Run a request, then refresh the lists (and numbers of the open list)
+  const run = async (request, describe) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const response = await request();
+      const data = await response.json();
+
+      if (!data.success) throw new Error(data.error || 'Request failed');
+      setMessage(`✅ ${describe(data)}`);
+      await fetchLists();
+      if (selectedId) await fetchNumbers(selectedId, search, page);
+      return data;
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createList = async () => {
+    if (!newName.trim()) return;
+
+    const data = await run(() => fetch('/api/suppression-lists', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: newName, description: newDescription })
+    }), () => `Created "${newName}"`);
+
+    if (data) {
+      setNewName('');
+      setNewDescription('');
+      selectList(data.id);
+    }
+  };
+
+  const toggleList = (list) => run(() => fetch('/api/suppression-lists', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: list.id, enabled: !list.enabled })
+  }), () => `${list.name} ${list.enabled ? 'disabled' : 'enabled'}`);
+
+  const deleteList = async (list) => {
+    if (!confirm(`Delete "${list.name}" and its ${list.number_count.toLocaleString()} numbers?`)) return;
+
+    await run(() => fetch(`/api/suppression-lists?id=${list.id}`, { method: 'DELETE' }), () => `Deleted "${list.name}"`);
+    setSelectedId(null);
+  };
+
+  const describeAdded = (data) =>
+    `${data.added.toLocaleString()} added, ${data.alreadyListed.toLocaleString()} already listed, ${data.invalid.toLocaleString()} invalid`;
+
+  const uploadNumbers = async () => {
+    if (!uploadFile) return;
+    if (replace && !confirm(`Replace every number in "${selected.name}" with this file?`)) return;
+
+    const formData = new FormData();
+    formData.append('listId', selectedId);
+    formData.append('file', uploadFile);
+    formData.append('mode', replace ? 'replace' : 'append');
+
+    const data = await run(() => fetch('/api/suppressed-numbers', { method: 'POST', body: formData }), describeAdded);
+    if (data) setUploadFile(null);
+  };
+
+  const changePasted = async (method) => {
+    if (!pastedNumbers.trim()) return;
+
+    const data = await run(() => fetch('/api/suppressed-numbers', {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ listId: selectedId, text: pastedNumbers })
+    }), method === 'POST' ? describeAdded : (result) => `${result.removed.toLocaleString()} removed, ${result.invalid.toLocaleString()} invalid`);
+
+    if (data) setPastedNumbers('');
+  };
+
+  if (loading) {
+    return <div style={styles.loading}>Loading suppression lists...</div>;
+  }
+
+  return (
+    <div>
+      {message && <div style={styles.message}>{message}</div>}
+
+      <div style={styles.createRow}>
+        <input
+          placeholder="New list name (e.g. Opt-outs)"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          style={styles.input}
+        />
+        <input
+          placeholder="Description (optional)"
+          value={newDescription}
+          onChange={(e) => setNewDescription(e.target.value)}
+          style={styles.input}
+        />
+        <button onClick={createList} disabled={busy || !newName.trim()} style={styles.primaryButton}>
+          ➕ Create list
+        </button>
+      </div>
+
+      {lists.length === 0 ? (
+        <div style={styles.emptyState}>No suppression lists yet</div>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>List</th>
+              <th style={styles.th}>Numbers</th>
+              <th style={styles.th}>Updated</th>
+              <th style={styles.th}>Status</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lists.map(list => (
+              <tr key={list.id} style={list.id === selectedId ? styles.selectedRow : undefined}>
+                <td style={styles.td}>
+                  <div style={styles.listName}>{list.name}</div>
+                  {list.description && <div style={styles.description}>{list.description}</div>}
+                </td>
+                <td style={styles.td}>{list.number_count.toLocaleString()}</td>
+                <td style={styles.td}>{new Date(list.updated_at).toLocaleString()}</td>
+                <td style={styles.td}>
+                  <button onClick={() => toggleList(list)} disabled={busy} style={list.enabled ? styles.enabledBadge : styles.disabledBadge}>
+                    {list.enabled ? 'Enabled' : 'Disabled'}
+                  </button>
+                </td>
+                <td style={styles.td}>
+                  <button onClick={() => selectList(list.id)} style={styles.secondaryButton}>
+                    Manage
+                  </button>
+                  <button onClick={() => deleteList(list)} disabled={busy} style={styles.deleteButton}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selected && (
+        <div style={styles.panel}>
+          <h3 style={styles.panelTitle}>🚫 {selected.name}</h3>
+
+          <div style={styles.block}>
+            <div style={styles.label}>Upload numbers (CSV, Excel .xlsx or .txt list)</div>
+            <div style={styles.createRow}>
+              <input type="file" accept={UPLOAD_ACCEPT} onChange={(e) => setUploadFile(e.target.files[0] || null)} />
+              <label style={styles.checkbox}>
+                <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+                Replace the list
+              </label>
+              <button onClick={uploadNumbers} disabled={busy || !uploadFile} style={styles.primaryButton}>
+                ⬆️ Upload
+              </button>
+            </div>
+          </div>
+
+          <div style={styles.block}>
+            <div style={styles.label}>Add or remove numbers (one per line)</div>
+            <textarea
+              value={pastedNumbers}
+              onChange={(e) => setPastedNumbers(e.target.value)}
+              rows={4}
+              style={styles.textarea}
+            />
+            <div style={styles.createRow}>
+              <button onClick={() => changePasted('POST')} disabled={busy || !pastedNumbers.trim()} style={styles.primaryButton}>
+                ➕ Add
+              </button>
+              <button onClick={() => changePasted('DELETE')} disabled={busy || !pastedNumbers.trim()} style={styles.deleteButton}>
+                ➖ Remove
+              </button>
+            </div>
+          </div>
+
+          <div style={styles.block}>
+            <div style={styles.label}>Numbers ({numbers.total.toLocaleString()})</div>
+            <input
+              placeholder="Search by number"
+              value={search}
+              onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+              style={styles.input}
+            />
+            <table style={styles.table}>
+              <tbody>
+                {numbers.numbers.map(number => (
+                  <tr key={number.e164}>
+                    <td style={styles.td}>{number.e164}</td>
+                    <td style={styles.td}>{number.source || ''}</td>
+                    <td style={styles.td}>{new Date(number.added_at).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {numbers.total > PAGE_SIZE && (
+              <div style={styles.createRow}>
+                <button onClick={() => setPage(page - 1)} disabled={page === 0} style={styles.secondaryButton}>
+                  ← Previous
+                </button>
+                <span>Page {page + 1} of {Math.ceil(numbers.total / PAGE_SIZE)}</span>
+                <button onClick={() => setPage(page + 1)} disabled={(page + 1) * PAGE_SIZE >= numbers.total} style={styles.secondaryButton}>
+                  Next →
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  loading: {
+    padding: '20px',
+    color: '#666'
+  },
+  message: {
+    padding: '10px 15px',
+    background: '#f3f4f6',
+    borderRadius: '8px',
+    marginBottom: '15px',
+    fontSize: '14px'
+  },
+  createRow: {
+    display: 'flex',
+    gap: '10px',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: '15px'
+  },
+  input: {
+    flex: 1,
+    minWidth: '180px',
+    padding: '10px',
+    borderRadius: '8px',
+    border: '2px solid #e5e7eb',
+    fontSize: '14px',
+    marginBottom: '10px'
+  },
+  textarea: {
+    width: '100%',
+    padding: '10px',
+    borderRadius: '8px',
+    border: '2px solid #e5e7eb',
+    fontSize: '14px',
+    fontFamily: 'monospace',
+    marginBottom: '10px'
+  },
+  checkbox: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '14px'
+  },
+  emptyState: {
+    padding: '30px',
+    textAlign: 'center',
+    color: '#999'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '14px',
+    marginBottom: '10px'
+  },
+  th: {
+    textAlign: 'left',
+    padding: '10px',
+    borderBottom: '2px solid #e5e7eb',
+    color: '#374151'
+  },
+  td: {
+    padding: '10px',
+    borderBottom: '1px solid #f3f4f6',
+    verticalAlign: 'top'
+  },
+  selectedRow: {
+    background: '#eef2ff'
+  },
+  listName: {
+    fontWeight: '600'
+  },
+  description: {
+    fontSize: '12px',
+    color: '#666'
+  },
+  enabledBadge: {
+    padding: '4px 10px',
+    borderRadius: '12px',
+    border: 'none',
+    background: '#d1fae5',
+    color: '#065f46',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  },
+  disabledBadge: {
+    padding: '4px 10px',
+    borderRadius: '12px',
+    border: 'none',
+    background: '#f3f4f6',
+    color: '#4b5563',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  },
+  primaryButton: {
+    padding: '10px 16px',
+    background: '#667eea',
+    color: 'white',
+    border: 'none',
+    borderRadius: '8px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  },
+  secondaryButton: {
+    padding: '6px 12px',
+    marginRight: '6px',
+    background: 'white',
+    color: '#374151',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  deleteButton: {
+    padding: '6px 12px',
+    background: 'white',
+    color: '#b91c1c',
+    border: '1px solid #fca5a5',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  panel: {
+    marginTop: '20px',
+    padding: '20px',
+    background: '#f9fafb',
+    border: '2px solid #e5e7eb',
+    borderRadius: '10px'
+  },
+  panelTitle: {
+    fontSize: '18px',
+    margin: '0 0 15px 0'
+  },
+  block: {
+    marginBottom: '20px'
+  },
+  label: {
+    fontWeight: '600',
+    marginBottom: '8px'
+  }
+};
\ No newline at end of file
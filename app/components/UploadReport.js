@@ -0,0 +1,249 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+// "1h 05m", "4m 10s", "12s"
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return 'unknown';
+  if (seconds < 60) return `${seconds}s`;
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+
+  return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function formatCost(cost) {
+  return cost === null || cost === undefined ? 'not configured' : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Pre-flight report for an uploaded file, with the confirmation to start processing
+ * @param {object} props - { fileId, onStarted, onDiscarded }
+ */
+export default function UploadReport({ fileId, onStarted, onDiscarded }) {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(`/api/upload-report?fileId=${fileId}`);
+        const data = await response.json();
+
+        if (cancelled) return;
+        if (data.success) setReport(data.report);
+        else setError(data.error || 'Could not load the upload report');
+      } catch (loadError) {
+        if (!cancelled) setError(loadError.message);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [fileId]);
+
+  const start = async () => {
+    setBusy(true);
+    try {
+      const response = await fetch('/api/start-processing', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileId })
+      });
+      const data = await response.json();
+
+      if (!data.success) throw new Error(data.error || 'Could not start processing');
+      setReport({ ...report, status: 'initialized' });
+      onStarted?.(fileId);
+    } catch (startError) {
+      setError(startError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const discard = async () => {
+    if (!confirm('Discard this upload? It will not be processed.')) return;
+
+    setBusy(true);
+    try {
+      const response = await fetch('/api/cancel-processing', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileId })
+      });
+      const data = await response.json();
+
+      if (!data.success) throw new Error(data.error || 'Could not discard the upload');
+      setReport({ ...report, status: 'cancelled' });
+      onDiscarded?.(fileId);
+    } catch (discardError) {
+      setError(discardError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (error) {
+    return <div style={styles.error}>❌ {error}</div>;
+  }
+
+  if (!report) {
+    return <div style={styles.loading}>Preparing upload report...</div>;
+  }
+
+  const reasons = Object.entries(report.invalidReasons).sort((a, b) => b[1] - a[1]);
+  const awaitingConfirmation = report.status === 'review';
+
+  return (
+    <div style={styles.report}>
+      <h3 style={styles.title}>📋 Upload report - {report.fileName}</h3>
+
+      <div style={styles.grid}>
+        {report.rows !== null && <div>Rows read: <strong>{report.rows.toLocaleString()}</strong></div>}
+        <div>Numbers to check: <strong>{report.queued.toLocaleString()}</strong></div>
+        {report.suppressed > 0 && (
+          <div>On suppression lists: <strong>{report.suppressed.toLocaleString()}</strong></div>
+        )}
+        {report.reused > 0 && (
+          <div>Reused from earlier files: <strong>{report.reused.toLocaleString()}</strong></div>
+        )}
+        <div>Duplicates removed: <strong>{report.duplicates.toLocaleString()}</strong></div>
+        <div>Rejected: <strong>{(report.invalid + report.blank).toLocaleString()}</strong></div>
+        {report.malformedLines > 0 && (
+          <div>Malformed lines skipped: <strong>{report.malformedLines.toLocaleString()}</strong></div>
+        )}
+      </div>
+
+      {reasons.length > 0 && (
+        <div style={styles.block}>
+          <div style={styles.label}>Rejected by reason</div>
+          {reasons.map(([reason, count]) => (
+            <div key={reason} style={styles.row}>
+              <span>{reason}</span>
+              <span>{count.toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={styles.block}>
+        <div style={styles.label}>
+          Lookups{report.cacheSample.sampled ? ` (cache estimated from ${report.cacheSample.checked.toLocaleString()} numbers)` : ''}
+        </div>
+        {report.stages.map(stage => (
+          <div key={stage.stage} style={styles.row}>
+            <span>
+              {stage.label}: {stage.cached.toLocaleString()} cached, {stage.upperBound ? 'up to ' : ''}{stage.lookups.toLocaleString()} to look up
+            </span>
+            <span>{stage.credits.toLocaleString()} credits, {formatCost(stage.cost)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.grid}>
+        <div>API calls: <strong>{report.apiCalls.toLocaleString()}</strong></div>
+        <div>Credits: <strong>{report.credits.toLocaleString()}</strong></div>
+        <div>Estimated cost: <strong>{formatCost(report.cost)}</strong></div>
+        <div>Estimated time: <strong>{formatDuration(report.etaSeconds)}</strong></div>
+      </div>
+
+      {report.queueAhead.files > 0 && (
+        <div style={styles.note}>
+          ⏳ {report.queueAhead.files} file(s) with {report.queueAhead.numbers.toLocaleString()} numbers at the same or a higher priority share processing with this one
+        </div>
+      )}
+
+      {awaitingConfirmation ? (
+        <div style={styles.actions}>
+          <button onClick={start} disabled={busy} style={styles.startButton}>
+            ▶️ Start processing
+          </button>
+          <button onClick={discard} disabled={busy} style={styles.discardButton}>
+            Discard
+          </button>
+        </div>
+      ) : (
+        <div style={styles.note}>
+          {report.status === 'cancelled'
+            ? 'Upload discarded'
+            : report.queued === 0 ? '✅ Nothing left to look up - results are ready' : '✅ Processing started'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  report: {
+    padding: '15px',
+    background: '#f9fafb',
+    border: '2px solid #e5e7eb',
+    borderRadius: '8px',
+    marginTop: '15px',
+    fontSize: '14px'
+  },
+  title: {
+    fontSize: '16px',
+    margin: '0 0 10px 0'
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '6px',
+    marginBottom: '10px'
+  },
+  block: {
+    marginBottom: '10px'
+  },
+  label: {
+    fontWeight: '600',
+    marginBottom: '4px'
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '10px',
+    color: '#444'
+  },
+  note: {
+    marginTop: '10px',
+    color: '#666'
+  },
+  actions: {
+    display: 'flex',
+    gap: '10px',
+    marginTop: '15px'
+  },
+  startButton: {
+    flex: 1,
+    padding: '10px',
+    background: '#10b981',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    fontWeight: '600',
+    cursor: 'pointer'
+  },
+  discardButton: {
+    padding: '10px 16px',
+    background: 'white',
+    color: '#b91c1c',
+    border: '1px solid #fca5a5',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  loading: {
+    padding: '15px',
+    color: '#666'
+  },
+  error: {
+    padding: '15px',
+    color: '#b91c1c'
+  }
+};
\ No newline at end of file
@@ -59,9 +59,14 @@ export default function Home() {
                 Validate US phone numbers and check iOS/iMessage support
               </p>
             </div>
-            <button onClick={handleLogout} style={styles.logoutButton}>
-              🚪 Logout
-            </button>
+            <div style={styles.headerActions}>
+              <a href="/suppression" style={styles.headerLink}>
+                🚫 Suppression Lists
+              </a>
+              <button onClick={handleLogout} style={styles.logoutButton}>
+                🚪 Logout
+              </button>
+            </div>
           </div>
         </header>
 
@@ -129,6 +134,34 @@ export default function Home() {
           </div>
         )}
 
+        {/* Adaptive API Rate Widget */}
+        {stats?.rateLimits?.length > 0 && (
+          <div style={styles.rateWidget}>
+            <h3 style={styles.rateTitle}>🚦 API Rate Limits</h3>
+            <div style={styles.cacheGrid}>
+              {stats.rateLimits.map(limit => (
+                <div key={limit.key} style={styles.cacheTier}>
+                  <div style={styles.tierName}>{limit.provider}</div>
+                  <div style={limit.throttled ? styles.rateThrottled : styles.tierSpeed}>
+                    {limit.throttled ? 'Backed off' : 'Full speed'}
+                  </div>
+                  <div style={styles.tierSize}>
+                    {limit.effectiveRate} req/sec
+                  </div>
+                  <div style={styles.tierUsage}>
+                    Limit: {limit.configuredRate} req/sec (min {limit.minRate})
+                  </div>
+                  {limit.nextSlotInMs > 1000 && (
+                    <div style={styles.tierUsage}>
+                      Next slot in {Math.ceil(limit.nextSlotInMs / 1000)}s
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Active Processing Files */}
         <ActiveFiles files={stats?.activeFiles} isLoading={isLoading} />
 
@@ -196,6 +229,21 @@ const styles = {
     fontSize: '16px',
     color: '#666',
   },
+  headerActions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+  },
+  headerLink: {
+    padding: '10px 20px',
+    background: '#f3f4f6',
+    color: '#374151',
+    borderRadius: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    textDecoration: 'none',
+    whiteSpace: 'nowrap',
+  },
   logoutButton: {
     padding: '10px 20px',
     background: '#ef4444',
@@ -297,6 +345,30 @@ const styles = {
     color: '#666',
     marginTop: '5px',
   },
+  rateWidget: {
+    background: '#f9fafb',
+    padding: '25px',
+    borderRadius: '15px',
+    marginBottom: '30px',
+    border: '2px solid #e5e7eb',
+  },
+  rateTitle: {
+    fontSize: '20px',
+    fontWeight: '700',
+    color: '#333',
+    marginTop: 0,
+    marginBottom: '20px',
+  },
+  rateThrottled: {
+    fontSize: '12px',
+    color: '#b45309',
+    fontWeight: '600',
+    marginBottom: '10px',
+    padding: '4px 8px',
+    background: '#fef3c7',
+    borderRadius: '12px',
+    display: 'inline-block',
+  },
   instructions: {
     background: '#f9fafb',
     padding: '25px',
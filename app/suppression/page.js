@@ -0,0 +1,63 @@
+'use client';
+
+import SuppressionLists from '../components/SuppressionLists';
+
+export default function SuppressionPage() {
+  return (
+    <main style={styles.main}>
+      <div style={styles.container}>
+        <header style={styles.header}>
+          <div>
+            <h1 style={styles.title}>🚫 Suppression Lists</h1>
+            <p style={styles.subtitle}>
+              Numbers on an enabled list are never looked up and are flagged in every results export
+            </p>
+          </div>
+          <a href="/" style={styles.backLink}>← Back to dashboard</a>
+        </header>
+
+        <SuppressionLists />
+      </div>
+    </main>
+  );
+}
+
+const styles = {
+  main: {
+    minHeight: '100vh',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    padding: '40px 20px',
+  },
+  container: {
+    maxWidth: '1000px',
+    margin: '0 auto',
+    background: 'white',
+    borderRadius: '20px',
+    padding: '40px',
+    boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '20px',
+    marginBottom: '30px',
+  },
+  title: {
+    fontSize: '32px',
+    fontWeight: '700',
+    color: '#333',
+    marginBottom: '10px',
+  },
+  subtitle: {
+    fontSize: '16px',
+    color: '#666',
+  },
+  backLink: {
+    color: '#667eea',
+    fontWeight: '600',
+    textDecoration: 'none',
+    whiteSpace: 'nowrap',
+  },
+};
\ No newline at end of file
@@ -1,14 +1,119 @@
-import { getConnection } from './db.js';
+import { getCachedResults, saveCachedResults } from './lookupCache.js';
+import { classifyOutcome, getTtlDays } from './cachePolicy.js';
 
-// In-memory cache using Map
-const inMemoryCache = new Map();
+// In-memory layer limits (a warm lambda keeps the cache between invocations,
+// so it must stay well inside the function's memory limit in vercel.json)
+const MAX_ENTRIES = parseInt(process.env.APP_CACHE_MAX_ENTRIES) || 100000;
+const MAX_MEMORY_BYTES = (parseFloat(process.env.APP_CACHE_MAX_MEMORY_MB) || 64) * 1024 * 1024;
+const TTL_MS = (parseFloat(process.env.APP_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Rough per-entry cost of the Map slot and wrapper object
+const ENTRY_OVERHEAD_BYTES = 200;
+
+/**
+ * Bounded LRU with per-entry expiry
+ * Map iteration order is insertion order, so re-inserting on every hit keeps
+ * the least recently used entry first in line for eviction
+ */
+class LruCache {
+  constructor({ maxEntries, maxBytes, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+  
+  get size() {
+    return this.entries.size;
+  }
+  
+  /**
+   * Get an entry and mark it as recently used
+   * @returns {object|undefined} - { value, storedAt }
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key, entry);
+      this.expirations++;
+      return undefined;
+    }
+    
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+  
+  /**
+   * Store a value, evicting least recently used entries to stay in bounds
+   * @param {number} ttlMs - Entry lifetime (capped at the cache TTL)
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    const existing = this.entries.get(key);
+    if (existing) this.remove(key, existing);
+    
+    const now = Date.now();
+    const entry = {
+      value,
+      bytes: estimateBytes(key, value),
+      storedAt: now,
+      expiresAt: now + Math.min(ttlMs, this.ttlMs)
+    };
+    
+    this.entries.set(key, entry);
+    this.bytes += entry.bytes;
+    
+    while (this.entries.size > this.maxEntries || (this.bytes > this.maxBytes && this.entries.size > 1)) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.remove(oldestKey, oldest);
+      this.evictions++;
+    }
+  }
+  
+  remove(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+  
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+}
+
+/**
+ * Approximate memory used by an entry (UTF-16 strings plus overhead)
+ */
+function estimateBytes(key, value) {
+  return (key.length + JSON.stringify(value).length) * 2 + ENTRY_OVERHEAD_BYTES;
+}
+
+/**
+ * In-memory lifetime for a Blooio result (never longer than its lookup_cache TTL)
+ */
+function memoryTtlMs(data) {
+  return getTtlDays('blooio', classifyOutcome('blooio', data)) * 24 * 60 * 60 * 1000;
+}
+
+const inMemoryCache = new LruCache({
+  maxEntries: MAX_ENTRIES,
+  maxBytes: MAX_MEMORY_BYTES,
+  ttlMs: TTL_MS
+});
 
 // Cache stats
 let cacheHits = 0;
 let cacheMisses = 0;
 
 /**
- * Get phone numbers from cache (memory + database)
+ * Get phone numbers from cache (memory + unified lookup cache)
  */
 export async function getFromAppCache(phoneNumbers) {
   if (!phoneNumbers || phoneNumbers.length === 0) {
@@ -22,7 +127,7 @@ export async function getFromAppCache(phoneNumbers) {
     for (const phone of phoneNumbers) {
       const cached = inMemoryCache.get(phone);
       if (cached) {
-        results[phone] = cached;
+        results[phone] = cached.value;
         cacheHits++;
       }
     }
@@ -31,26 +136,9 @@ export async function getFromAppCache(phoneNumbers) {
     const uncached = phoneNumbers.filter(p => !results[p]);
     
     if (uncached.length > 0) {
-      const connection = await getConnection();
-      
-      const placeholders = uncached.map(() => '?').join(',');
-      
-      const [rows] = await connection.execute(
-        `SELECT 
-          e164,
-          is_ios,
-          supports_imessage,
-          supports_sms,
-          contact_type,
-          contact_id,
-          error
-         FROM blooio_cache
-         WHERE e164 IN (${placeholders})
-         AND last_checked >= DATE_SUB(NOW(), INTERVAL 6 MONTH)`,
-        uncached
-      );
+      const cacheMap = await getCachedResults('blooio', uncached);
       
-      rows.forEach(row => {
+      cacheMap.forEach((row, e164) => {
         const cacheData = {
           is_ios: Boolean(row.is_ios),
           supports_imessage: Boolean(row.supports_imessage),
@@ -60,12 +148,12 @@ export async function getFromAppCache(phoneNumbers) {
           error: row.error
         };
         
-        results[row.e164] = cacheData;
-        inMemoryCache.set(row.e164, cacheData);
+        results[e164] = cacheData;
+        inMemoryCache.set(e164, cacheData, memoryTtlMs(cacheData));
         cacheHits++;
       });
       
-      cacheMisses += (uncached.length - rows.length);
+      cacheMisses += (uncached.length - cacheMap.size);
     }
     
     return results;
@@ -77,56 +165,93 @@ export async function getFromAppCache(phoneNumbers) {
 }
 
 /**
- * Save phone number result to cache (memory + database)
+ * Get phone numbers from the in-memory layer only
+ * @param {Array<string>} phoneNumbers - Numbers in E.164 format
+ * @returns {object} - Cached data keyed by number, with cache_age_ms
  */
-export async function saveToAppCache(e164, data) {
+export function getBatchFromAppCache(phoneNumbers) {
+  const results = {};
+  const now = Date.now();
+  
+  for (const phone of phoneNumbers || []) {
+    const cached = inMemoryCache.get(phone);
+    
+    if (cached) {
+      results[phone] = { ...cached.value, cache_age_ms: now - cached.storedAt };
+      cacheHits++;
+    } else {
+      cacheMisses++;
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Save phone number result to cache (memory + unified lookup cache)
+ * @param {string} e164 - Phone number in E.164 format
+ * @param {object} data - Blooio fields (and source_key)
+ * @param {object} provenance - { fileId } file the lookup was made for
+ */
+export async function saveToAppCache(e164, data, provenance = {}) {
   try {
     // Save to in-memory cache
-    inMemoryCache.set(e164, data);
-    
-    // Save to database cache
-    const connection = await getConnection();
+    inMemoryCache.set(e164, data, memoryTtlMs(data));
     
-    await connection.execute(
-      `INSERT INTO blooio_cache 
-       (e164, is_ios, supports_imessage, supports_sms, contact_type, contact_id, error, last_checked)
-       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
-       ON DUPLICATE KEY UPDATE
-         is_ios = VALUES(is_ios),
-         supports_imessage = VALUES(supports_imessage),
-         supports_sms = VALUES(supports_sms),
-         contact_type = VALUES(contact_type),
-         contact_id = VALUES(contact_id),
-         error = VALUES(error),
-         last_checked = NOW()`,
-      [
-        e164,
-        data.is_ios ? 1 : 0,
-        data.supports_imessage ? 1 : 0,
-        data.supports_sms ? 1 : 0,
-        data.contact_type,
-        data.contact_id,
-        data.error
-      ]
-    );
+    // saveCachedResults skips errors that aren't about the number itself
+    await saveCachedResults('blooio', [{ ...data, e164 }], provenance);
     
   } catch (error) {
     console.error('Cache save error:', error);
   }
 }
 
+/**
+ * Save results to the in-memory layer only (e.g. promoted database hits)
+ * @param {Array<object>} results - Results with e164 and the Blooio fields
+ */
+export function saveBatchToAppCache(results) {
+  for (const result of results || []) {
+    const data = {
+      is_ios: result.is_ios,
+      supports_imessage: result.supports_imessage,
+      supports_sms: result.supports_sms,
+      contact_type: result.contact_type,
+      contact_id: result.contact_id,
+      error: result.error || null
+    };
+    
+    inMemoryCache.set(result.e164, data, memoryTtlMs(data));
+  }
+}
+
 /**
  * Get cache statistics
  */
 export function getCacheStats() {
   return {
+    // kept for backwards compatibility
     memorySize: inMemoryCache.size,
+    size: inMemoryCache.size,
+    maxSize: inMemoryCache.maxEntries,
+    usagePercent: ((inMemoryCache.size / inMemoryCache.maxEntries) * 100).toFixed(1),
+    memoryBytes: inMemoryCache.bytes,
+    maxMemoryBytes: inMemoryCache.maxBytes,
+    memoryUsagePercent: ((inMemoryCache.bytes / inMemoryCache.maxBytes) * 100).toFixed(1),
+    ttlMs: inMemoryCache.ttlMs,
+    evictions: inMemoryCache.evictions,
+    expirations: inMemoryCache.expirations,
     hits: cacheHits,
     misses: cacheMisses,
     hitRate: cacheHits > 0 ? ((cacheHits / (cacheHits + cacheMisses)) * 100).toFixed(2) : 0
   };
 }
 
+/**
+ * Alias of getCacheStats (used by the chunked Blooio route)
+ */
+export const getAppCacheStats = getCacheStats;
+
 /**
  * Clear in-memory cache
  */
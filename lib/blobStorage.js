@@ -1,4 +1,8 @@
-import { put, del, list, head } from '@vercel/blob';
+import { put, del, list, head, createMultipartUpload, completeMultipartUpload } from '@vercel/blob';
+import { generateClientTokenFromReadWriteToken } from '@vercel/blob/client';
+
+// How long a browser may keep uploading parts with one token
+const UPLOAD_TOKEN_TTL_MS = 6 * 60 * 60 * 1000;
 
 /**
  * Upload a file to Vercel Blob Storage
@@ -31,6 +35,88 @@ export async function uploadFile(file, filename, folder = 'uploads') {
   }
 }
 
+/**
+ * Start a multipart upload the browser sends parts to directly
+ * Parts go from the browser to Blob storage (function request bodies are
+ * limited to 4.5 MB); the server only creates and completes the upload.
+ * @param {string} pathname - Blob path (fixed, so a resumed upload writes the same blob)
+ * @param {number} maxSize - Largest file size allowed, in bytes
+ * @returns {Promise<object>} - { pathname, key, uploadId, token }
+ */
+export async function startMultipartUpload(pathname, maxSize) {
+  try {
+    const { key, uploadId } = await createMultipartUpload(pathname, {
+      access: 'public',
+      addRandomSuffix: false,
+      allowOverwrite: true
+    });
+    
+    return { pathname, key, uploadId, token: await createUploadToken(pathname, maxSize) };
+  } catch (error) {
+    console.error('Error starting multipart upload:', error);
+    throw error;
+  }
+}
+
+/**
+ * Client token for uploading parts of one blob from the browser
+ * @param {string} pathname - Blob path the token is limited to
+ * @param {number} maxSize - Largest file size allowed, in bytes
+ * @returns {Promise<string>}
+ */
+export async function createUploadToken(pathname, maxSize) {
+  return generateClientTokenFromReadWriteToken({
+    pathname,
+    maximumSizeInBytes: maxSize,
+    validUntil: Date.now() + UPLOAD_TOKEN_TTL_MS,
+    addRandomSuffix: false,
+    allowOverwrite: true
+  });
+}
+
+/**
+ * Assemble the uploaded parts into the final blob
+ * @param {string} pathname - Blob path given to startMultipartUpload()
+ * @param {Array<object>} parts - [{ partNumber, etag }] in any order
+ * @param {object} upload - { key, uploadId } from startMultipartUpload()
+ * @returns {Promise<object>} - { url, pathname, downloadUrl }
+ */
+export async function finishMultipartUpload(pathname, parts, { key, uploadId }) {
+  try {
+    const blob = await completeMultipartUpload(
+      pathname,
+      [...parts].sort((a, b) => a.partNumber - b.partNumber).map(({ partNumber, etag }) => ({ partNumber, etag })),
+      { access: 'public', key, uploadId }
+    );
+    
+    console.log(`File uploaded: ${blob.url}`);
+    
+    return {
+      url: blob.url,
+      pathname: blob.pathname,
+      downloadUrl: blob.downloadUrl
+    };
+  } catch (error) {
+    console.error('Error completing multipart upload:', error);
+    throw error;
+  }
+}
+
+/**
+ * Open a stored file as a byte stream, without loading it into memory
+ * @param {string} url - Blob URL
+ * @returns {Promise<ReadableStream>}
+ */
+export async function openFileStream(url) {
+  const response = await fetch(url, { cache: 'no-store' });
+  
+  if (!response.ok || !response.body) {
+    throw new Error(`Could not read ${url}: HTTP ${response.status}`);
+  }
+  
+  return response.body;
+}
+
 /**
  * Upload CSV results to Vercel Blob Storage
  * @param {string} csvContent - CSV content as string
@@ -0,0 +1,134 @@
+/**
+ * Blob upload bookkeeping
+ * Large files go from the browser straight to Blob storage as a multipart
+ * upload; the server keeps the upload's parts (upload_parts) so an
+ * interrupted upload can be resumed with the same upload key, then
+ * assembles the blob and hands it to the ingest job (see ingestJob.js).
+ *
+ * upload_status: uploading → merging (one request completes the blob) →
+ * completed, after which processing_status is 'parsing' until the ingest
+ * job has written the processing chunks.
+ */
+
+import { executeWithRetry } from './db.js';
+import { startMultipartUpload, createUploadToken, finishMultipartUpload } from './blobStorage.js';
+import { findUpload, claimMerge, releaseMerge } from './chunkedUploads.js';
+
+// Largest file accepted for a blob upload
+export const MAX_BLOB_UPLOAD_BYTES = 5 * 1024 * 1024 * 1024;
+
+/**
+ * Blob path of an upload - fixed per upload key, so resuming writes the same blob
+ */
+function uploadPathname(uploadKey, fileName) {
+  const safeName = String(fileName || 'upload.csv').replace(/[^\w.-]+/g, '_');
+  return `uploads/${uploadKey}/${safeName}`;
+}
+
+/**
+ * Start (or resume) the multipart upload of a file record
+ * @param {object} upload - uploaded_files row from findUpload()
+ * @returns {Promise<object>} - { pathname, key, uploadId, token }
+ */
+export async function openBlobUpload(upload) {
+  if (upload.blob_upload_id) {
+    return {
+      pathname: upload.storage_path,
+      key: upload.blob_key,
+      uploadId: upload.blob_upload_id,
+      token: await createUploadToken(upload.storage_path, MAX_BLOB_UPLOAD_BYTES)
+    };
+  }
+
+  const multipart = await startMultipartUpload(uploadPathname(upload.upload_key, upload.file_name), MAX_BLOB_UPLOAD_BYTES);
+
+  // Two starts at once: the first multipart upload stored wins
+  await executeWithRetry(
+    `UPDATE uploaded_files SET storage_path = ?, blob_key = ?, blob_upload_id = ?
+     WHERE id = ? AND blob_upload_id IS NULL`,
+    [multipart.pathname, multipart.key, multipart.uploadId, upload.id]
+  );
+
+  const current = await findUpload({ fileId: upload.id });
+  if (current.blob_upload_id === multipart.uploadId) return multipart;
+
+  return openBlobUpload(current);
+}
+
+/**
+ * Record a part the browser uploaded - re-sending a part replaces it
+ * @param {number} fileId - uploaded_files id
+ * @param {object} part - { partNumber, etag, size }
+ * @returns {Promise<number>} - Parts received so far
+ */
+export async function recordPart(fileId, { partNumber, etag, size }) {
+  await executeWithRetry(
+    `INSERT INTO upload_parts (file_id, part_number, etag, size)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE etag = VALUES(etag), size = VALUES(size)`,
+    [fileId, partNumber, etag, size || 0]
+  );
+
+  const [counts] = await executeWithRetry(
+    `SELECT COUNT(*) as received FROM upload_parts WHERE file_id = ?`,
+    [fileId]
+  );
+
+  await executeWithRetry(
+    `UPDATE uploaded_files SET chunks_received = ? WHERE id = ? AND upload_status = 'uploading'`,
+    [counts[0].received, fileId]
+  );
+
+  return counts[0].received;
+}
+
+/**
+ * Parts received so far
+ * @param {number} fileId - uploaded_files id
+ * @returns {Promise<Array>} - [{ partNumber, etag, size }] by part number
+ */
+export async function getUploadParts(fileId) {
+  const [parts] = await executeWithRetry(
+    `SELECT part_number, etag, size FROM upload_parts WHERE file_id = ? ORDER BY part_number ASC`,
+    [fileId]
+  );
+
+  return parts.map(part => ({ partNumber: part.part_number, etag: part.etag, size: Number(part.size) }));
+}
+
+/**
+ * Assemble the blob once every part is in, and queue the file for ingest
+ * @param {object} upload - uploaded_files row from findUpload()
+ * @returns {Promise<boolean>} - false when the upload isn't complete or another request is completing it
+ */
+export async function completeBlobUpload(upload) {
+  if (!(await claimMerge(upload.id))) return false;
+
+  try {
+    const parts = await getUploadParts(upload.id);
+    const blob = await finishMultipartUpload(upload.storage_path, parts, {
+      key: upload.blob_key,
+      uploadId: upload.blob_upload_id
+    });
+
+    await executeWithRetry(
+      `UPDATE uploaded_files
+       SET upload_status = 'completed',
+           processing_status = 'parsing',
+           original_file_url = ?,
+           original_file_size = ?,
+           ingest_attempts = 0,
+           ingest_token = NULL,
+           last_error = NULL
+       WHERE id = ?`,
+      [blob.url, parts.reduce((total, part) => total + part.size, 0), upload.id]
+    );
+
+    await executeWithRetry(`DELETE FROM upload_parts WHERE file_id = ?`, [upload.id]);
+  } catch (error) {
+    await releaseMerge(upload.id);
+    throw error;
+  }
+
+  return true;
+}
@@ -1,140 +1,230 @@
+import { createLookupResult, createErrorResult } from './lookupResult.js';
+import { getBucketKey, getRateLimiter, isThrottleStatus, parseRetryAfter } from './rateLimiter.js';
+import { acquireKey, recordKeyResult, disableKey, getAvailableKeyCount } from './blooioKeyPool.js';
+
 // Blooio API configuration
 const BLOOIO_API_BASE = process.env.BLOOIO_API_URL || 'https://backend.blooio.com/v2/api/contacts';
 const BLOOIO_API_KEY = process.env.BLOOIO_API_KEY;
+const PROVIDER_NAME = 'blooio';
+
+// Shared limiter for the configured key (kept for backwards compatibility)
+export const blooioRateLimiter = getRateLimiter(PROVIDER_NAME, BLOOIO_API_KEY);
 
-// Batch rate limiter - allows 4 requests per second in batches
-class BatchRateLimiter {
-  constructor(requestsPerSecond) {
-    this.requestsPerSecond = requestsPerSecond;
-    this.batchDelay = 1000; // 1 second between batches
-    this.lastBatchTime = 0;
+/**
+ * Map a Blooio HTTP error to a readable message
+ */
+function describeHttpError(status, errorText) {
+  if (status === 401) return 'Invalid API key';
+  if (status === 403) return 'API access forbidden';
+  if (status === 404) return 'Phone number not found';
+  if (status === 429) return 'Rate limit exceeded';
+  
+  let message = errorText;
+  try {
+    const errorData = JSON.parse(errorText);
+    message = errorData.message || errorData.error || errorText;
+  } catch (e) {
+    // Plain text error body
+  }
+  
+  if (status === 503 && message && message.includes('No active devices')) {
+    return 'Blooio: No active devices available';
   }
+  
+  return `HTTP ${status}${message ? `: ${message}` : ''}`;
+}
 
-  async acquireBatch(batchSize) {
-    // Ensure we don't exceed rate limit
-    if (batchSize > this.requestsPerSecond) {
-      throw new Error(`Batch size ${batchSize} exceeds rate limit of ${this.requestsPerSecond}`);
+/**
+ * Look up a single phone number via Blooio API
+ * Uses the next key from the key pool (round-robin, within daily quota) and
+ * fails over to another key when one is rejected with 401/403
+ * @param {string} e164 - Phone number in E.164 format
+ * @param {object} options - { apiKey, timeoutMs } - apiKey bypasses the pool
+ * @returns {Promise<object>} - Normalized lookup result (never throws)
+ */
+export async function lookup(e164, options = {}) {
+  if (options.apiKey) {
+    return lookupWithKey(e164, options.apiKey, options);
+  }
+  
+  const triedKeys = new Set();
+  let result = null;
+  
+  while (true) {
+    const key = await acquireKey(triedKeys);
+    
+    if (!key) {
+      if (result) return result;
+      
+      console.error('❌ No Blooio API key available - set BLOOIO_API_KEY or enable a key in the pool');
+      return createErrorResult(PROVIDER_NAME, e164, 'No Blooio API key available (none configured, all disabled or over daily quota)', {
+        retryable: true,
+        unavailable: true
+      });
     }
-
-    const now = Date.now();
-    const timeSinceLastBatch = now - this.lastBatchTime;
     
-    // Wait if we need to respect the rate limit
-    if (timeSinceLastBatch < this.batchDelay) {
-      const waitTime = this.batchDelay - timeSinceLastBatch;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    triedKeys.add(key.id);
+    
+    result = await lookupWithKey(e164, key.api_key, {
+      ...options,
+      requestsPerSecond: key.requests_per_second
+    });
+    
+    await recordKeyResult(key, result);
+    
+    if (result.status === 401 || result.status === 403) {
+      await disableKey(key, `HTTP ${result.status}: ${result.error}`);
+      continue;
     }
     
-    this.lastBatchTime = Date.now();
+    return result;
   }
 }
 
-export const blooioRateLimiter = new BatchRateLimiter(4);
-
 /**
- * Check a single phone number via Blooio API
+ * Look up a number with a specific API key
+ * Waits for that key's shared rate limiter and reports throttling
+ * (429 / 503) and successes back to it so the rate adapts
+ * @param {string} e164 - Phone number in E.164 format
+ * @param {string} apiKey - Blooio API key
+ * @param {object} options - { timeoutMs, requestsPerSecond }
+ * @returns {Promise<object>} - Normalized lookup result (never throws)
  */
-export async function checkBlooioSingle(phoneNumber) {
-  // Validate configuration
-  if (!BLOOIO_API_BASE) {
-    console.error('❌ BLOOIO_API_URL environment variable is not set');
-    throw new Error('BLOOIO_API_URL is not defined');
-  }
-  
-  if (!BLOOIO_API_KEY) {
-    console.error('❌ BLOOIO_API_KEY environment variable is not set');
-    throw new Error('BLOOIO_API_KEY is not defined');
-  }
+async function lookupWithKey(e164, apiKey, options = {}) {
+  const rateLimiter = getRateLimiter(PROVIDER_NAME, apiKey, {
+    requestsPerSecond: options.requestsPerSecond
+  });
   
   try {
-    // URL encode the phone number
-    const encodedPhone = encodeURIComponent(phoneNumber);
-    const apiUrl = `${BLOOIO_API_BASE}/${encodedPhone}/capabilities`;
-    
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${BLOOIO_API_KEY}`,
-        'Content-Type': 'application/json'
+    await rateLimiter.acquire();
+    
+    const response = await fetch(
+      `${BLOOIO_API_BASE}/${encodeURIComponent(e164)}/capabilities`,
+      {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Accept': 'application/json'
+        },
+        signal: AbortSignal.timeout(options.timeoutMs || 15000)
       }
-    });
+    );
     
     if (!response.ok) {
       const errorText = await response.text();
-      console.error(`Blooio API HTTP error: ${response.status}`, errorText);
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      
+      if (isThrottleStatus(response.status)) {
+        await rateLimiter.reportThrottle({ status: response.status, retryAfterMs });
+      }
       
-      return {
-        is_ios: null,
-        supports_imessage: null,
-        supports_sms: null,
-        contact_type: null,
-        contact_id: null,
-        error: `HTTP ${response.status}: ${errorText}`
-      };
+      return createErrorResult(PROVIDER_NAME, e164, describeHttpError(response.status, errorText), {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500,
+        retryAfterMs
+      });
     }
     
+    await rateLimiter.reportSuccess();
+    
     const data = await response.json();
     
-    // Parse Blooio response
-    const result = {
-      is_ios: Boolean(
-        data.is_ios || 
-        data.isIOS || 
-        data.ios || 
-        data.capabilities?.ios
-      ),
-      supports_imessage: Boolean(
-        data.supports_imessage || 
-        data.imessage || 
-        data.iMessage || 
-        data.capabilities?.imessage ||
-        data.capabilities?.iMessage
-      ),
-      supports_sms: Boolean(
-        data.supports_sms || 
-        data.sms || 
-        data.capabilities?.sms
-      ),
-      contact_type: data.contact_type || data.contactType || data.type || null,
-      contact_id: data.contact_id || data.contactId || data.id || null,
-      error: null
-    };
+    if (!data || typeof data !== 'object') {
+      return createErrorResult(PROVIDER_NAME, e164, 'Invalid API response format', { status: response.status });
+    }
     
-    return result;
+    if (data.error) {
+      return createErrorResult(PROVIDER_NAME, e164, data.message || data.error, { status: response.status, raw: data });
+    }
+    
+    if (!data.capabilities) {
+      return createErrorResult(PROVIDER_NAME, e164, 'Missing capabilities in response', { status: response.status, raw: data });
+    }
+    
+    const capabilities = data.capabilities;
+    const supportsIMessage = capabilities.imessage === true || capabilities.iMessage === true;
+    const supportsSMS = capabilities.sms === true || capabilities.SMS === true;
+    
+    return createLookupResult(PROVIDER_NAME, e164, {
+      is_ios: supportsIMessage,
+      supports_imessage: supportsIMessage,
+      supports_sms: supportsSMS,
+      contact_type: supportsIMessage ? 'iPhone' : (supportsSMS ? 'Android' : 'Unknown'),
+      contact_id: data.contact || data.contact_id || null,
+      status: response.status,
+      checked_at: data.last_checked_at || new Date().toISOString(),
+      source_key: getBucketKey(PROVIDER_NAME, apiKey),
+      raw: data
+    });
     
   } catch (error) {
-    console.error('Blooio API request failed:', error);
-    
-    return {
-      is_ios: null,
-      supports_imessage: null,
-      supports_sms: null,
-      contact_type: null,
-      contact_id: null,
-      error: error.message
-    };
+    const isTimeout = error.name === 'TimeoutError' || error.name === 'AbortError';
+    
+    return createErrorResult(PROVIDER_NAME, e164, isTimeout ? 'Request timeout' : error.message, {
+      retryable: true
+    });
   }
 }
 
 /**
- * Process multiple phones in parallel (respecting rate limits)
+ * Look up multiple phones in parallel batches
+ * Each lookup still waits for its own rate limiter slot
+ * @param {Array<string>} e164s - Phone numbers in E.164 format
+ * @param {object} options - { apiKey, timeoutMs, batchSize }
+ * @returns {Promise<Array>} - Normalized results in input order
  */
-export async function checkBlooioBatch(phones, batchSize = 4) {
+export async function bulkLookup(e164s, options = {}) {
+  const batchSize = options.batchSize || blooioRateLimiter.requestsPerSecond;
   const results = [];
   
-  // Process in batches of up to 4
-  for (let i = 0; i < phones.length; i += batchSize) {
-    const batch = phones.slice(i, i + batchSize);
-    
-    // Wait for rate limiter
-    await blooioRateLimiter.acquireBatch(batch.length);
+  for (let i = 0; i < e164s.length; i += batchSize) {
+    const batch = e164s.slice(i, i + batchSize);
     
     // Process entire batch in parallel
-    const batchPromises = batch.map(phone => checkBlooioSingle(phone));
-    const batchResults = await Promise.all(batchPromises);
+    const batchResults = await Promise.all(batch.map(e164 => lookup(e164, options)));
     
     results.push(...batchResults);
   }
   
   return results;
-}
\ No newline at end of file
+}
+
+/**
+ * Blooio does not expose a credits endpoint
+ */
+export async function checkCredits() {
+  return null;
+}
+
+/**
+ * Health check - Blooio has no status endpoint, so verify configuration only
+ */
+export async function healthCheck() {
+  if (!BLOOIO_API_BASE) {
+    return { healthy: false, error: 'BLOOIO_API_URL not configured' };
+  }
+  
+  let keyCount;
+  try {
+    keyCount = await getAvailableKeyCount();
+  } catch (error) {
+    keyCount = BLOOIO_API_KEY ? 1 : 0;
+  }
+  
+  if (keyCount === 0) {
+    return { healthy: false, error: 'No enabled Blooio API keys (set BLOOIO_API_KEY or add keys via /api/api-keys)' };
+  }
+  
+  return { healthy: true, message: `Blooio API configured (${keyCount} key${keyCount === 1 ? '' : 's'})` };
+}
+
+export const blooioProvider = {
+  name: PROVIDER_NAME,
+  label: 'Blooio',
+  bulkLimit: blooioRateLimiter.requestsPerSecond,
+  lookup,
+  bulkLookup,
+  checkCredits,
+  healthCheck
+};
+
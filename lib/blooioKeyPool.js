@@ -0,0 +1,298 @@
+/**
+ * Blooio API key pool
+ * Keys live in blooio_api_keys so several Blooio accounts can share the load.
+ * Lookups rotate round-robin over enabled keys that still have daily quota,
+ * each key drawing from its own rate limiter bucket. A key answering 401/403
+ * is disabled automatically and the lookup fails over to the next one.
+ *
+ * BLOOIO_API_KEY is seeded into the pool on first use, and is used on its
+ * own when the database is not configured or unreachable.
+ */
+
+import { executeWithRetry } from './db.js';
+import { ensureSchema } from './schema.js';
+import { getBucketKey, getProviderLimit } from './rateLimiter.js';
+
+const ENV_API_KEY = process.env.BLOOIO_API_KEY;
+const POOL_REFRESH_MS = 10000;
+
+// Stand-in pool entry for the environment key
+const ENV_KEY = { id: null, label: 'BLOOIO_API_KEY', api_key: ENV_API_KEY, requests_per_second: null, daily_quota: null };
+
+let poolCache = null;
+let envKeySeeded = false;
+let nextIndex = 0;
+
+// Keys found out of quota, skipped until the pool is reloaded
+const exhaustedKeys = new Set();
+
+/**
+ * Current usage day (quotas reset at midnight UTC)
+ */
+function usageDate() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Mask an API key for display
+ */
+export function maskApiKey(apiKey) {
+  if (!apiKey) return null;
+  if (apiKey.length <= 8) return '****';
+  return `${apiKey.substring(0, 4)}…${apiKey.substring(apiKey.length - 4)}`;
+}
+
+/**
+ * Enabled keys (cached per instance for POOL_REFRESH_MS)
+ */
+async function loadKeys() {
+  if (!process.env.DB_HOST) {
+    return ENV_API_KEY ? [ENV_KEY] : [];
+  }
+
+  if (poolCache && Date.now() - poolCache.loadedAt < POOL_REFRESH_MS) {
+    return poolCache.keys;
+  }
+
+  await ensureSchema();
+
+  if (ENV_API_KEY && !envKeySeeded) {
+    await executeWithRetry(
+      `INSERT IGNORE INTO blooio_api_keys (label, api_key) VALUES (?, ?)`,
+      [ENV_KEY.label, ENV_API_KEY]
+    );
+    envKeySeeded = true;
+  }
+
+  const [keys] = await executeWithRetry(
+    `SELECT id, label, api_key, requests_per_second, daily_quota
+     FROM blooio_api_keys
+     WHERE enabled = 1
+     ORDER BY id`
+  );
+
+  poolCache = { keys, loadedAt: Date.now() };
+  exhaustedKeys.clear();
+
+  return keys;
+}
+
+/**
+ * Count one request against a key's daily quota
+ * @returns {Promise<boolean>} - false when the quota is used up
+ */
+async function reserveQuota(key) {
+  if (key.id === null) return true;
+
+  const quota = key.daily_quota ?? null;
+  if (quota !== null && quota <= 0) return false;
+
+  const date = usageDate();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const [result] = await executeWithRetry(
+      `UPDATE blooio_api_key_usage
+       SET requests = requests + 1
+       WHERE key_id = ? AND usage_date = ? AND (? IS NULL OR requests < ?)`,
+      [key.id, date, quota, quota]
+    );
+
+    if (result.affectedRows > 0) return true;
+
+    // First request of the day (or over quota - the retry tells)
+    if (attempt === 0) {
+      await executeWithRetry(
+        `INSERT IGNORE INTO blooio_api_key_usage (key_id, usage_date) VALUES (?, ?)`,
+        [key.id, date]
+      );
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Take the next key with quota left (round-robin) and count the request
+ * @param {Set} triedKeys - Key ids already tried for this lookup
+ * @returns {Promise<object|null>} - { id, label, api_key, requests_per_second, daily_quota } or null when none is available
+ */
+export async function acquireKey(triedKeys = new Set()) {
+  let keys;
+
+  try {
+    keys = await loadKeys();
+  } catch (error) {
+    console.warn(`⚠️ Blooio key pool unavailable (${error.message}) - using BLOOIO_API_KEY`);
+    keys = ENV_API_KEY ? [ENV_KEY] : [];
+  }
+
+  const candidates = keys.filter(key => !triedKeys.has(key.id) && !exhaustedKeys.has(key.id));
+
+  for (let i = 0; i < candidates.length; i++) {
+    const key = candidates[(nextIndex + i) % candidates.length];
+
+    try {
+      if (!(await reserveQuota(key))) {
+        console.warn(`⚠️ Blooio key "${key.label}" reached its daily quota of ${key.daily_quota}`);
+        exhaustedKeys.add(key.id);
+        continue;
+      }
+    } catch (error) {
+      // Quota tracking down - don't block lookups on it
+      console.warn(`⚠️ Could not count usage for Blooio key "${key.label}": ${error.message}`);
+    }
+
+    nextIndex = (nextIndex + i + 1) % candidates.length;
+    return key;
+  }
+
+  return null;
+}
+
+/**
+ * Record the outcome of a request made with a pooled key
+ * @param {object} key - Key from acquireKey()
+ * @param {object} result - Normalized lookup result
+ */
+export async function recordKeyResult(key, result) {
+  if (key.id === null || !result.error) return;
+
+  try {
+    await executeWithRetry(
+      `UPDATE blooio_api_key_usage
+       SET errors = errors + 1, throttled = throttled + ?
+       WHERE key_id = ? AND usage_date = ?`,
+      [result.status === 429 || result.status === 503 ? 1 : 0, key.id, usageDate()]
+    );
+  } catch (error) {
+    console.warn(`⚠️ Could not record usage for Blooio key "${key.label}": ${error.message}`);
+  }
+}
+
+/**
+ * Take a key out of rotation (e.g. after 401/403)
+ * @param {object} key - Key from acquireKey()
+ * @param {string} reason - Why it was disabled
+ */
+export async function disableKey(key, reason) {
+  console.error(`❌ Disabling Blooio key "${key.label}": ${reason}`);
+
+  if (key.id === null) return;
+
+  try {
+    await executeWithRetry(
+      `UPDATE blooio_api_keys SET enabled = 0, disabled_reason = ? WHERE id = ?`,
+      [String(reason).substring(0, 255), key.id]
+    );
+    poolCache = null;
+  } catch (error) {
+    console.error(`Failed to disable Blooio key "${key.label}":`, error.message);
+  }
+}
+
+/**
+ * Number of keys currently in rotation
+ */
+export async function getAvailableKeyCount() {
+  return (await loadKeys()).length;
+}
+
+/**
+ * Combined configured rate of every enabled key
+ */
+export async function getPoolRequestsPerSecond() {
+  const defaultRate = getProviderLimit('blooio').requestsPerSecond;
+  const keys = await loadKeys();
+
+  return keys.reduce((total, key) => total + (key.requests_per_second || defaultRate), 0);
+}
+
+/**
+ * All keys with today's usage (API keys masked, bucket_key links to rate limiter status)
+ */
+export async function listKeys() {
+  await loadKeys();
+
+  const [rows] = await executeWithRetry(
+    `SELECT k.id, k.label, k.api_key, k.enabled, k.requests_per_second, k.daily_quota,
+            k.disabled_reason, k.created_at,
+            COALESCE(u.requests, 0) as requests_today,
+            COALESCE(u.errors, 0) as errors_today,
+            COALESCE(u.throttled, 0) as throttled_today,
+            u.updated_at as last_used_at
+     FROM blooio_api_keys k
+     LEFT JOIN blooio_api_key_usage u ON u.key_id = k.id AND u.usage_date = ?
+     ORDER BY k.id`,
+    [usageDate()]
+  );
+
+  return rows.map(({ api_key, ...row }) => ({
+    ...row,
+    enabled: Boolean(row.enabled),
+    masked_key: maskApiKey(api_key),
+    bucket_key: getBucketKey('blooio', api_key),
+    quota_remaining: row.daily_quota === null ? null : Math.max(0, row.daily_quota - row.requests_today)
+  }));
+}
+
+/**
+ * Add a key to the pool
+ * @param {object} data - { label, apiKey, requestsPerSecond, dailyQuota }
+ * @returns {Promise<number>} - New key id
+ */
+export async function addKey({ label, apiKey, requestsPerSecond = null, dailyQuota = null }) {
+  await ensureSchema();
+
+  const [result] = await executeWithRetry(
+    `INSERT INTO blooio_api_keys (label, api_key, requests_per_second, daily_quota)
+     VALUES (?, ?, ?, ?)`,
+    [label, apiKey, requestsPerSecond, dailyQuota]
+  );
+
+  poolCache = null;
+  return result.insertId;
+}
+
+/**
+ * Update a key's label, limits or enabled flag
+ * @param {number} id - Key id
+ * @param {object} fields - { label, enabled, requestsPerSecond, dailyQuota }
+ * @returns {Promise<boolean>} - false if the key does not exist
+ */
+export async function updateKey(id, fields) {
+  await ensureSchema();
+
+  const updates = [];
+  const params = [];
+
+  if (fields.label !== undefined) {
+    updates.push('label = ?');
+    params.push(fields.label);
+  }
+
+  if (fields.enabled !== undefined) {
+    // Re-enabling clears the reason it was switched off
+    updates.push('enabled = ?', 'disabled_reason = ?');
+    params.push(fields.enabled ? 1 : 0, fields.enabled ? null : 'Disabled manually');
+  }
+
+  if (fields.requestsPerSecond !== undefined) {
+    updates.push('requests_per_second = ?');
+    params.push(fields.requestsPerSecond);
+  }
+
+  if (fields.dailyQuota !== undefined) {
+    updates.push('daily_quota = ?');
+    params.push(fields.dailyQuota);
+  }
+
+  if (updates.length === 0) return true;
+
+  const [result] = await executeWithRetry(
+    `UPDATE blooio_api_keys SET ${updates.join(', ')} WHERE id = ?`,
+    [...params, id]
+  );
+
+  poolCache = null;
+  return result.affectedRows > 0;
+}
@@ -0,0 +1,131 @@
+/**
+ * Lookup cache TTL policy
+ * How long a cached answer is trusted depends on the provider and on what the
+ * answer was: a positive iMessage result rarely changes, an SMS-only number
+ * may move to an iPhone, litigator lists are updated often and errors are
+ * only worth remembering long enough to stop hammering the API.
+ *
+ * Each (provider, outcome) TTL is in days and can be overridden with
+ * CACHE_TTL_<PROVIDER>_<OUTCOME>_DAYS, e.g. CACHE_TTL_BLOOIO_SMS_ONLY_DAYS=30
+ * or CACHE_TTL_SUBSCRIBER_VERIFY_LITIGATOR_DAYS=14.
+ */
+
+// Environment variable prefix per provider (matches the rate limit settings)
+const ENV_PREFIXES = {
+  blooio: 'BLOOIO',
+  subscriberverify: 'SUBSCRIBER_VERIFY'
+};
+
+// Default TTLs in days; `default` covers rows without a known outcome
+const DEFAULT_TTL_DAYS = {
+  blooio: {
+    imessage: 180,
+    sms_only: 60,
+    no_capability: 60,
+    error: 1,
+    default: 180
+  },
+  subscriberverify: {
+    send: 90,
+    unsubscribe: 90,
+    blacklist: 90,
+    litigator: 30,
+    error: 1,
+    default: 90
+  }
+};
+
+// Error statuses that say nothing about the number itself
+const UNCACHEABLE_ERROR_STATUSES = [401, 403, 408, 429];
+
+function readTtlOverride(provider, outcome, fallback) {
+  const name = `CACHE_TTL_${ENV_PREFIXES[provider]}_${outcome.toUpperCase()}_DAYS`;
+  const value = parseFloat(process.env[name]);
+
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const CACHE_POLICY = Object.fromEntries(
+  Object.entries(DEFAULT_TTL_DAYS).map(([provider, outcomes]) => [
+    provider,
+    Object.fromEntries(
+      Object.entries(outcomes).map(([outcome, days]) => [outcome, readTtlOverride(provider, outcome, days)])
+    )
+  ])
+);
+
+/**
+ * Effective TTL policy (days per provider and outcome)
+ */
+export function getCachePolicy() {
+  return JSON.parse(JSON.stringify(CACHE_POLICY));
+}
+
+/**
+ * TTL for one provider's outcomes
+ * @param {string} provider - Provider name
+ * @returns {object} - { outcome: days, default: days }
+ */
+export function getProviderTtls(provider) {
+  const ttls = CACHE_POLICY[provider];
+
+  if (!ttls) {
+    throw new Error(`No cache TTL policy defined for provider: ${provider}`);
+  }
+
+  return ttls;
+}
+
+/**
+ * TTL in days for a provider outcome (the provider default for unknown outcomes)
+ */
+export function getTtlDays(provider, outcome) {
+  const ttls = getProviderTtls(provider);
+  return ttls[outcome] ?? ttls.default;
+}
+
+/**
+ * Classify a lookup result for the TTL policy
+ * @param {string} provider - Provider name
+ * @param {object} result - Normalized lookup result or cached data
+ * @returns {string} - Outcome name (a key of the provider's policy)
+ */
+export function classifyOutcome(provider, result) {
+  if (provider === 'blooio') {
+    if (result.error) return 'error';
+    if (result.supports_imessage) return 'imessage';
+    if (result.supports_sms) return 'sms_only';
+    return 'no_capability';
+  }
+
+  if (provider === 'subscriberverify') {
+    if (result.error || result.action === 'error') return 'error';
+    if (result.litigator) return 'litigator';
+    return result.action || 'default';
+  }
+
+  return 'default';
+}
+
+/**
+ * Whether a result may be cached
+ * Successful answers always are. Errors only when the provider answered for
+ * this number - not timeouts, throttling, outages or key/auth problems
+ */
+export function isCacheable(result) {
+  if (!result.error) return true;
+  if (result.retryable) return false;
+  if (result.raw) return true;
+
+  return result.status >= 400 && result.status < 500 && !UNCACHEABLE_ERROR_STATUSES.includes(result.status);
+}
+
+/**
+ * Cache cutoff for an uploaded file
+ * Files uploaded with force_refresh ignore anything cached before the upload
+ * @param {object} file - uploaded_files row
+ * @returns {Date|null} - Only trust entries checked after this time
+ */
+export function getRefreshCutoff(file) {
+  return file && file.force_refresh && file.upload_date ? new Date(file.upload_date) : null;
+}
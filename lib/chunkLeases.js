@@ -0,0 +1,162 @@
+/**
+ * Leases on processing chunks
+ * A process-queue run claims each chunk it takes with its own owner token
+ * and a lease that expires LEASE_SECONDS later, and renews the leases of
+ * the chunks it's working on while it works. A run that dies (timeout,
+ * crash) stops renewing; the next run puts chunks with an expired lease
+ * back in the queue, so no chunk stays 'processing' for good.
+ *
+ * Each claim counts as an attempt. A failed chunk is retried after a
+ * backoff that doubles per attempt, and one that has been claimed
+ * MAX_CHUNK_ATTEMPTS times without finishing is given up on by the run
+ * that claims it next (its numbers get error results - see process-queue).
+ *
+ * A pending chunk with retry_at set waits until then without using up an
+ * attempt (numbers put off while no Blooio key is available).
+ */
+
+import { randomUUID } from 'crypto';
+import { executeWithRetry } from './db.js';
+
+export const LEASE_SECONDS = 120;
+export const LEASE_RENEW_INTERVAL_MS = 30000;
+
+export const MAX_CHUNK_ATTEMPTS = 8;
+
+// Wait before a failed chunk is taken again: 30s, 1m, 2m, ... up to 15m
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 900;
+
+// Wait before numbers put off for want of a Blooio key are taken again
+export const UNAVAILABLE_RETRY_SECONDS = 900;
+
+/**
+ * Owner token for a run
+ */
+export function newLeaseOwner() {
+  return randomUUID();
+}
+
+/**
+ * Put chunks whose lease expired back in the queue
+ * Chunks left 'processing' without a lease (claimed before leases) count as expired.
+ * @returns {Promise<number>} - Chunks reclaimed
+ */
+export async function reclaimExpiredLeases() {
+  const [result] = await executeWithRetry(
+    `UPDATE processing_chunks
+     SET chunk_status = 'pending', lease_owner = NULL, lease_expires_at = NULL
+     WHERE chunk_status = 'processing'
+     AND (lease_expires_at IS NULL OR lease_expires_at < NOW())`
+  );
+
+  return result.affectedRows;
+}
+
+/**
+ * Claim the next chunk of a file - pending chunks first, then failed ones, each once its retry_at has passed
+ * @param {number} fileId - uploaded_files id
+ * @param {string} owner - Owner token of the run
+ * @returns {Promise<object|null>} - processing_chunks row (attempts includes this claim), or null when there is none
+ */
+export async function claimNextChunk(fileId, owner) {
+  // Another run can claim the same chunk in between - then try the next one
+  for (let tries = 0; tries < 3; tries++) {
+    const [candidates] = await executeWithRetry(
+      `SELECT id FROM processing_chunks
+       WHERE file_id = ?
+       AND chunk_status IN ('pending', 'failed')
+       AND (retry_at IS NULL OR retry_at <= NOW())
+       ORDER BY
+         CASE chunk_status
+           WHEN 'pending' THEN 0
+           WHEN 'failed' THEN 1
+         END,
+         chunk_offset ASC
+       LIMIT 1`,
+      [fileId]
+    );
+
+    if (candidates.length === 0) return null;
+
+    const [result] = await executeWithRetry(
+      `UPDATE processing_chunks
+       SET chunk_status = 'processing',
+           lease_owner = ?,
+           lease_expires_at = NOW() + INTERVAL ${LEASE_SECONDS} SECOND,
+           attempts = attempts + 1
+       WHERE id = ? AND chunk_status IN ('pending', 'failed')`,
+      [owner, candidates[0].id]
+    );
+
+    if (result.affectedRows === 1) {
+      const [chunks] = await executeWithRetry(`SELECT * FROM processing_chunks WHERE id = ?`, [candidates[0].id]);
+      return chunks[0];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Keep the leases of chunks being worked on from expiring
+ * @param {Array<number>} chunkIds - processing_chunks ids
+ * @param {string} owner - Owner token of the run
+ * @returns {Function} - Stops renewing
+ */
+export function renewLeases(chunkIds, owner) {
+  const timer = setInterval(async () => {
+    try {
+      const [result] = await executeWithRetry(
+        `UPDATE processing_chunks SET lease_expires_at = NOW() + INTERVAL ${LEASE_SECONDS} SECOND
+         WHERE id IN (${chunkIds.map(() => '?').join(', ')}) AND lease_owner = ?`,
+        [...chunkIds, owner]
+      );
+
+      if (result.affectedRows < chunkIds.length) {
+        console.warn(`⚠️ Lost the lease on ${chunkIds.length - result.affectedRows} of ${chunkIds.length} chunks (${chunkIds.join(', ')})`);
+      }
+    } catch (error) {
+      // The lease is still good until it expires - the next renewal tries again
+      console.error('Lease renewal failed:', error.message);
+    }
+  }, LEASE_RENEW_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Whether the run still holds its lease on a chunk
+ * (it lapsed and the chunk was reclaimed when the run stalled for too long)
+ */
+export async function holdsLease(chunkId, owner) {
+  const [rows] = await executeWithRetry(
+    `SELECT 1 FROM processing_chunks WHERE id = ? AND lease_owner = ? AND chunk_status = 'processing'`,
+    [chunkId, owner]
+  );
+
+  return rows.length === 1;
+}
+
+/**
+ * Finish with a chunk and give up its lease
+ * @param {number} chunkId - processing_chunks id
+ * @param {string} owner - Owner token of the run
+ * @param {string} status - 'completed', or 'failed' to have it taken again after the backoff
+ * @param {string} [error] - Why it failed
+ * @returns {Promise<boolean>} - false when the lease was lost
+ */
+export async function releaseChunk(chunkId, owner, status, error = null) {
+  const [result] = await executeWithRetry(
+    `UPDATE processing_chunks
+     SET chunk_status = ?,
+         lease_owner = NULL,
+         lease_expires_at = NULL,
+         last_error = COALESCE(?, last_error),
+         retry_at = IF(? = 'failed', NOW() + INTERVAL LEAST(? * POW(2, attempts - 1), ?) SECOND, NULL)
+     WHERE id = ? AND lease_owner = ?`,
+    [status, error ? String(error).substring(0, 255) : null, status, RETRY_BASE_SECONDS, MAX_RETRY_SECONDS, chunkId, owner]
+  );
+
+  return result.affectedRows === 1;
+}
@@ -0,0 +1,176 @@
+/**
+ * Chunked upload bookkeeping
+ * Uploads are keyed by an ID the browser generates (uploaded_files.upload_key)
+ * so an interrupted upload can be resumed after a reload. Each stored chunk
+ * keeps its SHA-256 checksum: re-sending a chunk is a no-op, re-sending it
+ * with different content replaces it, and chunks_received is always the
+ * number of distinct chunks stored, never a running count.
+ *
+ * upload_status: uploading → merging (one request builds the processing
+ * chunks) → completed
+ */
+
+import { createHash } from 'crypto';
+import { executeWithRetry, executeTransaction } from './db.js';
+
+const UPLOAD_COLUMNS = `id, upload_key, file_name, upload_status, chunk_count, chunks_received, processing_status, processing_total,
+  storage_path, blob_key, blob_upload_id, last_error, ingest_stats`;
+
+/**
+ * SHA-256 of a chunk's text (hex) - the uploader computes the same over UTF-8
+ * @param {string} chunkData - Chunk content
+ * @returns {string}
+ */
+export function hashChunk(chunkData) {
+  return createHash('sha256').update(chunkData, 'utf8').digest('hex');
+}
+
+/**
+ * Find an upload by its client key or file id
+ * @param {object} ref - { uploadKey } or { fileId }
+ * @returns {Promise<object|null>} - uploaded_files row
+ */
+export async function findUpload({ uploadKey, fileId }) {
+  if (!uploadKey && !fileId) return null;
+
+  const [rows] = await executeWithRetry(
+    `SELECT ${UPLOAD_COLUMNS} FROM uploaded_files WHERE ${uploadKey ? 'upload_key' : 'id'} = ?`,
+    [uploadKey || fileId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Store one chunk idempotently
+ * The upload row is locked while the chunk is written so concurrent chunks
+ * of one upload can't miscount.
+ * @param {number} fileId - uploaded_files id
+ * @param {number} chunkIndex - 0-based chunk index
+ * @param {string} chunkData - Chunk content
+ * @param {string} checksum - hashChunk(chunkData)
+ * @returns {Promise<object>} - { stored, duplicate, replaced, chunksReceived, chunkCount, uploadStatus }
+ */
+export async function storeChunk(fileId, chunkIndex, chunkData, checksum) {
+  return executeTransaction(async (connection) => {
+    const [uploads] = await connection.execute(
+      `SELECT upload_status, chunk_count FROM uploaded_files WHERE id = ? FOR UPDATE`,
+      [fileId]
+    );
+
+    if (uploads.length === 0) {
+      throw new Error(`Upload ${fileId} not found`);
+    }
+
+    const upload = uploads[0];
+
+    // Already merged - nothing to store
+    if (upload.upload_status !== 'uploading') {
+      return {
+        stored: false,
+        duplicate: true,
+        replaced: false,
+        chunksReceived: upload.chunk_count,
+        chunkCount: upload.chunk_count,
+        uploadStatus: upload.upload_status
+      };
+    }
+
+    const [existing] = await connection.execute(
+      `SELECT checksum FROM file_chunks WHERE file_id = ? AND chunk_index = ?`,
+      [fileId, chunkIndex]
+    );
+
+    const duplicate = existing.length > 0 && existing.every(chunk => chunk.checksum === checksum);
+    const replaced = existing.length > 0 && !duplicate;
+
+    if (replaced) {
+      // Chunks stored before checksums were kept, or re-sent with other content
+      await connection.execute(
+        `DELETE FROM file_chunks WHERE file_id = ? AND chunk_index = ?`,
+        [fileId, chunkIndex]
+      );
+    }
+
+    if (!duplicate) {
+      await connection.execute(
+        `INSERT INTO file_chunks (file_id, chunk_index, chunk_data, checksum)
+         VALUES (?, ?, ?, ?)`,
+        [fileId, chunkIndex, chunkData, checksum]
+      );
+    }
+
+    const [counts] = await connection.execute(
+      `SELECT COUNT(DISTINCT chunk_index) as received FROM file_chunks WHERE file_id = ?`,
+      [fileId]
+    );
+
+    const chunksReceived = counts[0].received;
+
+    await connection.execute(
+      `UPDATE uploaded_files SET chunks_received = ? WHERE id = ?`,
+      [chunksReceived, fileId]
+    );
+
+    return {
+      stored: !duplicate,
+      duplicate,
+      replaced,
+      chunksReceived,
+      chunkCount: upload.chunk_count,
+      uploadStatus: upload.upload_status
+    };
+  });
+}
+
+/**
+ * Received and missing chunks of an upload
+ * @param {object} upload - uploaded_files row from findUpload()
+ * @returns {Promise<object>} - { receivedChunks: [{ index, checksum }], missingChunks: [index] }
+ */
+export async function getChunkStatus(upload) {
+  const [chunks] = await executeWithRetry(
+    `SELECT chunk_index, checksum FROM file_chunks WHERE file_id = ? ORDER BY chunk_index ASC`,
+    [upload.id]
+  );
+
+  const received = new Map(chunks.map(chunk => [chunk.chunk_index, chunk.checksum]));
+  const missingChunks = [];
+
+  // Merged uploads have had their chunks cleaned up
+  if (upload.upload_status === 'uploading') {
+    for (let index = 0; index < upload.chunk_count; index++) {
+      if (!received.has(index)) missingChunks.push(index);
+    }
+  }
+
+  return {
+    receivedChunks: [...received].map(([index, checksum]) => ({ index, checksum })),
+    missingChunks
+  };
+}
+
+/**
+ * Claim the merge of a fully received upload
+ * Only one request wins, even when the last chunk is sent twice.
+ * @returns {Promise<boolean>} - true when this caller should merge
+ */
+export async function claimMerge(fileId) {
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files SET upload_status = 'merging'
+     WHERE id = ? AND upload_status = 'uploading' AND chunks_received >= chunk_count`,
+    [fileId]
+  );
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * Give a failed merge back so re-sending a chunk retries it
+ */
+export async function releaseMerge(fileId) {
+  await executeWithRetry(
+    `UPDATE uploaded_files SET upload_status = 'uploading' WHERE id = ? AND upload_status = 'merging'`,
+    [fileId]
+  );
+}
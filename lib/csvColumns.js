@@ -0,0 +1,446 @@
+/**
+ * CSV column handling for uploads and result files
+ * Uploads keep every column of the source file: the header is stored on the
+ * file (uploaded_files.source_columns), each queued phone carries its full
+ * row, and result CSVs write that row back with the lookup columns appended
+ * so the file can be re-imported where it came from.
+ */
+
+import { Readable } from 'stream';
+import { parse } from 'csv-parse';
+import { processPhoneArray } from './phoneValidator.js';
+import { detectEncoding, sniffDelimiter } from './csvFormat.js';
+import { PHONE_COLUMN_NAMES, TEXT_PHONE_COLUMN, getUploadFormat } from './uploadFormats.js';
+import { readXlsxSheet } from './xlsxReader.js';
+
+export { PHONE_COLUMN_NAMES };
+
+// Prefix for lookup columns whose name is already used by the source file
+const LOOKUP_COLUMN_PREFIX = 'lookup_';
+
+// How much of the file is read before choosing the encoding and delimiter
+const SAMPLE_BYTES = 64 * 1024;
+
+// Malformed lines kept for reporting (all of them are counted)
+const MAX_MALFORMED_REPORTED = 1000;
+
+function concatBytes(parts) {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+
+  return bytes;
+}
+
+/**
+ * Read a whole input (bytes, or chunks of text or bytes) into one buffer
+ */
+async function readAllBytes(input) {
+  if (input instanceof Uint8Array) return input;
+
+  const encoder = new TextEncoder();
+  const parts = [];
+
+  for await (const chunk of input) {
+    parts.push(typeof chunk === 'string' ? encoder.encode(chunk) : new Uint8Array(chunk));
+  }
+
+  return concatBytes(parts);
+}
+
+/**
+ * Turn the input into text chunks, decoding bytes with the detected encoding
+ * @param {string|AsyncIterable|Iterable} input - Text, or chunks of text or bytes
+ * @param {object} state - Receives the detected encoding
+ */
+async function* textChunks(input, state) {
+  if (typeof input === 'string') {
+    state.encoding = 'utf-8';
+    yield input;
+    return;
+  }
+
+  let decoder = null;
+  let pending = [];
+  let pendingLength = 0;
+
+  const startDecoding = () => {
+    const sample = concatBytes(pending);
+    pending = [];
+    decoder = new TextDecoder(state.encoding = detectEncoding(sample));
+    return decoder.decode(sample, { stream: true });
+  };
+
+  for await (const chunk of input) {
+    if (typeof chunk === 'string') {
+      state.encoding = state.encoding || 'utf-8';
+      yield chunk;
+      continue;
+    }
+
+    const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+
+    if (decoder) {
+      yield decoder.decode(bytes, { stream: true });
+      continue;
+    }
+
+    pending.push(bytes);
+    pendingLength += bytes.length;
+
+    if (pendingLength >= SAMPLE_BYTES) {
+      yield startDecoding();
+    }
+  }
+
+  if (!decoder && pendingLength > 0) {
+    yield startDecoding();
+  }
+
+  if (decoder) {
+    const rest = decoder.decode();
+    if (rest) yield rest;
+  }
+}
+
+/**
+ * Text chunks with CRLF line breaks turned into LF
+ * csv-parse counts both halves of a CRLF inside a quoted field as a line,
+ * which would put every later record's line number off by one.
+ */
+async function* lfChunks(chunks) {
+  let carry = '';
+
+  for await (const text of chunks) {
+    const joined = carry + text;
+
+    // Hold back a trailing CR - it may be the first half of a CRLF
+    const cut = joined.endsWith('\r') ? joined.length - 1 : joined.length;
+    carry = joined.substring(cut);
+
+    const converted = joined.substring(0, cut).replace(/\r\n/g, '\n');
+    if (converted) yield converted;
+  }
+
+  if (carry) yield carry;
+}
+
+// Line breaks inside a record's (quoted) fields
+function lineBreaks(record) {
+  let count = 0;
+  for (const value of record) {
+    count += String(value).match(/\r\n|\r|\n/g)?.length || 0;
+  }
+  return count;
+}
+
+/**
+ * Open a CSV stream (RFC 4180: quoted fields, embedded delimiters and line
+ * breaks, CRLF, BOM): read the header, then hand out data records as they
+ * are parsed, so files of any size can be processed in batches
+ * The encoding and delimiter (comma, semicolon, tab or pipe) are detected from
+ * the start of the file. Records that can't be parsed (bad quoting, more fields
+ * than the header) are skipped and reported with their line number. A record
+ * is numbered by the line it starts on; CRLF inside quoted fields becomes LF.
+ * @param {string|AsyncIterable|Iterable} input - CSV text, a file's byte stream
+ *   (e.g. File.stream() or a fetch() body) or chunks of text
+ * @param {object} options - { delimiter } forced delimiter
+ * @returns {Promise<object>} - { headers, records, delimiter, encoding, malformed, malformedCount }
+ *   records yields { record, line }; malformed and malformedCount fill in as records are read
+ */
+export async function openCsvStream(input, options = {}) {
+  const state = { encoding: null };
+  const chunks = lfChunks(textChunks(input, state));
+
+  // Buffer the start of the file to sniff the delimiter
+  const head = [];
+  let headLength = 0;
+  let exhausted = false;
+
+  while (headLength < SAMPLE_BYTES) {
+    const next = await chunks.next();
+
+    if (next.done) {
+      exhausted = true;
+      break;
+    }
+
+    head.push(next.value);
+    headLength += next.value.length;
+  }
+
+  const sample = head.join('');
+  const delimiter = options.delimiter || sniffDelimiter(sample.substring(0, SAMPLE_BYTES));
+
+  const parser = parse({
+    delimiter,
+    bom: true,
+    info: true,
+    skip_empty_lines: true,
+    skip_records_with_error: true,
+    // Short rows are common (trailing empty cells); extra fields mean broken quoting
+    relax_column_count_less: true,
+    relax_quotes: true
+  });
+
+  const stream = {
+    headers: [],
+    records: null,
+    delimiter,
+    encoding: state.encoding,
+    malformed: [],
+    malformedCount: 0
+  };
+
+  parser.on('skip', error => {
+    stream.malformedCount++;
+    if (stream.malformed.length < MAX_MALFORMED_REPORTED) {
+      // Numbered by its first line too, when the error carries the fields read
+      stream.malformed.push({ line: error.lines - (error.record ? lineBreaks(error.record) : 0), error: error.message });
+    }
+  });
+
+  async function* source() {
+    yield sample;
+    if (!exhausted) yield* chunks;
+  }
+
+  const reader = Readable.from(source());
+  reader.on('error', error => parser.destroy(error));
+  reader.pipe(parser);
+
+  const parsed = parser[Symbol.asyncIterator]();
+  const header = await parsed.next();
+  if (!header.done) {
+    stream.headers = header.value.record.map(value => String(value).trim());
+  }
+
+  stream.records = (async function* () {
+    try {
+      if (header.done) return;
+
+      for (let next = await parsed.next(); !next.done; next = await parsed.next()) {
+        // info.lines is the line the record ends on
+        const { record, info } = next.value;
+        yield { record, line: info.lines - lineBreaks(record) };
+      }
+    } finally {
+      // Stopped early (limit) or failed - release the source
+      reader.destroy();
+      await parsed.return?.();
+
+      if (stream.malformedCount > 0) {
+        console.warn(`⚠️ Skipped ${stream.malformedCount} malformed CSV records (first on line ${stream.malformed[0].line}: ${stream.malformed[0].error})`);
+      }
+    }
+  })();
+
+  return stream;
+}
+
+/**
+ * Records of a plain list, one phone number per line
+ * A first line that is just a phone header ("phone", "mobile", ...) is skipped.
+ */
+async function* textListRecords(chunks) {
+  let buffer = '';
+  let lineNumber = 0;
+  let first = true;
+
+  function* take(lines) {
+    for (const line of lines) {
+      lineNumber++;
+      const value = (lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line).trim();
+      if (!value) continue;
+
+      const isHeader = first && PHONE_COLUMN_NAMES.includes(value.toLowerCase());
+      first = false;
+      if (!isHeader) yield { record: [value], line: lineNumber };
+    }
+  }
+
+  for await (const text of chunks) {
+    buffer += text;
+
+    // Hold back a trailing CR - it may be the first half of a CRLF
+    const cut = buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+    const lines = buffer.substring(0, cut).split(/\r\n|\n|\r/);
+    buffer = lines.pop() + buffer.substring(cut);
+
+    yield* take(lines);
+  }
+
+  yield* take([buffer]);
+}
+
+/**
+ * Open an upload in any accepted format as a record stream
+ * CSV and plain phone lists are streamed; Excel workbooks (first or chosen
+ * sheet) are read whole. All formats return the openCsvStream() shape.
+ * @param {string|Uint8Array|AsyncIterable|Iterable} input - Content, as for openCsvStream()
+ * @param {object} options - { format, fileName, sheet, delimiter } format defaults to the file name's
+ * @returns {Promise<object>} - openCsvStream() result plus { format, sheet, sheets }
+ */
+export async function openUpload(input, options = {}) {
+  const format = options.format || getUploadFormat(options.fileName);
+  const base = { delimiter: null, encoding: null, malformed: [], malformedCount: 0, sheet: null, sheets: null, format };
+
+  if (format === 'xlsx') {
+    const { rows, lines, ...table } = await readXlsxSheet(await readAllBytes(input), options.sheet);
+    const records = (function* () {
+      for (let i = 0; i < rows.length; i++) yield { record: rows[i], line: lines[i] };
+    })();
+
+    return { ...base, ...table, records };
+  }
+
+  if (format === 'text') {
+    const state = { encoding: null };
+    const chunks = textChunks(typeof input === 'string' ? [input] : input, state);
+    const records = textListRecords(chunks);
+
+    return Object.defineProperty({ ...base, headers: [TEXT_PHONE_COLUMN], records }, 'encoding', {
+      get: () => state.encoding,
+      enumerable: true
+    });
+  }
+
+  return Object.assign(await openCsvStream(input, options), { sheet: null, sheets: null, format });
+}
+
+/**
+ * Parse an upload in any accepted format into a table
+ * @param {string|Uint8Array|AsyncIterable|Iterable} input - Content, as for openCsvStream()
+ * @param {object} options - openUpload() options plus { limit } stop after this many data rows
+ * @returns {Promise<object>} - { headers, rows, lines, delimiter, encoding, malformed, malformedCount, format, sheet, sheets }
+ *   lines[i] is the source line number of rows[i]
+ */
+export async function parseUpload(input, options = {}) {
+  const upload = await openUpload(input, options);
+  const rows = [];
+  const lines = [];
+
+  for await (const { record, line } of upload.records) {
+    rows.push(record);
+    lines.push(line);
+
+    if (options.limit && rows.length >= options.limit) break;
+  }
+
+  const { records, ...table } = upload;
+  return { ...table, rows, lines };
+}
+
+/**
+ * Guess the phone column from the header, then from the data
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} sampleRows - First data rows
+ * @returns {number} - Column index (0 when nothing looks like a phone)
+ */
+export function findPhoneColumn(headers, sampleRows = []) {
+  const byName = headers.findIndex(header => PHONE_COLUMN_NAMES.includes(header.toLowerCase().trim()));
+  if (byName !== -1) return byName;
+
+  // Fallback: first column whose first value contains a run of digits
+  const firstRow = sampleRows[0] || [];
+  const byValue = headers.findIndex((header, index) => /\d{3,}/.test(String(firstRow[index] ?? '')));
+  if (byValue !== -1) {
+    console.log(`Using column '${headers[byValue]}' as phone column (fallback)`);
+    return byValue;
+  }
+
+  return 0;
+}
+
+/**
+ * Pick the phone column - the one requested at upload time, or a detected one
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} sampleRows - First data rows
+ * @param {string} requested - Column name (or 0-based index) chosen by the user
+ * @returns {object} - { index, name }
+ * @throws {Error} - When the requested column is not in the header
+ */
+export function resolvePhoneColumn(headers, sampleRows, requested) {
+  const value = requested === null || requested === undefined ? '' : String(requested).trim();
+
+  if (!value) {
+    const index = findPhoneColumn(headers, sampleRows);
+    return { index, name: headers[index] };
+  }
+
+  let index = headers.indexOf(value);
+
+  if (index === -1 && /^\d+$/.test(value) && parseInt(value) < headers.length) {
+    index = parseInt(value);
+  }
+
+  if (index === -1) {
+    throw new Error(`Phone column "${value}" not found in header (${headers.join(', ')})`);
+  }
+
+  return { index, name: headers[index] };
+}
+
+/**
+ * Validate the phone column of parsed rows
+ * Same as processPhoneArray(), with each entry (valid or not) carrying its source row
+ * @param {Array<Array>} rows - Data rows
+ * @param {number} phoneIndex - Phone column index
+ * @param {object} options - processPhoneArray() options plus { lines } source line numbers
+ *   from parseUpload() (without them, rows are numbered from line 2)
+ */
+export function processCsvRows(rows, phoneIndex, options = {}) {
+  const { lines, ...phoneOptions } = options;
+  const firstLine = phoneOptions.firstLine || 2;
+  const validation = processPhoneArray(
+    rows.map(row => String(row[phoneIndex] ?? '').trim()),
+    { ...phoneOptions, firstLine }
+  );
+
+  [...validation.valid, ...validation.invalid].forEach(phone => {
+    const index = phone.line - firstLine;
+    phone.row = rows[index];
+    if (lines) phone.line = lines[index] ?? phone.line;
+  });
+
+  return validation;
+}
+
+/**
+ * Parse a stored JSON array column (source_columns, original_row)
+ */
+export function parseJsonArray(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Output header: source columns, then lookup columns (renamed on collision)
+ * @param {Array<string>} sourceColumns - Original header (null for files uploaded without one)
+ * @param {Array<string>} lookupColumns - Result columns to append
+ * @returns {Array<string>}
+ */
+export function buildOutputHeaders(sourceColumns, lookupColumns) {
+  if (!sourceColumns) return lookupColumns;
+
+  const taken = new Set(sourceColumns.map(column => column.toLowerCase()));
+  const renamed = lookupColumns.map(column =>
+    taken.has(column.toLowerCase()) ? `${LOOKUP_COLUMN_PREFIX}${column}` : column
+  );
+
+  return [...sourceColumns, ...renamed];
+}
+
+// CSV writing lives with the browser-safe format helpers
+export { toCsvValue, toCsvLine } from './csvFormat.js';
@@ -0,0 +1,119 @@
+/**
+ * CSV format detection and writing
+ * Text encoding (BOM, UTF-8 or Windows-1252), delimiter sniffing and CSV
+ * quoting shared by the browser uploader and the server - no Node dependencies.
+ */
+
+// Delimiters tried when sniffing, in order of preference on ties
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Lines looked at when sniffing the delimiter
+const SNIFF_LINES = 20;
+
+/**
+ * Detect the text encoding of the start of a file
+ * @param {Uint8Array} bytes - First bytes of the file
+ * @returns {string} - TextDecoder label ('utf-8', 'utf-16le', 'utf-16be' or 'windows-1252')
+ */
+export function detectEncoding(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+  // No BOM: UTF-8 unless the bytes aren't valid UTF-8 (Excel exports are often Windows-1252)
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(trimPartialUtf8(bytes));
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252';
+  }
+}
+
+/**
+ * Drop a multi-byte UTF-8 sequence cut off at the end of a sample
+ */
+function trimPartialUtf8(bytes) {
+  let end = bytes.length;
+  let continuation = 0;
+
+  while (end > 0 && continuation < 3 && (bytes[end - 1] & 0xC0) === 0x80) {
+    end--;
+    continuation++;
+  }
+
+  // Lead byte of a sequence that needs more bytes than are left
+  if (end > 0 && bytes[end - 1] >= 0xC0) {
+    const lead = bytes[end - 1];
+    const length = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : 2;
+    if (continuation < length - 1) return bytes.subarray(0, end - 1);
+  }
+
+  return bytes;
+}
+
+/**
+ * Count a delimiter outside quoted sections of a line
+ */
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+
+  return count;
+}
+
+/**
+ * Guess the delimiter from the first lines of a file
+ * Picks the candidate found the same (non-zero) number of times on most
+ * lines, preferring the one that splits lines into the most fields
+ * @param {string} sample - Start of the file
+ * @returns {string} - Delimiter (',' when nothing stands out)
+ */
+export function sniffDelimiter(sample) {
+  const lines = sample.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, SNIFF_LINES);
+
+  // The last line of a sample may be cut off
+  if (lines.length > 2) lines.pop();
+  if (lines.length === 0) return ',';
+
+  let best = { delimiter: ',', consistent: 0, fields: 0 };
+
+  for (const delimiter of CSV_DELIMITERS) {
+    const counts = lines.map(line => countDelimiter(line, delimiter));
+    const headerCount = counts[0];
+    if (headerCount === 0) continue;
+
+    const consistent = counts.filter(count => count === headerCount).length;
+
+    if (consistent > best.consistent || (consistent === best.consistent && headerCount > best.fields)) {
+      best = { delimiter, consistent, fields: headerCount };
+    }
+  }
+
+  return best.delimiter;
+}
+
+/**
+ * Escape one CSV value (RFC 4180 quoting)
+ */
+export function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const stringValue = String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+
+  return stringValue;
+}
+
+/**
+ * Build one CSV line
+ */
+export function toCsvLine(values) {
+  return values.map(toCsvValue).join(',');
+}
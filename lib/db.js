@@ -1,11 +1,157 @@
 import mysql from 'mysql2/promise';
 
-// ✅ No global pool - fresh connection per request
+// ✅ One bounded pool per instance - queries of an invocation (and of later
+// invocations while the instance is warm) reuse its connections
+
+// Connections per instance; instances × DB_POOL_SIZE must stay under MySQL's max_connections
+const POOL_SIZE = parseInt(process.env.DB_POOL_SIZE) || 5;
+
+// Queries waiting for a free connection before new ones fail fast
+const POOL_QUEUE_LIMIT = 200;
+
+// Idle connections are closed after this long
+const POOL_IDLE_TIMEOUT_MS = 60000;
+
+// A query waiting this long for a free connection fails instead of hanging
+const POOL_ACQUIRE_TIMEOUT_MS = 30000;
+
+// closePool() waits this long for connections other requests still use
+const CLOSE_WAIT_MS = 10000;
+
+// Prepared statements kept per connection. Every IN (?, ...) length and
+// bulkInsert batch size is a statement of its own, and all instances'
+// connections share the server's max_prepared_stmt_count (16382 by default).
+const MAX_PREPARED_STATEMENTS = 100;
+
+// Read when the first connection opens, not at import
+const connectionOptions = () => ({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 3306,
+  
+  // Timeouts
+  connectTimeout: 10000,
+  
+  // Settings
+  charset: 'utf8mb4',
+  multipleStatements: false,
+  maxPreparedStatements: MAX_PREPARED_STATEMENTS
+});
+
+let pool = null;
+
+// Connections checked out and not yet given back, and checkouts waiting for one
+const poolState = {
+  inUse: 0,
+  waiting: 0
+};
+
+// Counters since the instance started (see getPoolStats()); the first four
+// come from the pool's acquire, release, enqueue and connection events
+const poolCounters = {
+  connectionsOpened: 0,
+  acquires: 0,
+  releases: 0,
+  waits: 0,
+  acquireTimeouts: 0,
+  retries: 0,
+  poolsClosed: 0
+};
+
+function getPool() {
+  if (!pool) {
+    pool = mysql.createPool({
+      ...connectionOptions(),
+      
+      // Pool
+      waitForConnections: true,
+      connectionLimit: POOL_SIZE,
+      maxIdle: POOL_SIZE,
+      idleTimeout: POOL_IDLE_TIMEOUT_MS,
+      queueLimit: POOL_QUEUE_LIMIT,
+      enableKeepAlive: true
+    });
+    
+    pool.on('connection', () => poolCounters.connectionsOpened++);
+    pool.on('acquire', () => poolCounters.acquires++);
+    pool.on('release', () => poolCounters.releases++);
+    pool.on('enqueue', () => poolCounters.waits++);
+  }
+  
+  return pool;
+}
 
 /**
- * Create a single MySQL connection with retry logic
+ * Count a checked-out connection as in use until it is released or destroyed
  */
-async function createConnection(maxRetries = 5) {
+function trackInUse(connection) {
+  const { release, destroy } = connection;
+  let returned = false;
+  
+  const giveBack = () => {
+    if (!returned) {
+      returned = true;
+      poolState.inUse--;
+    }
+  };
+  
+  poolState.inUse++;
+  connection.release = () => {
+    giveBack();
+    return release.call(connection);
+  };
+  connection.destroy = () => {
+    giveBack();
+    return destroy.call(connection);
+  };
+  
+  return connection;
+}
+
+/**
+ * Take a connection from the pool, or fail after POOL_ACQUIRE_TIMEOUT_MS
+ */
+function checkout() {
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    poolState.waiting++;
+    
+    const timer = setTimeout(() => {
+      timedOut = true;
+      poolState.waiting--;
+      poolCounters.acquireTimeouts++;
+      const error = new Error(`No free database connection after ${POOL_ACQUIRE_TIMEOUT_MS / 1000}s (pool of ${POOL_SIZE})`);
+      error.code = 'POOL_ACQUIRE_TIMEOUT';
+      reject(error);
+    }, POOL_ACQUIRE_TIMEOUT_MS);
+    
+    getPool().getConnection().then(connection => {
+      clearTimeout(timer);
+      
+      // Arrived after the caller gave up - straight back to the pool
+      if (timedOut) {
+        connection.release();
+      } else {
+        poolState.waiting--;
+        resolve(trackInUse(connection));
+      }
+    }, error => {
+      clearTimeout(timer);
+      if (!timedOut) {
+        poolState.waiting--;
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Check a connection out of the pool with retry logic
+ * The caller must release() it.
+ */
+async function acquireConnection(maxRetries = 5) {
   let lastError;
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -14,20 +160,7 @@ async function createConnection(maxRetries = 5) {
         console.log(`Retrying MySQL connection (attempt ${attempt + 1}/${maxRetries})...`);
       }
       
-      const connection = await mysql.createConnection({
-        host: process.env.DB_HOST,
-        user: process.env.DB_USER,
-        password: process.env.DB_PASSWORD,
-        database: process.env.DB_NAME,
-        port: process.env.DB_PORT || 3306,
-        
-        // Timeouts
-        connectTimeout: 10000,
-        
-        // Settings
-        charset: 'utf8mb4',
-        multipleStatements: false,
-      });
+      const connection = await checkout();
       
       if (attempt > 0) {
         console.log(`✅ Connected on attempt ${attempt + 1}`);
@@ -48,6 +181,7 @@ async function createConnection(maxRetries = 5) {
       
       if (isRetriable && attempt < maxRetries - 1) {
         const waitMs = 2000 * (attempt + 1); // 2s, 4s, 6s, 8s, 10s
+        poolCounters.retries++;
         console.warn(`Connection failed (${error.code}), waiting ${waitMs}ms...`);
         await new Promise(resolve => setTimeout(resolve, waitMs));
         continue;
@@ -63,7 +197,7 @@ async function createConnection(maxRetries = 5) {
 }
 
 /**
- * Execute query with automatic connection management and retry
+ * Execute query on a pooled connection with retry
  */
 export async function executeWithRetry(query, params = [], maxRetries = 3) {
   let lastError;
@@ -72,36 +206,36 @@ export async function executeWithRetry(query, params = [], maxRetries = 3) {
     let connection;
     
     try {
-      // Create fresh connection
-      connection = await createConnection();
+      connection = await acquireConnection();
       
       // Execute query
       const [rows] = await connection.execute(query, params);
       
-      // Close connection
-      await connection.end();
+      // Back to the pool
+      connection.release();
       
       return [rows];
       
     } catch (error) {
       lastError = error;
       
-      // Close connection on error
-      if (connection) {
-        try {
-          await connection.end();
-        } catch (closeError) {
-          // Ignore close errors
-        }
-      }
-      
       const isRetriable = 
         error.code === 'ECONNRESET' ||
         error.code === 'ETIMEDOUT' ||
         error.code === 'PROTOCOL_CONNECTION_LOST' ||
         error.errno === -104;
       
+      // A connection that lost its link is dropped from the pool, not reused
+      if (connection) {
+        if (isRetriable) {
+          connection.destroy();
+        } else {
+          connection.release();
+        }
+      }
+      
       if (isRetriable && attempt < maxRetries - 1) {
+        poolCounters.retries++;
         console.warn(`Query failed (attempt ${attempt + 1}/${maxRetries}):`, error.code);
         const waitMs = 1000 * (attempt + 1);
         await new Promise(resolve => setTimeout(resolve, waitMs));
@@ -121,7 +255,7 @@ export async function executeWithRetry(query, params = [], maxRetries = 3) {
  * Use this when you need to run multiple queries in one request
  */
 export async function executeMultiple(queries) {
-  const connection = await createConnection();
+  const connection = await acquireConnection();
   
   try {
     const results = [];
@@ -134,7 +268,7 @@ export async function executeMultiple(queries) {
     return results;
     
   } finally {
-    await connection.end();
+    connection.release();
   }
 }
 
@@ -142,7 +276,7 @@ export async function executeMultiple(queries) {
  * Execute transaction with automatic rollback on error
  */
 export async function executeTransaction(callback) {
-  const connection = await createConnection();
+  const connection = await acquireConnection();
   
   try {
     await connection.beginTransaction();
@@ -158,20 +292,86 @@ export async function executeTransaction(callback) {
     throw error;
     
   } finally {
-    await connection.end();
+    connection.release();
   }
 }
 
+// bulkInsert() batch limits: rows per statement, MySQL's 65,535 placeholders
+// per prepared statement, and bound data kept well under max_allowed_packet
+// (4 MB by default on older servers)
+const INSERT_BATCH_ROWS = 500;
+const MAX_PLACEHOLDERS = 65535;
+const MAX_INSERT_BYTES = 2 * 1024 * 1024;
+
+function valueBytes(value) {
+  if (typeof value === 'string') return Buffer.byteLength(value);
+  if (Buffer.isBuffer(value)) return value.length;
+  return 8;
+}
+
+/**
+ * Insert many rows with parameterized multi-row INSERTs, in batches
+ * Values are always bound as parameters, never written into the SQL - only
+ * table and column names (constants in the calling code) are.
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Array>} rows - Values per row, in column order
+ * @param {object} [options] - { ignore: INSERT IGNORE, onDuplicate: ON DUPLICATE KEY UPDATE assignments, batchSize }
+ * @returns {Promise<number>} - Affected rows over all batches (as MySQL counts them for IGNORE / ON DUPLICATE KEY UPDATE)
+ */
+export async function bulkInsert(table, columns, rows, options = {}) {
+  if (rows.length === 0) return 0;
+
+  const maxRows = Math.min(options.batchSize || INSERT_BATCH_ROWS, Math.floor(MAX_PLACEHOLDERS / columns.length));
+  const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+  let affectedRows = 0;
+
+  const insertBatch = async (batch) => {
+    const [result] = await executeWithRetry(
+      `INSERT ${options.ignore ? 'IGNORE ' : ''}INTO ${table} (${columns.join(', ')})
+       VALUES ${batch.map(() => rowPlaceholder).join(', ')}${options.onDuplicate ? `
+       ON DUPLICATE KEY UPDATE ${options.onDuplicate}` : ''}`,
+      batch.flat()
+    );
+    affectedRows += result.affectedRows;
+  };
+
+  let batch = [];
+  let batchBytes = 0;
+
+  for (const row of rows) {
+    const rowBytes = row.reduce((total, value) => total + valueBytes(value), 0);
+
+    // A row larger than the byte limit still goes, on its own
+    if (batch.length > 0 && (batch.length >= maxRows || batchBytes + rowBytes > MAX_INSERT_BYTES)) {
+      await insertBatch(batch);
+      batch = [];
+      batchBytes = 0;
+    }
+
+    batch.push(row);
+    batchBytes += rowBytes;
+  }
+
+  await insertBatch(batch);
+
+  return affectedRows;
+}
+
 /**
  * Health check - test if MySQL is reachable
  */
 export async function checkHealth() {
   try {
-    const connection = await createConnection(2); // Only 2 retries for health check
-    await connection.ping();
-    await connection.end();
+    const connection = await acquireConnection(2); // Only 2 retries for health check
+    
+    try {
+      await connection.ping();
+    } finally {
+      connection.release();
+    }
     
-    return { healthy: true, message: 'Database connection OK' };
+    return { healthy: true, message: 'Database connection OK', pool: getPoolStats() };
     
   } catch (error) {
     return { 
@@ -181,6 +381,36 @@ export async function checkHealth() {
   }
 }
 
+/**
+ * Add any missing columns to an existing table
+ * MySQL has no ADD COLUMN IF NOT EXISTS, so check information_schema first
+ * @param {string} table - Table name
+ * @param {object} columns - { column_name: 'SQL definition' }
+ */
+export async function ensureColumns(table, columns) {
+  const [existing] = await executeWithRetry(
+    `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+
+  const existingNames = new Set(existing.map(row => row.COLUMN_NAME));
+
+  for (const [column, definition] of Object.entries(columns)) {
+    if (existingNames.has(column)) continue;
+
+    try {
+      await executeWithRetry(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✓ Added column ${table}.${column}`);
+    } catch (error) {
+      // Another instance added it first
+      if (error.code !== 'ER_DUP_FIELDNAME') {
+        throw error;
+      }
+    }
+  }
+}
+
 // ==========================================
 // HELPER FUNCTIONS (using executeWithRetry)
 // ==========================================
@@ -495,21 +725,39 @@ export async function cleanOldPhoneChecks(daysOld = 30) {
   return result.affectedRows;
 }
 
-export async function addToQueue(fileId, priority = 0) {
+// The scheduler reads the priority level from the file (see scheduler.js):
+// it is raised to at least the given level, never lowered.
+// A file has one queue row - queueing it again (e.g. on resume) re-queues that row.
+export async function addToQueue(fileId, priority = null) {
+  await executeWithRetry(
+    `UPDATE uploaded_files SET priority = GREATEST(priority, COALESCE(?, priority)), schedule_pass = NULL WHERE id = ?`,
+    [priority, fileId]
+  );
   await executeWithRetry(
-    `INSERT INTO processing_queue (file_id, status, priority) VALUES (?, 'queued', ?)`,
-    [fileId, priority]
+    `UPDATE processing_queue q
+     JOIN uploaded_files f ON f.id = q.file_id
+     SET q.status = 'queued', q.priority = f.priority
+     WHERE q.file_id = ?`,
+    [fileId]
+  );
+  await executeWithRetry(
+    `INSERT INTO processing_queue (file_id, status, priority)
+     SELECT id, 'queued', priority FROM uploaded_files
+     WHERE id = ? AND NOT EXISTS (SELECT 1 FROM processing_queue WHERE file_id = ?)`,
+    [fileId, fileId]
   );
   return true;
 }
 
+// Once per file, even with the extra queue rows earlier resumes added
 export async function getQueuedFiles() {
   const [files] = await executeWithRetry(
-    `SELECT f.*, q.status as queue_status, q.started_at as queue_started_at, q.priority
+    `SELECT f.*, MIN(q.status) as queue_status, MIN(q.started_at) as queue_started_at
      FROM uploaded_files f
      JOIN processing_queue q ON f.id = q.file_id
      WHERE q.status IN ('queued', 'processing')
-     ORDER BY q.priority DESC, q.created_at ASC`
+     GROUP BY f.id
+     ORDER BY f.priority DESC, MIN(q.created_at) ASC`
   );
   return files;
 }
@@ -525,13 +773,62 @@ export async function getActiveFiles() {
   return files;
 }
 
-// ✅ For backward compatibility (some code might call this)
+/**
+ * Pooled connection for queries that must share a session (schema changes)
+ * release() it in a finally. Don't call helpers that take their own
+ * connection (executeWithRetry, executeTransaction, bulkInsert) while
+ * holding one - enough concurrent requests doing that exhaust the pool.
+ * A session kept for a whole run while calling helpers (a named lock)
+ * takes openSessionConnection() instead.
+ */
 export async function getConnection() {
-  console.warn('getConnection() is deprecated with single connection approach. Use executeWithRetry() instead.');
-  return await createConnection();
+  return await acquireConnection();
 }
 
+/**
+ * Connection of its own, outside the pool, for a session held while the
+ * holder goes on using the helpers (process-queue's named lock) - the pool
+ * stays whole for them. end() it in a finally.
+ */
+export async function openSessionConnection() {
+  return mysql.createConnection(connectionOptions());
+}
+
+/**
+ * Pool metrics: connections in use and checkouts waiting for one, plus
+ * counters since the instance started
+ */
+export function getPoolStats() {
+  return {
+    size: POOL_SIZE,
+    inUse: poolState.inUse,
+    waiting: poolState.waiting,
+    ...poolCounters
+  };
+}
+
+/**
+ * Close the pool (shutdown of a long-running process or script)
+ * Not for routes: every request on the instance shares the pool. Queries
+ * still running get to finish first; anything after this opens a new pool.
+ */
 export async function closePool() {
-  // No-op - no pool to close
-  console.log('No connection pool to close (using single connection approach)');
+  if (!pool) return;
+  
+  const closing = pool;
+  pool = null;
+  
+  const deadline = Date.now() + CLOSE_WAIT_MS;
+  
+  while (poolState.inUse > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  
+  try {
+    await closing.end();
+    poolCounters.poolsClosed++;
+    console.log('✓ Connection pool closed');
+  } catch (error) {
+    console.error('Error closing connection pool:', error.message);
+  }
 }
\ No newline at end of file
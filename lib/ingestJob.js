@@ -0,0 +1,463 @@
+/**
+ * Streaming ingest of uploaded files
+ * Reads a file from Blob storage record by record, validates the phone column
+ * in batches and writes processing_chunks as it goes, so lists of any size
+ * are read in a bounded amount of memory (only the numbers already seen are
+ * kept, for de-duplication). Blank, invalid and duplicate rows are saved to
+ * rejected_rows as they're found. Numbers on a suppression list and numbers
+ * answered by earlier files' results (reuse option, see priorResults.js) are
+ * written as results instead of being queued.
+ *
+ * One run owns a file at a time (ingest_token) and keeps ingest_heartbeat
+ * fresh; a run that stops (timeout, crash) goes stale and the file is
+ * started over by process-queue, up to MAX_INGEST_ATTEMPTS times.
+ *
+ * A file that has been read waits in processing_status 'review' with its
+ * counts in ingest_stats until the upload report is confirmed.
+ */
+
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { executeWithRetry, bulkInsert } from './db.js';
+import { openFileStream } from './blobStorage.js';
+import { openUpload, resolvePhoneColumn, processCsvRows } from './csvColumns.js';
+import { toQueuedPhone } from './phoneValidator.js';
+import { getFilePipeline } from './pipeline.js';
+import { saveRejectedRows, clearRejectedRows } from './rejectedRows.js';
+import { reusePriorResults } from './priorResults.js';
+import { suppressPhones } from './suppressionLists.js';
+
+// Rows validated at a time
+const BATCH_ROWS = 5000;
+
+// Processing chunks written per INSERT
+const CHUNKS_PER_INSERT = 20;
+
+// A run that hasn't reported in this long is considered dead
+const STALE_SECONDS = 120;
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+export const MAX_INGEST_ATTEMPTS = 3;
+
+// Phones are kept as E.164 digits in a Float64Array (exact up to 2^53, 15 digits fit)
+const INITIAL_SET_CAPACITY = 1 << 16;
+const MAX_SET_LOAD = 0.7;
+
+/**
+ * Set of E.164 numbers, ~8-16 bytes per number
+ * A JS Set tops out at 2^24 entries and costs far more per entry.
+ */
+class PhoneSet {
+  constructor() {
+    this.slots = new Float64Array(INITIAL_SET_CAPACITY);
+    this.size = 0;
+  }
+
+  // Bucket of a key; keys are below 2^53 so split into 32-bit halves to hash
+  static bucket(key, mask) {
+    const low = key % 0x100000000;
+    const high = Math.floor(key / 0x100000000);
+    let hash = Math.imul(low ^ Math.imul(high, 0x9E3779B1), 0x85EBCA6B);
+    hash ^= hash >>> 15;
+    return hash & mask;
+  }
+
+  static insert(slots, key) {
+    const mask = slots.length - 1;
+    let index = PhoneSet.bucket(key, mask);
+
+    while (slots[index] !== 0) {
+      if (slots[index] === key) return false;
+      index = (index + 1) & mask;
+    }
+
+    slots[index] = key;
+    return true;
+  }
+
+  /**
+   * Add a number
+   * @param {string} e164 - '+' and digits
+   * @returns {boolean} - false when it was already in the set
+   */
+  add(e164) {
+    if (this.size + 1 > this.slots.length * MAX_SET_LOAD) this.grow();
+
+    const added = PhoneSet.insert(this.slots, Number(e164.substring(1)));
+    if (added) this.size++;
+    return added;
+  }
+
+  grow() {
+    const slots = new Float64Array(this.slots.length * 2);
+    for (const key of this.slots) {
+      if (key !== 0) PhoneSet.insert(slots, key);
+    }
+    this.slots = slots;
+  }
+}
+
+/**
+ * Claim a file for this run
+ * @returns {Promise<string|null>} - Run token, or null when another run owns the file
+ */
+async function claimIngest(fileId) {
+  const token = randomUUID();
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files
+     SET ingest_token = ?, ingest_heartbeat = NOW(), ingest_attempts = ingest_attempts + 1
+     WHERE id = ? AND processing_status = 'parsing' AND upload_status = 'completed'
+     AND ingest_attempts < ?
+     AND (ingest_token IS NULL OR ingest_heartbeat IS NULL OR ingest_heartbeat < NOW() - INTERVAL ${STALE_SECONDS} SECOND)`,
+    [token, fileId, MAX_INGEST_ATTEMPTS]
+  );
+
+  return result.affectedRows === 1 ? token : null;
+}
+
+/**
+ * Refresh the heartbeat, checking the run still owns the file
+ * @throws {Error} - When another run has taken the file over
+ */
+async function heartbeat(fileId, token) {
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files SET ingest_heartbeat = NOW() WHERE id = ? AND ingest_token = ?`,
+    [fileId, token]
+  );
+
+  if (result.affectedRows !== 1) {
+    const error = new Error(`Ingest of file ${fileId} was taken over by another run`);
+    error.lostClaim = true;
+    throw error;
+  }
+}
+
+async function insertProcessingChunks(fileId, chunks) {
+  if (chunks.length === 0) return;
+
+  await bulkInsert(
+    'processing_chunks',
+    ['file_id', 'chunk_offset', 'chunk_data', 'chunk_status'],
+    chunks.map(chunk => [fileId, chunk.offset, chunk.data, 'pending'])
+  );
+}
+
+/**
+ * An error in the file itself - retrying won't help
+ */
+function fileError(error) {
+  const tagged = error instanceof Error ? error : new Error(error);
+  tagged.permanent = true;
+  return tagged;
+}
+
+/**
+ * Parse an uploaded file into processing chunks
+ * @param {number} fileId - uploaded_files id (processing_status 'parsing')
+ * @returns {Promise<object>} - { started, fileId, totalRecords, stats } (started false when
+ *   another run owns the file or it isn't waiting to be parsed)
+ */
+export async function runIngestJob(fileId) {
+  const token = await claimIngest(fileId);
+
+  if (!token) {
+    return { started: false, fileId };
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const [files] = await executeWithRetry(
+      `SELECT id, file_name, service, pipeline, default_region, phone_column, source_format, source_sheet, original_file_url,
+              reuse_days, reuse_file_id
+       FROM uploaded_files WHERE id = ?`,
+      [fileId]
+    );
+
+    const file = files[0];
+    const stages = getFilePipeline(file);
+    const chunkSize = stages[0] === 'blooio' ? 500 : 1000;
+
+    console.log(`📥 Ingesting file ${fileId} (${file.file_name}) from ${file.original_file_url}`);
+
+    // A previous run may have left part of the file behind (results so far are suppressed or reused numbers)
+    await executeWithRetry(`DELETE FROM processing_chunks WHERE file_id = ?`, [fileId]);
+    await executeWithRetry(`DELETE FROM blooio_results WHERE file_id = ?`, [fileId]);
+    await clearRejectedRows(fileId);
+
+    const upload = await openUpload(await openFileStream(file.original_file_url), {
+      format: file.source_format,
+      fileName: file.file_name,
+      sheet: file.source_sheet
+    });
+
+    const seen = new PhoneSet();
+    const stats = { rows: 0, valid: 0, suppressed: 0, reused: 0, invalid: 0, duplicates: 0, blank: 0, countries: {}, numberTypes: {}, invalidReasons: {} };
+    let phoneColumn = null;
+    let queued = [];
+    let queuedCount = 0;
+    let pendingChunks = [];
+    let chunkCount = 0;
+    let lastHeartbeat = Date.now();
+
+    const flushChunks = async () => {
+      await insertProcessingChunks(fileId, pendingChunks);
+      chunkCount += pendingChunks.length;
+      pendingChunks = [];
+    };
+
+    const processBatch = async (rows, lines) => {
+      // The phone column is chosen from the first rows of the file
+      if (!phoneColumn) {
+        try {
+          phoneColumn = resolvePhoneColumn(upload.headers, rows.slice(0, 20), file.phone_column);
+        } catch (columnError) {
+          throw fileError(columnError);
+        }
+        console.log(`📄 Header: ${upload.headers.join(',')}`);
+        console.log(`📄 Phone column: ${phoneColumn.name} (#${phoneColumn.index + 1})`);
+      }
+
+      const validation = processCsvRows(rows, phoneColumn.index, { defaultRegion: file.default_region, lines });
+
+      stats.rows += rows.length;
+      stats.invalid += validation.stats.invalid;
+      stats.blank += validation.stats.blank;
+      stats.duplicates += validation.stats.duplicates;
+      for (const [reason, count] of Object.entries(validation.stats.invalidReasons)) {
+        stats.invalidReasons[reason] = (stats.invalidReasons[reason] || 0) + count;
+      }
+
+      const rejected = validation.invalid;
+      const fresh = [];
+
+      for (const phone of validation.valid) {
+        // Duplicates within the batch are already gone; these are repeats of earlier batches
+        if (!seen.add(phone.e164)) {
+          stats.duplicates++;
+          rejected.push({ original: phone.original, formatted: phone.formatted, error: 'Duplicate', line: phone.line, row: phone.row });
+          continue;
+        }
+
+        stats.valid++;
+        stats.countries[phone.country] = (stats.countries[phone.country] || 0) + 1;
+        stats.numberTypes[phone.number_type] = (stats.numberTypes[phone.number_type] || 0) + 1;
+        fresh.push(phone);
+      }
+
+      // Suppressed numbers are never looked up, not even from earlier results
+      const suppression = await suppressPhones(fileId, fresh);
+      const { queue, reused } = await reusePriorResults(file, suppression.queue);
+      stats.suppressed += suppression.suppressed;
+      stats.reused += reused;
+
+      for (const phone of queue) {
+        queued.push(toQueuedPhone(phone));
+        queuedCount++;
+
+        if (queued.length === chunkSize) {
+          pendingChunks.push({ offset: queuedCount - chunkSize, data: JSON.stringify(queued) });
+          queued = [];
+        }
+      }
+
+      await saveRejectedRows(fileId, rejected.sort((a, b) => a.line - b.line));
+
+      if (pendingChunks.length >= CHUNKS_PER_INSERT) {
+        await flushChunks();
+      }
+
+      if (Date.now() - lastHeartbeat > HEARTBEAT_INTERVAL_MS) {
+        await heartbeat(fileId, token);
+        lastHeartbeat = Date.now();
+        console.log(`   ${stats.rows.toLocaleString()} rows read, ${stats.valid.toLocaleString()} phones queued`);
+      }
+    };
+
+    let rows = [];
+    let lines = [];
+
+    for await (const { record, line } of upload.records) {
+      rows.push(record);
+      lines.push(line);
+
+      if (rows.length === BATCH_ROWS) {
+        await processBatch(rows, lines);
+        rows = [];
+        lines = [];
+      }
+    }
+
+    if (rows.length > 0) await processBatch(rows, lines);
+
+    if (queued.length > 0) {
+      pendingChunks.push({ offset: queuedCount - queued.length, data: JSON.stringify(queued) });
+    }
+    await flushChunks();
+
+    if (stats.valid === 0) {
+      throw fileError('No valid phone numbers found in file');
+    }
+
+    const ingestStats = {
+      ...stats,
+      malformedLines: upload.malformedCount,
+      malformedSamples: upload.malformed.slice(0, 10),
+      delimiter: upload.delimiter,
+      encoding: upload.encoding,
+      sheet: upload.sheet,
+      processingChunks: chunkCount,
+      seconds: Math.round((Date.now() - startTime) / 1000)
+    };
+
+    const [result] = await executeWithRetry(
+      `UPDATE uploaded_files
+       SET processing_status = 'review',
+           source_columns = ?,
+           phone_column = ?,
+           processing_total = ?,
+           processing_offset = ?,
+           processing_progress = ?,
+           reused_count = ?,
+           suppressed_count = ?,
+           ingest_stats = ?,
+           ingest_token = NULL,
+           ingest_heartbeat = NULL
+       WHERE id = ? AND ingest_token = ?`,
+      [
+        JSON.stringify(upload.headers),
+        phoneColumn.name ?? null,
+        stats.valid,
+        // Suppressed and reused numbers already have their results
+        stats.suppressed + stats.reused,
+        Math.round((stats.suppressed + stats.reused) / stats.valid * 10000) / 100,
+        stats.reused,
+        stats.suppressed,
+        JSON.stringify(ingestStats),
+        fileId,
+        token
+      ]
+    );
+
+    if (result.affectedRows !== 1) {
+      console.warn(`⚠️ Ingest of file ${fileId} finished after another run took it over - discarding`);
+      return { started: true, fileId, superseded: true };
+    }
+
+    // Processing starts once the upload report is confirmed (see start-processing)
+    console.log(`✅ File ${fileId} ready for review: ${stats.valid.toLocaleString()} unique phones from ${stats.rows.toLocaleString()} rows (${stats.suppressed.toLocaleString()} suppressed, ${stats.reused.toLocaleString()} reused) in ${chunkCount} chunks (${ingestStats.seconds}s)`);
+
+    return { started: true, fileId, totalRecords: stats.valid, stats: ingestStats };
+
+  } catch (error) {
+    if (error.lostClaim) {
+      console.warn(`⚠️ ${error.message}`);
+      return { started: true, fileId, superseded: true };
+    }
+
+    console.error(`❌ Ingest of file ${fileId} failed:`, error.message);
+
+    // Bad files fail at once; anything else is retried until the attempts run out
+    await executeWithRetry(
+      `UPDATE uploaded_files
+       SET processing_status = IF(? OR ingest_attempts >= ?, 'failed', processing_status),
+           last_error = ?,
+           ingest_token = NULL,
+           ingest_heartbeat = NULL
+       WHERE id = ? AND ingest_token = ?`,
+      [error.permanent ? 1 : 0, MAX_INGEST_ATTEMPTS, error.message.substring(0, 1000), fileId, token]
+    );
+
+    throw error;
+  }
+}
+
+/**
+ * Whether a request comes from one of our own functions (or Vercel Cron)
+ * Such calls carry no login cookie; they send CRON_SECRET as a bearer token instead.
+ * @param {Request} request - Incoming request
+ * @returns {boolean}
+ */
+export function isInternalRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(request.headers.get('authorization') || '');
+
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Fire-and-forget call to one of our own routes (the cron picks up anything missed)
+ * @param {string} route - Route under /api, e.g. 'process-queue'
+ * @param {object} body - JSON body
+ */
+export function triggerRoute(route, body = {}) {
+  const baseUrl = process.env.VERCEL_URL
+    ? `https://${process.env.VERCEL_URL}`
+    : 'http://localhost:3000';
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.CRON_SECRET) {
+    headers.Authorization = `Bearer ${process.env.CRON_SECRET}`;
+  } else {
+    console.warn(`⚠️ CRON_SECRET is not set - ${route} will reject this call`);
+  }
+
+  fetch(`${baseUrl}/api/${route}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  }).then(response => {
+    if (!response.ok) {
+      console.warn(`⚠️ ${route} returned status ${response.status}`);
+    }
+  }).catch(error => {
+    console.warn(`⚠️ ${route} trigger failed (will be picked up by cron):`, error.message);
+  });
+}
+
+/**
+ * Start the ingest of an uploaded file in its own function invocation
+ * @param {number} fileId - uploaded_files id
+ */
+export function triggerIngest(fileId) {
+  console.log(`🔔 Triggering ingest of file ${fileId}`);
+  triggerRoute('ingest-file', { fileId });
+}
+
+/**
+ * Start ingests that never started or whose run died, and fail the ones out of attempts
+ * @returns {Promise<number>} - Ingests triggered
+ */
+export async function resumeStalledIngests() {
+  const [files] = await executeWithRetry(
+    `SELECT id, ingest_attempts FROM uploaded_files
+     WHERE processing_status = 'parsing' AND upload_status = 'completed'
+     AND (ingest_token IS NULL OR ingest_heartbeat IS NULL OR ingest_heartbeat < NOW() - INTERVAL ${STALE_SECONDS} SECOND)
+     ORDER BY upload_date ASC
+     LIMIT 5`
+  );
+
+  let triggered = 0;
+
+  for (const file of files) {
+    if (file.ingest_attempts >= MAX_INGEST_ATTEMPTS) {
+      await executeWithRetry(
+        `UPDATE uploaded_files
+         SET processing_status = 'failed',
+             last_error = COALESCE(last_error, 'File could not be read (ingest stopped responding)'),
+             ingest_token = NULL
+         WHERE id = ? AND processing_status = 'parsing'`,
+        [file.id]
+      );
+      console.warn(`⚠️ Ingest of file ${file.id} gave up after ${file.ingest_attempts} attempts`);
+      continue;
+    }
+
+    triggerIngest(file.id);
+    triggered++;
+  }
+
+  return triggered;
+}
@@ -0,0 +1,307 @@
+/**
+ * Unified lookup cache
+ * One row per (number, provider) in lookup_cache, shared by every route and
+ * the queue worker so a Blooio or SubscriberVerify answer is only paid for
+ * once. Each row holds the provider's normalized fields as JSON plus:
+ *   - version: cache format version (rows from another version are misses)
+ *   - provenance: the file and API key (rate limiter bucket key) that produced it
+ *   - check_count: how many times the number was looked up
+ *   - outcome: kind of answer, which sets how long it is trusted (see cachePolicy.js)
+ *
+ * Replaces blooio_cache and phone_cache; their rows are merged in once by
+ * ensureSchema() (see schema.js).
+ */
+
+import { executeWithRetry, bulkInsert } from './db.js';
+import { ensureSchema } from './schema.js';
+import { classifyOutcome, getProviderTtls, isCacheable } from './cachePolicy.js';
+
+// Bump a provider's version when its cached fields change meaning
+export const CACHE_VERSIONS = {
+  blooio: 1,
+  subscriberverify: 1
+};
+
+// Fields stored per provider
+const CACHE_FIELDS = {
+  blooio: ['is_ios', 'supports_imessage', 'supports_sms', 'contact_type', 'contact_id'],
+  subscriberverify: [
+    'action', 'reason', 'deliverable', 'carrier', 'carrier_type', 'is_mobile',
+    'litigator', 'blacklisted', 'clicker', 'geo_state', 'geo_city', 'timezone'
+  ]
+};
+
+const BOOLEAN_FIELDS = new Set([
+  'is_ios', 'supports_imessage', 'supports_sms', 'deliverable',
+  'is_mobile', 'litigator', 'blacklisted', 'clicker'
+]);
+
+/**
+ * Cache key for a number (E.164 with +, whether given as E.164 or digits)
+ */
+export function toCacheKey(phone) {
+  const value = phone.toString().trim();
+  return value.startsWith('+') ? value : `+${value}`;
+}
+
+function getFields(provider) {
+  const fields = CACHE_FIELDS[provider];
+
+  if (!fields) {
+    throw new Error(`No cache fields defined for provider: ${provider}`);
+  }
+
+  return fields;
+}
+
+function toBoolean(value) {
+  return value === null || value === undefined ? null : Boolean(value);
+}
+
+/**
+ * SQL condition for rows still within their outcome's TTL
+ * @returns {object} - { sql, params }
+ */
+function freshnessCondition(provider) {
+  const { default: defaultDays, ...outcomes } = getProviderTtls(provider);
+  const cases = Object.keys(outcomes).map(() => 'WHEN ? THEN ?').join(' ');
+
+  return {
+    sql: `checked_at >= DATE_SUB(NOW(), INTERVAL (CASE outcome ${cases} ELSE ? END) HOUR)`,
+    params: [
+      ...Object.entries(outcomes).flatMap(([outcome, days]) => [outcome, Math.round(days * 24)]),
+      Math.round(defaultDays * 24)
+    ]
+  };
+}
+
+/**
+ * Batch cache lookup for one provider
+ * Entries older than their outcome's TTL are misses
+ * @param {string} provider - Provider name ('blooio' | 'subscriberverify')
+ * @param {Array<string>} phones - Numbers in E.164 or digits-only form
+ * @param {object} options - { checkedAfter } ignore entries checked before this Date (force refresh)
+ * @returns {Promise<Map>} - Cached entries keyed by the number as passed in
+ */
+export async function getCachedResults(provider, phones, options = {}) {
+  const cacheMap = new Map();
+  if (!phones || phones.length === 0) return cacheMap;
+
+  const fields = getFields(provider);
+  await ensureSchema();
+
+  const keys = [...new Set(phones.map(toCacheKey))];
+  const placeholders = keys.map(() => '?').join(',');
+  const fresh = freshnessCondition(provider);
+  const checkedAfter = options.checkedAfter || null;
+
+  const [rows] = await executeWithRetry(
+    `SELECT e164, data, outcome, checked_at, check_count, source_file_id, source_key
+     FROM lookup_cache
+     WHERE provider = ?
+       AND version = ?
+       AND e164 IN (${placeholders})
+       AND ${fresh.sql}
+       ${checkedAfter ? 'AND checked_at >= ?' : ''}`,
+    [provider, CACHE_VERSIONS[provider], ...keys, ...fresh.params, ...(checkedAfter ? [checkedAfter] : [])]
+  );
+
+  console.log(`${provider} cache: ${rows.length} hits out of ${keys.length} queries`);
+
+  const rowsByKey = new Map(rows.map(row => [row.e164, row]));
+
+  for (const phone of phones) {
+    const row = rowsByKey.get(toCacheKey(phone));
+    if (!row) continue;
+
+    const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+    const entry = {};
+
+    for (const field of fields) {
+      entry[field] = BOOLEAN_FIELDS.has(field) ? toBoolean(data[field]) : (data[field] ?? null);
+    }
+
+    cacheMap.set(phone, {
+      phone_number: phone,
+      e164: row.e164,
+      ...entry,
+      error: data.error ?? null,
+      outcome: row.outcome,
+      from_cache: true,
+      cache_age_days: Math.floor((Date.now() - new Date(row.checked_at).getTime()) / (1000 * 60 * 60 * 24)),
+      cache_type: provider,
+      last_checked: row.checked_at,
+      check_count: row.check_count,
+      source_file_id: row.source_file_id,
+      source_key: row.source_key
+    });
+  }
+
+  return cacheMap;
+}
+
+/**
+ * Save lookup results for one provider
+ * Transient failures (timeouts, throttling, auth) are skipped; errors the
+ * provider gave for the number itself are kept for the short error TTL
+ * @param {string} provider - Provider name
+ * @param {Array<object>} results - Results with e164 (or phone_number), the provider's fields and optional source_key
+ * @param {object} provenance - { fileId } file the lookups were made for
+ */
+export async function saveCachedResults(provider, results, provenance = {}) {
+  if (!results || results.length === 0) return;
+
+  const fields = getFields(provider);
+  const cacheable = results.filter(isCacheable);
+  if (cacheable.length === 0) return;
+
+  await ensureSchema();
+
+  // checked_at and check_count start at their column defaults (now, 1)
+  const rows = cacheable.map(result => {
+    const data = {};
+
+    for (const field of fields) {
+      data[field] = BOOLEAN_FIELDS.has(field) ? toBoolean(result[field]) : (result[field] ?? null);
+    }
+
+    if (result.error) {
+      data.error = result.error;
+    }
+
+    return [
+      toCacheKey(result.e164 || result.phone_number),
+      provider,
+      CACHE_VERSIONS[provider],
+      JSON.stringify(data),
+      classifyOutcome(provider, result),
+      result.source_file_id ?? provenance.fileId ?? null,
+      result.source_key || null
+    ];
+  });
+
+  try {
+    await bulkInsert(
+      'lookup_cache',
+      ['e164', 'provider', 'version', 'data', 'outcome', 'source_file_id', 'source_key'],
+      rows,
+      {
+        onDuplicate: `version = VALUES(version),
+         data = VALUES(data),
+         outcome = VALUES(outcome),
+         source_file_id = VALUES(source_file_id),
+         source_key = VALUES(source_key),
+         checked_at = NOW(),
+         check_count = check_count + 1`
+      }
+    );
+
+    console.log(`Saved ${cacheable.length} ${provider} results to cache`);
+  } catch (error) {
+    console.error(`Error saving ${provider} cache:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove cached entries (e.g. before reprocessing a number)
+ * @param {Array<string>} phones - Numbers in E.164 or digits-only form
+ * @param {string} provider - Limit to one provider (all providers if omitted)
+ */
+export async function deleteCachedResults(phones, provider = null) {
+  if (!phones || phones.length === 0) return;
+
+  await ensureSchema();
+
+  const keys = phones.map(toCacheKey);
+  const placeholders = keys.map(() => '?').join(',');
+
+  await executeWithRetry(
+    `DELETE FROM lookup_cache
+     WHERE e164 IN (${placeholders})
+     ${provider ? 'AND provider = ?' : ''}`,
+    provider ? [...keys, provider] : keys
+  );
+}
+
+/**
+ * Per-provider cache statistics, broken down by outcome
+ */
+export async function getLookupCacheStats() {
+  await ensureSchema();
+
+  const [rows] = await executeWithRetry(
+    `SELECT provider, version, outcome,
+            COUNT(*) as entries,
+            SUM(check_count) as total_checks,
+            MIN(checked_at) as oldest_checked,
+            MAX(checked_at) as last_checked
+     FROM lookup_cache
+     GROUP BY provider, version, outcome`
+  );
+
+  const stats = {};
+
+  rows.forEach(row => {
+    const ttls = CACHE_VERSIONS[row.provider] ? getProviderTtls(row.provider) : {};
+    const current = row.version === CACHE_VERSIONS[row.provider];
+    const providerStats = stats[row.provider] || (stats[row.provider] = {
+      version: CACHE_VERSIONS[row.provider] ?? null,
+      entries: 0,
+      freshEntries: 0,
+      outdatedVersionEntries: 0,
+      totalChecks: 0,
+      lastChecked: null,
+      outcomes: {}
+    });
+
+    providerStats.entries += Number(row.entries);
+    providerStats.totalChecks += Number(row.total_checks || 0);
+
+    if (!providerStats.lastChecked || row.last_checked > providerStats.lastChecked) {
+      providerStats.lastChecked = row.last_checked;
+    }
+
+    if (!current) {
+      providerStats.outdatedVersionEntries += Number(row.entries);
+      return;
+    }
+
+    const outcome = row.outcome || 'default';
+    const outcomeStats = providerStats.outcomes[outcome] || (providerStats.outcomes[outcome] = {
+      ttlDays: ttls[outcome] ?? ttls.default ?? null,
+      entries: 0,
+      freshEntries: 0,
+      oldestChecked: null
+    });
+
+    outcomeStats.entries += Number(row.entries);
+
+    if (!outcomeStats.oldestChecked || row.oldest_checked < outcomeStats.oldestChecked) {
+      outcomeStats.oldestChecked = row.oldest_checked;
+    }
+  });
+
+  // Fresh = current version and within the outcome's TTL
+  await Promise.all(Object.keys(stats).filter(provider => CACHE_VERSIONS[provider]).map(async provider => {
+    const fresh = freshnessCondition(provider);
+
+    const [freshRows] = await executeWithRetry(
+      `SELECT outcome, COUNT(*) as fresh_entries
+       FROM lookup_cache
+       WHERE provider = ? AND version = ? AND ${fresh.sql}
+       GROUP BY outcome`,
+      [provider, CACHE_VERSIONS[provider], ...fresh.params]
+    );
+
+    freshRows.forEach(row => {
+      const outcomeStats = stats[provider].outcomes[row.outcome || 'default'];
+      const count = Number(row.fresh_entries || 0);
+
+      stats[provider].freshEntries += count;
+      if (outcomeStats) outcomeStats.freshEntries = count;
+    });
+  }));
+
+  return stats;
+}
@@ -0,0 +1,76 @@
+/**
+ * Carrier Lookup Provider Registry
+ * Routes and the queue worker resolve vendors by name through this module.
+ *
+ * A provider is a plain object:
+ *   name          - unique id stored in uploaded_files.service (e.g. 'blooio')
+ *   label         - display name
+ *   bulkLimit     - max numbers per bulkLookup request
+ *   lookup(e164, options)       -> Promise<result>
+ *   bulkLookup(e164s, options)  -> Promise<result[]> (same order as input)
+ *   checkCredits()              -> Promise<number|null>
+ *   healthCheck()               -> Promise<{ healthy, message | error }>
+ *
+ * Results use the normalized schema from lookupResult.js. lookup and
+ * bulkLookup never throw for vendor errors - they return results with
+ * `error` (and `retryable`) set instead.
+ */
+
+import { blooioProvider } from './blooioClient.js';
+import { subscriberVerifyProvider } from './subscriberVerify.js';
+
+export const DEFAULT_PROVIDER = 'blooio';
+
+const REQUIRED_METHODS = ['lookup', 'bulkLookup', 'checkCredits', 'healthCheck'];
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter
+ * @param {object} provider - Provider implementing the interface above
+ */
+export function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+
+  for (const method of REQUIRED_METHODS) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Provider ${provider.name} is missing ${method}()`);
+    }
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (defaults to Blooio)
+ * @returns {object} - Provider adapter
+ */
+export function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = providers.get(name || DEFAULT_PROVIDER);
+
+  if (!provider) {
+    throw new Error(`Unknown lookup provider: ${name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Check whether a provider is registered
+ */
+export function hasProvider(name) {
+  return providers.has(name);
+}
+
+/**
+ * List all registered providers
+ */
+export function listProviders() {
+  return Array.from(providers.values());
+}
+
+registerProvider(blooioProvider);
+registerProvider(subscriberVerifyProvider);
@@ -0,0 +1,101 @@
+/**
+ * Normalized lookup result schema
+ * Every carrier-lookup provider returns results in this shape so routes,
+ * caches and the queue worker never have to know which vendor answered.
+ */
+
+const EMPTY_RESULT = {
+  provider: null,
+  e164: null,
+
+  // iMessage / device capabilities (Blooio)
+  is_ios: null,
+  supports_imessage: null,
+  supports_sms: null,
+  contact_type: null,
+  contact_id: null,
+
+  // Scrub / carrier data (SubscriberVerify)
+  action: null,
+  reason: null,
+  carrier: null,
+  carrier_type: null,
+  is_mobile: null,
+  litigator: null,
+  blacklisted: null,
+  clicker: null,
+  geo_state: null,
+  geo_city: null,
+  timezone: null,
+
+  // Request outcome
+  error: null,
+  status: null,
+  retryable: false,
+  retry_after_ms: null,
+  // No request was made - the provider can't take any right now (e.g. no API key left)
+  unavailable: false,
+  // API key that answered (rate limiter bucket key, never the key itself)
+  source_key: null,
+  checked_at: null,
+  raw: null
+};
+
+/**
+ * Build a normalized result for a provider
+ * @param {string} provider - Provider name (e.g. 'blooio')
+ * @param {string} e164 - Phone number in E.164 format
+ * @param {object} fields - Provider-specific fields to set
+ * @returns {object} - Normalized lookup result
+ */
+export function createLookupResult(provider, e164, fields = {}) {
+  return {
+    ...EMPTY_RESULT,
+    checked_at: new Date().toISOString(),
+    ...fields,
+    provider,
+    e164
+  };
+}
+
+/**
+ * Build a normalized error result
+ * @param {string} provider - Provider name
+ * @param {string} e164 - Phone number in E.164 format
+ * @param {string} error - Error message
+ * @param {object} options - { status, retryable, retryAfterMs, unavailable, raw }
+ * @returns {object} - Normalized lookup result with error set
+ */
+export function createErrorResult(provider, e164, error, options = {}) {
+  return createLookupResult(provider, e164, {
+    error: error || 'Unknown error',
+    status: options.status ?? null,
+    retryable: Boolean(options.retryable),
+    retry_after_ms: options.retryAfterMs ?? null,
+    unavailable: Boolean(options.unavailable),
+    raw: options.raw ?? null
+  });
+}
+
+/**
+ * Whether the provider throttled the request (429 / 503)
+ * The shared rate limiter has already backed off - just retry
+ */
+export function isThrottled(result) {
+  return Boolean(result && result.error && (result.status === 429 || result.status === 503));
+}
+
+/**
+ * Whether the provider couldn't be asked at all (no API key available)
+ * Says nothing about the number - look it up again later instead of recording an error
+ */
+export function isUnavailable(result) {
+  return Boolean(result && result.error && result.unavailable);
+}
+
+/**
+ * Strip the leading + from an E.164 number (used as phone_number in results)
+ */
+export function toDigits(e164) {
+  return e164 ? e164.toString().replace(/^\+/, '') : e164;
+}
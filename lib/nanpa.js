@@ -0,0 +1,143 @@
+/**
+ * NANPA numbering plan data
+ * Assigned area codes (NPAs) and, when refreshed, assigned NPA-NXX blocks
+ * with their rate center. Used by formatUSPhone to reject unassigned codes
+ * and toll-free numbers before any paid lookup and to add state/timezone to
+ * valid numbers.
+ *
+ * Data lives in data/nanpa/ and is regenerated with `npm run nanpa:refresh`
+ * (see scripts/refresh-nanpa.mjs).
+ */
+
+import npaData from '../data/nanpa/npa.json' with { type: 'json' };
+import nxxData from '../data/nanpa/npa-nxx.json' with { type: 'json' };
+
+const npas = npaData.npas || {};
+const blocks = nxxData.blocks || {};
+const rateCenters = nxxData.rateCenters || [];
+
+// Block-level checks only run for area codes the NPA-NXX file covers
+// (the NANPA assignment file is US-only, Canadian codes are never in it)
+const coveredNpas = new Set(Object.keys(blocks).map(block => block.substring(0, 3)));
+
+/**
+ * Get area code info
+ * @param {string} npa - 3-digit area code
+ * @returns {object|null} - { state, country, timezone, type } or null if unassigned
+ */
+export function getAreaCode(npa) {
+  return npas[npa] || null;
+}
+
+/**
+ * Get exchange block info
+ * @param {string} npa - 3-digit area code
+ * @param {string} nxx - 3-digit exchange code
+ * @returns {object|null} - { rate_center, state } or null if unassigned/unknown
+ */
+export function getExchange(npa, nxx) {
+  const block = blocks[`${npa}${nxx}`];
+  if (!block) return null;
+
+  const [rateCenterIndex, state] = block;
+  return {
+    rate_center: rateCenters[rateCenterIndex] || null,
+    state: state || null
+  };
+}
+
+/**
+ * Check an NPA-NXX against the assigned-code data
+ * @param {string} npa - 3-digit area code
+ * @param {string} nxx - 3-digit exchange code
+ * @returns {object} - { valid, error, state, country, timezone, rate_center, npa_type }
+ */
+export function checkAssignment(npa, nxx) {
+  const areaCode = getAreaCode(npa);
+
+  if (!areaCode) {
+    return { valid: false, error: `Unassigned area code: ${npa}` };
+  }
+
+  // 8YY numbers ring a business line anywhere - no iPhone or carrier to look up
+  if (areaCode.type === 'toll_free') {
+    return { valid: false, error: `Toll-free number: ${npa}` };
+  }
+
+  let exchange = null;
+
+  if (coveredNpas.has(npa)) {
+    exchange = getExchange(npa, nxx);
+
+    if (!exchange) {
+      return { valid: false, error: `Unassigned exchange: ${npa}-${nxx}` };
+    }
+  }
+
+  return {
+    valid: true,
+    error: null,
+    state: exchange?.state || areaCode.state,
+    country: areaCode.country,
+    timezone: areaCode.timezone,
+    rate_center: exchange?.rate_center || null,
+    npa_type: areaCode.type
+  };
+}
+
+// Fewer NPAs than this means the NPA report was cut short or misread
+const MIN_AREA_CODES = 300;
+
+/**
+ * Problems with a NANPA snapshot that would weaken validation without any
+ * error (an empty block file turns off every exchange check)
+ * @param {object} npaSnapshot - npa.json content (default: the bundled file)
+ * @param {object} nxxSnapshot - npa-nxx.json content (default: the bundled file)
+ * @returns {Array<string>} - Empty when the data is complete
+ */
+export function datasetProblems(npaSnapshot = npaData, nxxSnapshot = nxxData) {
+  const problems = [];
+  const snapshotNpas = Object.entries(npaSnapshot.npas || {});
+  const snapshotBlocks = Object.entries(nxxSnapshot.blocks || {});
+  const snapshotRateCenters = nxxSnapshot.rateCenters || [];
+
+  if (snapshotNpas.length < MIN_AREA_CODES) {
+    problems.push(`Only ${snapshotNpas.length} area codes (expected at least ${MIN_AREA_CODES})`);
+  }
+
+  if (!snapshotNpas.some(([, areaCode]) => areaCode.type === 'toll_free')) {
+    problems.push('No toll-free area codes');
+  }
+
+  if (snapshotBlocks.length === 0) {
+    problems.push('No NPA-NXX blocks - exchanges are not checked');
+  }
+
+  const unknownNpas = new Set(snapshotBlocks
+    .map(([block]) => block.substring(0, 3))
+    .filter(npa => !npaSnapshot.npas?.[npa]));
+  if (unknownNpas.size > 0) {
+    problems.push(`Blocks for area codes missing from npa.json: ${[...unknownNpas].sort().join(', ')}`);
+  }
+
+  if (snapshotBlocks.some(([, [rateCenterIndex]]) => snapshotRateCenters[rateCenterIndex] === undefined)) {
+    problems.push('Blocks point at rate centers that are not in the file');
+  }
+
+  return problems;
+}
+
+/**
+ * Dataset summary (for health/debug output)
+ */
+export function getDatasetInfo() {
+  return {
+    npaSource: npaData.source || null,
+    npaGenerated: npaData.generated || null,
+    areaCodes: Object.keys(npas).length,
+    blockSource: nxxData.source || null,
+    blockGenerated: nxxData.generated || null,
+    exchangeBlocks: Object.keys(blocks).length,
+    blockValidatedAreaCodes: coveredNpas.size
+  };
+}
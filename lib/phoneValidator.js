@@ -1,19 +1,29 @@
 /**
- * US Phone Number Validator and Formatter
- * Validates and formats US phone numbers with proper area code checking
+ * Phone Number Validator and Formatter
+ * NANP numbers go through the US area code / exchange checks below, every
+ * other country is validated by libphonenumber-js. All ingest routes share
+ * processPhoneArray so numbers are normalized to E.164 the same way.
  */
 
-// Valid US area codes (200-999, excluding N11 codes)
-const VALID_AREA_CODES = new Set();
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+import { checkAssignment } from './nanpa.js';
 
-// Generate valid area codes
-for (let i = 200; i <= 999; i++) {
-  const code = i.toString();
-  // Exclude N11 codes (211, 311, 411, 511, 611, 711, 811, 911)
-  if (!code.endsWith('11')) {
-    VALID_AREA_CODES.add(code);
-  }
-}
+export const DEFAULT_REGION = 'US';
+
+// libphonenumber-js number types -> values stored with each phone
+const NUMBER_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'fixed',
+  FIXED_LINE_OR_MOBILE: 'fixed_or_mobile',
+  VOIP: 'voip',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  PERSONAL_NUMBER: 'personal',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail'
+};
 
 /**
  * Extract digits from phone number
@@ -23,7 +33,8 @@ function extractDigits(phone) {
 }
 
 /**
- * Validate US area code
+ * Validate US area code format (NXX, not N11)
+ * Whether the code is actually assigned is checked against NANPA data
  */
 function isValidAreaCode(areaCode) {
   if (!areaCode || areaCode.length !== 3) return false;
@@ -31,8 +42,8 @@ function isValidAreaCode(areaCode) {
   // Area code cannot start with 0 or 1
   if (areaCode[0] === '0' || areaCode[0] === '1') return false;
   
-  // Check against valid area codes set
-  return VALID_AREA_CODES.has(areaCode);
+  // Exclude N11 codes (211, 311, 411, 511, 611, 711, 811, 911)
+  return !areaCode.endsWith('11');
 }
 
 /**
@@ -55,7 +66,7 @@ function isValidExchangeCode(exchange) {
 /**
  * Format and validate US phone number
  * @param {string} phone - Input phone number in any format
- * @returns {object} - { valid: boolean, formatted: string, error: string }
+ * @returns {object} - { valid, formatted, e164, display, state, timezone, rate_center, error }
  */
 export function formatUSPhone(phone) {
   if (!phone || typeof phone !== 'string') {
@@ -103,6 +114,22 @@ export function formatUSPhone(phone) {
     };
   }
   
+  // 555-0100 through 555-0199 are reserved for fiction
+  if (exchangeCode === '555' && subscriberNumber.startsWith('01')) {
+    return { 
+      valid: false, 
+      formatted: null, 
+      error: `Fictional number: ${exchangeCode}-${subscriberNumber}` 
+    };
+  }
+  
+  // Check against assigned NANPA codes
+  const assignment = checkAssignment(areaCode, exchangeCode);
+  
+  if (!assignment.valid) {
+    return { valid: false, formatted: null, error: assignment.error };
+  }
+  
   // Format as 1 + 10 digits
   const formatted = `1${areaCode}${exchangeCode}${subscriberNumber}`;
   
@@ -111,16 +138,134 @@ export function formatUSPhone(phone) {
     formatted: formatted,
     e164: `+${formatted}`,
     display: `+1 (${areaCode}) ${exchangeCode}-${subscriberNumber}`,
+    state: assignment.state,
+    timezone: assignment.timezone,
+    rate_center: assignment.rate_center,
+    nanp_country: assignment.country,
     error: null 
   };
 }
 
+/**
+ * Normalize a default region code (ISO 3166-1 alpha-2)
+ * @param {string} region - e.g. 'us', 'GB'
+ * @returns {string} - Upper-case region, or DEFAULT_REGION when missing/invalid
+ */
+export function normalizeRegion(region) {
+  const code = region ? region.toString().trim().toUpperCase() : '';
+  return /^[A-Z]{2}$/.test(code) ? code : DEFAULT_REGION;
+}
+
+/**
+ * Parse with libphonenumber-js, retrying as international when the
+ * number has more digits than a national number and no leading +
+ */
+function parseInternational(input, region) {
+  let parsed = parsePhoneNumberFromString(input, region);
+
+  if ((!parsed || !parsed.isValid()) && !input.trim().startsWith('+')) {
+    const digits = extractDigits(input);
+    if (digits.length > 10) {
+      const international = parsePhoneNumberFromString(`+${digits}`);
+      if (international) parsed = international;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Format and validate a phone number from any country
+ * @param {string} phone - Input phone number in any format
+ * @param {string} defaultRegion - Region for numbers without a country code
+ * @returns {object} - { valid, formatted, e164, display, country, number_type, error }
+ */
+export function formatPhone(phone, defaultRegion = DEFAULT_REGION) {
+  if (phone === null || phone === undefined || phone.toString().trim() === '') {
+    return { valid: false, formatted: null, error: 'Invalid input' };
+  }
+
+  const input = phone.toString();
+  const region = normalizeRegion(defaultRegion);
+
+  let parsed;
+  try {
+    parsed = parseInternational(input, region);
+  } catch (error) {
+    parsed = null;
+  }
+
+  // NANP numbers keep the stricter area code / exchange checks
+  if (!parsed || parsed.countryCallingCode === '1') {
+    const nanpInput = parsed ? parsed.number : input;
+    const result = formatUSPhone(nanpInput);
+
+    if (!result.valid) {
+      // Fall back to the raw input error for numbers that never parsed
+      return parsed ? result : formatUSPhone(input);
+    }
+
+    const { nanp_country, ...fields } = result;
+    
+    return {
+      ...fields,
+      country: parsed?.country || nanp_country || 'US',
+      number_type: getNumberType(parsed)
+    };
+  }
+
+  if (!parsed.isValid()) {
+    return {
+      valid: false,
+      formatted: null,
+      error: `Invalid number for ${parsed.country || `+${parsed.countryCallingCode}`}`
+    };
+  }
+
+  return {
+    valid: true,
+    formatted: parsed.number.substring(1),
+    e164: parsed.number,
+    display: parsed.formatInternational(),
+    country: parsed.country || null,
+    number_type: getNumberType(parsed),
+    state: null,
+    timezone: null,
+    rate_center: null,
+    error: null
+  };
+}
+
+/**
+ * Number type for a parsed number (mobile, fixed, voip, ...)
+ */
+function getNumberType(parsed) {
+  const type = parsed ? parsed.getType() : undefined;
+  return NUMBER_TYPES[type] || 'unknown';
+}
+
+/**
+ * Reason an entry was rejected, without the number-specific detail
+ * ("Invalid area code: 123" → "Invalid area code")
+ * @param {string} error - Validation error
+ * @returns {string}
+ */
+export function invalidReason(error) {
+  return String(error || 'Invalid input').split(':')[0].trim();
+}
+
 /**
  * Process array of phone numbers - validate, format, remove duplicates
  * @param {Array} phones - Array of phone numbers
+ * @param {object} options - { defaultRegion, firstLine }
+ *   defaultRegion: region for numbers without a country code
+ *   firstLine: line number of phones[0] in the source file (default 1)
  * @returns {object} - { valid: Array, invalid: Array, stats: object }
+ *   stats.invalidReasons counts blank and invalid entries by invalidReason()
  */
-export function processPhoneArray(phones) {
+export function processPhoneArray(phones, options = {}) {
+  const defaultRegion = normalizeRegion(options.defaultRegion);
+  const firstLine = options.firstLine || 1;
   const valid = [];
   const invalid = [];
   const seen = new Set();
@@ -129,22 +274,32 @@ export function processPhoneArray(phones) {
     valid: 0,
     invalid: 0,
     duplicates: 0,
-    blank: 0
+    blank: 0,
+    defaultRegion,
+    countries: {},
+    numberTypes: {},
+    invalidReasons: {}
+  };
+  
+  const countReason = (error) => {
+    const reason = invalidReason(error);
+    stats.invalidReasons[reason] = (stats.invalidReasons[reason] || 0) + 1;
   };
   
   phones.forEach((phone, index) => {
     // Skip blank/empty
     if (!phone || phone.toString().trim() === '') {
       stats.blank++;
+      countReason('Blank or empty');
       invalid.push({
         original: phone,
         error: 'Blank or empty',
-        line: index + 1
+        line: index + firstLine
       });
       return;
     }
     
-    const result = formatUSPhone(phone);
+    const result = formatPhone(phone, defaultRegion);
     
     if (result.valid) {
       // Check for duplicates
@@ -154,25 +309,33 @@ export function processPhoneArray(phones) {
           original: phone,
           formatted: result.formatted,
           error: 'Duplicate',
-          line: index + 1
+          line: index + firstLine
         });
       } else {
         seen.add(result.formatted);
         stats.valid++;
+        stats.countries[result.country] = (stats.countries[result.country] || 0) + 1;
+        stats.numberTypes[result.number_type] = (stats.numberTypes[result.number_type] || 0) + 1;
         valid.push({
           original: phone,
           formatted: result.formatted,
           e164: result.e164,
           display: result.display,
-          line: index + 1
+          country: result.country,
+          number_type: result.number_type,
+          state: result.state,
+          timezone: result.timezone,
+          rate_center: result.rate_center,
+          line: index + firstLine
         });
       }
     } else {
       stats.invalid++;
+      countReason(result.error);
       invalid.push({
         original: phone,
         error: result.error,
-        line: index + 1
+        line: index + firstLine
       });
     }
   });
@@ -181,10 +344,28 @@ export function processPhoneArray(phones) {
 }
 
 /**
- * Test if a string looks like a phone number
+ * Fields stored with each phone in processing_chunks
+ * @param {object} phone - Entry from processPhoneArray().valid
+ */
+export function toQueuedPhone(phone) {
+  return {
+    original: phone.original,
+    e164: phone.e164,
+    country: phone.country,
+    number_type: phone.number_type,
+    state: phone.state,
+    timezone: phone.timezone,
+    rate_center: phone.rate_center,
+    // Full source row (uploaded_files.source_columns order), when the upload had one
+    row: phone.row
+  };
+}
+
+/**
+ * Test if a string looks like a phone number (national or E.164 length)
  */
 export function looksLikePhone(str) {
   if (!str) return false;
   const digits = extractDigits(str);
-  return digits.length >= 10 && digits.length <= 11;
+  return digits.length >= 7 && digits.length <= 15;
 }
\ No newline at end of file
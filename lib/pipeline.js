@@ -0,0 +1,360 @@
+/**
+ * Multi-stage lookup pipeline
+ * A file carries an ordered list of provider stages in uploaded_files.pipeline
+ * (JSON array, e.g. ["subscriberverify", "blooio"]). The queue worker runs each
+ * processing chunk through its current stage: scrub stages gate which numbers
+ * move on to the next stage, and every number ends up with exactly one
+ * combined row in blooio_results.
+ */
+
+import { getProvider, hasProvider, DEFAULT_PROVIDER } from './lookupProviders.js';
+import { categorizeBulkResults } from './subscriberVerify.js';
+import { getCachedResults, saveCachedResults } from './lookupCache.js';
+import { isCacheable } from './cachePolicy.js';
+import { toDigits } from './lookupResult.js';
+import { executeWithRetry, bulkInsert } from './db.js';
+
+// Chunks for stage N are stored at chunk_offset N * stride + original offset
+// so they never collide with the chunks of earlier stages
+export const STAGE_OFFSET_STRIDE = 100000000;
+
+// contact_type written for numbers dropped by a scrub stage
+export const FILTERED_CONTACT_TYPE = 'FILTERED';
+
+// contact_type written for numbers on a suppression list (never looked up)
+export const SUPPRESSED_CONTACT_TYPE = 'SUPPRESSED';
+
+// Numbers checked for an existing result per query by saveResultRows()
+const RESULT_LOOKUP_BATCH = 500;
+
+// Columns written to blooio_results, in toResultRow() order
+export const RESULT_COLUMNS = [
+  'file_id', 'phone_number', 'e164', 'is_ios', 'supports_imessage', 'supports_sms',
+  'contact_type', 'error', 'from_cache', 'country', 'number_type',
+  'state', 'timezone', 'rate_center',
+  'sv_action', 'sv_reason', 'sv_carrier', 'sv_carrier_type', 'sv_is_mobile',
+  'sv_litigator', 'sv_blacklisted', 'sv_geo_state', 'sv_geo_city', 'sv_timezone',
+  'original_row', 'suppressed_by'
+];
+
+// Pipelines offered at upload time
+export const PIPELINE_PRESETS = {
+  blooio: ['blooio'],
+  'subscriberverify,blooio': ['subscriberverify', 'blooio']
+};
+
+/**
+ * Parse a pipeline from an upload request
+ * Accepts an array, a JSON array string or a comma-separated list of stages
+ * @param {string|Array} value - Requested pipeline
+ * @param {string} fallback - Single service to use when no pipeline is given
+ * @returns {Array<string>} - Ordered stage names
+ */
+export function parsePipeline(value, fallback = DEFAULT_PROVIDER) {
+  let stages = value;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    stages = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(',');
+  }
+
+  stages = (Array.isArray(stages) ? stages : [])
+    .map(stage => String(stage).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (stages.length === 0) {
+    stages = [fallback || DEFAULT_PROVIDER];
+  }
+
+  for (const stage of stages) {
+    if (!hasProvider(stage)) {
+      throw new Error(`Unknown pipeline stage: ${stage}`);
+    }
+  }
+
+  if (new Set(stages).size !== stages.length) {
+    throw new Error('Pipeline stages must be unique');
+  }
+
+  // Only the last stage may be a terminal check
+  stages.slice(0, -1).forEach(stage => {
+    if (!isScrubStage(stage)) {
+      throw new Error(`${getProvider(stage).label} can only be the last pipeline stage`);
+    }
+  });
+
+  return stages;
+}
+
+/**
+ * Get the stages for an uploaded_files row
+ * Files uploaded before pipelines existed fall back to their service column
+ */
+export function getFilePipeline(file) {
+  if (file.pipeline) {
+    try {
+      const stages = JSON.parse(file.pipeline);
+      if (Array.isArray(stages) && stages.length > 0) {
+        return stages;
+      }
+    } catch (error) {
+      console.warn(`Invalid pipeline for file ${file.id}: ${file.pipeline}`);
+    }
+  }
+
+  return [file.service || DEFAULT_PROVIDER];
+}
+
+/**
+ * Whether a stage filters numbers for the next stage
+ */
+export function isScrubStage(stage) {
+  return Object.prototype.hasOwnProperty.call(SCRUB_STAGES, stage);
+}
+
+/**
+ * chunk_offset for a chunk moving on to another stage
+ */
+export function getStageChunkOffset(stageIndex, chunkOffset) {
+  return stageIndex * STAGE_OFFSET_STRIDE + (chunkOffset % STAGE_OFFSET_STRIDE);
+}
+
+/**
+ * Build a blooio_results row (values in RESULT_COLUMNS order)
+ * @param {number} fileId - File id
+ * @param {object} result - { phone_number, e164, is_ios, ..., sv }
+ */
+export function toResultRow(fileId, result) {
+  const sv = result.sv || {};
+
+  return [
+    fileId,
+    result.phone_number,
+    result.e164,
+    result.is_ios ? 1 : 0,
+    result.supports_imessage ? 1 : 0,
+    result.supports_sms ? 1 : 0,
+    result.contact_type || null,
+    result.error || null,
+    result.from_cache ? 1 : 0,
+    result.country || null,
+    result.number_type || null,
+    result.state || null,
+    result.timezone || null,
+    result.rate_center || null,
+    sv.action ?? null,
+    sv.reason ?? null,
+    sv.carrier ?? null,
+    sv.carrier_type ?? null,
+    sv.is_mobile ?? null,
+    sv.litigator ?? null,
+    sv.blacklisted ?? null,
+    sv.geo_state ?? null,
+    sv.geo_city ?? null,
+    sv.timezone ?? null,
+    result.original_row ? JSON.stringify(result.original_row) : null,
+    result.suppressed_by || null
+  ];
+}
+
+// A number written again replaces its row - blooio_results has one row per
+// file and number (unique index idx_file_e164), so a chunk that is processed
+// twice doesn't leave duplicates
+const RESULT_UPSERT = RESULT_COLUMNS
+  .filter(column => column !== 'file_id' && column !== 'e164')
+  .map(column => `${column} = VALUES(${column})`)
+  .join(', ');
+
+/**
+ * Write result rows for a file - one row per number, replacing any earlier result
+ * @param {number} fileId - File id
+ * @param {Array} results - Results as accepted by toResultRow()
+ * @returns {Promise<number>} - Numbers that had no result yet (what progress counts)
+ */
+export async function saveResultRows(fileId, results) {
+  // The last result for a number wins, as it would row by row
+  const unique = [...new Map(results.map(result => [result.e164, result])).values()];
+  let existing = 0;
+
+  for (let i = 0; i < unique.length; i += RESULT_LOOKUP_BATCH) {
+    const batch = unique.slice(i, i + RESULT_LOOKUP_BATCH);
+
+    const [rows] = await executeWithRetry(
+      `SELECT COUNT(*) as count FROM blooio_results
+       WHERE file_id = ? AND e164 IN (${batch.map(() => '?').join(', ')})`,
+      [fileId, ...batch.map(result => result.e164)]
+    );
+
+    existing += Number(rows[0].count);
+  }
+
+  await bulkInsert('blooio_results', RESULT_COLUMNS, unique.map(result => toResultRow(fileId, result)), {
+    onDuplicate: RESULT_UPSERT
+  });
+
+  return unique.length - existing;
+}
+
+/**
+ * Fields a chunk phone carries into its result row
+ * (ingest metadata plus data from earlier stages)
+ */
+export function carriedFields(phone) {
+  return {
+    country: phone.country,
+    number_type: phone.number_type,
+    state: phone.state,
+    timezone: phone.timezone,
+    rate_center: phone.rate_center,
+    original_row: phone.row,
+    sv: phone.sv
+  };
+}
+
+/**
+ * Run a chunk of phones through a scrub stage
+ * @param {string} stage - Stage name
+ * @param {Array} phones - Chunk phones ({ original, e164, ... })
+ * @param {object} context - { fileId, checkedAfter } cache provenance and force-refresh cutoff
+ * @returns {Promise<object>} - { success, survivors, filtered, cacheHits, apiCalls, error }
+ *   survivors carry the stage data on to the next stage, filtered are final result rows
+ */
+export async function runScrubStage(stage, phones, context = {}) {
+  const handler = SCRUB_STAGES[stage];
+
+  if (!handler) {
+    throw new Error(`${stage} is not a scrub stage`);
+  }
+
+  return handler(phones, context);
+}
+
+/**
+ * SubscriberVerify scrub - drop litigators, blacklisted and non-mobile numbers
+ */
+async function runSubscriberVerifyStage(phones, context = {}) {
+  const digits = phones.map(phone => toDigits(phone.e164));
+  const cacheMap = await getCachedResults('subscriberverify', digits, { checkedAfter: context.checkedAfter });
+
+  // categorizeBulkResults works on raw SubscriberVerify records
+  const rawResults = new Array(phones.length);
+  const uncached = [];
+
+  phones.forEach((phone, index) => {
+    const cached = cacheMap.get(digits[index]);
+
+    if (cached) {
+      rawResults[index] = {
+        subscriber: digits[index],
+        action: cached.action,
+        reason: cached.reason,
+        nanpType: cached.carrier_type,
+        dipCarrier: cached.carrier,
+        dipCarrierType: cached.carrier_type,
+        litigator: cached.litigator,
+        blackList: cached.blacklisted,
+        clicker: cached.clicker,
+        geoState: cached.geo_state,
+        geoCity: cached.geo_city,
+        timezone: cached.timezone,
+        fromCache: true
+      };
+    } else {
+      uncached.push(index);
+    }
+  });
+
+  let apiCalls = 0;
+
+  if (uncached.length > 0) {
+    const freshResults = await getProvider('subscriberverify').bulkLookup(
+      uncached.map(index => phones[index].e164)
+    );
+    apiCalls = uncached.length;
+
+    const cacheData = [];
+
+    freshResults.forEach((result, i) => {
+      const index = uncached[i];
+
+      if (result.raw) {
+        rawResults[index] = result.raw;
+
+        // Per-number errors are cached too (short error TTL)
+        if (isCacheable(result)) {
+          cacheData.push({
+            ...result,
+            phone_number: digits[index],
+            deliverable: result.action === 'send'
+          });
+        }
+      } else if (!result.retryable) {
+        rawResults[index] = { subscriber: digits[index], action: 'error', reason: result.error };
+      }
+    });
+
+    if (cacheData.length > 0) {
+      await saveCachedResults('subscriberverify', cacheData, { fileId: context.fileId });
+    }
+
+    // API unavailable - fail the chunk so it is retried instead of filtering numbers out
+    const failed = freshResults.find(result => result.retryable);
+    if (failed) {
+      return { success: false, error: failed.error, cacheHits: phones.length - uncached.length, apiCalls };
+    }
+  }
+
+  const categorized = categorizeBulkResults(rawResults);
+
+  const toSvData = (category) => ({
+    action: category.action || null,
+    reason: category.reason || null,
+    carrier: category.carrier || null,
+    carrier_type: category.carrierType || category.nanpType || null,
+    is_mobile: category.nanpType === 'mobile' || category.carrierType === 'mobile',
+    litigator: category.litigator ?? null,
+    blacklisted: category.blackList ?? null,
+    geo_state: category.geoState || null,
+    geo_city: category.geoCity || null,
+    timezone: category.timezone || null
+  });
+
+  const survivors = categorized.send.map(category => ({
+    ...phones[category.index],
+    sv: toSvData(category)
+  }));
+
+  const errors = new Set(categorized.error);
+
+  const filtered = [...categorized.unsubscribe, ...categorized.blacklist, ...categorized.error]
+    .map(category => {
+      const phone = phones[category.index];
+      const isError = errors.has(category);
+
+      return {
+        ...carriedFields(phone),
+        phone_number: phone.original,
+        e164: phone.e164,
+        is_ios: 0,
+        supports_imessage: 0,
+        supports_sms: 0,
+        contact_type: isError ? 'ERROR' : FILTERED_CONTACT_TYPE,
+        error: isError ? (category.reason || 'SubscriberVerify error') : null,
+        from_cache: Boolean(rawResults[category.index].fromCache),
+        sv: toSvData(category)
+      };
+    });
+
+  return {
+    success: true,
+    survivors,
+    filtered,
+    cacheHits: phones.length - uncached.length,
+    apiCalls
+  };
+}
+
+// Scrub stage handlers by provider name
+const SCRUB_STAGES = {
+  subscriberverify: runSubscriberVerifyStage
+};
@@ -0,0 +1,163 @@
+/**
+ * Reuse of earlier results across files
+ * An upload can ask to skip numbers that already have a result in one of our
+ * files uploaded within the last N days (reuse_days) or in a chosen earlier
+ * file (reuse_file_id). Those numbers are not queued: the newest earlier
+ * blooio_results row is copied to the new file (with the new file's source
+ * row) when the upload is read, and processing starts that much further in.
+ */
+
+import { executeWithRetry } from './db.js';
+import { carriedFields, getFilePipeline, saveResultRows, FILTERED_CONTACT_TYPE, SUPPRESSED_CONTACT_TYPE } from './pipeline.js';
+
+export const MAX_REUSE_DAYS = 3650;
+
+// Numbers looked up per query
+const LOOKUP_BATCH = 1000;
+
+/**
+ * Read the reuse option of an upload request
+ * @param {object} values - { reuseDays, reuseFileId, forceRefresh } from the form or JSON body
+ * @returns {object} - { days, fileId } (null when not set)
+ * @throws {Error} - On an invalid value, or when combined with force refresh
+ */
+export function parseReuseOption({ reuseDays, reuseFileId, forceRefresh } = {}) {
+  const read = (value, max, message) => {
+    if (value === undefined || value === null || value === '' || value === '0' || value === 0) return null;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+      throw new Error(message);
+    }
+    return number;
+  };
+
+  const option = {
+    days: read(reuseDays, MAX_REUSE_DAYS, `reuseDays must be a whole number of days between 1 and ${MAX_REUSE_DAYS}`),
+    fileId: read(reuseFileId, 2147483647, 'reuseFileId must be a file ID')
+  };
+
+  if ((option.days || option.fileId) && (forceRefresh === true || forceRefresh === 'true')) {
+    throw new Error('Reusing earlier results cannot be combined with force refresh');
+  }
+
+  return option;
+}
+
+/**
+ * Whether a file was uploaded with the reuse option
+ * @param {object} file - uploaded_files row
+ */
+export function reusesResults(file) {
+  return Boolean(file.reuse_days || file.reuse_file_id);
+}
+
+/**
+ * Whether an earlier row answers every stage of this file's pipeline
+ */
+function coversPipeline(row, stages) {
+  if (row.error || row.contact_type === 'ERROR' || row.sv_action === 'error') return false;
+  // Suppression is decided per upload (see suppressionLists.js)
+  if (row.contact_type === SUPPRESSED_CONTACT_TYPE) return false;
+  if (stages.includes('subscriberverify') && row.sv_action === null) return false;
+
+  // Numbers a scrub filtered out never reached the iMessage check
+  return row.contact_type !== FILTERED_CONTACT_TYPE || stages.includes('subscriberverify');
+}
+
+/**
+ * Newest usable earlier result per number
+ * @returns {Promise<Map>} - e164 → blooio_results row
+ */
+async function findPriorResults(file, stages, e164s) {
+  const found = new Map();
+  const sources = [];
+  const sourceParams = [];
+
+  if (file.reuse_days) {
+    sources.push(`f.upload_date >= NOW() - INTERVAL ${parseInt(file.reuse_days)} DAY`);
+  }
+  if (file.reuse_file_id) {
+    sources.push(`f.id = ?`);
+    sourceParams.push(file.reuse_file_id);
+  }
+
+  for (let i = 0; i < e164s.length; i += LOOKUP_BATCH) {
+    const batch = e164s.slice(i, i + LOOKUP_BATCH);
+
+    const [rows] = await executeWithRetry(
+      `SELECT r.*
+       FROM blooio_results r
+       JOIN uploaded_files f ON f.id = r.file_id
+       WHERE r.e164 IN (${batch.map(() => '?').join(', ')})
+       AND r.file_id <> ?
+       AND (${sources.join(' OR ')})
+       ORDER BY r.id DESC`,
+      [...batch, file.id, ...sourceParams]
+    );
+
+    for (const row of rows) {
+      if (!found.has(row.e164) && coversPipeline(row, stages)) {
+        found.set(row.e164, row);
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Result for this file from an earlier row, with this file's number and source row
+ */
+function toReusedResult(phone, prior) {
+  return {
+    phone_number: phone.original,
+    e164: phone.e164,
+    is_ios: prior.is_ios,
+    supports_imessage: prior.supports_imessage,
+    supports_sms: prior.supports_sms,
+    contact_type: prior.contact_type,
+    error: null,
+    from_cache: true,
+    ...carriedFields(phone),
+    sv: prior.sv_action === null ? null : {
+      action: prior.sv_action,
+      reason: prior.sv_reason,
+      carrier: prior.sv_carrier,
+      carrier_type: prior.sv_carrier_type,
+      is_mobile: prior.sv_is_mobile,
+      litigator: prior.sv_litigator,
+      blacklisted: prior.sv_blacklisted,
+      geo_state: prior.sv_geo_state,
+      geo_city: prior.sv_geo_city,
+      timezone: prior.sv_timezone
+    }
+  };
+}
+
+/**
+ * Split validated phones into the ones to queue and the ones earlier results answer
+ * The reused phones' result rows are written for the file straight away.
+ * @param {object} file - uploaded_files row (id, pipeline, service, reuse_days, reuse_file_id)
+ * @param {Array} phones - Unique processCsvRows() valid entries
+ * @returns {Promise<object>} - { queue: Array of phones still to look up, reused: number }
+ */
+export async function reusePriorResults(file, phones) {
+  if (!reusesResults(file) || phones.length === 0) {
+    return { queue: phones, reused: 0 };
+  }
+
+  const prior = await findPriorResults(file, getFilePipeline(file), phones.map(phone => phone.e164));
+  const queue = [];
+  const results = [];
+
+  for (const phone of phones) {
+    const row = prior.get(phone.e164);
+    if (row) results.push(toReusedResult(phone, row));
+    else queue.push(phone);
+  }
+
+  await saveResultRows(file.id, results);
+
+  return { queue, reused: results.length };
+}
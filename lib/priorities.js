@@ -0,0 +1,52 @@
+/**
+ * Processing priority levels
+ * A file's priority sets its share of processing while other files are
+ * active too (see scheduler.js): each level doubles it.
+ * No Node dependencies - the uploader and dashboard use these too.
+ */
+
+export const PRIORITY_LEVELS = {
+  low: 0,
+  normal: 1,
+  high: 2,
+  urgent: 3
+};
+
+export const DEFAULT_PRIORITY = PRIORITY_LEVELS.normal;
+
+// Choices shown in the uploader and on active files
+export const PRIORITY_OPTIONS = [
+  { value: PRIORITY_LEVELS.urgent, label: 'Urgent' },
+  { value: PRIORITY_LEVELS.high, label: 'High' },
+  { value: PRIORITY_LEVELS.normal, label: 'Normal' },
+  { value: PRIORITY_LEVELS.low, label: 'Low' }
+];
+
+const MAX_PRIORITY = PRIORITY_LEVELS.urgent;
+
+/**
+ * Read a priority level from a request
+ * @param {string|number} value - Level name ('low', 'normal', 'high', 'urgent') or number 0-3
+ * @returns {number} - Priority level (DEFAULT_PRIORITY when not set)
+ * @throws {Error} - On an unknown level
+ */
+export function parsePriority(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PRIORITY;
+
+  if (Object.hasOwn(PRIORITY_LEVELS, value)) return PRIORITY_LEVELS[value];
+
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 0 || level > MAX_PRIORITY) {
+    throw new Error(`priority must be one of ${Object.keys(PRIORITY_LEVELS).join(', ')}`);
+  }
+
+  return level;
+}
+
+/**
+ * Share of processing a priority level gets, relative to 'low'
+ */
+export function priorityWeight(priority) {
+  const level = Math.min(Math.max(Number(priority) || 0, 0), MAX_PRIORITY);
+  return 2 ** level;
+}
@@ -1,5 +1,5 @@
-import { getConnection } from './db.js';
-import { checkBlooioSingle } from './blooioClient.js';
+import { executeWithRetry, bulkInsert } from './db.js';
+import { getProvider } from './lookupProviders.js';
 import { getFromAppCache, saveToAppCache } from './appCache.js';
 
 export async function processBlooioChunk(fileId, chunkId) {
@@ -12,10 +12,8 @@ export async function processBlooioChunk(fileId, chunkId) {
   console.log(`Chunk ID: ${chunkId}`);
   
   try {
-    const connection = await getConnection();
-    
     // Get chunk data
-    const [chunks] = await connection.execute(
+    const [chunks] = await executeWithRetry(
       `SELECT * FROM processing_chunks WHERE id = ?`,
       [chunkId]
     );
@@ -93,7 +91,7 @@ export async function processBlooioChunk(fileId, chunkId) {
                 await new Promise(r => setTimeout(r, Math.pow(2, retry - 1) * 1000));
               }
               
-              result = await checkBlooioSingle(phone.e164);
+              result = await getProvider('blooio').lookup(phone.e164);
               
               if (result.error && retry < MAX_RETRIES) {
                 lastError = result.error;
@@ -137,8 +135,9 @@ export async function processBlooioChunk(fileId, chunkId) {
                 supports_sms: result.supports_sms,
                 contact_type: result.contact_type,
                 contact_id: result.contact_id,
+                source_key: result.source_key,
                 error: result.error
-              });
+              }, { fileId });
             } catch (cacheError) {
               console.error('Cache save error:', cacheError.message);
             }
@@ -168,38 +167,39 @@ export async function processBlooioChunk(fileId, chunkId) {
     // Save results
     console.log(`\n--- Saving ${chunkResults.length} results ---`);
     
-    if (chunkResults.length > 0) {
-      const values = chunkResults.map(r => 
-        `(${fileId}, ${connection.escape(r.phone_number)}, ${connection.escape(r.e164)}, ` +
-        `${r.is_ios ? 1 : 0}, ${r.supports_imessage ? 1 : 0}, ${r.supports_sms ? 1 : 0}, ` +
-        `${connection.escape(r.contact_type)}, ${connection.escape(r.contact_id)}, ` +
-        `${connection.escape(r.error)}, ${r.from_cache ? 1 : 0})`
-      ).join(',');
-      
-      await connection.execute(
-        `INSERT INTO blooio_results 
-         (file_id, phone_number, e164, is_ios, supports_imessage, supports_sms, 
-          contact_type, contact_id, error, from_cache)
-         VALUES ${values}`
-      );
-    }
+    // One row per file and number - a chunk processed again replaces its rows
+    await bulkInsert(
+      'blooio_results',
+      ['file_id', 'phone_number', 'e164', 'is_ios', 'supports_imessage', 'supports_sms', 'contact_type', 'contact_id', 'error', 'from_cache'],
+      chunkResults.map(r => [
+        fileId, r.phone_number ?? null, r.e164 ?? null,
+        r.is_ios ? 1 : 0, r.supports_imessage ? 1 : 0, r.supports_sms ? 1 : 0,
+        r.contact_type ?? null, r.contact_id ?? null, r.error ?? null, r.from_cache ? 1 : 0
+      ]),
+      {
+        onDuplicate: `phone_number = VALUES(phone_number), is_ios = VALUES(is_ios),
+          supports_imessage = VALUES(supports_imessage), supports_sms = VALUES(supports_sms),
+          contact_type = VALUES(contact_type), contact_id = VALUES(contact_id),
+          error = VALUES(error), from_cache = VALUES(from_cache)`
+      }
+    );
     
     // Update chunk and file
-    await connection.execute(
+    await executeWithRetry(
       `UPDATE processing_chunks SET chunk_status = 'completed' WHERE id = ?`,
       [chunkId]
     );
     
     const newOffset = chunk.chunk_offset + phones.length;
     
-    const [fileInfo] = await connection.execute(
+    const [fileInfo] = await executeWithRetry(
       `SELECT processing_total FROM uploaded_files WHERE id = ?`,
       [fileId]
     );
     
     const progress = (newOffset / fileInfo[0].processing_total * 100).toFixed(2);
     
-    await connection.execute(
+    await executeWithRetry(
       `UPDATE uploaded_files 
        SET processing_offset = ?,
            processing_progress = ?
@@ -221,8 +221,7 @@ export async function processBlooioChunk(fileId, chunkId) {
     console.error('Chunk processing error:', error);
     
     try {
-      const connection = await getConnection();
-      await connection.execute(
+      await executeWithRetry(
         `UPDATE processing_chunks SET chunk_status = 'failed' WHERE id = ?`,
         [chunkId]
       );
@@ -0,0 +1,119 @@
+/**
+ * Pause, resume and cancel of file processing
+ * process-queue re-reads which files are runnable before every batch of
+ * chunks, so a paused or cancelled file stops after the batch in progress:
+ * that batch's results are kept, and a paused file's remaining chunks stay
+ * queued exactly as they were (chunks of a run that died meanwhile are
+ * reclaimed when their lease expires - see chunkLeases.js). Resuming puts
+ * it back in the fair-share schedule (see scheduler.js) where those chunks
+ * left off.
+ *
+ * processing_status: initialized/processing ⇄ paused; anything not yet
+ * finished → cancelled, which is final - queued chunks are dropped.
+ */
+
+import { executeWithRetry, addToQueue } from './db.js';
+import { triggerRoute } from './ingestJob.js';
+
+// Statuses a file can be paused in, and cancelled in
+const PAUSABLE_STATUSES = ['initialized', 'processing'];
+const CANCELLABLE_STATUSES = ['parsing', 'review', 'initialized', 'processing', 'paused'];
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Pause a file - process-queue stops taking its chunks
+ * @param {number} fileId - uploaded_files id
+ * @returns {Promise<boolean>} - false when the file isn't processing
+ */
+export async function pauseFile(fileId) {
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files SET processing_status = 'paused'
+     WHERE id = ? AND processing_status IN (${placeholders(PAUSABLE_STATUSES)})`,
+    [fileId, ...PAUSABLE_STATUSES]
+  );
+
+  if (result.affectedRows !== 1) return false;
+
+  console.log(`⏸️ File ${fileId} paused`);
+  return true;
+}
+
+/**
+ * Resume a paused file from the chunk it stopped at
+ * @param {number} fileId - uploaded_files id
+ * @returns {Promise<boolean>} - false when the file isn't paused
+ */
+export async function resumeFile(fileId) {
+  // The last batch before the pause may have finished the file
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files
+     SET processing_status = IF(processing_offset >= processing_total, 'completed', 'initialized'),
+         processing_progress = IF(processing_offset >= processing_total, 100, processing_progress)
+     WHERE id = ? AND processing_status = 'paused'`,
+    [fileId]
+  );
+
+  if (result.affectedRows !== 1) return false;
+
+  // Rejoins the schedule at the files' current position, keeping its priority
+  await addToQueue(fileId);
+
+  console.log(`▶️ File ${fileId} resumed`);
+  triggerRoute('process-queue');
+
+  return true;
+}
+
+/**
+ * Cancel a file - results looked up so far are kept, nothing more is processed
+ * An ingest still reading the file loses its claim and stops.
+ * @param {number} fileId - uploaded_files id
+ * @returns {Promise<boolean>} - false when the file is already finished
+ */
+export async function cancelFile(fileId) {
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files
+     SET processing_status = 'cancelled',
+         can_resume = 0,
+         ingest_token = NULL,
+         ingest_heartbeat = NULL
+     WHERE id = ? AND processing_status IN (${placeholders(CANCELLABLE_STATUSES)})`,
+    [fileId, ...CANCELLABLE_STATUSES]
+  );
+
+  if (result.affectedRows !== 1) return false;
+
+  await executeWithRetry(`DELETE FROM processing_queue WHERE file_id = ?`, [fileId]);
+  await dropQueuedChunks(fileId);
+
+  console.log(`⏹️ File ${fileId} cancelled`);
+  return true;
+}
+
+/**
+ * Remove a cancelled file's chunks that are still waiting to be processed
+ * @param {number} fileId - uploaded_files id
+ */
+export async function dropQueuedChunks(fileId) {
+  await executeWithRetry(
+    `DELETE FROM processing_chunks WHERE file_id = ? AND chunk_status IN ('pending', 'failed')`,
+    [fileId]
+  );
+}
+
+/**
+ * Current processing status of files
+ * @param {Array<number>} fileIds - uploaded_files ids
+ * @returns {Promise<Map>} - file id → processing_status
+ */
+export async function getProcessingStatuses(fileIds) {
+  if (fileIds.length === 0) return new Map();
+
+  const [rows] = await executeWithRetry(
+    `SELECT id, processing_status FROM uploaded_files WHERE id IN (${placeholders(fileIds)})`,
+    fileIds
+  );
+
+  return new Map(rows.map(row => [row.id, row.processing_status]));
+}
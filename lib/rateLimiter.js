@@ -1,97 +1,491 @@
 /**
- * Rate Limiter for Blooio API
- * Limits to configurable requests per second (default: 4)
+ * Shared token-bucket rate limiter
+ * One bucket per provider + API key. Bucket state lives in MySQL by default so
+ * every serverless instance (cron queue runs, manual batch checks, single
+ * reprocessing) draws from the same budget and never exceeds the vendor limit.
+ *
+ * Buckets are stored GCRA-style as a single "theoretical arrival time" (tat):
+ * each acquire atomically pushes tat forward by cost * interval and the caller
+ * sleeps until its reserved slot. burst > 1 lets that many requests through
+ * back to back after an idle period.
+ *
+ * The rate itself is adaptive (AIMD): throttling responses (429, 503 "No
+ * active devices") cut it multiplicatively and pause the bucket for the
+ * Retry-After period; sustained success ramps it back up towards the
+ * configured ceiling. The effective rate is stored next to the bucket so
+ * every instance slows down together.
  */
 
-class RateLimiter {
-    constructor(requestsPerSecond = null) {
-      // Use env variable or default to 4
-      this.requestsPerSecond = requestsPerSecond || 
-        parseInt(process.env.BLOOIO_RATE_LIMIT_RPS) || 
-        4;
-      this.minTimeBetweenRequests = 1000 / this.requestsPerSecond;
-      this.lastRequestTime = 0;
+import crypto from 'crypto';
+import { executeWithRetry } from './db.js';
+import { ensureSchema } from './schema.js';
+
+// Per-provider limits (ceiling and floor in requests per second, burst size)
+const PROVIDER_LIMITS = {
+  blooio: {
+    requestsPerSecond: parseFloat(process.env.BLOOIO_RATE_LIMIT_RPS) || 4,
+    minRequestsPerSecond: parseFloat(process.env.BLOOIO_RATE_LIMIT_MIN_RPS) || 0.5,
+    burst: parseInt(process.env.BLOOIO_RATE_LIMIT_BURST) || 1
+  },
+  subscriberverify: {
+    requestsPerSecond: parseFloat(process.env.SUBSCRIBER_VERIFY_RATE_LIMIT_RPS) || 5,
+    minRequestsPerSecond: parseFloat(process.env.SUBSCRIBER_VERIFY_RATE_LIMIT_MIN_RPS) || 0.5,
+    burst: parseInt(process.env.SUBSCRIBER_VERIFY_RATE_LIMIT_BURST) || 1
+  }
+};
+
+const DEFAULT_LIMIT = { requestsPerSecond: 1, minRequestsPerSecond: 0.5, burst: 1 };
+
+// Adaptive control
+const BACKOFF_FACTOR = 0.5;         // Rate multiplier on each throttling response
+const BACKOFF_COOLDOWN_MS = 2000;   // In-flight requests hit the same limit - back off once per window
+const DEFAULT_PAUSE_MS = 1000;      // Pause when the response has no Retry-After
+const MAX_PAUSE_MS = 5 * 60 * 1000;
+const RAMP_UP_AFTER = 20;           // Consecutive successes before each step up
+const RAMP_UP_STEP = 0.1;           // Step size as a fraction of the ceiling
+const RATE_SYNC_MS = 5000;          // How often to pick up rate changes from other instances
+
+const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Whether an HTTP status means the vendor wants us to slow down
+ */
+export function isThrottleStatus(status) {
+  return THROTTLE_STATUSES.includes(status);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  const delayMs = Number.isFinite(seconds)
+    ? seconds * 1000
+    : Date.parse(value) - Date.now();
+
+  if (!Number.isFinite(delayMs)) return null;
+
+  return Math.min(Math.max(0, Math.round(delayMs)), MAX_PAUSE_MS);
+}
+
+/**
+ * In-process bucket store (single instance only - used for local runs and
+ * as a fallback when the database is unreachable)
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map();
+    this.rates = new Map();
+  }
+
+  async reserve(key, increment, now) {
+    const tat = Math.max(this.buckets.get(key) || 0, now) + increment;
+    this.buckets.set(key, tat);
+    return tat;
+  }
+
+  async delay(key, until) {
+    this.buckets.set(key, Math.max(this.buckets.get(key) || 0, until));
+  }
+
+  async getRate(key) {
+    return this.rates.get(key) ?? null;
+  }
+
+  async setRate(key, rate) {
+    this.rates.set(key, rate);
+  }
+
+  async listBuckets() {
+    return Array.from(this.buckets.keys()).map(key => ({
+      key,
+      tat: this.buckets.get(key),
+      rate: this.rates.get(key) ?? null
+    }));
+  }
+}
+
+/**
+ * MySQL bucket store - one atomic UPDATE per acquire
+ * LAST_INSERT_ID(expr) hands the new tat back in the OK packet, so no
+ * transaction or second query is needed
+ */
+export class MySQLRateLimitStore {
+  constructor() {
+    this.name = 'mysql';
+  }
+
+  async reserve(key, increment, now) {
+    await ensureSchema();
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const [result] = await executeWithRetry(
+        `UPDATE rate_limit_buckets
+         SET tat_ms = LAST_INSERT_ID(GREATEST(tat_ms, ?) + ?)
+         WHERE bucket_key = ?`,
+        [now, increment, key]
+      );
+
+      if (result.affectedRows > 0) {
+        return Number(result.insertId);
+      }
+
+      // First use of this bucket
+      await executeWithRetry(
+        `INSERT IGNORE INTO rate_limit_buckets (bucket_key, tat_ms) VALUES (?, 0)`,
+        [key]
+      );
     }
-  
-    async waitForSlot() {
-      const now = Date.now();
-      const timeSinceLastRequest = now - this.lastRequestTime;
-      const timeToWait = Math.max(0, this.minTimeBetweenRequests - timeSinceLastRequest);
-  
-      if (timeToWait > 0) {
-        await new Promise(resolve => setTimeout(resolve, timeToWait));
+
+    throw new Error(`Could not reserve rate limit bucket ${key}`);
+  }
+
+  async delay(key, until) {
+    await ensureSchema();
+
+    // GREATEST keeps this idempotent when several requests report the same pause
+    await executeWithRetry(
+      `INSERT INTO rate_limit_buckets (bucket_key, tat_ms) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE tat_ms = GREATEST(tat_ms, VALUES(tat_ms))`,
+      [key, until]
+    );
+  }
+
+  async getRate(key) {
+    await ensureSchema();
+
+    const [rows] = await executeWithRetry(
+      `SELECT rate_rps FROM rate_limit_buckets WHERE bucket_key = ?`,
+      [key]
+    );
+
+    return rows.length > 0 && rows[0].rate_rps !== null ? Number(rows[0].rate_rps) : null;
+  }
+
+  async setRate(key, rate) {
+    await ensureSchema();
+
+    await executeWithRetry(
+      `INSERT INTO rate_limit_buckets (bucket_key, tat_ms, rate_rps) VALUES (?, 0, ?)
+       ON DUPLICATE KEY UPDATE rate_rps = VALUES(rate_rps)`,
+      [key, rate]
+    );
+  }
+
+  async listBuckets() {
+    await ensureSchema();
+
+    const [rows] = await executeWithRetry(
+      `SELECT bucket_key, tat_ms, rate_rps FROM rate_limit_buckets ORDER BY bucket_key`
+    );
+
+    return rows.map(row => ({
+      key: row.bucket_key,
+      tat: Number(row.tat_ms),
+      rate: row.rate_rps !== null ? Number(row.rate_rps) : null
+    }));
+  }
+}
+
+const fallbackStore = new MemoryRateLimitStore();
+
+let store = (process.env.RATE_LIMIT_STORE || (process.env.DB_HOST ? 'mysql' : 'memory')) === 'mysql'
+  ? new MySQLRateLimitStore()
+  : fallbackStore;
+
+/**
+ * Replace the bucket store
+ * Must implement reserve(key, increment, now) -> tat, delay(key, until),
+ * getRate(key), setRate(key, rate) and listBuckets()
+ */
+export function setRateLimitStore(newStore) {
+  const methods = ['reserve', 'delay', 'getRate', 'setRate', 'listBuckets'];
+
+  if (!newStore || methods.some(method => typeof newStore[method] !== 'function')) {
+    throw new Error(`Rate limit store must implement ${methods.join(', ')}`);
+  }
+  store = newStore;
+}
+
+export class TokenBucketLimiter {
+  /**
+   * @param {object} options - { key, provider, requestsPerSecond, minRequestsPerSecond, burst }
+   */
+  constructor({ key, provider, requestsPerSecond, minRequestsPerSecond, burst = 1 }) {
+    this.key = key;
+    this.provider = provider;
+    this.requestsPerSecond = requestsPerSecond;
+    this.minRequestsPerSecond = Math.min(minRequestsPerSecond || requestsPerSecond, requestsPerSecond);
+    this.burst = Math.max(1, burst);
+    this.effectiveRate = requestsPerSecond;
+
+    this.acquired = 0;
+    this.totalWaitMs = 0;
+    this.lastAcquireTime = 0;
+    this.lastStore = store.name;
+
+    this.rateSyncedAt = 0;
+    this.successStreak = 0;
+    this.lastBackoffTime = 0;
+    this.backoffs = 0;
+    this.lastThrottle = null;
+  }
+
+  /**
+   * Milliseconds between requests at the current effective rate
+   */
+  get intervalMs() {
+    return 1000 / this.effectiveRate;
+  }
+
+  /**
+   * Change the configured ceiling (e.g. a per-key limit edited in the pool)
+   */
+  setCeiling(requestsPerSecond) {
+    if (!requestsPerSecond || requestsPerSecond === this.requestsPerSecond) return;
+
+    this.requestsPerSecond = requestsPerSecond;
+    this.minRequestsPerSecond = Math.min(this.minRequestsPerSecond, requestsPerSecond);
+    this.effectiveRate = this.clampRate(this.effectiveRate);
+  }
+
+  clampRate(rate) {
+    return Math.min(this.requestsPerSecond, Math.max(this.minRequestsPerSecond, rate));
+  }
+
+  /**
+   * Pick up rate changes made by other instances
+   */
+  async syncRate() {
+    if (Date.now() - this.rateSyncedAt < RATE_SYNC_MS) return;
+    this.rateSyncedAt = Date.now();
+
+    try {
+      const sharedRate = await store.getRate(this.key);
+
+      if (sharedRate) {
+        this.effectiveRate = this.clampRate(sharedRate);
       }
-  
-      this.lastRequestTime = Date.now();
+    } catch (error) {
+      // Keep the local rate - acquire() reports store problems
     }
-  
-    async execute(fn) {
-      await this.waitForSlot();
-      return await fn();
+  }
+
+  async setEffectiveRate(rate) {
+    const newRate = Math.round(this.clampRate(rate) * 100) / 100;
+    if (newRate === this.effectiveRate) return;
+
+    this.effectiveRate = newRate;
+    this.rateSyncedAt = Date.now();
+
+    try {
+      await store.setRate(this.key, newRate);
+    } catch (error) {
+      console.warn(`⚠️ Could not share rate for ${this.key}: ${error.message}`);
     }
-  
-    getStats() {
-      return {
-        requestsPerSecond: this.requestsPerSecond,
-        minTimeBetweenRequests: this.minTimeBetweenRequests,
-        lastRequestTime: this.lastRequestTime,
-        timeSinceLastRequest: Date.now() - this.lastRequestTime,
-      };
+  }
+
+  /**
+   * Wait until `cost` requests may be sent
+   * @param {number} cost - Number of requests about to be sent
+   * @returns {Promise<number>} - Milliseconds waited
+   */
+  async acquire(cost = 1) {
+    await this.syncRate();
+
+    const increment = Math.ceil(cost * this.intervalMs);
+    const tolerance = (this.burst - 1) * this.intervalMs;
+    let tat;
+
+    try {
+      tat = await store.reserve(this.key, increment, Date.now());
+      this.lastStore = store.name;
+    } catch (error) {
+      console.warn(`⚠️ Rate limit store unavailable (${error.message}) - limiting locally`);
+      tat = await fallbackStore.reserve(this.key, increment, Date.now());
+      this.lastStore = fallbackStore.name;
     }
+
+    const waitMs = Math.max(0, Math.round(tat - increment - tolerance - Date.now()));
+
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    this.acquired += cost;
+    this.totalWaitMs += waitMs;
+    this.lastAcquireTime = Date.now();
+
+    return waitMs;
   }
-  
-  // Create singleton instance
-  const blooioRateLimiter = new RateLimiter();
-  
-  export default blooioRateLimiter;
-  
+
   /**
-   * Batch rate limiter - processes items in batches
+   * Report a throttling response (429 / 503)
+   * Lowers the rate and pauses the shared bucket so every instance waits
+   * @param {object} options - { status, retryAfterMs }
    */
-  export class BatchRateLimiter {
-    constructor(requestsPerSecond = 4, batchSize = 10) {
-      this.requestsPerSecond = requestsPerSecond;
-      this.batchSize = batchSize;
-      this.minTimeBetweenRequests = 1000 / requestsPerSecond;
-      this.lastRequestTime = 0;
+  async reportThrottle({ status = null, retryAfterMs = null } = {}) {
+    const now = Date.now();
+    const pauseMs = retryAfterMs ?? DEFAULT_PAUSE_MS;
+
+    this.successStreak = 0;
+    this.lastThrottle = { status, retryAfterMs, time: new Date(now).toISOString() };
+
+    try {
+      await store.delay(this.key, now + pauseMs);
+    } catch (error) {
+      await fallbackStore.delay(this.key, now + pauseMs);
     }
-  
-    /**
-     * Process an array of items with rate limiting
-     * @param {Array} items - Items to process
-     * @param {Function} processFn - Async function to process each item
-     * @param {Function} onProgress - Progress callback (current, total)
-     * @returns {Promise<Array>} - Results
-     */
-    async processAll(items, processFn, onProgress = null) {
-      const results = [];
-      
-      for (let i = 0; i < items.length; i++) {
-        // Wait for rate limit slot
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        const timeToWait = Math.max(0, this.minTimeBetweenRequests - timeSinceLastRequest);
-  
-        if (timeToWait > 0) {
-          await new Promise(resolve => setTimeout(resolve, timeToWait));
-        }
-  
-        this.lastRequestTime = Date.now();
-  
-        // Process item
-        try {
-          const result = await processFn(items[i], i);
-          results.push(result);
-        } catch (error) {
-          results.push({ error: error.message, item: items[i] });
-        }
-  
-        // Call progress callback
-        if (onProgress) {
-          onProgress(i + 1, items.length);
-        }
-      }
-  
-      return results;
+
+    if (now - this.lastBackoffTime < BACKOFF_COOLDOWN_MS) return;
+
+    this.lastBackoffTime = now;
+    this.backoffs++;
+
+    const previousRate = this.effectiveRate;
+    await this.setEffectiveRate(previousRate * BACKOFF_FACTOR);
+
+    console.warn(`🐢 ${this.key} throttled (HTTP ${status}) - rate ${previousRate} → ${this.effectiveRate} req/sec, pausing ${pauseMs}ms`);
+  }
+
+  /**
+   * Report a successful request - ramps the rate back up after a streak
+   */
+  async reportSuccess() {
+    if (this.effectiveRate >= this.requestsPerSecond) {
+      this.successStreak = 0;
+      return;
+    }
+
+    this.successStreak++;
+    if (this.successStreak < RAMP_UP_AFTER) return;
+
+    this.successStreak = 0;
+    await this.setEffectiveRate(this.effectiveRate + this.requestsPerSecond * RAMP_UP_STEP);
+
+    console.log(`🐇 ${this.key} rate raised to ${this.effectiveRate} req/sec`);
+  }
+
+  /**
+   * Kept for backwards compatibility
+   */
+  async waitForSlot() {
+    return this.acquire(1);
+  }
+
+  async execute(fn, cost = 1) {
+    await this.acquire(cost);
+    return await fn();
+  }
+
+  getStats() {
+    return {
+      key: this.key,
+      provider: this.provider,
+      requestsPerSecond: this.requestsPerSecond,
+      minRequestsPerSecond: this.minRequestsPerSecond,
+      effectiveRate: this.effectiveRate,
+      throttled: this.effectiveRate < this.requestsPerSecond,
+      backoffs: this.backoffs,
+      lastThrottle: this.lastThrottle,
+      burst: this.burst,
+      minTimeBetweenRequests: this.intervalMs,
+      store: this.lastStore,
+      acquired: this.acquired,
+      totalWaitMs: this.totalWaitMs,
+      lastRequestTime: this.lastAcquireTime,
+      timeSinceLastRequest: Date.now() - this.lastAcquireTime
+    };
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * Short, non-reversible id for an API key (bucket keys are stored in the DB)
+ */
+function fingerprint(apiKey) {
+  if (!apiKey) return 'default';
+  return crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+}
+
+/**
+ * Configured limits for a provider
+ * @returns {object} - { requestsPerSecond, minRequestsPerSecond, burst }
+ */
+export function getProviderLimit(provider) {
+  return PROVIDER_LIMITS[provider] || DEFAULT_LIMIT;
+}
+
+/**
+ * Bucket key for a provider + API key
+ */
+export function getBucketKey(provider, apiKey = null) {
+  return `${provider}:${fingerprint(apiKey)}`;
+}
+
+/**
+ * Get the shared limiter for a provider + API key
+ * @param {string} provider - Provider name (e.g. 'blooio')
+ * @param {string} apiKey - API key the requests are sent with
+ * @param {object} overrides - { requestsPerSecond } per-key ceiling (optional)
+ * @returns {TokenBucketLimiter}
+ */
+export function getRateLimiter(provider, apiKey = null, overrides = {}) {
+  const key = getBucketKey(provider, apiKey);
+
+  if (!limiters.has(key)) {
+    const limit = { ...getProviderLimit(provider) };
+    if (overrides.requestsPerSecond) {
+      limit.requestsPerSecond = overrides.requestsPerSecond;
     }
-  }
\ No newline at end of file
+    limiters.set(key, new TokenBucketLimiter({ key, provider, ...limit }));
+  } else if (overrides.requestsPerSecond) {
+    limiters.get(key).setCeiling(overrides.requestsPerSecond);
+  }
+
+  return limiters.get(key);
+}
+
+/**
+ * Stats for every limiter used by this instance
+ */
+export function getAllRateLimiterStats() {
+  return Array.from(limiters.values()).map(limiter => limiter.getStats());
+}
+
+/**
+ * Shared state of every bucket (all instances) with its configured limits
+ * @returns {Promise<Array>} - [{ key, provider, configuredRate, minRate, effectiveRate, throttled, nextSlotInMs }]
+ */
+export async function getSharedRateStatus() {
+  const buckets = await store.listBuckets();
+  const now = Date.now();
+
+  return buckets.map(bucket => {
+    const provider = bucket.key.split(':')[0];
+    // Limiters known to this instance carry per-key ceilings
+    const limit = limiters.get(bucket.key) || getProviderLimit(provider);
+    const effectiveRate = bucket.rate ?? limit.requestsPerSecond;
+
+    return {
+      key: bucket.key,
+      provider,
+      configuredRate: limit.requestsPerSecond,
+      minRate: limit.minRequestsPerSecond,
+      effectiveRate,
+      throttled: effectiveRate < limit.requestsPerSecond,
+      nextSlotInMs: Math.max(0, Math.round(bucket.tat - now))
+    };
+  });
+}
+
+// Blooio limiter for the configured key (kept for backwards compatibility)
+const blooioRateLimiter = getRateLimiter('blooio', process.env.BLOOIO_API_KEY);
+
+export default blooioRateLimiter;
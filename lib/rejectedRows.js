@@ -0,0 +1,121 @@
+/**
+ * Rejected rows per file
+ * Blank, invalid and duplicate rows found while reading an upload are kept
+ * (line number, reason and the full source row) so list owners can download
+ * them and fix their source data.
+ */
+
+import { executeWithRetry, bulkInsert } from './db.js';
+import { ensureSchema } from './schema.js';
+import { invalidReason } from './phoneValidator.js';
+import { buildOutputHeaders, parseJsonArray, toCsvLine } from './csvColumns.js';
+
+// Rows read per query when building the CSV
+const READ_BATCH = 5000;
+
+// Columns appended to every rejected row
+export const REJECTED_COLUMNS = ['phone_number', 'line_number', 'reject_reason', 'error'];
+
+/**
+ * Save rejected entries for a file
+ * @param {number} fileId - uploaded_files id
+ * @param {Array} entries - processPhoneArray() / processCsvRows() invalid entries ({ original, error, line, row })
+ * @returns {Promise<number>} - Rows saved
+ */
+export async function saveRejectedRows(fileId, entries) {
+  if (entries.length === 0) return 0;
+
+  await bulkInsert(
+    'rejected_rows',
+    ['file_id', 'line_number', 'original_value', 'reason', 'error', 'row_data'],
+    entries.map(entry => [
+      fileId,
+      entry.line ?? null,
+      entry.original === undefined || entry.original === null ? null : String(entry.original).substring(0, 255),
+      invalidReason(entry.error),
+      String(entry.error || '').substring(0, 255),
+      entry.row ? JSON.stringify(entry.row) : null
+    ])
+  );
+
+  await executeWithRetry(
+    `UPDATE uploaded_files SET rejected_count = rejected_count + ? WHERE id = ?`,
+    [entries.length, fileId]
+  );
+
+  return entries.length;
+}
+
+/**
+ * Forget a file's rejected rows (before the file is read again)
+ * @param {number} fileId - uploaded_files id
+ */
+export async function clearRejectedRows(fileId) {
+  await executeWithRetry(`DELETE FROM rejected_rows WHERE file_id = ?`, [fileId]);
+  await executeWithRetry(`UPDATE uploaded_files SET rejected_count = 0 WHERE id = ?`, [fileId]);
+}
+
+/**
+ * Build the rejected-rows CSV for a file
+ * Files uploaded with their header get every original column back, followed
+ * by the line number and why the row was rejected.
+ * @param {number} fileId - uploaded_files id
+ * @returns {Promise<object|null>} - { csv, rowCount, file } or null when the file has no rejected rows
+ */
+export async function buildRejectedCsv(fileId) {
+  await ensureSchema();
+
+  const [files] = await executeWithRetry(
+    `SELECT id, file_name, source_columns, phone_column FROM uploaded_files WHERE id = ?`,
+    [fileId]
+  );
+
+  const file = files[0];
+  const sourceColumns = file ? parseJsonArray(file.source_columns) : null;
+
+  // The original phone cell is already part of the source row
+  const rejectedColumns = sourceColumns ? REJECTED_COLUMNS.filter(column => column !== 'phone_number') : REJECTED_COLUMNS;
+  const phoneIndex = sourceColumns ? Math.max(0, sourceColumns.indexOf(file.phone_column)) : -1;
+
+  const lines = [toCsvLine(buildOutputHeaders(sourceColumns, rejectedColumns))];
+  let lastId = 0;
+
+  while (true) {
+    const [rows] = await executeWithRetry(
+      `SELECT id, line_number, original_value, reason, error, row_data
+       FROM rejected_rows
+       WHERE file_id = ? AND id > ?
+       ORDER BY id ASC
+       LIMIT ${READ_BATCH}`,
+      [fileId, lastId]
+    );
+
+    for (const row of rows) {
+      const values = [];
+
+      if (sourceColumns) {
+        const original = parseJsonArray(row.row_data);
+
+        for (let i = 0; i < sourceColumns.length; i++) {
+          values.push(original ? original[i] : (i === phoneIndex ? row.original_value : null));
+        }
+      } else {
+        values.push(row.original_value);
+      }
+
+      values.push(row.line_number, row.reason, row.error);
+      lines.push(toCsvLine(values));
+    }
+
+    if (rows.length < READ_BATCH) break;
+    lastId = rows[rows.length - 1].id;
+  }
+
+  if (lines.length === 1) return null;
+
+  return {
+    csv: lines.join('\n'),
+    rowCount: lines.length - 1,
+    file
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Results CSV for queue-processed files (rows in blooio_results)
+ * Files uploaded with their header stored get every original column back,
+ * in the original order, followed by the lookup columns. Numbers on a
+ * suppression list (now, or when the file was read) are flagged in the
+ * suppressed column with the lists' names.
+ */
+
+import { executeWithRetry } from './db.js';
+import { getFilePipeline } from './pipeline.js';
+import { ensureSchema } from './schema.js';
+import { buildOutputHeaders, parseJsonArray, toCsvLine } from './csvColumns.js';
+import { findSuppressed } from './suppressionLists.js';
+
+// Lookup columns appended to every row
+export const LOOKUP_COLUMNS = [
+  'phone_number', 'e164', 'country', 'number_type', 'state', 'timezone', 'rate_center',
+  'supports_imessage', 'supports_sms', 'contact_type', 'error', 'suppressed'
+];
+
+// Added for files scrubbed by SubscriberVerify
+export const SV_COLUMNS = [
+  'sv_action', 'sv_reason', 'sv_carrier', 'sv_carrier_type', 'sv_is_mobile',
+  'sv_litigator', 'sv_blacklisted', 'sv_geo_state', 'sv_geo_city', 'sv_timezone'
+];
+
+/**
+ * Build the results CSV for a file
+ * @param {number} fileId - uploaded_files id
+ * @returns {Promise<object|null>} - { csv, rowCount, file } or null when the file has no results
+ */
+export async function buildResultsCsv(fileId) {
+  await ensureSchema();
+
+  const [files] = await executeWithRetry(
+    `SELECT id, file_name, service, pipeline, source_columns, phone_column FROM uploaded_files WHERE id = ?`,
+    [fileId]
+  );
+
+  const file = files[0];
+  const sourceColumns = file ? parseJsonArray(file.source_columns) : null;
+
+  // The original phone cell is already part of the source row
+  let lookupColumns = sourceColumns ? LOOKUP_COLUMNS.filter(column => column !== 'phone_number') : [...LOOKUP_COLUMNS];
+
+  // Files scrubbed by SubscriberVerify get the scrub columns in the combined row
+  if (file && getFilePipeline(file).includes('subscriberverify')) {
+    lookupColumns = [...lookupColumns, ...SV_COLUMNS];
+  }
+
+  const [results] = await executeWithRetry(
+    `SELECT phone_number, ${lookupColumns.filter(column => !['phone_number', 'suppressed'].includes(column)).join(', ')},
+            suppressed_by, original_row
+     FROM blooio_results
+     WHERE file_id = ?
+     ORDER BY id ASC`,
+    [fileId]
+  );
+
+  if (results.length === 0) return null;
+
+  const suppressed = await findSuppressed(results.map(row => row.e164));
+
+  const lines = [toCsvLine(buildOutputHeaders(sourceColumns, lookupColumns))];
+  const phoneIndex = sourceColumns ? Math.max(0, sourceColumns.indexOf(file.phone_column)) : -1;
+
+  for (const row of results) {
+    const values = [];
+
+    if (sourceColumns) {
+      const original = parseJsonArray(row.original_row);
+
+      for (let i = 0; i < sourceColumns.length; i++) {
+        // Rows saved before their source row was kept only have the phone
+        values.push(original ? original[i] : (i === phoneIndex ? row.phone_number : null));
+      }
+    }
+
+    row.suppressed = suppressed.get(row.e164) || row.suppressed_by;
+    lookupColumns.forEach(column => values.push(row[column]));
+    lines.push(toCsvLine(values));
+  }
+
+  return {
+    csv: lines.join('\n'),
+    rowCount: results.length,
+    file
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Fair-share scheduling of processing chunks across files
+ * Every file with numbers left to check is runnable at once; process-queue
+ * asks pickNextFile() for the file to take each chunk from, so large and
+ * small lists interleave instead of running one after the other.
+ *
+ * Stride scheduling: each file keeps a pass (schedule_pass) that grows by
+ * numbers processed / its priority weight, and the file with the lowest pass
+ * goes next. An urgent file (weight 8) gets eight times the share of a
+ * low-priority one (weight 1) while both are active. A file joining the
+ * queue starts at the lowest pass of the files already running, so it
+ * neither waits behind them nor gets credit for time it wasn't queued.
+ */
+
+import { executeWithRetry } from './db.js';
+import { priorityWeight } from './priorities.js';
+
+/**
+ * Files with numbers left to check, with their schedule position
+ * Files new to the queue are placed at the lowest pass of the others.
+ * @returns {Promise<Array>} - uploaded_files rows
+ */
+export async function loadRunnableFiles() {
+  const [files] = await executeWithRetry(
+    `SELECT * FROM uploaded_files
+     WHERE processing_status IN ('initialized', 'processing')
+     AND processing_offset < processing_total`
+  );
+
+  const passes = files.filter(file => file.schedule_pass !== null).map(file => file.schedule_pass);
+  const startPass = passes.length > 0 ? Math.min(...passes) : 0;
+
+  for (const file of files.filter(file => file.schedule_pass === null)) {
+    await executeWithRetry(
+      `UPDATE uploaded_files SET schedule_pass = ? WHERE id = ? AND schedule_pass IS NULL`,
+      [startPass, file.id]
+    );
+    file.schedule_pass = startPass;
+  }
+
+  return files;
+}
+
+/**
+ * File to take the next chunk from
+ * Lowest pass first; ties go to the higher priority, then the older upload.
+ * @param {Array} files - Rows from loadRunnableFiles()
+ * @returns {object|null} - uploaded_files row, or null when there are none
+ */
+export function pickNextFile(files) {
+  let next = null;
+
+  for (const file of files) {
+    if (!next
+      || file.schedule_pass < next.schedule_pass
+      || (file.schedule_pass === next.schedule_pass && file.priority > next.priority)
+      || (file.schedule_pass === next.schedule_pass && file.priority === next.priority
+        && new Date(file.upload_date) < new Date(next.upload_date))) {
+      next = file;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Pass a file moves on by for processing a number of phones
+ */
+export function passFor(file, phones) {
+  return phones / priorityWeight(file.priority);
+}
+
+/**
+ * Record processing done for a file
+ * @param {object} file - uploaded_files row
+ * @param {number} phones - Numbers taken through a stage
+ */
+export async function chargeFile(file, phones) {
+  if (phones <= 0) return;
+
+  await executeWithRetry(
+    `UPDATE uploaded_files SET schedule_pass = COALESCE(schedule_pass, 0) + ? WHERE id = ?`,
+    [passFor(file, phones), file.id]
+  );
+}
+
+/**
+ * Change the priority of a file
+ * The file keeps its place; from here on it gets the share of the new level.
+ * @param {number} fileId - uploaded_files id
+ * @param {number} priority - Priority level
+ * @returns {Promise<boolean>} - false when there is no such file
+ */
+export async function setFilePriority(fileId, priority) {
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files SET priority = ? WHERE id = ?`,
+    [priority, fileId]
+  );
+
+  return result.affectedRows === 1;
+}
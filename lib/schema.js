@@ -0,0 +1,590 @@
+/**
+ * Schema upgrades for existing tables
+ * Tables and columns added after the original schema are listed here and
+ * applied once per instance by ensureSchema(). Routes that read or write
+ * them call ensureSchema() before their first query.
+ *
+ * One-off data migrations run after that, each exactly once per database
+ * (recorded in schema_migrations).
+ */
+
+import { executeWithRetry, executeTransaction, ensureColumns, getConnection } from './db.js';
+
+const TABLES = {
+  // Shared token buckets (see rateLimiter.js)
+  rate_limit_buckets: `
+    CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      bucket_key VARCHAR(100) PRIMARY KEY,
+      tat_ms BIGINT NOT NULL DEFAULT 0,
+      rate_rps DOUBLE NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+
+  // Blooio key pool (see blooioKeyPool.js)
+  blooio_api_keys: `
+    CREATE TABLE IF NOT EXISTS blooio_api_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      label VARCHAR(100) NOT NULL,
+      api_key VARCHAR(255) NOT NULL UNIQUE,
+      enabled BOOLEAN NOT NULL DEFAULT 1,
+      requests_per_second DOUBLE NULL,
+      daily_quota INT NULL,
+      disabled_reason VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+
+  // Per-key daily usage (UTC days)
+  blooio_api_key_usage: `
+    CREATE TABLE IF NOT EXISTS blooio_api_key_usage (
+      key_id INT NOT NULL,
+      usage_date DATE NOT NULL,
+      requests INT NOT NULL DEFAULT 0,
+      errors INT NOT NULL DEFAULT 0,
+      throttled INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (key_id, usage_date)
+    )
+  `,
+
+  // Unified lookup cache (see lookupCache.js)
+  lookup_cache: `
+    CREATE TABLE IF NOT EXISTS lookup_cache (
+      e164 VARCHAR(20) NOT NULL,
+      provider VARCHAR(30) NOT NULL,
+      version INT NOT NULL DEFAULT 1,
+      data JSON NOT NULL,
+      outcome VARCHAR(20) NULL,
+      source_file_id INT NULL,
+      source_key VARCHAR(100) NULL,
+      checked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      check_count INT NOT NULL DEFAULT 1,
+      PRIMARY KEY (e164, provider),
+      INDEX idx_provider_checked (provider, checked_at)
+    )
+  `,
+
+  // Parts of multipart uploads to Blob storage (see blobUploads.js)
+  upload_parts: `
+    CREATE TABLE IF NOT EXISTS upload_parts (
+      file_id INT NOT NULL,
+      part_number INT NOT NULL,
+      etag VARCHAR(255) NOT NULL,
+      size BIGINT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (file_id, part_number)
+    )
+  `,
+
+  // Blank, invalid and duplicate rows of each upload (see rejectedRows.js)
+  rejected_rows: `
+    CREATE TABLE IF NOT EXISTS rejected_rows (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      file_id INT NOT NULL,
+      line_number INT NULL,
+      original_value VARCHAR(255) NULL,
+      reason VARCHAR(100) NOT NULL,
+      error VARCHAR(255) NULL,
+      row_data JSON NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_file (file_id)
+    )
+  `,
+
+  // Do-not-contact / opt-out lists (see suppressionLists.js)
+  suppression_lists: `
+    CREATE TABLE IF NOT EXISTS suppression_lists (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description VARCHAR(255) NULL,
+      enabled BOOLEAN NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+
+  suppressed_numbers: `
+    CREATE TABLE IF NOT EXISTS suppressed_numbers (
+      list_id INT NOT NULL,
+      e164 VARCHAR(20) NOT NULL,
+      source VARCHAR(255) NULL,
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (list_id, e164),
+      INDEX idx_e164 (e164)
+    )
+  `,
+
+  schema_migrations: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(100) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  // Where a migration that runs in steps over several requests got to
+  migration_progress: `
+    CREATE TABLE IF NOT EXISTS migration_progress (
+      name VARCHAR(100) PRIMARY KEY,
+      position BIGINT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `
+};
+
+// Time a stepwise migration may take out of one request, and how soon an
+// instance takes its next step
+const MIGRATION_STEP_MS = 10000;
+const MIGRATION_RETRY_MS = 60000;
+
+// Result ids checked per DELETE while collapsing duplicate results
+const DEDUPE_BATCH_IDS = 5000;
+
+const COLUMN_UPGRADES = {
+  rate_limit_buckets: {
+    // Adaptive effective rate (NULL = configured ceiling)
+    rate_rps: 'DOUBLE NULL'
+  },
+  uploaded_files: {
+    // Ordered lookup stages as a JSON array (see pipeline.js)
+    pipeline: 'TEXT NULL',
+    // Region used for numbers without a country code
+    default_region: "VARCHAR(2) NOT NULL DEFAULT 'US'",
+    // Source CSV header as a JSON array, and the column the phones came from
+    source_columns: 'TEXT NULL',
+    phone_column: 'VARCHAR(255) NULL',
+    // Ignore cache entries older than the upload (see cachePolicy.js)
+    force_refresh: 'BOOLEAN NOT NULL DEFAULT 0',
+    // Upload format (csv, xlsx, text - see uploadFormats.js) and the Excel sheet read
+    source_format: "VARCHAR(10) NOT NULL DEFAULT 'csv'",
+    source_sheet: 'VARCHAR(255) NULL',
+    // Browser-generated upload ID for resumable chunked uploads (see chunkedUploads.js)
+    upload_key: 'VARCHAR(64) NULL',
+    // Multipart upload of the source file to Blob storage (storage_path, see blobUploads.js)
+    blob_key: 'VARCHAR(255) NULL',
+    blob_upload_id: 'VARCHAR(255) NULL',
+    // Streaming parse of the source file (see ingestJob.js)
+    ingest_token: 'VARCHAR(36) NULL',
+    ingest_heartbeat: 'TIMESTAMP NULL',
+    ingest_attempts: 'INT NOT NULL DEFAULT 0',
+    ingest_stats: 'TEXT NULL',
+    // Rows kept in rejected_rows
+    rejected_count: 'INT NOT NULL DEFAULT 0',
+    // Numbers answered by earlier files' results instead of being queued (see priorResults.js)
+    reuse_days: 'INT NULL',
+    reuse_file_id: 'INT NULL',
+    reused_count: 'INT NOT NULL DEFAULT 0',
+    // Numbers on a suppression list when the file was read
+    suppressed_count: 'INT NOT NULL DEFAULT 0',
+    // Priority level and fair-share position in the processing queue (see scheduler.js)
+    priority: 'INT NOT NULL DEFAULT 1',
+    schedule_pass: 'DOUBLE NULL'
+  },
+  file_chunks: {
+    // SHA-256 of chunk_data, so re-sent chunks are recognised
+    checksum: 'CHAR(64) NULL'
+  },
+  lookup_cache: {
+    // Result type the TTL policy applies to (see cachePolicy.js)
+    outcome: 'VARCHAR(20) NULL'
+  },
+  processing_chunks: {
+    pipeline_stage: 'INT NOT NULL DEFAULT 0',
+    // Claim by a process-queue run (see chunkLeases.js)
+    lease_owner: 'VARCHAR(36) NULL',
+    lease_expires_at: 'TIMESTAMP NULL',
+    attempts: 'INT NOT NULL DEFAULT 0',
+    last_error: 'VARCHAR(255) NULL',
+    // A failed chunk isn't taken again before then
+    retry_at: 'TIMESTAMP NULL'
+  },
+  blooio_results: {
+    country: 'VARCHAR(2) NULL',
+    number_type: 'VARCHAR(20) NULL',
+    // NANPA enrichment from ingest
+    state: 'VARCHAR(2) NULL',
+    timezone: 'VARCHAR(50) NULL',
+    rate_center: 'VARCHAR(50) NULL',
+    sv_action: 'VARCHAR(20) NULL',
+    sv_reason: 'VARCHAR(255) NULL',
+    sv_carrier: 'VARCHAR(255) NULL',
+    sv_carrier_type: 'VARCHAR(50) NULL',
+    sv_is_mobile: 'BOOLEAN NULL',
+    sv_litigator: 'BOOLEAN NULL',
+    sv_blacklisted: 'BOOLEAN NULL',
+    sv_geo_state: 'VARCHAR(50) NULL',
+    sv_geo_city: 'VARCHAR(100) NULL',
+    sv_timezone: 'VARCHAR(50) NULL',
+    // Source CSV row, written back in front of the lookup columns
+    original_row: 'JSON NULL',
+    // Suppression lists a number was on when its file was read
+    suppressed_by: 'VARCHAR(255) NULL'
+  }
+};
+
+/**
+ * JSON boolean from a nullable BOOLEAN column
+ */
+function jsonBoolean(column) {
+  return `CASE WHEN ${column} IS NULL THEN NULL WHEN ${column} THEN CAST('true' AS JSON) ELSE CAST('false' AS JSON) END`;
+}
+
+async function getTableColumns(connection, table) {
+  const [rows] = await connection.execute(
+    `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+
+  return new Set(rows.map(row => row.COLUMN_NAME));
+}
+
+// Rows from several legacy sources can land on the same (e164, provider):
+// keep the newest answer and add up the check counts
+const MERGE_CACHE_ROW = `
+  ON DUPLICATE KEY UPDATE
+    data = IF(VALUES(checked_at) > lookup_cache.checked_at, VALUES(data), lookup_cache.data),
+    checked_at = GREATEST(lookup_cache.checked_at, VALUES(checked_at)),
+    check_count = lookup_cache.check_count + VALUES(check_count)
+`;
+
+/**
+ * Merge blooio_cache and phone_cache into lookup_cache (format version 1)
+ * The legacy tables are left in place, nothing reads them any more
+ */
+async function mergeLegacyLookupCaches(connection) {
+  const blooioCache = await getTableColumns(connection, 'blooio_cache');
+
+  if (blooioCache.size > 0) {
+    const column = (name, fallback = 'NULL') => blooioCache.has(name) ? name : fallback;
+
+    const [result] = await connection.execute(`
+      INSERT INTO lookup_cache (e164, provider, version, data, checked_at, check_count)
+      SELECT e164, 'blooio', 1,
+             JSON_OBJECT(
+               'is_ios', ${jsonBoolean('is_ios')},
+               'supports_imessage', ${jsonBoolean('supports_imessage')},
+               'supports_sms', ${jsonBoolean('supports_sms')},
+               'contact_type', contact_type,
+               'contact_id', ${column('contact_id')}
+             ),
+             COALESCE(${column('last_checked', 'NOW()')}, NOW()),
+             COALESCE(${column('check_count', '1')}, 1)
+      FROM blooio_cache
+      ${blooioCache.has('error') ? 'WHERE error IS NULL' : ''}
+      ${MERGE_CACHE_ROW}
+    `);
+
+    console.log(`✓ Merged blooio_cache into lookup_cache (${result.affectedRows} rows affected)`);
+  }
+
+  const phoneCache = await getTableColumns(connection, 'phone_cache');
+
+  if (phoneCache.size > 0) {
+    // phone_cache keys were a mix of E.164 and digits-only
+    const e164 = `IF(LEFT(phone_number, 1) = '+', phone_number, CONCAT('+', phone_number))`;
+
+    const [blooioResult] = await connection.execute(`
+      INSERT INTO lookup_cache (e164, provider, version, data, checked_at, check_count)
+      SELECT ${e164}, 'blooio', 1,
+             JSON_OBJECT(
+               'is_ios', ${jsonBoolean('blooio_is_ios')},
+               'supports_imessage', ${jsonBoolean('blooio_supports_imessage')},
+               'supports_sms', ${jsonBoolean('blooio_supports_sms')},
+               'contact_type', blooio_contact_type,
+               'contact_id', blooio_contact_id
+             ),
+             COALESCE(blooio_checked_at, NOW()),
+             COALESCE(check_count, 1)
+      FROM phone_cache
+      WHERE blooio_checked = TRUE
+      ${MERGE_CACHE_ROW}
+    `);
+
+    const [svResult] = await connection.execute(`
+      INSERT INTO lookup_cache (e164, provider, version, data, checked_at, check_count)
+      SELECT ${e164}, 'subscriberverify', 1,
+             JSON_OBJECT(
+               'action', sv_action,
+               'reason', sv_reason,
+               'deliverable', ${jsonBoolean('sv_deliverable')},
+               'carrier', sv_carrier,
+               'carrier_type', sv_carrier_type,
+               'is_mobile', ${jsonBoolean('sv_is_mobile')},
+               'litigator', ${jsonBoolean('sv_litigator')},
+               'blacklisted', ${jsonBoolean('sv_blacklisted')},
+               'clicker', ${jsonBoolean('sv_clicker')},
+               'geo_state', sv_geo_state,
+               'geo_city', sv_geo_city,
+               'timezone', sv_timezone
+             ),
+             COALESCE(sv_checked_at, NOW()),
+             COALESCE(check_count, 1)
+      FROM phone_cache
+      WHERE sv_checked = TRUE
+      ${MERGE_CACHE_ROW}
+    `);
+
+    console.log(`✓ Merged phone_cache into lookup_cache (${blooioResult.affectedRows} Blooio, ${svResult.affectedRows} SubscriberVerify rows affected)`);
+  }
+}
+
+/**
+ * Classify existing lookup_cache rows for the TTL policy
+ * Mirrors classifyOutcome() in cachePolicy.js (errors were never cached before)
+ */
+async function backfillLookupCacheOutcomes(connection) {
+  const isTrue = (path) => `JSON_EXTRACT(data, '${path}') = CAST('true' AS JSON)`;
+
+  const [blooioResult] = await connection.execute(`
+    UPDATE lookup_cache
+    SET outcome = CASE
+      WHEN ${isTrue('$.supports_imessage')} THEN 'imessage'
+      WHEN ${isTrue('$.supports_sms')} THEN 'sms_only'
+      ELSE 'no_capability'
+    END
+    WHERE provider = 'blooio' AND outcome IS NULL
+  `);
+
+  const [svResult] = await connection.execute(`
+    UPDATE lookup_cache
+    SET outcome = CASE
+      WHEN JSON_UNQUOTE(JSON_EXTRACT(data, '$.action')) = 'error' THEN 'error'
+      WHEN ${isTrue('$.litigator')} THEN 'litigator'
+      WHEN JSON_TYPE(JSON_EXTRACT(data, '$.action')) = 'STRING' THEN LEFT(JSON_UNQUOTE(JSON_EXTRACT(data, '$.action')), 20)
+      ELSE 'default'
+    END
+    WHERE provider = 'subscriberverify' AND outcome IS NULL
+  `);
+
+  console.log(`✓ Classified lookup_cache outcomes (${blooioResult.affectedRows} Blooio, ${svResult.affectedRows} SubscriberVerify rows)`);
+}
+
+/**
+ * Add an index unless the table already has one by that name
+ * @returns {Promise<boolean>} - false when it was already there
+ */
+async function addIndexIfMissing(connection, table, index, definition) {
+  const [existing] = await connection.query(`SHOW INDEX FROM ${table} WHERE Key_name = ?`, [index]);
+  if (existing.length > 0) return false;
+
+  try {
+    await connection.execute(`ALTER TABLE ${table} ADD ${definition}`);
+  } catch (error) {
+    // Another instance added it meanwhile
+    if (error.code === 'ER_DUP_KEYNAME') return false;
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * One uploaded_files row per client upload ID, even when the first chunk is
+ * sent twice at once
+ */
+async function addUploadKeyIndex(connection) {
+  await addIndexIfMissing(connection, 'uploaded_files', 'idx_upload_key', 'UNIQUE INDEX idx_upload_key (upload_key)');
+
+  // Chunk lookups by (file_id, chunk_index), unless the table already has a file_id index
+  const [fileIndexes] = await connection.query(`SHOW INDEX FROM file_chunks WHERE Column_name = 'file_id' AND Seq_in_index = 1`);
+  if (fileIndexes.length === 0) {
+    await connection.execute(`ALTER TABLE file_chunks ADD INDEX idx_file_chunk (file_id, chunk_index)`);
+  }
+
+  console.log(`✓ Added upload key and chunk indexes`);
+}
+
+/**
+ * Earlier results are looked up by number across files (see priorResults.js)
+ */
+async function addResultsE164Index(connection) {
+  const [indexes] = await connection.query(`SHOW INDEX FROM blooio_results WHERE Column_name = 'e164' AND Seq_in_index = 1`);
+  if (indexes.length === 0) {
+    await connection.execute(`ALTER TABLE blooio_results ADD INDEX idx_e164 (e164)`);
+  }
+
+  console.log(`✓ Added blooio_results number index`);
+}
+
+/**
+ * One result row per file and number: collapse duplicates written before the
+ * unique index (re-processed chunks inserted their numbers again), keeping a
+ * real result over an ERROR row, then the newest, and bring the progress of
+ * unfinished files back in line with their distinct results
+ * Runs on the request path, so the table is gone through in id ranges for at
+ * most MIGRATION_STEP_MS per request, carrying on where the last step
+ * stopped (migration_progress). Duplicates written behind that position
+ * make the ALTER fail; the pass then starts over.
+ * @returns {Promise<boolean>} - false when there is more to do
+ */
+async function uniqueResultsPerNumber(connection) {
+  const name = 'unique_results_per_number';
+  const deadline = Date.now() + MIGRATION_STEP_MS;
+
+  const [progress] = await connection.query(`SELECT position FROM migration_progress WHERE name = ?`, [name]);
+  const [[{ lastId }]] = await connection.query(`SELECT COALESCE(MAX(id), 0) as lastId FROM blooio_results`);
+  let position = progress.length > 0 ? Number(progress[0].position) : 0;
+  let collapsed = 0;
+
+  while (position < lastId) {
+    if (Date.now() > deadline) {
+      await connection.query(
+        `INSERT INTO migration_progress (name, position) VALUES (?, ?) ON DUPLICATE KEY UPDATE position = VALUES(position)`,
+        [name, position]
+      );
+      console.log(`⏳ Collapsed ${collapsed} duplicate results up to id ${position} of ${lastId} - continuing later`);
+      return false;
+    }
+
+    const [result] = await connection.query(`
+      DELETE duplicate FROM blooio_results duplicate
+      JOIN blooio_results kept
+        ON kept.file_id = duplicate.file_id
+        AND kept.e164 = duplicate.e164
+        AND kept.id <> duplicate.id
+        AND ((kept.contact_type <=> 'ERROR') < (duplicate.contact_type <=> 'ERROR')
+          OR ((kept.contact_type <=> 'ERROR') = (duplicate.contact_type <=> 'ERROR') AND kept.id > duplicate.id))
+      WHERE duplicate.id > ? AND duplicate.id <= ?
+    `, [position, position + DEDUPE_BATCH_IDS]);
+
+    collapsed += result.affectedRows;
+    position += DEDUPE_BATCH_IDS;
+  }
+
+  try {
+    await addIndexIfMissing(connection, 'blooio_results', 'idx_file_e164', 'UNIQUE INDEX idx_file_e164 (file_id, e164)');
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      await connection.query(`DELETE FROM migration_progress WHERE name = ?`, [name]);
+    }
+    throw error;
+  }
+
+  // processing_offset counts numbers with a result; duplicates counted twice
+  const [realigned] = await connection.query(`
+    UPDATE uploaded_files f
+    JOIN (
+      SELECT r.file_id, COUNT(*) as results
+      FROM blooio_results r
+      JOIN uploaded_files unfinished ON unfinished.id = r.file_id
+      WHERE unfinished.processing_status IN ('initialized', 'processing', 'paused')
+      GROUP BY r.file_id
+    ) r ON r.file_id = f.id
+    SET f.processing_offset = LEAST(r.results, f.processing_total),
+        f.processing_progress = IF(f.processing_total > 0, ROUND(LEAST(r.results, f.processing_total) / f.processing_total * 100, 2), 0)
+    WHERE f.processing_status IN ('initialized', 'processing', 'paused')
+  `);
+
+  await connection.query(`DELETE FROM migration_progress WHERE name = ?`, [name]);
+
+  console.log(`✓ Collapsed ${collapsed} duplicate results, realigned progress of ${realigned.affectedRows} files`);
+  return true;
+}
+
+const DATA_MIGRATIONS = [
+  { name: 'merge_legacy_lookup_caches', run: mergeLegacyLookupCaches },
+  { name: 'backfill_lookup_cache_outcomes', run: backfillLookupCacheOutcomes },
+  { name: 'add_upload_key_index', run: addUploadKeyIndex, schemaChange: true },
+  { name: 'add_results_e164_index', run: addResultsE164Index, schemaChange: true },
+  { name: 'unique_results_per_number', run: uniqueResultsPerNumber, schemaChange: true }
+];
+
+/**
+ * Run a migration that changes the schema (schemaChange: true)
+ * DDL commits implicitly, so it can't share a transaction with the claim:
+ * the migration checks what's already there and may run on two instances at
+ * once, and it is recorded only after it succeeded - after a failure the
+ * next ensureSchema() runs it again.
+ */
+async function runSchemaChange(migration) {
+  const [applied] = await executeWithRetry(`SELECT 1 FROM schema_migrations WHERE name = ?`, [migration.name]);
+  if (applied.length > 0) return true;
+
+  console.log(`🔧 Running schema migration ${migration.name}...`);
+
+  const connection = await getConnection();
+  let done;
+  try {
+    done = await migration.run(connection);
+  } finally {
+    connection.release();
+  }
+
+  // A stepwise migration that ran out of time this request
+  if (done === false) return false;
+
+  await executeWithRetry(`INSERT IGNORE INTO schema_migrations (name) VALUES (?)`, [migration.name]);
+  return true;
+}
+
+/**
+ * Run each data migration once
+ * The schema_migrations row is inserted in the migration's transaction, so a
+ * second instance blocks on it and then skips, and a failure leaves no trace
+ * (schema changes can't be rolled back - see runSchemaChange())
+ */
+async function runDataMigrations() {
+  for (const migration of DATA_MIGRATIONS) {
+    if (migration.schemaChange) {
+      // Later migrations wait until an unfinished one is done
+      if (!(await runSchemaChange(migration))) return false;
+      continue;
+    }
+
+    await executeTransaction(async (connection) => {
+      const [claim] = await connection.execute(
+        `INSERT IGNORE INTO schema_migrations (name) VALUES (?)`,
+        [migration.name]
+      );
+
+      if (claim.affectedRows === 0) return;
+
+      console.log(`🔧 Running data migration ${migration.name}...`);
+      await migration.run(connection);
+    });
+  }
+
+  return true;
+}
+
+let schemaReady = null;
+
+// While a stepwise migration is unfinished: when this instance takes its next step
+let nextMigrationStep = null;
+
+/**
+ * Create missing tables, apply column upgrades and data migrations
+ * (runs once per instance; an unfinished stepwise migration takes one more
+ * step at most every MIGRATION_RETRY_MS)
+ */
+export function ensureSchema() {
+  if (nextMigrationStep && Date.now() >= nextMigrationStep) {
+    nextMigrationStep = null;
+    schemaReady = schemaReady.then(runDataMigrations).then(scheduleNextStep).catch(error => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+
+  if (!schemaReady) {
+    // Tables first - column upgrades may target them
+    schemaReady = Promise.all(
+      Object.values(TABLES).map(sql => executeWithRetry(sql))
+    ).then(() => Promise.all(
+      Object.entries(COLUMN_UPGRADES).map(([table, columns]) => ensureColumns(table, columns))
+    )).then(runDataMigrations).then(scheduleNextStep).catch(error => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+
+  return schemaReady;
+}
+
+function scheduleNextStep(done) {
+  if (!done) {
+    nextMigrationStep = Date.now() + MIGRATION_RETRY_MS;
+  }
+}
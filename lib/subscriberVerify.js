@@ -3,8 +3,12 @@
  * Bulk phone validation before iOS detection
  */
 
+import { createLookupResult, createErrorResult, toDigits } from './lookupResult.js';
+import { getBucketKey, getRateLimiter } from './rateLimiter.js';
+
 const SUBSCRIBER_VERIFY_API = 'https://api.subscriberverify.com/api';
 const SUBSCRIBER_VERIFY_BULK_API = 'https://api.subscriberverify.com/api-bulk';
+const PROVIDER_NAME = 'subscriberverify';
 
 /**
  * Check single phone number
@@ -27,6 +31,8 @@ export async function checkSingleNumber(phone, ip = null, list = 'default') {
       params.append('ip', ip);
     }
     
+    await getRateLimiter(PROVIDER_NAME, apiKey).acquire();
+    
     const response = await fetch(`${SUBSCRIBER_VERIFY_API}?${params.toString()}`, {
       method: 'GET',
       headers: {
@@ -78,6 +84,8 @@ export async function checkBulkNumbers(phones, ips = null) {
     
     console.log(`SubscriberVerify bulk check: ${phones.length} numbers`);
     
+    await getRateLimiter(PROVIDER_NAME, apiKey).acquire();
+    
     const response = await fetch(SUBSCRIBER_VERIFY_BULK_API, {
       method: 'POST',
       headers: {
@@ -210,4 +218,100 @@ export async function checkBulkInBatches(phones, batchSize = 1000) {
   }
   
   return allResults;
-}
\ No newline at end of file
+}
+
+/**
+ * Convert a raw SubscriberVerify record to the normalized result schema
+ */
+export function normalizeResult(e164, result) {
+  const carrierType = result.dipCarrierType || result.nanpType || null;
+  
+  return createLookupResult(PROVIDER_NAME, e164, {
+    action: result.action || null,
+    reason: result.reason || null,
+    carrier: result.dipCarrier || result.nanpCarrier || null,
+    carrier_type: carrierType,
+    is_mobile: result.dipCarrierType === 'mobile' || result.nanpType === 'mobile',
+    litigator: result.litigator ?? null,
+    blacklisted: result.blackList ?? null,
+    clicker: result.clicker ?? null,
+    geo_state: result.geoState || null,
+    geo_city: result.geoCity || null,
+    timezone: result.timezone || null,
+    error: result.action === 'error' ? (result.reason || 'SubscriberVerify error') : null,
+    source_key: getBucketKey(PROVIDER_NAME, process.env.SUBSCRIBER_VERIFY_API_KEY),
+    raw: result
+  });
+}
+
+/**
+ * Look up a single phone number
+ * @param {string} e164 - Phone number in E.164 format
+ * @param {object} options - { ip, list }
+ * @returns {Promise<object>} - Normalized lookup result (never throws)
+ */
+export async function lookup(e164, options = {}) {
+  try {
+    const data = await checkSingleNumber(toDigits(e164), options.ip || null, options.list || 'default');
+    return normalizeResult(e164, data);
+  } catch (error) {
+    return createErrorResult(PROVIDER_NAME, e164, error.message, { retryable: true });
+  }
+}
+
+/**
+ * Look up many phone numbers through the bulk API
+ * @param {Array<string>} e164s - Phone numbers in E.164 format
+ * @param {object} options - { batchSize }
+ * @returns {Promise<Array>} - Normalized results in input order (never throws)
+ */
+export async function bulkLookup(e164s, options = {}) {
+  const batchSize = options.batchSize || 1000;
+  const results = [];
+  
+  for (let i = 0; i < e164s.length; i += batchSize) {
+    const batch = e164s.slice(i, i + batchSize);
+    
+    try {
+      const batchResults = await checkBulkNumbers(batch.map(toDigits));
+      batch.forEach((e164, index) => {
+        results.push(batchResults[index]
+          ? normalizeResult(e164, batchResults[index])
+          : createErrorResult(PROVIDER_NAME, e164, 'Missing result in bulk response'));
+      });
+    } catch (error) {
+      batch.forEach(e164 => {
+        results.push(createErrorResult(PROVIDER_NAME, e164, error.message, { retryable: true }));
+      });
+    }
+    
+    // Small delay between batches to be respectful
+    if (i + batchSize < e164s.length) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Health check - a credits call verifies both the key and API availability
+ */
+export async function healthCheck() {
+  try {
+    const credits = await checkCredits();
+    return { healthy: true, message: `SubscriberVerify OK (${credits} credits)` };
+  } catch (error) {
+    return { healthy: false, error: error.message };
+  }
+}
+
+export const subscriberVerifyProvider = {
+  name: PROVIDER_NAME,
+  label: 'SubscriberVerify',
+  bulkLimit: 1000,
+  lookup,
+  bulkLookup,
+  checkCredits,
+  healthCheck
+};
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * Suppression lists (do-not-contact, opt-outs)
+ * Numbers on an enabled list are never looked up: when an upload is read
+ * they get a result row with contact_type SUPPRESSED instead of being queued,
+ * and routes that call a vendor directly check findSuppressed() first.
+ * Exports flag every number that is on a list at download time, so numbers
+ * suppressed after a file was processed are flagged too.
+ *
+ * Numbers are stored as E.164, normalized the same way uploads are.
+ */
+
+import { executeWithRetry, bulkInsert } from './db.js';
+import { ensureSchema } from './schema.js';
+import { processPhoneArray } from './phoneValidator.js';
+import { carriedFields, saveResultRows, SUPPRESSED_CONTACT_TYPE } from './pipeline.js';
+
+// Numbers looked up or written per query
+const BATCH_SIZE = 1000;
+
+/**
+ * All suppression lists with their number counts
+ */
+export async function listSuppressionLists() {
+  await ensureSchema();
+
+  const [rows] = await executeWithRetry(
+    `SELECT l.id, l.name, l.description, l.enabled, l.created_at, l.updated_at,
+            (SELECT COUNT(*) FROM suppressed_numbers n WHERE n.list_id = l.id) as number_count
+     FROM suppression_lists l
+     ORDER BY l.name`
+  );
+
+  return rows.map(row => ({ ...row, enabled: Boolean(row.enabled), number_count: Number(row.number_count) }));
+}
+
+/**
+ * Create a list
+ * @param {object} data - { name, description }
+ * @returns {Promise<number>} - New list id
+ */
+export async function createSuppressionList({ name, description = null }) {
+  await ensureSchema();
+
+  const [result] = await executeWithRetry(
+    `INSERT INTO suppression_lists (name, description) VALUES (?, ?)`,
+    [name, description]
+  );
+
+  return result.insertId;
+}
+
+/**
+ * Rename a list, change its description or switch it on or off
+ * @param {number} listId - List id
+ * @param {object} fields - { name, description, enabled }
+ * @returns {Promise<boolean>} - false if the list does not exist
+ */
+export async function updateSuppressionList(listId, fields) {
+  await ensureSchema();
+
+  const updates = [];
+  const params = [];
+
+  for (const [field, column] of [['name', 'name'], ['description', 'description'], ['enabled', 'enabled']]) {
+    if (fields[field] !== undefined) {
+      updates.push(`${column} = ?`);
+      params.push(field === 'enabled' ? (fields.enabled ? 1 : 0) : fields[field]);
+    }
+  }
+
+  if (updates.length === 0) return true;
+
+  const [result] = await executeWithRetry(
+    `UPDATE suppression_lists SET ${updates.join(', ')} WHERE id = ?`,
+    [...params, listId]
+  );
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * Delete a list and its numbers
+ * @param {number} listId - List id
+ * @returns {Promise<boolean>} - false if the list does not exist
+ */
+export async function deleteSuppressionList(listId) {
+  await ensureSchema();
+
+  await executeWithRetry(`DELETE FROM suppressed_numbers WHERE list_id = ?`, [listId]);
+  const [result] = await executeWithRetry(`DELETE FROM suppression_lists WHERE id = ?`, [listId]);
+
+  return result.affectedRows === 1;
+}
+
+async function listExists(listId) {
+  const [rows] = await executeWithRetry(`SELECT id FROM suppression_lists WHERE id = ?`, [listId]);
+  return rows.length === 1;
+}
+
+/**
+ * Normalize raw numbers to unique E.164 numbers
+ * @returns {object} - { numbers, invalid, invalidSamples }
+ */
+function normalizeNumbers(values, defaultRegion) {
+  const validation = processPhoneArray(values, { defaultRegion });
+  const invalid = validation.invalid.filter(entry => entry.error !== 'Duplicate');
+
+  return {
+    numbers: validation.valid.map(phone => phone.e164),
+    invalid: invalid.length,
+    invalidSamples: invalid.slice(0, 10).map(entry => ({ value: entry.original, error: entry.error }))
+  };
+}
+
+/**
+ * Add numbers to a list (numbers already on it are kept)
+ * @param {number} listId - List id
+ * @param {Array<string>} values - Raw phone numbers
+ * @param {object} options - { defaultRegion, source, replace } replace empties the list first
+ * @returns {Promise<object|null>} - { added, alreadyListed, invalid, invalidSamples }, null if the list does not exist
+ */
+export async function addSuppressedNumbers(listId, values, options = {}) {
+  await ensureSchema();
+
+  if (!(await listExists(listId))) return null;
+
+  const { numbers, invalid, invalidSamples } = normalizeNumbers(values, options.defaultRegion);
+
+  if (options.replace) {
+    await executeWithRetry(`DELETE FROM suppressed_numbers WHERE list_id = ?`, [listId]);
+  }
+
+  const added = await bulkInsert(
+    'suppressed_numbers',
+    ['list_id', 'e164', 'source'],
+    numbers.map(e164 => [listId, e164, options.source || null]),
+    { ignore: true, batchSize: BATCH_SIZE }
+  );
+
+  await executeWithRetry(`UPDATE suppression_lists SET updated_at = NOW() WHERE id = ?`, [listId]);
+
+  return { added, alreadyListed: numbers.length - added, invalid, invalidSamples };
+}
+
+/**
+ * Remove numbers from a list
+ * @param {number} listId - List id
+ * @param {Array<string>} values - Raw phone numbers
+ * @param {object} options - { defaultRegion }
+ * @returns {Promise<object|null>} - { removed, invalid, invalidSamples }, null if the list does not exist
+ */
+export async function removeSuppressedNumbers(listId, values, options = {}) {
+  await ensureSchema();
+
+  if (!(await listExists(listId))) return null;
+
+  const { numbers, invalid, invalidSamples } = normalizeNumbers(values, options.defaultRegion);
+  let removed = 0;
+
+  for (let i = 0; i < numbers.length; i += BATCH_SIZE) {
+    const batch = numbers.slice(i, i + BATCH_SIZE);
+
+    const [result] = await executeWithRetry(
+      `DELETE FROM suppressed_numbers WHERE list_id = ? AND e164 IN (${batch.map(() => '?').join(', ')})`,
+      [listId, ...batch]
+    );
+
+    removed += result.affectedRows;
+  }
+
+  await executeWithRetry(`UPDATE suppression_lists SET updated_at = NOW() WHERE id = ?`, [listId]);
+
+  return { removed, invalid, invalidSamples };
+}
+
+/**
+ * A page of a list's numbers, newest first
+ * @param {number} listId - List id
+ * @param {object} options - { search, limit, offset } search matches the start of the E.164 digits
+ * @returns {Promise<object>} - { numbers: [{ e164, source, added_at }], total }
+ */
+export async function getSuppressedNumbers(listId, { search = '', limit = 100, offset = 0 } = {}) {
+  await ensureSchema();
+
+  const digits = String(search).replace(/\D/g, '');
+  const filter = digits ? `AND e164 LIKE ?` : '';
+  const params = digits ? [listId, `+${digits}%`] : [listId];
+
+  const [rows] = await executeWithRetry(
+    `SELECT e164, source, added_at FROM suppressed_numbers
+     WHERE list_id = ? ${filter}
+     ORDER BY added_at DESC, e164 ASC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+    params
+  );
+
+  const [counts] = await executeWithRetry(
+    `SELECT COUNT(*) as total FROM suppressed_numbers WHERE list_id = ? ${filter}`,
+    params
+  );
+
+  return { numbers: rows, total: Number(counts[0].total) };
+}
+
+/**
+ * Enabled lists each number is on
+ * @param {Array<string>} e164s - E.164 numbers
+ * @returns {Promise<Map>} - e164 → list names ('; '-separated), for suppressed numbers only
+ */
+export async function findSuppressed(e164s) {
+  await ensureSchema();
+
+  const found = new Map();
+  const unique = [...new Set(e164s.filter(Boolean))];
+
+  for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+    const batch = unique.slice(i, i + BATCH_SIZE);
+
+    const [rows] = await executeWithRetry(
+      `SELECT n.e164, GROUP_CONCAT(l.name ORDER BY l.name SEPARATOR '; ') as lists
+       FROM suppressed_numbers n
+       JOIN suppression_lists l ON l.id = n.list_id AND l.enabled = 1
+       WHERE n.e164 IN (${batch.map(() => '?').join(', ')})
+       GROUP BY n.e164`,
+      batch
+    );
+
+    for (const row of rows) {
+      found.set(row.e164, row.lists);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Result for a number a lookup route skipped because it is suppressed
+ * Never cached - the number may come off the list later.
+ * @param {string} e164 - E.164 number
+ * @param {string} suppressedBy - List names, as returned by findSuppressed()
+ * @returns {object} - Result row with contact_type SUPPRESSED
+ */
+export function suppressedResult(e164, suppressedBy) {
+  return {
+    phone_number: e164,
+    e164,
+    is_ios: 0,
+    supports_imessage: 0,
+    supports_sms: 0,
+    contact_type: SUPPRESSED_CONTACT_TYPE,
+    contact_id: null,
+    error: null,
+    from_cache: false,
+    source: 'suppressed',
+    suppressed_by: suppressedBy.substring(0, 255)
+  };
+}
+
+/**
+ * Split validated phones into the ones to queue and the suppressed ones
+ * The suppressed phones' result rows are written for the file straight away.
+ * @param {number} fileId - uploaded_files id
+ * @param {Array} phones - Unique processCsvRows() valid entries
+ * @returns {Promise<object>} - { queue: Array of phones still to look up, suppressed: number }
+ */
+export async function suppressPhones(fileId, phones) {
+  if (phones.length === 0) return { queue: phones, suppressed: 0 };
+
+  const lists = await findSuppressed(phones.map(phone => phone.e164));
+  if (lists.size === 0) return { queue: phones, suppressed: 0 };
+
+  const queue = [];
+  const results = [];
+
+  for (const phone of phones) {
+    const suppressedBy = lists.get(phone.e164);
+
+    if (!suppressedBy) {
+      queue.push(phone);
+      continue;
+    }
+
+    results.push({
+      ...carriedFields(phone),
+      phone_number: phone.original,
+      e164: phone.e164,
+      is_ios: 0,
+      supports_imessage: 0,
+      supports_sms: 0,
+      contact_type: SUPPRESSED_CONTACT_TYPE,
+      error: null,
+      from_cache: false,
+      suppressed_by: suppressedBy.substring(0, 255)
+    });
+  }
+
+  await saveResultRows(fileId, results);
+
+  return { queue, suppressed: results.length };
+}
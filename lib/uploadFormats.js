@@ -0,0 +1,34 @@
+/**
+ * Upload formats other than CSV
+ * Excel workbooks and plain phone lists (.txt files, pasted text) are read
+ * into the same records the CSV parser produces (see openUpload()), so every
+ * format goes through the same phone column and validation steps.
+ * No Node dependencies - the uploader uses these too.
+ */
+
+// Header names recognised as the phone column (case-insensitive)
+export const PHONE_COLUMN_NAMES = ['phone', 'phone_number', 'phonenumber', 'mobile', 'number', 'cell', 'telephone'];
+
+// Accepted upload formats by file extension
+export const UPLOAD_FORMATS = {
+  csv: ['.csv'],
+  xlsx: ['.xlsx'],
+  text: ['.txt']
+};
+
+// File input accept list
+export const UPLOAD_ACCEPT = Object.values(UPLOAD_FORMATS).flat().join(',');
+
+// Column name given to plain phone lists
+export const TEXT_PHONE_COLUMN = 'phone';
+
+/**
+ * Upload format from a file name (CSV when the extension is unknown)
+ * @param {string} fileName - Uploaded file name
+ * @returns {string} - 'csv', 'xlsx' or 'text'
+ */
+export function getUploadFormat(fileName) {
+  const name = String(fileName || '').toLowerCase();
+  const format = Object.keys(UPLOAD_FORMATS).find(key => UPLOAD_FORMATS[key].some(extension => name.endsWith(extension)));
+  return format || 'csv';
+}
@@ -0,0 +1,209 @@
+/**
+ * Pre-flight upload report
+ * Once a file has been read (processing_status 'review') and before any
+ * lookups are made, this reports what processing it will cost: rejected rows
+ * by reason, suppressed numbers, numbers reused from earlier files, how many
+ * numbers each stage already has cached, the API calls left, credits, cost
+ * and how long that takes at the current rate.
+ *
+ * Credits per lookup and the price of a credit are configured per provider
+ * with <PROVIDER>_CREDITS_PER_LOOKUP (default 1) and <PROVIDER>_COST_PER_CREDIT
+ * (USD, no cost shown when unset), e.g. BLOOIO_COST_PER_CREDIT=0.002.
+ */
+
+import { executeWithRetry } from './db.js';
+import { getCachedResults } from './lookupCache.js';
+import { getRefreshCutoff } from './cachePolicy.js';
+import { getFilePipeline, isScrubStage } from './pipeline.js';
+import { getProvider } from './lookupProviders.js';
+import { getPoolRequestsPerSecond } from './blooioKeyPool.js';
+import { getProviderLimit, getSharedRateStatus } from './rateLimiter.js';
+import { triggerRoute } from './ingestJob.js';
+import { DEFAULT_PRIORITY } from './priorities.js';
+
+// Environment variable prefix per provider (matches the rate limit settings)
+const ENV_PREFIXES = {
+  blooio: 'BLOOIO',
+  subscriberverify: 'SUBSCRIBER_VERIFY'
+};
+
+// Processing chunks checked against the cache; larger files are sampled evenly
+const MAX_SAMPLE_CHUNKS = 40;
+
+function readPricing(provider) {
+  const prefix = ENV_PREFIXES[provider] || provider.toUpperCase();
+  const credits = parseFloat(process.env[`${prefix}_CREDITS_PER_LOOKUP`]);
+  const cost = parseFloat(process.env[`${prefix}_COST_PER_CREDIT`]);
+
+  return {
+    creditsPerLookup: Number.isFinite(credits) && credits >= 0 ? credits : 1,
+    costPerCredit: Number.isFinite(cost) && cost >= 0 ? cost : null
+  };
+}
+
+/**
+ * Current requests per second for a stage (throttled buckets count at their reduced rate)
+ */
+async function getCurrentRate(stage) {
+  const buckets = (await getSharedRateStatus().catch(() => [])).filter(bucket => bucket.provider === stage);
+  const configured = stage === 'blooio'
+    ? await getPoolRequestsPerSecond().catch(() => getProviderLimit(stage).requestsPerSecond)
+    : getProviderLimit(stage).requestsPerSecond;
+
+  if (buckets.length === 0) return configured;
+
+  const effective = buckets.reduce((total, bucket) => total + bucket.effectiveRate, 0);
+  return Math.min(effective, configured) || configured;
+}
+
+/**
+ * Count queued numbers with a fresh cache entry per stage
+ * @returns {Promise<object>} - { checked, cached: { stage: count }, sampled }
+ */
+async function countCached(file, stages) {
+  const [chunks] = await executeWithRetry(
+    `SELECT id FROM processing_chunks WHERE file_id = ? ORDER BY chunk_offset ASC`,
+    [file.id]
+  );
+
+  const step = Math.max(1, chunks.length / MAX_SAMPLE_CHUNKS);
+  const sampleIds = [];
+  for (let position = 0; position < chunks.length && sampleIds.length < MAX_SAMPLE_CHUNKS; position += step) {
+    sampleIds.push(chunks[Math.floor(position)].id);
+  }
+
+  const checkedAfter = getRefreshCutoff(file);
+  const cached = Object.fromEntries(stages.map(stage => [stage, 0]));
+  let checked = 0;
+
+  for (const chunkId of sampleIds) {
+    const [rows] = await executeWithRetry(`SELECT chunk_data FROM processing_chunks WHERE id = ?`, [chunkId]);
+    const phones = JSON.parse(rows[0].chunk_data).map(phone => phone.e164);
+    checked += phones.length;
+
+    for (const stage of stages) {
+      cached[stage] += (await getCachedResults(stage, phones, { checkedAfter })).size;
+    }
+  }
+
+  return { checked, cached, sampled: sampleIds.length < chunks.length };
+}
+
+/**
+ * Files in the processing queue at the same or a higher priority - they share
+ * processing with this one (lower priorities only get a smaller share, see scheduler.js)
+ */
+async function getQueueAhead(file) {
+  const [rows] = await executeWithRetry(
+    `SELECT COUNT(*) as files, COALESCE(SUM(processing_total - processing_offset), 0) as numbers
+     FROM uploaded_files
+     WHERE processing_status IN ('initialized', 'processing')
+     AND processing_offset < processing_total
+     AND priority >= ?
+     AND id <> ?`,
+    [file.priority ?? DEFAULT_PRIORITY, file.id]
+  );
+
+  return { files: Number(rows[0].files), numbers: Number(rows[0].numbers) };
+}
+
+/**
+ * Build the pre-flight report for an uploaded file
+ * Later stages only see the numbers earlier stages let through, so their
+ * lookups, credits and time are upper bounds.
+ * @param {object} file - uploaded_files row
+ * @returns {Promise<object>} - { fileId, fileName, status, rows, totalRecords, suppressed, reused, queued, duplicates, blank,
+ *   invalid, invalidReasons, malformedLines, countries, numberTypes, stages, apiCalls, credits,
+ *   cost, etaSeconds, cacheSample, queueAhead }
+ */
+export async function buildUploadReport(file) {
+  const stats = file.ingest_stats
+    ? (typeof file.ingest_stats === 'string' ? JSON.parse(file.ingest_stats) : file.ingest_stats)
+    : {};
+  const stages = getFilePipeline(file);
+  // Suppressed numbers and numbers reused from earlier files already have their results
+  const suppressed = file.suppressed_count || 0;
+  const reused = file.reused_count || 0;
+  const total = Math.max(0, (file.processing_total || 0) - suppressed - reused);
+
+  const sample = total > 0 ? await countCached(file, stages) : { checked: 0, cached: {}, sampled: false };
+  const scale = sample.checked > 0 ? total / sample.checked : 0;
+
+  const stageReports = [];
+
+  for (const [index, stage] of stages.entries()) {
+    const provider = getProvider(stage);
+    const cached = Math.min(total, Math.round((sample.cached[stage] || 0) * scale));
+    const lookups = total - cached;
+    // Scrub stages look numbers up in bulk; Blooio checks one number per request
+    const requests = isScrubStage(stage) ? Math.ceil(lookups / (provider.bulkLimit || 1)) : lookups;
+    const rate = await getCurrentRate(stage);
+    const { creditsPerLookup, costPerCredit } = readPricing(stage);
+    const credits = lookups * creditsPerLookup;
+
+    stageReports.push({
+      stage,
+      label: provider.label,
+      upperBound: index > 0,
+      cached,
+      lookups,
+      requests,
+      requestsPerSecond: rate,
+      seconds: rate > 0 ? Math.ceil(requests / rate) : null,
+      credits,
+      cost: costPerCredit === null ? null : Math.round(credits * costPerCredit * 100) / 100
+    });
+  }
+
+  const sum = (field) => stageReports.reduce((total, stage) => total + (stage[field] ?? 0), 0);
+
+  return {
+    fileId: file.id,
+    fileName: file.file_name,
+    status: file.processing_status,
+    pipeline: stages,
+    rows: stats.rows ?? null,
+    totalRecords: file.processing_total || 0,
+    suppressed,
+    reused,
+    queued: total,
+    duplicates: stats.duplicates ?? 0,
+    blank: stats.blank ?? 0,
+    invalid: stats.invalid ?? 0,
+    invalidReasons: stats.invalidReasons || {},
+    malformedLines: stats.malformedLines ?? 0,
+    malformedSamples: stats.malformedSamples || [],
+    countries: stats.countries || {},
+    numberTypes: stats.numberTypes || {},
+    stages: stageReports,
+    apiCalls: sum('requests'),
+    credits: sum('credits'),
+    cost: stageReports.some(stage => stage.cost === null) ? null : sum('cost'),
+    etaSeconds: stageReports.some(stage => stage.seconds === null) ? null : sum('seconds'),
+    cacheSample: { checked: sample.checked, sampled: sample.sampled },
+    queueAhead: await getQueueAhead(file)
+  };
+}
+
+/**
+ * Confirm a reviewed upload and queue it for processing
+ * A file whose numbers were all suppressed or reused from earlier files is complete at once.
+ * @param {number} fileId - uploaded_files id
+ * @returns {Promise<boolean>} - false when the file isn't waiting for confirmation
+ */
+export async function startProcessing(fileId) {
+  const [result] = await executeWithRetry(
+    `UPDATE uploaded_files
+     SET processing_status = IF(processing_offset >= processing_total, 'completed', 'initialized'),
+         processing_progress = IF(processing_offset >= processing_total, 100, processing_progress)
+     WHERE id = ? AND processing_status = 'review'`,
+    [fileId]
+  );
+
+  if (result.affectedRows !== 1) return false;
+
+  console.log(`▶️ File ${fileId} confirmed - queued for processing`);
+  triggerRoute('process-queue');
+
+  return true;
+}
@@ -0,0 +1,110 @@
+/**
+ * Excel (.xlsx) reader
+ * Reads the sheet list and one worksheet's cell values as text, using
+ * read-excel-file (universal build, so it runs in the browser uploader and on
+ * the server). Formatting and formulas are not interpreted - a formula cell
+ * has the value Excel saved for it.
+ */
+
+import readXlsxFile from 'read-excel-file/universal';
+
+// Numbers as written by Excel; long numbers (phones) may come as 4.1555501E+9
+function formatNumber(value) {
+  if (!/e/i.test(value)) return value;
+
+  const number = Number(value);
+  return Number.isInteger(number) ? number.toFixed(0) : String(number);
+}
+
+// Cell value as text (numbers are kept as the text Excel wrote - see parseNumber below)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso;
+  }
+
+  return String(value);
+}
+
+/**
+ * Read every sheet of a workbook
+ * @returns {Promise<Array>} - [{ sheet, data }] in tab order, data[i] being row i + 1 of the sheet
+ */
+async function readWorkbook(bytes) {
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+  try {
+    return await readXlsxFile(buffer, { trim: false, parseNumber: formatNumber });
+  } catch (error) {
+    if (error.name === 'InvalidInputError' || error.name === 'InvalidSpreadsheetError') {
+      throw new Error(`Not a valid .xlsx file (${error.message})`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a worksheet as a table
+ * The first non-empty row is the header. Row numbers are the sheet's own, so
+ * problems can be reported against what the user sees in Excel.
+ * @param {Uint8Array} bytes - .xlsx content
+ * @param {string} sheet - Sheet name or 1-based position (default: first sheet)
+ * @param {object} options - { limit } stop after this many data rows
+ * @returns {Promise<object>} - { headers, rows, lines, headerLine, sheet, sheets }
+ * @throws {Error} - When the file isn't an .xlsx workbook or the sheet doesn't exist
+ */
+export async function readXlsxSheet(bytes, sheet, options = {}) {
+  const sheets = await readWorkbook(bytes);
+  const requested = sheet === null || sheet === undefined ? '' : String(sheet).trim();
+
+  let target = sheets[0];
+  if (requested) {
+    target = sheets.find(candidate => candidate.sheet.toLowerCase() === requested.toLowerCase())
+      || (/^\d+$/.test(requested) ? sheets[parseInt(requested) - 1] : undefined);
+  }
+
+  if (!target) {
+    throw new Error(requested
+      ? `Sheet "${requested}" not found (${sheets.map(candidate => candidate.sheet).join(', ')})`
+      : 'Workbook has no sheets');
+  }
+
+  let headers = null;
+  let headerLine = null;
+  const rows = [];
+  const lines = [];
+
+  for (let i = 0; i < target.data.length; i++) {
+    const values = Array.from(target.data[i], cellText);
+    if (values.every(value => value.trim() === '')) continue;
+
+    if (!headers) {
+      headers = values.map(value => value.trim());
+      headerLine = i + 1;
+      continue;
+    }
+
+    rows.push(values);
+    lines.push(i + 1);
+
+    if (options.limit && rows.length >= options.limit) break;
+  }
+
+  // Cells right of the header get unnamed columns so no value is dropped
+  const width = rows.reduce((widest, row) => Math.max(widest, row.length), headers ? headers.length : 0);
+  if (headers) {
+    while (headers.length < width) headers.push('');
+  }
+
+  return {
+    headers: headers || [],
+    rows,
+    lines,
+    headerLine,
+    sheet: target.sheet,
+    sheets: sheets.map(candidate => candidate.sheet)
+  };
+}
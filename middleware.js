@@ -44,6 +44,6 @@ export async function middleware(request) {
 
 export const config = {
   matcher: [
-    '/((?!_next/static|_next/image|favicon.ico|.*\\..*|api/auth/login|api/process-queue).*)',
+    '/((?!_next/static|_next/image|favicon.ico|.*\\..*|api/auth/login|api/process-queue|api/ingest-file).*)',
   ],
 };
@@ -0,0 +1,26 @@
+/**
+ * Check the bundled NANPA data in data/nanpa/
+ *
+ *   npm run nanpa:check
+ *
+ * Exits non-zero when the snapshot is incomplete - most importantly when
+ * npa-nxx.json has no blocks, which silently turns off the exchange checks.
+ * Regenerate with `npm run nanpa:refresh -- --nxx-file ./allutlzd.txt`.
+ */
+
+import { datasetProblems, getDatasetInfo } from '../lib/nanpa.js';
+
+const info = getDatasetInfo();
+const problems = datasetProblems();
+
+console.log(`NPAs: ${info.areaCodes} (${info.npaSource || 'unknown source'}, generated ${info.npaGenerated || 'unknown'})`);
+console.log(`NPA-NXX blocks: ${info.exchangeBlocks} in ${info.blockValidatedAreaCodes} area codes (${info.blockSource || 'unknown source'}, generated ${info.blockGenerated || 'unknown'})`);
+
+if (problems.length > 0) {
+  for (const problem of problems) {
+    console.error(`❌ ${problem}`);
+  }
+  process.exit(1);
+}
+
+console.log('✓ NANPA data complete');
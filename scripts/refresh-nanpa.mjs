@@ -0,0 +1,226 @@
+/**
+ * Refresh the bundled NANPA data in data/nanpa/
+ *
+ *   npm run nanpa:refresh
+ *   npm run nanpa:refresh -- --npa-file ./npa_report.csv --nxx-file ./allutlzd.txt
+ *
+ * NPAs come from the NANPA NPA report (downloaded from NANPA_NPA_URL unless
+ * --npa-file is given). NPA-NXX blocks come from the NANPA central office
+ * code assignment file (allutlzd.txt, tab-separated) when --nxx-file is
+ * given; without it the existing npa-nxx.json is left untouched, which fails
+ * while that file has no blocks yet.
+ *
+ * `npm run nanpa:check` fails while the bundled data is incomplete.
+ *
+ * Timezones are not part of the NANPA reports: existing entries keep theirs,
+ * new US/Canadian codes get their state's default and anything else is
+ * reported so it can be filled in by hand.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse/sync';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'nanpa');
+const NPA_PATH = path.join(DATA_DIR, 'npa.json');
+const NXX_PATH = path.join(DATA_DIR, 'npa-nxx.json');
+
+const NPA_URL = process.env.NANPA_NPA_URL || 'https://nationalnanpa.com/nanp1/npa_report.csv';
+
+// Default timezone per state/province for newly assigned codes
+const STATE_TIMEZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver',
+  PR: 'America/Puerto_Rico', VI: 'America/St_Thomas', GU: 'Pacific/Guam', MP: 'Pacific/Saipan',
+  AS: 'Pacific/Pago_Pago',
+  AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+  NL: 'America/St_Johns', NS: 'America/Halifax', ON: 'America/Toronto', PE: 'America/Halifax',
+  QC: 'America/Toronto', SK: 'America/Regina', YT: 'America/Whitehorse', NT: 'America/Yellowknife',
+  NU: 'America/Iqaluit'
+};
+
+const US_TERRITORIES = new Set(['PR', 'VI', 'GU', 'MP', 'AS']);
+const CA_PROVINCES = new Set(['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'ON', 'PE', 'QC', 'SK', 'YT', 'NT', 'NU']);
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+async function readSource(filePath, url) {
+  if (filePath) {
+    return { text: fs.readFileSync(filePath, 'utf-8'), source: path.basename(filePath) };
+  }
+
+  console.log(`Downloading ${url}...`);
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Download failed: HTTP ${response.status} (pass --npa-file to use a local copy)`);
+  }
+
+  return { text: await response.text(), source: url };
+}
+
+function pick(row, ...names) {
+  for (const name of names) {
+    if (row[name] !== undefined && row[name] !== '') return row[name].trim();
+  }
+  return '';
+}
+
+async function refreshNpas() {
+  const existing = JSON.parse(fs.readFileSync(NPA_PATH, 'utf-8')).npas || {};
+  const { text, source } = await readSource(getArg('--npa-file'), NPA_URL);
+
+  // The report may start with a title line before the header
+  const headerIndex = text.split('\n').findIndex(line => line.includes('NPA_ID'));
+  if (headerIndex === -1) {
+    throw new Error('NPA report has no NPA_ID column');
+  }
+
+  const rows = parse(text.split('\n').slice(headerIndex).join('\n'), {
+    columns: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    bom: true
+  });
+
+  const npas = {};
+  const needsReview = [];
+
+  for (const row of rows) {
+    const npa = pick(row, 'NPA_ID');
+    if (!/^\d{3}$/.test(npa)) continue;
+
+    const inService = /^(y|yes)$/i.test(pick(row, 'IN_SERVICE'));
+    if (!inService) continue;
+
+    const location = pick(row, 'LOCATION').toUpperCase();
+    const isGeographic = pick(row, 'USE').toUpperCase() === 'G';
+
+    if (!isGeographic) {
+      // Toll-free codes are 8YY (800, 833, 844, ...)
+      if (/^8(\d)\1$/.test(npa)) {
+        npas[npa] = { state: null, country: null, timezone: null, type: 'toll_free' };
+      }
+      continue;
+    }
+
+    const previous = existing[npa];
+    const isUs = STATE_TIMEZONES[location] && !CA_PROVINCES.has(location);
+    const isCanada = CA_PROVINCES.has(location);
+
+    let entry;
+    if (isUs || isCanada) {
+      entry = {
+        state: location,
+        country: isCanada ? 'CA' : (US_TERRITORIES.has(location) ? location : 'US'),
+        timezone: previous?.timezone || STATE_TIMEZONES[location],
+        type: 'geographic'
+      };
+    } else if (previous) {
+      entry = { ...previous, type: 'geographic' };
+    } else {
+      entry = { state: null, country: null, timezone: null, type: 'geographic' };
+      needsReview.push(`${npa} (${location || 'unknown location'})`);
+    }
+
+    npas[npa] = entry;
+  }
+
+  if (Object.keys(npas).length < 300) {
+    throw new Error(`Only ${Object.keys(npas).length} NPAs parsed - refusing to overwrite ${NPA_PATH}`);
+  }
+
+  const sorted = Object.fromEntries(Object.entries(npas).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(NPA_PATH, JSON.stringify({
+    source,
+    generated: new Date().toISOString(),
+    npas: sorted
+  }, null, 2) + '\n');
+
+  const added = Object.keys(npas).filter(npa => !existing[npa]);
+  const removed = Object.keys(existing).filter(npa => !npas[npa]);
+
+  console.log(`✓ ${Object.keys(npas).length} NPAs written (${added.length} added, ${removed.length} removed)`);
+  if (needsReview.length > 0) {
+    console.warn(`⚠️ Set country/timezone by hand for: ${needsReview.join(', ')}`);
+  }
+}
+
+function refreshBlocks() {
+  const filePath = getArg('--nxx-file');
+  if (!filePath) {
+    const existing = JSON.parse(fs.readFileSync(NXX_PATH, 'utf-8')).blocks || {};
+    if (Object.keys(existing).length === 0) {
+      throw new Error(`${NXX_PATH} has no blocks - pass --nxx-file with the NANPA assignment file (allutlzd.txt)`);
+    }
+
+    console.log('No --nxx-file given - NPA-NXX blocks left unchanged');
+    return;
+  }
+
+  const rows = parse(fs.readFileSync(filePath, 'utf-8'), {
+    columns: true,
+    delimiter: '\t',
+    skip_empty_lines: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    trim: true,
+    bom: true
+  });
+
+  const rateCenters = [];
+  const rateCenterIndex = new Map();
+  const blocks = {};
+
+  for (const row of rows) {
+    const npaNxx = pick(row, 'NPA-NXX').replace(/\D/g, '');
+    if (npaNxx.length !== 6) continue;
+
+    // AS = assigned, UA = unassigned/available
+    if (pick(row, 'Use').toUpperCase() !== 'AS') continue;
+
+    const rateCenter = pick(row, 'RateCenter');
+    if (!rateCenterIndex.has(rateCenter)) {
+      rateCenterIndex.set(rateCenter, rateCenters.length);
+      rateCenters.push(rateCenter);
+    }
+
+    blocks[npaNxx] = [rateCenterIndex.get(rateCenter), pick(row, 'State').toUpperCase() || null];
+  }
+
+  if (Object.keys(blocks).length === 0) {
+    throw new Error('No assigned NPA-NXX rows found - check the file format');
+  }
+
+  fs.writeFileSync(NXX_PATH, JSON.stringify({
+    source: path.basename(filePath),
+    generated: new Date().toISOString(),
+    rateCenters,
+    blocks
+  }) + '\n');
+
+  console.log(`✓ ${Object.keys(blocks).length} NPA-NXX blocks written (${rateCenters.length} rate centers)`);
+}
+
+try {
+  await refreshNpas();
+  refreshBlocks();
+} catch (error) {
+  console.error('❌ NANPA refresh failed:', error.message);
+  process.exit(1);
+}
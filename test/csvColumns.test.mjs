@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUpload } from '../lib/csvColumns.js';
+
+// Same content as bytes, split so a CRLF falls across two chunks
+function byteChunks(text, at) {
+  const encoder = new TextEncoder();
+  return [encoder.encode(text.substring(0, at)), encoder.encode(text.substring(at))];
+}
+
+test('records are numbered by the line they start on', async () => {
+  const { rows, lines } = await parseUpload('name,phone\n"a\nb",x\nc,y');
+
+  assert.deepEqual(rows, [['a\nb', 'x'], ['c', 'y']]);
+  assert.deepEqual(lines, [2, 4]);
+});
+
+test('a quoted CRLF counts as one line', async () => {
+  const input = 'name,phone\r\n"a\r\nb",x\r\nc,y';
+
+  assert.deepEqual((await parseUpload(input)).lines, [2, 4]);
+  assert.deepEqual((await parseUpload(byteChunks(input, input.indexOf('\n', 14)))).lines, [2, 4]);
+});
+
+test('blank lines and multi-line fields keep later numbers right', async () => {
+  const { rows, lines } = await parseUpload('name,phone\n\n"a\n\nb",x\n\nc,y\r\nd,z\r\n');
+
+  assert.deepEqual(rows.map(row => row[0]), ['a\n\nb', 'c', 'd']);
+  assert.deepEqual(lines, [3, 7, 8]);
+});
+
+test('malformed records are reported on their first line', async () => {
+  const { rows, lines, malformed, malformedCount } = await parseUpload('name,phone\n"x\ny",1,2\nc,d');
+
+  assert.equal(malformedCount, 1);
+  assert.equal(malformed[0].line, 2);
+  assert.deepEqual(rows, [['c', 'd']]);
+  assert.deepEqual(lines, [4]);
+});
+
+test('plain lists are numbered by line and skip a phone header', async () => {
+  const { rows, lines } = await parseUpload('phone\r\n4155550123\r\n\r\n4155550124', { format: 'text' });
+
+  assert.deepEqual(rows, [['4155550123'], ['4155550124']]);
+  assert.deepEqual(lines, [2, 4]);
+});
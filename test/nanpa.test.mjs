@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import npaData from '../data/nanpa/npa.json' with { type: 'json' };
+import { checkAssignment, datasetProblems } from '../lib/nanpa.js';
+import { formatUSPhone } from '../lib/phoneValidator.js';
+
+test('toll-free numbers are rejected before any lookup', () => {
+  for (const npa of ['800', '833', '844', '855', '866', '877', '888']) {
+    assert.deepEqual(checkAssignment(npa, '234'), { valid: false, error: `Toll-free number: ${npa}` });
+  }
+
+  const result = formatUSPhone('(800) 234-5678');
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'Toll-free number: 800');
+});
+
+test('unassigned area codes are rejected', () => {
+  assert.deepEqual(checkAssignment('999', '234'), { valid: false, error: 'Unassigned area code: 999' });
+  assert.equal(formatUSPhone('+1 999 234 5678').error, 'Unassigned area code: 999');
+});
+
+test('assigned area codes carry their state and timezone', () => {
+  const result = formatUSPhone('212-234-5678');
+
+  assert.equal(result.valid, true);
+  assert.equal(result.e164, '+12122345678');
+  assert.equal(result.state, 'NY');
+  assert.equal(result.timezone, 'America/New_York');
+  assert.equal(result.nanp_country, 'US');
+});
+
+test('an empty block file is reported', () => {
+  assert.deepEqual(datasetProblems(npaData, { rateCenters: [], blocks: {} }), [
+    'No NPA-NXX blocks - exchanges are not checked'
+  ]);
+});
+
+test('a complete snapshot has no problems', () => {
+  const blocks = { rateCenters: ['NEW YORK CITY'], blocks: { 212234: [0, 'NY'] } };
+  assert.deepEqual(datasetProblems(npaData, blocks), []);
+});
+
+test('truncated or inconsistent snapshots are reported', () => {
+  const problems = datasetProblems(
+    { npas: { 212: { state: 'NY', type: 'geographic' } } },
+    { rateCenters: [], blocks: { 212234: [0, 'NY'], 999234: [0, null] } }
+  );
+
+  assert.deepEqual(problems, [
+    'Only 1 area codes (expected at least 300)',
+    'No toll-free area codes',
+    'Blocks for area codes missing from npa.json: 999',
+    'Blocks point at rate centers that are not in the file'
+  ]);
+});